@@ -0,0 +1,187 @@
+// controllers/contactController.js
+const Customer = require("../models/Customer");
+const ContactService = require("../services/contactService");
+const ActivityLogger = require("../services/activityLogger");
+
+const findCustomer = (id) =>
+  Customer.findOne({
+    $or: [
+      ...(/^[0-9a-fA-F]{24}$/.test(id) ? [{ _id: id }] : []),
+      { customerId: id },
+      { customerInternalId: id },
+    ],
+  });
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+const customerNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: "Customer not found",
+  });
+
+/**
+ * @desc    List a customer's contacts
+ * @route   GET /api/customers/:id/contacts?includeInactive=true
+ * @access  Private (All authenticated users)
+ */
+exports.getContacts = async (req, res) => {
+  try {
+    const customer = await findCustomer(req.params.id);
+    if (!customer) return customerNotFound(res);
+
+    const contacts = await ContactService.getContacts(customer._id, {
+      includeInactive: req.query.includeInactive === "true",
+    });
+
+    res.json({
+      success: true,
+      data: {
+        primaryPhone: customer.phoneNumber,
+        contacts,
+        count: contacts.length,
+      },
+    });
+  } catch (error) {
+    console.error("Get contacts error:", error);
+    sendError(res, error, "Error fetching contacts");
+  }
+};
+
+/**
+ * @desc    Add a contact to a customer
+ * @route   POST /api/customers/:id/contacts
+ * @access  Private (Admin, Supervisor, assigned Officer)
+ */
+exports.addContact = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const customer = await findCustomer(req.params.id);
+    if (!customer) return customerNotFound(res);
+
+    const contact = await ContactService.addContact(customer, req.body, user);
+
+    console.log(`📇 ${user.username} added ${contact.type} contact for ${customer.name}`);
+
+    await ActivityLogger.logCustomer(user.id, 'CONTACT_ADD', customer, {
+      contactId: contact._id,
+      type: contact.type,
+      phoneNumber: contact.phoneNumber,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Contact added",
+      data: { contact },
+    });
+  } catch (error) {
+    console.error("Add contact error:", error);
+    sendError(res, error, "Error adding contact");
+  }
+};
+
+/**
+ * @desc    Update a contact, including preferred and do-not-use flags
+ * @route   PUT /api/customers/:id/contacts/:contactId
+ * @access  Private (Admin, Supervisor, assigned Officer)
+ */
+exports.updateContact = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const customer = await findCustomer(req.params.id);
+    if (!customer) return customerNotFound(res);
+
+    const contact = await ContactService.updateContact(customer, req.params.contactId, req.body, user);
+
+    await ActivityLogger.logCustomer(user.id, 'CONTACT_UPDATE', customer, {
+      contactId: contact._id,
+      changes: Object.keys(req.body),
+      doNotUse: contact.doNotUse,
+      isPreferred: contact.isPreferred,
+    });
+
+    res.json({
+      success: true,
+      message: "Contact updated",
+      data: { contact },
+    });
+  } catch (error) {
+    console.error("Update contact error:", error);
+    sendError(res, error, "Error updating contact");
+  }
+};
+
+/**
+ * @desc    Record a contact verification result
+ * @route   POST /api/customers/:id/contacts/:contactId/verify
+ * @access  Private (Admin, Supervisor, assigned Officer)
+ * @body    status (VERIFIED | FAILED), method (CALL | SMS | WHATSAPP | IN_PERSON | DOCUMENT)
+ */
+exports.verifyContact = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const customer = await findCustomer(req.params.id);
+    if (!customer) return customerNotFound(res);
+
+    const contact = await ContactService.verifyContact(customer, req.params.contactId, req.body, user);
+
+    console.log(`☑️ Contact ${contact.phoneNumber} for ${customer.name} marked ${contact.verificationStatus} by ${user.username}`);
+
+    await ActivityLogger.logCustomer(user.id, 'CONTACT_VERIFY', customer, {
+      contactId: contact._id,
+      phoneNumber: contact.phoneNumber,
+      status: contact.verificationStatus,
+      method: contact.verificationMethod,
+    });
+
+    res.json({
+      success: true,
+      message: `Contact marked ${contact.verificationStatus.toLowerCase()}`,
+      data: { contact },
+    });
+  } catch (error) {
+    console.error("Verify contact error:", error);
+    sendError(res, error, "Error verifying contact");
+  }
+};
+
+/**
+ * @desc    Remove a contact
+ * @route   DELETE /api/customers/:id/contacts/:contactId
+ * @access  Private (Admin, Supervisor, assigned Officer)
+ */
+exports.removeContact = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const customer = await findCustomer(req.params.id);
+    if (!customer) return customerNotFound(res);
+
+    const contact = await ContactService.removeContact(customer, req.params.contactId, user);
+
+    await ActivityLogger.logCustomer(user.id, 'CONTACT_REMOVE', customer, {
+      contactId: contact._id,
+      type: contact.type,
+      phoneNumber: contact.phoneNumber,
+    });
+
+    res.json({
+      success: true,
+      message: "Contact removed",
+    });
+  } catch (error) {
+    console.error("Remove contact error:", error);
+    sendError(res, error, "Error removing contact");
+  }
+};
@@ -0,0 +1,196 @@
+// controllers/contactPolicyController.js
+const Customer = require("../models/Customer");
+const ContactPolicyService = require("../services/contactPolicyService");
+const ActivityLogger = require("../services/activityLogger");
+
+const findCustomer = (id) =>
+  Customer.findOne({
+    $or: [
+      ...(/^[0-9a-fA-F]{24}$/.test(id) ? [{ _id: id }] : []),
+      { customerId: id },
+      { customerInternalId: id },
+    ],
+  });
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.code === "CONTACT_BLOCKED") {
+    return res.status(403).json({
+      success: false,
+      message: error.message,
+      data: { reasons: error.reasons, overridable: error.overridable },
+    });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+const customerNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: "Customer not found",
+  });
+
+/**
+ * @desc    Current outbound contact policy
+ * @route   GET /api/contact-policy
+ * @access  Private (All authenticated users)
+ */
+exports.getPolicy = async (req, res) => {
+  try {
+    const policy = await ContactPolicyService.getPolicy();
+
+    res.json({
+      success: true,
+      data: { policy, channels: ContactPolicyService.getChannels() },
+    });
+  } catch (error) {
+    console.error("Get contact policy error:", error);
+    sendError(res, error, "Error fetching contact policy");
+  }
+};
+
+/**
+ * @desc    Update allowed hours, days, limits and blackout dates
+ * @route   PUT /api/contact-policy
+ * @access  Private (Admin)
+ */
+exports.updatePolicy = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const policy = await ContactPolicyService.updatePolicy(req.body, user);
+
+    console.log(`⚙️ Contact policy updated by ${user.username}`);
+
+    await ActivityLogger.logSystem(
+      user.id,
+      'CONTACT_POLICY_UPDATE',
+      'Updated outbound contact policy',
+      { changes: req.body }
+    );
+
+    res.json({
+      success: true,
+      message: "Contact policy updated",
+      data: { policy },
+    });
+  } catch (error) {
+    console.error("Update contact policy error:", error);
+    sendError(res, error, "Error updating contact policy");
+  }
+};
+
+/**
+ * @desc    Whether a customer may be contacted on a channel right now
+ * @route   GET /api/contact-policy/customers/:customerId/check?channel=CALL
+ * @access  Private (All authenticated users)
+ */
+exports.checkCustomer = async (req, res) => {
+  try {
+    const customer = await findCustomer(req.params.customerId);
+    if (!customer) return customerNotFound(res);
+
+    const decision = await ContactPolicyService.evaluate(customer, req.query.channel || "CALL");
+
+    res.json({
+      success: true,
+      data: decision,
+    });
+  } catch (error) {
+    console.error("Check contact policy error:", error);
+    sendError(res, error, "Error checking contact policy");
+  }
+};
+
+/**
+ * @desc    Record a manual contact (e.g. a phone call) through the policy guard
+ * @route   POST /api/contact-policy/customers/:customerId/attempts
+ * @access  Private (All authenticated users)
+ * @body    channel (CALL | SMS), purpose, phoneNumber, overrideReason (supervisors/admins)
+ */
+exports.recordAttempt = async (req, res) => {
+  try {
+    const customer = await findCustomer(req.params.customerId);
+    if (!customer) return customerNotFound(res);
+
+    const { channel = "CALL", purpose = "FOLLOW_UP_CALL", phoneNumber, overrideReason } = req.body;
+
+    const attempt = await ContactPolicyService.authorise({
+      customer,
+      channel,
+      purpose,
+      phoneNumber,
+      user: req.user,
+      overrideReason,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: attempt.status === "OVERRIDDEN" ? "Contact allowed by override" : "Contact allowed",
+      data: { attempt },
+    });
+  } catch (error) {
+    console.error("Record contact attempt error:", error.message);
+    sendError(res, error, "Error recording contact attempt");
+  }
+};
+
+/**
+ * @desc    Update a customer's contact consent and do-not-contact flag
+ * @route   PUT /api/contact-policy/customers/:customerId/preferences
+ * @access  Private (All authenticated users; lifting restrictions needs Supervisor/Admin)
+ * @body    consentGranted, consentChannels, doNotContact, doNotContactReason
+ */
+exports.updatePreferences = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const customer = await findCustomer(req.params.customerId);
+    if (!customer) return customerNotFound(res);
+
+    await ContactPolicyService.updatePreferences(customer, req.body, user);
+
+    await ActivityLogger.logCustomer(user.id, 'CONTACT_PREFERENCES_UPDATE', customer, {
+      changes: req.body,
+      doNotContact: customer.doNotContact,
+      consent: customer.contactConsent,
+    });
+
+    res.json({
+      success: true,
+      message: "Contact preferences updated",
+      data: {
+        contactConsent: customer.contactConsent,
+        doNotContact: customer.doNotContact,
+        doNotContactReason: customer.doNotContactReason,
+      },
+    });
+  } catch (error) {
+    console.error("Update contact preferences error:", error);
+    sendError(res, error, "Error updating contact preferences");
+  }
+};
+
+/**
+ * @desc    Contact attempt log, including blocked and overridden attempts
+ * @route   GET /api/contact-policy/attempts?customerId=&status=BLOCKED&channel=&from=&to=
+ * @access  Private (Admin, Supervisor)
+ */
+exports.getAttempts = async (req, res) => {
+  try {
+    const result = await ContactPolicyService.getAttempts(req.query);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Get contact attempts error:", error);
+    sendError(res, error, "Error fetching contact attempts");
+  }
+};
@@ -0,0 +1,114 @@
+// controllers/customFieldController.js
+const CustomFieldService = require("../services/customFieldService");
+const ActivityLogger = require("../services/activityLogger");
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message, errors: error.errors });
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+/**
+ * @desc    Custom field definitions
+ * @route   GET /api/customers/custom-fields?includeInactive=true
+ * @access  Private (All authenticated users)
+ */
+exports.getDefinitions = async (req, res) => {
+  try {
+    const definitions = await CustomFieldService.getDefinitions({
+      includeInactive: req.query.includeInactive === "true",
+    });
+
+    res.json({
+      success: true,
+      data: { definitions, types: CustomFieldService.getTypes() },
+    });
+  } catch (error) {
+    console.error("Get custom fields error:", error);
+    sendError(res, error, "Error fetching custom fields");
+  }
+};
+
+/**
+ * @desc    Define a new custom field
+ * @route   POST /api/customers/custom-fields
+ * @access  Private (Admin)
+ * @body    key, label, type, options, validation, required, requiredForLoanTypes, description
+ */
+exports.createDefinition = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const definition = await CustomFieldService.createDefinition(req.body, user);
+
+    console.log(`🧩 Custom field "${definition.key}" (${definition.type}) created by ${user.username}`);
+
+    await ActivityLogger.logSystem(
+      user.id,
+      'CUSTOM_FIELD_UPDATE',
+      `Created custom field "${definition.label}"`,
+      { key: definition.key, type: definition.type, required: definition.required, requiredForLoanTypes: definition.requiredForLoanTypes }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Custom field created",
+      data: { definition },
+    });
+  } catch (error) {
+    console.error("Create custom field error:", error);
+    sendError(res, error, "Error creating custom field");
+  }
+};
+
+/**
+ * @desc    Change a custom field's label, options, validation or required rules, or deactivate it
+ * @route   PUT /api/customers/custom-fields/:key
+ * @access  Private (Admin)
+ */
+exports.updateDefinition = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const definition = await CustomFieldService.updateDefinition(req.params.key, req.body, user);
+
+    await ActivityLogger.logSystem(
+      user.id,
+      'CUSTOM_FIELD_UPDATE',
+      `Updated custom field "${definition.label}"`,
+      { key: definition.key, changes: req.body }
+    );
+
+    res.json({
+      success: true,
+      message: "Custom field updated",
+      data: { definition },
+    });
+  } catch (error) {
+    console.error("Update custom field error:", error);
+    sendError(res, error, "Error updating custom field");
+  }
+};
+
+/**
+ * @desc    Tags in use with their customer counts
+ * @route   GET /api/customers/tags
+ * @access  Private (All authenticated users)
+ */
+exports.getTags = async (req, res) => {
+  try {
+    const tags = await CustomFieldService.getTagCounts();
+
+    res.json({
+      success: true,
+      data: { tags },
+    });
+  } catch (error) {
+    console.error("Get tags error:", error);
+    sendError(res, error, "Error fetching tags");
+  }
+};
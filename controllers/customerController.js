@@ -10,6 +10,15 @@ const {
   isValidKenyanPhone,
 } = require("../utils/helpers");
 const ActivityLogger = require("../services/activityLogger");
+const LoanService = require("../services/loanService");
+const AgingService = require("../services/agingService");
+const FeeService = require("../services/feeService");
+const RestructureService = require("../services/restructureService");
+const ContactService = require("../services/contactService");
+const RiskScoringService = require("../services/riskScoringService");
+const SegmentService = require("../services/segmentService");
+const CustomFieldService = require("../services/customFieldService");
+const CustomerLifecycleService = require("../services/customerLifecycleService");
 
 // ============================================
 // CONTROLLER FUNCTIONS - ALL MUST BE EXPORTS
@@ -118,12 +127,17 @@ exports.getCustomer = async (req, res) => {
     console.log(
       `🔍 [getCustomer] Fetching transactions for customer: ${customer._id}`,
     );
-    const [recentTransactions, transactionCount] = await Promise.all([
+    const [recentTransactions, transactionCount, loans, fees, restructures, contacts, riskHistory] = await Promise.all([
       Transaction.find({ customerId: customer._id })
         .sort({ createdAt: -1 })
         .limit(20)
         .select("-__v"),
       Transaction.countDocuments({ customerId: customer._id }),
+      LoanService.getCustomerLoans(customer._id),
+      FeeService.getCustomerFeeSummary(customer._id),
+      RestructureService.getCustomerRestructures(customer._id),
+      ContactService.getContacts(customer._id),
+      RiskScoringService.getCustomerHistory(customer._id, 10),
     ]);
 
     console.log(
@@ -136,6 +150,21 @@ exports.getCustomer = async (req, res) => {
       message: "Customer details retrieved successfully",
       data: {
         customer,
+        loans,
+        fees,
+        restructures,
+        contacts,
+        risk: {
+          score: customer.riskScore,
+          band: customer.riskBand,
+          scoredAt: customer.riskScoredAt,
+          // Largest contributors first
+          mainFactors: [...(customer.riskFactors || [])]
+            .filter((f) => f.points > 0)
+            .sort((a, b) => b.points - a.points)
+            .slice(0, 3),
+          history: riskHistory,
+        },
         recentTransactions,
         transactionCount,
       },
@@ -235,6 +264,11 @@ exports.getCustomers = async (req, res) => {
       status = "active",
       sortBy = "createdAt",
       sortOrder = "desc",
+      riskBand,
+      minRiskScore,
+      maxRiskScore,
+      segmentId,
+      filters,
     } = req.query;
 
     const pageNum = parseInt(page);
@@ -249,6 +283,9 @@ exports.getCustomers = async (req, res) => {
       query.isActive = true;
     } else if (status === "inactive") {
       query.isActive = false;
+    } else if (status === "archived") {
+      query.isActive = false;
+      query.archivedAt = { $ne: null };
     }
 
     // Search functionality
@@ -261,9 +298,27 @@ exports.getCustomers = async (req, res) => {
         { accountNumber: { $regex: searchRegex } },
         { email: { $regex: searchRegex } },
         { nationalId: { $regex: searchRegex } },
+        { tags: search.trim().toLowerCase() },
       ];
     }
 
+    // Risk score filters (e.g. ?riskBand=HIGH,VERY_HIGH&minRiskScore=60)
+    if (riskBand) {
+      query.riskBand = { $in: riskBand.split(",").map((band) => band.trim().toUpperCase()) };
+    }
+    if (minRiskScore !== undefined || maxRiskScore !== undefined) {
+      query.riskScore = {};
+      if (minRiskScore !== undefined) query.riskScore.$gte = Number(minRiskScore);
+      if (maxRiskScore !== undefined) query.riskScore.$lte = Number(maxRiskScore);
+    }
+
+    // Saved segment and/or segment filter language (?segmentId=SEG...&filters={"arrears":{"min":1}})
+    if (segmentId || filters) {
+      const resolved = await SegmentService.resolveFilters({ segmentId, filters }, req.user);
+      const segmentQuery = await SegmentService.buildQuery({ status: "all", ...resolved.filters }, req.user);
+      Object.assign(query, { $and: [...(query.$and || []), segmentQuery] });
+    }
+
     // Build sort object
     const sort = {};
     sort[sortBy] = sortOrder === "desc" ? -1 : 1;
@@ -306,7 +361,12 @@ exports.getCustomers = async (req, res) => {
           search,
           status,
           sortBy,
-          sortOrder
+          sortOrder,
+          riskBand,
+          minRiskScore,
+          maxRiskScore,
+          segmentId,
+          filters
         },
         duration: Date.now() - startTime
       },
@@ -333,6 +393,11 @@ exports.getCustomers = async (req, res) => {
     });
   } catch (error) {
     console.error("Get customers error:", error);
+
+    // Invalid segment filters or an unknown/hidden segment
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     
     await ActivityLogger.logError(
       req.user.id,
@@ -383,9 +448,19 @@ exports.getMyAssignedCustomers = async (req, res) => {
       query = {};
     }
 
+    // Officers work the riskiest accounts first with ?sortBy=riskScore or ?riskBand=HIGH,VERY_HIGH
+    const { riskBand, minRiskScore, sortBy } = req.query;
+    if (riskBand) {
+      query.riskBand = { $in: riskBand.split(",").map((band) => band.trim().toUpperCase()) };
+    }
+    if (minRiskScore !== undefined) {
+      query.riskScore = { $gte: Number(minRiskScore) };
+    }
+    const sort = sortBy === "riskScore" ? { riskScore: -1, arrears: -1 } : { createdAt: -1 };
+
     const customers = await Customer.find(query)
       .populate("assignedTo", "name username email loanType")
-      .sort({ createdAt: -1 })
+      .sort(sort)
       .lean();
 
     console.log(`📊 Found ${customers.length} customers for user ${userId}`);
@@ -586,7 +661,10 @@ exports.createCustomer = async (req, res) => {
       customerId,
       accountNumber,
       loanType = "Consumer Loans",
-      assignedTo = null
+      assignedTo = null,
+      loan = null,
+      customFields = {},
+      tags = []
     } = req.body;
 
     // Validation
@@ -636,6 +714,10 @@ exports.createCustomer = async (req, res) => {
       });
     }
 
+    // Custom fields are checked against their definitions, including those required for this loan type
+    const customFieldValues = await CustomFieldService.applyValues({}, customFields, loanType);
+    const customerTags = CustomFieldService.applyTags([], { tags });
+
     // Generate IDs
     const customerInternalId = generateInternalId("CUS");
     const finalCustomerId =
@@ -660,6 +742,8 @@ exports.createCustomer = async (req, res) => {
           nationalId,
           loanType,
           assignedTo,
+          customFields: customFieldValues,
+          tags: customerTags,
           totalRepayments: 0,
           lastPaymentDate: null,
           isActive: true,
@@ -670,6 +754,27 @@ exports.createCustomer = async (req, res) => {
       { session },
     );
 
+    // Balances are derived from loans: either the loan terms supplied, or an
+    // opening-balance loan for the legacy loanBalance/arrears fields
+    let customerLoan = null;
+    if (loan) {
+      customerLoan = await LoanService.createLoan(
+        newCustomer[0],
+        { loanType, ...loan },
+        { session, user: req.user },
+      );
+    } else {
+      customerLoan = await LoanService.createOpeningBalanceLoan(newCustomer[0], {
+        session,
+        user: req.user,
+      });
+    }
+
+    if (customerLoan) {
+      const balances = await LoanService.syncCustomerBalances(newCustomer[0]._id, session);
+      Object.assign(newCustomer[0], balances);
+    }
+
     await session.commitTransaction();
     session.endSession();
 
@@ -691,6 +796,7 @@ exports.createCustomer = async (req, res) => {
       message: "Customer created successfully",
       data: {
         customer: newCustomer[0],
+        loan: customerLoan,
       },
     });
   } catch (error) {
@@ -699,6 +805,22 @@ exports.createCustomer = async (req, res) => {
 
     console.error("Create customer error:", error);
 
+    // Invalid custom fields or tags
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.errors,
+      });
+    }
+
+    if (error.message?.includes("required to build a schedule")) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     // Handle duplicate key errors
     if (error.code === 11000) {
       const field = Object.keys(error.keyPattern)[0];
@@ -882,11 +1004,37 @@ exports.updateCustomer = async (req, res) => {
       loanBalance: customer.loanBalance,
       arrears: customer.arrears,
       loanType: customer.loanType,
-      assignedTo: customer.assignedTo
+      assignedTo: customer.assignedTo,
+      tags: customer.tags,
+      customFields: Object.fromEntries(customer.customFields || [])
     };
 
     // Prepare update data
     const updateData = { ...req.body };
+    delete updateData.addTags;
+    delete updateData.removeTags;
+
+    // Custom fields are merged into the stored values; required fields are checked
+    // when the values or the loan type change
+    const loanTypeChanged = req.body.loanType && req.body.loanType !== customer.loanType;
+    if (req.body.customFields !== undefined || loanTypeChanged) {
+      updateData.customFields = await CustomFieldService.applyValues(
+        customer.customFields,
+        req.body.customFields || {},
+        req.body.loanType || customer.loanType,
+      );
+    }
+
+    // Tags: "tags" replaces the list, "addTags"/"removeTags" change individual ones
+    if (req.body.tags !== undefined || req.body.addTags !== undefined || req.body.removeTags !== undefined) {
+      updateData.tags = CustomFieldService.applyTags(customer.tags, req.body);
+    }
+
+    // Balances of customers with loans are derived from the loan schedules
+    if (await LoanService.hasLoans(customer._id)) {
+      delete updateData.loanBalance;
+      delete updateData.arrears;
+    }
 
     // Format phone if provided
     if (req.body.phoneNumber) {
@@ -951,6 +1099,15 @@ exports.updateCustomer = async (req, res) => {
   } catch (error) {
     console.error("Update customer error:", error);
 
+    // Invalid custom fields or tags
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.errors,
+      });
+    }
+
     // Handle duplicate key errors
     if (error.code === 11000) {
       const field = Object.keys(error.keyPattern)[0];
@@ -1000,9 +1157,10 @@ exports.updateCustomer = async (req, res) => {
 };
 
 /**
- * @desc    Soft delete customer (deactivate)
+ * @desc    Archive (soft delete) a settled customer; restore with POST /api/customers/:id/restore
  * @route   DELETE /api/customers/:id
  * @access  Private (Admin only)
+ * @body    reason (optional)
  */
 exports.deleteCustomer = async (req, res) => {
   const startTime = Date.now();
@@ -1012,7 +1170,7 @@ exports.deleteCustomer = async (req, res) => {
     if (req.user.role !== "admin") {
       return res.status(403).json({
         success: false,
-        message: "Only administrators can deactivate customers",
+        message: "Only administrators can archive customers",
       });
     }
 
@@ -1029,56 +1187,51 @@ exports.deleteCustomer = async (req, res) => {
       });
     }
 
-    // Check if customer has outstanding balance
-    if (customer.loanBalance > 0 || customer.arrears > 0) {
+    const reason = req.body?.reason;
+
+    try {
+      await CustomerLifecycleService.archive(customer, { reason }, req.user);
+    } catch (error) {
+      if (!error.statusCode) throw error;
+
       await ActivityLogger.logError(
         req.user.id,
         'CUSTOMER_DELETE',
-        `Failed to deactivate customer - Outstanding balance exists`,
-        { code: 'OUTSTANDING_BALANCE' },
+        `Failed to archive customer - ${error.message}`,
+        { code: 'ARCHIVE_REJECTED' },
         {
           customerId: customer.customerId,
           loanBalance: customer.loanBalance,
-          arrears: customer.arrears
+          arrears: customer.arrears,
+          writtenOffBalance: customer.writtenOffBalance
         }
       );
-      
-      return res.status(400).json({
+
+      return res.status(error.statusCode).json({
         success: false,
-        message:
-          "Cannot deactivate customer with outstanding balance or arrears",
+        message: error.message,
       });
     }
 
-    // Store customer details for logging
-    const customerDetails = {
-      name: customer.name,
-      phoneNumber: customer.phoneNumber,
-      customerId: customer.customerId,
-      loanBalance: customer.loanBalance,
-      arrears: customer.arrears
-    };
-
-    // Soft delete by setting isActive to false
-    customer.isActive = false;
-    customer.updatedAt = new Date();
-    await customer.save();
-
-    // Log customer deactivation
+    // Log customer archive
     await ActivityLogger.logCustomer(
       req.user.id,
       'CUSTOMER_DELETE',
-      customerDetails,
+      customer,
       {
-        deactivatedBy: req.user.username,
-        reason: 'Admin deactivation',
+        archivedBy: req.user.username,
+        reason: reason || 'Admin archive',
         duration: Date.now() - startTime
       }
     );
 
     res.json({
       success: true,
-      message: "Customer deactivated successfully",
+      message: "Customer archived successfully",
+      data: {
+        customerId: customer.customerId,
+        archivedAt: customer.archivedAt,
+      },
     });
   } catch (error) {
     console.error("Delete customer error:", error);
@@ -1094,14 +1247,14 @@ exports.deleteCustomer = async (req, res) => {
     await ActivityLogger.logError(
       req.user.id,
       'CUSTOMER_DELETE',
-      'Failed to deactivate customer',
+      'Failed to archive customer',
       error,
       { customerId: req.params.id }
     );
     
     res.status(500).json({
       success: false,
-      message: "Server error deleting customer",
+      message: "Server error archiving customer",
     });
   }
 };
@@ -1135,6 +1288,11 @@ exports.getDashboardStats = async (req, res) => {
       arrears: { $gt: 0 },
     });
 
+    // Portfolio-at-risk by aging bucket; officers only see their own book
+    const portfolioAtRisk = await AgingService.getPortfolioAtRisk(
+      user.role === "officer" ? { assignedTo: user._id } : {},
+    );
+
     // Get total arrears
     const totalArrearsResult = await Customer.aggregate([
       { $group: { _id: null, total: { $sum: "$arrears" } } },
@@ -1241,6 +1399,7 @@ exports.getDashboardStats = async (req, res) => {
       totalArrears,
       totalCollections: roleSpecificData.totalCollections || 0,
       pendingPromises,
+      portfolioAtRisk,
 
       // Keep the nested structure for additional data if needed
       overview: {
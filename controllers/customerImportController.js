@@ -0,0 +1,235 @@
+// controllers/customerImportController.js
+const CustomerImport = require("../models/CustomerImport");
+const CustomerImportService = require("../services/customerImportService");
+const ActivityLogger = require("../services/activityLogger");
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.name === "ValidationError" || error.name === "CastError") {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+/**
+ * @desc    Upload a customer file and validate it (dry run)
+ * @route   POST /api/customers/import
+ * @access  Private (Admin, Supervisor)
+ * @body    file (CSV/XLSX), upsert (true = update customers matched on accountNumber),
+ *          columnMap (JSON: { "Spreadsheet header": "customerField" })
+ */
+exports.validateImport = async (req, res) => {
+  const startTime = Date.now();
+  const user = req.user;
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "Please upload a customer file (CSV or XLSX)",
+      });
+    }
+
+    let columnMap = req.body.columnMap;
+    if (typeof columnMap === "string" && columnMap.trim()) {
+      try {
+        columnMap = JSON.parse(columnMap);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          message: "columnMap must be a JSON object",
+        });
+      }
+    }
+
+    console.log(`📄 Validating customer import ${req.file.originalname} (${req.file.size} bytes)`);
+
+    const customerImport = await CustomerImportService.validate(
+      req.file,
+      { upsert: req.body.upsert, columnMap: columnMap || {} },
+      user,
+    );
+
+    console.log(`✅ Import ${customerImport.importId} validated:`, customerImport.summary);
+
+    await ActivityLogger.logSystem(
+      user.id,
+      'CUSTOMER_IMPORT',
+      `Validated customer import ${customerImport.importId} from ${req.file.originalname}`,
+      {
+        importId: customerImport.importId,
+        summary: customerImport.summary,
+        duration: Date.now() - startTime
+      }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: customerImport.summary.invalidRows > 0
+        ? `${customerImport.summary.invalidRows} of ${customerImport.summary.totalRows} rows have errors`
+        : "All rows are valid",
+      data: {
+        import: customerImport,
+        errors: customerImport.rows
+          .filter(row => row.status === "INVALID")
+          .map(row => ({ rowNumber: row.rowNumber, errors: row.rowErrors })),
+      },
+    });
+  } catch (error) {
+    console.error("Validate customer import error:", error);
+    sendError(res, error, "Error validating customer import");
+  }
+};
+
+/**
+ * @desc    Columns the importer recognises
+ * @route   GET /api/customers/imports/fields
+ * @access  Private (Admin, Supervisor)
+ */
+exports.getImportFields = async (req, res) => {
+  res.json({
+    success: true,
+    data: CustomerImportService.getFields(),
+  });
+};
+
+/**
+ * @desc    List customer imports
+ * @route   GET /api/customers/imports
+ * @access  Private (Admin, Supervisor)
+ */
+exports.getImports = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status && status !== "all") query.status = status;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const [imports, total] = await Promise.all([
+      CustomerImport.find(query)
+        .select("-rows")
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      CustomerImport.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        imports,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get customer imports error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching customer imports",
+    });
+  }
+};
+
+/**
+ * @desc    Get an import with its row-level report
+ * @route   GET /api/customers/imports/:id?status=INVALID
+ * @access  Private (Admin, Supervisor)
+ */
+exports.getImport = async (req, res) => {
+  try {
+    const customerImport = await CustomerImport.findById(req.params.id).lean();
+
+    if (!customerImport) {
+      return res.status(404).json({
+        success: false,
+        message: "Import not found",
+      });
+    }
+
+    if (req.query.status) {
+      customerImport.rows = customerImport.rows.filter(row => row.status === req.query.status);
+    }
+
+    res.json({
+      success: true,
+      data: { import: customerImport },
+    });
+  } catch (error) {
+    console.error("Get customer import error:", error);
+    sendError(res, error, "Error fetching customer import");
+  }
+};
+
+/**
+ * @desc    Write the valid rows of a validated import
+ * @route   POST /api/customers/imports/:id/commit
+ * @access  Private (Admin, Supervisor)
+ */
+exports.commitImport = async (req, res) => {
+  const startTime = Date.now();
+  const user = req.user;
+
+  try {
+    const customerImport = await CustomerImportService.commit(req.params.id, user);
+    const { created, updated, failed } = customerImport.summary;
+
+    console.log(`✅ Import ${customerImport.importId} committed by ${user.username}: ${created} created, ${updated} updated, ${failed} failed`);
+
+    await ActivityLogger.logSystem(
+      user.id,
+      'CUSTOMER_IMPORT',
+      `Imported customers from ${customerImport.fileName}: ${created} created, ${updated} updated, ${failed} failed`,
+      {
+        importId: customerImport.importId,
+        upsert: customerImport.upsert,
+        summary: customerImport.summary,
+        duration: Date.now() - startTime
+      }
+    );
+
+    res.json({
+      success: true,
+      message: `${created} customers created, ${updated} updated, ${failed} failed`,
+      data: {
+        import: customerImport,
+        errors: customerImport.rows
+          .filter(row => row.status === "FAILED")
+          .map(row => ({ rowNumber: row.rowNumber, errors: row.rowErrors })),
+      },
+    });
+  } catch (error) {
+    console.error("Commit customer import error:", error);
+    sendError(res, error, "Error committing customer import");
+  }
+};
+
+/**
+ * @desc    Discard a validated import without writing it
+ * @route   POST /api/customers/imports/:id/cancel
+ * @access  Private (Admin, Supervisor)
+ */
+exports.cancelImport = async (req, res) => {
+  try {
+    const customerImport = await CustomerImportService.cancel(req.params.id);
+
+    res.json({
+      success: true,
+      message: "Import cancelled",
+      data: { import: customerImport },
+    });
+  } catch (error) {
+    console.error("Cancel customer import error:", error);
+    sendError(res, error, "Error cancelling customer import");
+  }
+};
@@ -0,0 +1,149 @@
+// controllers/customerLifecycleController.js
+const Customer = require("../models/Customer");
+const CustomerLifecycleService = require("../services/customerLifecycleService");
+const ActivityLogger = require("../services/activityLogger");
+
+const findCustomer = (id) =>
+  Customer.findOne({
+    $or: [
+      ...(/^[0-9a-fA-F]{24}$/.test(id) ? [{ _id: id }] : []),
+      { customerId: id },
+      { customerInternalId: id },
+    ],
+  });
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+const customerNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: "Customer not found",
+  });
+
+/**
+ * @desc    Restore an archived customer
+ * @route   POST /api/customers/:id/restore
+ * @access  Private (Admin)
+ * @body    reason
+ */
+exports.restoreCustomer = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const customer = await findCustomer(req.params.id);
+    if (!customer) return customerNotFound(res);
+
+    const { previous } = await CustomerLifecycleService.restore(customer, req.body, user);
+
+    await ActivityLogger.logCustomer(user.id, 'CUSTOMER_RESTORE', customer, {
+      reason: req.body.reason,
+      ...previous,
+    });
+
+    res.json({
+      success: true,
+      message: "Customer restored",
+      data: { customer },
+    });
+  } catch (error) {
+    console.error("Restore customer error:", error);
+    sendError(res, error, "Error restoring customer");
+  }
+};
+
+/**
+ * @desc    Place or lift a retention hold that stops anonymisation
+ * @route   PUT /api/customers/:id/retention-hold
+ * @access  Private (Admin)
+ * @body    hold (Boolean), reason (required when placing a hold)
+ */
+exports.setRetentionHold = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const customer = await findCustomer(req.params.id);
+    if (!customer) return customerNotFound(res);
+
+    await CustomerLifecycleService.setRetentionHold(customer, req.body);
+
+    await ActivityLogger.logCustomer(user.id, 'RETENTION_HOLD_UPDATE', customer, {
+      retentionHold: customer.retentionHold,
+      reason: req.body.reason,
+    });
+
+    res.json({
+      success: true,
+      message: customer.retentionHold ? "Retention hold placed" : "Retention hold lifted",
+      data: {
+        retentionHold: customer.retentionHold,
+        retentionHoldReason: customer.retentionHoldReason,
+      },
+    });
+  } catch (error) {
+    console.error("Set retention hold error:", error);
+    sendError(res, error, "Error updating retention hold");
+  }
+};
+
+/**
+ * @desc    Closed customers whose personal data is due for anonymisation
+ * @route   GET /api/customers/retention/due?limit=100
+ * @access  Private (Admin)
+ */
+exports.getRetentionDue = async (req, res) => {
+  try {
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit) || 100));
+    const result = await CustomerLifecycleService.getDue({ limit });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Get retention due error:", error);
+    sendError(res, error, "Error fetching customers due for anonymisation");
+  }
+};
+
+/**
+ * @desc    Run the retention purge now instead of waiting for the nightly job
+ * @route   POST /api/customers/retention/run
+ * @access  Private (Admin)
+ * @body    dryRun
+ */
+exports.runRetention = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const dryRun = req.body.dryRun === true || req.body.dryRun === "true";
+    const summary = await CustomerLifecycleService.runRetention({ dryRun, user });
+
+    console.log(`🧹 Retention run by ${user.username}: ${summary.anonymised} of ${summary.due} anonymised${dryRun ? " (dry run)" : ""}`);
+
+    if (!dryRun) {
+      await ActivityLogger.logSystem(
+        user.id,
+        'RETENTION_RUN',
+        `Anonymised ${summary.anonymised} closed customers`,
+        summary
+      );
+    }
+
+    res.json({
+      success: true,
+      message: dryRun ? "Retention dry run completed" : "Retention run completed",
+      data: { summary },
+    });
+  } catch (error) {
+    console.error("Run retention error:", error);
+    sendError(res, error, "Error running retention");
+  }
+};
@@ -0,0 +1,109 @@
+// controllers/customerMergeController.js
+const CustomerMergeService = require("../services/customerMergeService");
+const ActivityLogger = require("../services/activityLogger");
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+/**
+ * @desc    Likely duplicate customer pairs, highest score first
+ * @route   GET /api/customers/duplicates?minScore=50&limit=100&customerId=
+ * @access  Private (Admin, Supervisor)
+ */
+exports.getDuplicates = async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const minScore = Math.min(100, Math.max(1, parseInt(req.query.minScore) || 50));
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit) || 100));
+
+    const pairs = await CustomerMergeService.findDuplicates({
+      minScore,
+      limit,
+      customerId: req.query.customerId,
+    });
+
+    console.log(`🔍 Duplicate scan found ${pairs.length} pairs (min score ${minScore}) in ${Date.now() - startTime}ms`);
+
+    res.json({
+      success: true,
+      data: {
+        pairs,
+        count: pairs.length,
+        minScore,
+      },
+    });
+  } catch (error) {
+    console.error("Find duplicate customers error:", error);
+    sendError(res, error, "Error finding duplicate customers");
+  }
+};
+
+/**
+ * @desc    Merge a duplicate customer into the surviving record
+ * @route   POST /api/customers/merge
+ * @access  Private (Admin, Supervisor)
+ * @body    survivorId, mergedId, reason
+ */
+exports.mergeCustomers = async (req, res) => {
+  const startTime = Date.now();
+  const user = req.user;
+
+  try {
+    const { merge, survivor } = await CustomerMergeService.merge(req.body, user);
+
+    console.log(`🔗 ${user.username} merged ${merge.mergedBefore.customerId} into ${survivor.customerId} (${merge.mergeId})`);
+
+    await ActivityLogger.logCustomer(
+      user.id,
+      'CUSTOMER_MERGE',
+      survivor,
+      {
+        mergeId: merge.mergeId,
+        mergedCustomerId: merge.mergedBefore.customerId,
+        score: merge.score,
+        repointed: merge.repointed,
+        reason: merge.reason,
+        duration: Date.now() - startTime
+      }
+    );
+
+    res.json({
+      success: true,
+      message: `${merge.mergedBefore.name} merged into ${survivor.name}`,
+      data: {
+        merge,
+        customer: survivor,
+      },
+    });
+  } catch (error) {
+    console.error("Merge customers error:", error);
+    sendError(res, error, "Error merging customers");
+  }
+};
+
+/**
+ * @desc    Merge audit trail
+ * @route   GET /api/customers/merges?customerId=
+ * @access  Private (Admin, Supervisor)
+ */
+exports.getMerges = async (req, res) => {
+  try {
+    const result = await CustomerMergeService.getMerges(req.query);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Get customer merges error:", error);
+    sendError(res, error, "Error fetching customer merges");
+  }
+};
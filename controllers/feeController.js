@@ -0,0 +1,314 @@
+// controllers/feeController.js
+const FeeRule = require("../models/FeeRule");
+const FeeWaiver = require("../models/FeeWaiver");
+const FeeService = require("../services/feeService");
+const ActivityLogger = require("../services/activityLogger");
+
+const RULE_FIELDS = ["name", "loanType", "feeType", "method", "rate", "graceDays", "capAmount", "capPercent", "isActive"];
+
+const pickRuleFields = (body) =>
+  RULE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+/**
+ * @desc    List fee rules
+ * @route   GET /api/fees/rules
+ * @access  Private (Admin, Supervisor)
+ */
+exports.getRules = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.loanType) query.loanType = req.query.loanType;
+    if (req.query.active !== undefined) query.isActive = req.query.active === "true";
+
+    const rules = await FeeRule.find(query).sort({ loanType: 1, createdAt: 1 }).lean();
+
+    res.json({
+      success: true,
+      data: { rules },
+    });
+  } catch (error) {
+    console.error("Get fee rules error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching fee rules",
+    });
+  }
+};
+
+/**
+ * @desc    Create a fee rule
+ * @route   POST /api/fees/rules
+ * @access  Private (Admin)
+ */
+exports.createRule = async (req, res) => {
+  try {
+    const rule = await FeeRule.create({
+      ...pickRuleFields(req.body),
+      createdBy: req.user.username,
+      createdByUserId: req.user.id,
+    });
+
+    await ActivityLogger.logSystem(
+      req.user.id,
+      'FEE_RULE_UPDATE',
+      `Created fee rule "${rule.name}" for ${rule.loanType}`,
+      { ruleId: rule._id, rule: pickRuleFields(rule.toObject()) }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Fee rule created",
+      data: { rule },
+    });
+  } catch (error) {
+    console.error("Create fee rule error:", error);
+    sendError(res, error, "Error creating fee rule");
+  }
+};
+
+/**
+ * @desc    Update or deactivate a fee rule (charges already made are not changed)
+ * @route   PUT /api/fees/rules/:id
+ * @access  Private (Admin)
+ */
+exports.updateRule = async (req, res) => {
+  try {
+    const rule = await FeeRule.findByIdAndUpdate(
+      req.params.id,
+      { ...pickRuleFields(req.body), updatedBy: req.user.username },
+      { new: true, runValidators: true },
+    );
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Fee rule not found",
+      });
+    }
+
+    await ActivityLogger.logSystem(
+      req.user.id,
+      'FEE_RULE_UPDATE',
+      `Updated fee rule "${rule.name}" for ${rule.loanType}`,
+      { ruleId: rule._id, changes: pickRuleFields(req.body) }
+    );
+
+    res.json({
+      success: true,
+      message: "Fee rule updated",
+      data: { rule },
+    });
+  } catch (error) {
+    console.error("Update fee rule error:", error);
+    sendError(res, error, "Error updating fee rule");
+  }
+};
+
+/**
+ * @desc    Run fee accrual now instead of waiting for the nightly job
+ * @route   POST /api/fees/accrue
+ * @access  Private (Admin)
+ */
+exports.runAccrual = async (req, res) => {
+  try {
+    const summary = await FeeService.runAccrual();
+
+    await ActivityLogger.logSystem(
+      req.user.id,
+      'FEE_ACCRUAL_RUN',
+      `Ran fee accrual manually: ${summary.charges} charges totalling KES ${summary.totalCharged}`,
+      summary
+    );
+
+    res.json({
+      success: true,
+      message: "Fee accrual completed",
+      data: { summary },
+    });
+  } catch (error) {
+    console.error("Run fee accrual error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error running fee accrual",
+    });
+  }
+};
+
+/**
+ * @desc    Fees charged to a customer
+ * @route   GET /api/fees/customers/:customerId
+ * @access  Private (All authenticated users)
+ */
+exports.getCustomerFees = async (req, res) => {
+  try {
+    const fees = await FeeService.getCustomerFeeSummary(req.params.customerId);
+
+    res.json({
+      success: true,
+      data: fees,
+    });
+  } catch (error) {
+    console.error("Get customer fees error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching customer fees",
+    });
+  }
+};
+
+/**
+ * @desc    Request a waiver of part or all of a fee
+ * @route   POST /api/fees/waivers
+ * @access  Private (All authenticated users)
+ */
+exports.requestWaiver = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const waiver = await FeeService.requestWaiver(req.body, user);
+
+    console.log(`📝 Fee waiver ${waiver.requestId} requested by ${user.username} for KES ${waiver.amount}`);
+
+    await ActivityLogger.logSystem(
+      user.id,
+      'FEE_WAIVER_REQUEST',
+      `Requested waiver of KES ${waiver.amount} on ${waiver.feeName || 'fee'} (${waiver.loanRef})`,
+      { requestId: waiver.requestId, customerId: waiver.customerId, reason: waiver.reason }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Waiver request submitted for supervisor approval",
+      data: { waiver },
+    });
+  } catch (error) {
+    console.error("Request fee waiver error:", error);
+    sendError(res, error, "Error requesting fee waiver");
+  }
+};
+
+/**
+ * @desc    List fee waiver requests
+ * @route   GET /api/fees/waivers
+ * @access  Private (Officers see their own requests)
+ */
+exports.getWaivers = async (req, res) => {
+  try {
+    const { status = "PENDING", customerId, page = 1, limit = 20 } = req.query;
+    const user = req.user;
+
+    const query = {};
+    if (status && status !== "all") query.status = status;
+    if (customerId) query.customerId = customerId;
+
+    const role = user.role === "agent" ? "officer" : user.role;
+    if (role === "officer") {
+      query.requestedByUserId = user.id;
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const [waivers, total] = await Promise.all([
+      FeeWaiver.find(query)
+        .populate("customerId", "name customerId phoneNumber")
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      FeeWaiver.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        waivers,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get fee waivers error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching fee waivers",
+    });
+  }
+};
+
+/**
+ * @desc    Approve a fee waiver
+ * @route   POST /api/fees/waivers/:id/approve
+ * @access  Private (Admin, Supervisor)
+ */
+exports.approveWaiver = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const { waiver, balances } = await FeeService.approveWaiver(req.params.id, user, req.body.notes);
+
+    console.log(`✅ Fee waiver ${waiver.requestId} approved by ${user.username}`);
+
+    await ActivityLogger.logSystem(
+      user.id,
+      'FEE_WAIVER_APPROVE',
+      `Approved waiver ${waiver.requestId} of KES ${waiver.amount}`,
+      { requestId: waiver.requestId, customerId: waiver.customerId, requestedBy: waiver.requestedBy }
+    );
+
+    res.json({
+      success: true,
+      message: "Fee waiver approved",
+      data: { waiver, balances },
+    });
+  } catch (error) {
+    console.error("Approve fee waiver error:", error);
+    sendError(res, error, "Error approving fee waiver");
+  }
+};
+
+/**
+ * @desc    Reject a fee waiver
+ * @route   POST /api/fees/waivers/:id/reject
+ * @access  Private (Admin, Supervisor)
+ */
+exports.rejectWaiver = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const waiver = await FeeService.rejectWaiver(req.params.id, user, req.body.notes);
+
+    await ActivityLogger.logSystem(
+      user.id,
+      'FEE_WAIVER_REJECT',
+      `Rejected waiver ${waiver.requestId}`,
+      { requestId: waiver.requestId, customerId: waiver.customerId, notes: req.body.notes }
+    );
+
+    res.json({
+      success: true,
+      message: "Fee waiver rejected",
+      data: { waiver },
+    });
+  } catch (error) {
+    console.error("Reject fee waiver error:", error);
+    sendError(res, error, "Error rejecting fee waiver");
+  }
+};
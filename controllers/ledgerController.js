@@ -0,0 +1,132 @@
+// controllers/ledgerController.js
+const Customer = require("../models/Customer");
+const LedgerService = require("../services/ledgerService");
+const StatementGenerator = require("../services/statementGenerator");
+const ActivityLogger = require("../services/activityLogger");
+
+const findCustomer = (id) =>
+  Customer.findOne({
+    $or: [
+      ...(/^[0-9a-fA-F]{24}$/.test(id) ? [{ _id: id }] : []),
+      { customerId: id },
+      { customerInternalId: id },
+    ],
+  }).lean();
+
+/**
+ * @desc    Account statement with running balance (JSON, PDF or Excel)
+ * @route   GET /api/ledger/customers/:customerId/statement?format=json|pdf|xlsx
+ * @access  Private (All authenticated users)
+ */
+exports.getStatement = async (req, res) => {
+  try {
+    const { format = "json", from, to, loanId, includeInternal } = req.query;
+
+    if (!["json", "pdf", "xlsx"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "Format must be one of: json, pdf, xlsx",
+      });
+    }
+
+    if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid from/to date",
+      });
+    }
+
+    const customer = await findCustomer(req.params.customerId);
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: "Customer not found",
+      });
+    }
+
+    const statement = await LedgerService.getStatement(customer._id, {
+      from,
+      to,
+      loanId,
+      includeInternal: includeInternal === "true",
+    });
+
+    if (format === "json") {
+      return res.json({
+        success: true,
+        data: {
+          customer: {
+            _id: customer._id,
+            customerId: customer.customerId,
+            name: customer.name,
+            accountNumber: customer.accountNumber,
+          },
+          statement,
+        },
+      });
+    }
+
+    await ActivityLogger.logSystem(
+      req.user.id,
+      'DATA_EXPORT',
+      `Exported ${format.toUpperCase()} statement for ${customer.name}`,
+      { customerId: customer.customerId, from, to, lines: statement.lines.length }
+    );
+
+    const fileName = `statement_${customer.customerId}_${new Date().toISOString().split("T")[0]}`;
+
+    if (format === "pdf") {
+      const buffer = await StatementGenerator.generatePDF(customer, statement);
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename=${fileName}.pdf`);
+      res.setHeader("Content-Length", buffer.length);
+      return res.send(buffer);
+    }
+
+    const buffer = await StatementGenerator.generateExcel(customer, statement);
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename=${fileName}.xlsx`);
+    res.setHeader("Content-Length", buffer.length);
+    res.send(buffer);
+  } catch (error) {
+    console.error("Get statement error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error generating statement",
+    });
+  }
+};
+
+/**
+ * @desc    Check stored customer/loan balances against the ledger
+ * @route   GET /api/ledger/customers/:customerId/verify
+ * @access  Private (Admin, Supervisor)
+ */
+exports.verifyCustomer = async (req, res) => {
+  try {
+    const customer = await findCustomer(req.params.customerId);
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: "Customer not found",
+      });
+    }
+
+    const result = await LedgerService.verifyCustomer(customer._id);
+
+    if (!result.consistent) {
+      console.warn(`⚠️ Ledger mismatch for customer ${customer.customerId}`);
+    }
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Verify ledger error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error verifying balances",
+    });
+  }
+};
@@ -0,0 +1,213 @@
+// controllers/loanController.js
+const Loan = require("../models/Loan");
+const Customer = require("../models/Customer");
+const LoanService = require("../services/loanService");
+const ActivityLogger = require("../services/activityLogger");
+
+const findCustomer = (id) =>
+  Customer.findOne({
+    $or: [
+      ...(/^[0-9a-fA-F]{24}$/.test(id) ? [{ _id: id }] : []),
+      { customerId: id },
+      { customerInternalId: id },
+    ],
+  });
+
+/**
+ * @desc    List a customer's loans
+ * @route   GET /api/loans?customerId=
+ * @access  Private (All authenticated users)
+ */
+exports.getLoans = async (req, res) => {
+  try {
+    const { customerId, status } = req.query;
+
+    if (!customerId) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a customerId",
+      });
+    }
+
+    const customer = await findCustomer(customerId);
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: "Customer not found",
+      });
+    }
+
+    const query = { customerId: customer._id };
+    if (status && status !== "all") {
+      query.status = status;
+    }
+
+    const loans = await Loan.find(query).sort({ startDate: 1 }).lean();
+
+    res.json({
+      success: true,
+      data: {
+        customer: {
+          _id: customer._id,
+          customerId: customer.customerId,
+          name: customer.name,
+          loanBalance: customer.loanBalance,
+          arrears: customer.arrears,
+        },
+        loans,
+      },
+    });
+  } catch (error) {
+    console.error("Get loans error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching loans",
+    });
+  }
+};
+
+/**
+ * @desc    Get a loan with its installment schedule
+ * @route   GET /api/loans/:id
+ * @access  Private (All authenticated users)
+ */
+exports.getLoan = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const loan = await Loan.findOne({
+      $or: [...(/^[0-9a-fA-F]{24}$/.test(id) ? [{ _id: id }] : []), { loanId: id }],
+    })
+      .populate("customerId", "name customerId phoneNumber loanBalance arrears")
+      .lean();
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: "Loan not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { loan },
+    });
+  } catch (error) {
+    console.error("Get loan error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching loan",
+    });
+  }
+};
+
+/**
+ * @desc    Preview an amortisation schedule without saving it
+ * @route   POST /api/loans/schedule-preview
+ * @access  Private (All authenticated users)
+ */
+exports.previewSchedule = async (req, res) => {
+  try {
+    const schedule = LoanService.generateSchedule(req.body);
+
+    res.json({
+      success: true,
+      data: schedule,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Create a loan for a customer
+ * @route   POST /api/loans
+ * @access  Private (Admin, Supervisor)
+ */
+exports.createLoan = async (req, res) => {
+  const startTime = Date.now();
+  const user = req.user;
+  const session = await Loan.startSession();
+
+  try {
+    const { customerId, ...terms } = req.body;
+
+    if (!customerId) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a customerId",
+      });
+    }
+
+    const customer = await findCustomer(customerId);
+    if (!customer || !customer.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Customer not found",
+      });
+    }
+
+    session.startTransaction();
+    // The first loan of a customer still on the legacy flat balance must not replace that debt
+    await LoanService.ensureOpeningBalanceLoan(customer, { session, user });
+    const loan = await LoanService.createLoan(customer, terms, { session, user });
+    await session.commitTransaction();
+
+    const updatedCustomer = await Customer.findById(customer._id).select("name customerId phoneNumber loanBalance arrears loanType");
+
+    console.log(`🏦 Loan ${loan.loanId} created for ${customer.name} by ${user.username}`);
+
+    await ActivityLogger.logCustomer(
+      user.id,
+      'LOAN_CREATE',
+      updatedCustomer,
+      {
+        loanId: loan.loanId,
+        principalAmount: loan.principalAmount,
+        interestRate: loan.interestRate,
+        interestMethod: loan.interestMethod,
+        repaymentPeriod: loan.repaymentPeriod,
+        duration: Date.now() - startTime
+      }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Loan created successfully",
+      data: {
+        loan,
+        customer: updatedCustomer,
+      },
+    });
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    console.error("Create loan error:", error);
+
+    if (error.name === "ValidationError" || error.message.includes("required to build a schedule")) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    await ActivityLogger.logError(
+      user.id,
+      'LOAN_CREATE',
+      'Failed to create loan',
+      error,
+      { customerId: req.body.customerId, duration: Date.now() - startTime }
+    );
+
+    res.status(500).json({
+      success: false,
+      message: "Error creating loan",
+    });
+  } finally {
+    session.endSession();
+  }
+};
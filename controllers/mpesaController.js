@@ -0,0 +1,418 @@
+// controllers/mpesaController.js
+const Transaction = require("../models/Transaction");
+const SuspensePayment = require("../models/SuspensePayment");
+const C2BService = require("../services/c2bService");
+const PaymentGateway = require("../services/paymentGateway");
+const PaymentPostingService = require("../services/paymentPostingService");
+const ActivityLogger = require("../services/activityLogger");
+const RiskScoringService = require("../services/riskScoringService");
+
+// Safaricom only needs to know we received the callback; outcome is handled internally
+const CALLBACK_ACK = { ResultCode: 0, ResultDesc: "Accepted" };
+
+/**
+ * Callbacks are public, so a shared token in the callback URL (?token=...) keeps
+ * random callers out. Without MPESA_CALLBACK_TOKEN every callback is refused:
+ * anyone could otherwise post a SUCCESS result and credit a loan.
+ */
+const isAuthorizedCallback = (req) => {
+  const expectedToken = process.env.MPESA_CALLBACK_TOKEN;
+  if (!expectedToken) {
+    console.error("❌ MPESA_CALLBACK_TOKEN is not set; refusing M-Pesa callback");
+    return false;
+  }
+  return req.query.token === expectedToken;
+};
+
+/**
+ * @desc    Receive Daraja STK push result
+ * @route   POST /api/payments/mpesa/callback
+ * @access  Public (Called by Safaricom / M-Pesa simulator)
+ */
+exports.processStkCallback = async (req, res) => {
+  const startTime = Date.now();
+
+  console.log("\n=== M-PESA STK CALLBACK ===");
+  console.log("Callback body:", JSON.stringify(req.body));
+
+  if (!isAuthorizedCallback(req)) {
+    console.log("❌ Rejected M-Pesa callback with invalid token");
+    return res.status(401).json({ ResultCode: 1, ResultDesc: "Rejected" });
+  }
+
+  const callback = PaymentGateway.parseStkCallback(req.body);
+  if (!callback) {
+    console.log("❌ Invalid STK callback payload");
+    return res.status(400).json({ ResultCode: 1, ResultDesc: "Invalid payload" });
+  }
+
+  try {
+    const transaction = await Transaction.findOne({
+      checkoutRequestId: callback.checkoutRequestId,
+    });
+
+    if (!transaction) {
+      console.log(`❌ No transaction for CheckoutRequestID ${callback.checkoutRequestId}`);
+
+      await ActivityLogger.logError(
+        null,
+        'TRANSACTION_PROCESS',
+        'M-Pesa callback for unknown CheckoutRequestID',
+        { code: 'TRANSACTION_NOT_FOUND' },
+        {
+          checkoutRequestId: callback.checkoutRequestId,
+          resultCode: callback.resultCode,
+          mpesaReceiptNumber: callback.mpesaReceiptNumber
+        }
+      );
+
+      return res.json(CALLBACK_ACK);
+    }
+
+    // Safaricom retries callbacks; a posted (or reversed) payment must never be applied twice
+    if (["SUCCESS", "REVERSED"].includes(transaction.status)) {
+      console.log(`ℹ️ Transaction ${transaction.transactionId} already ${transaction.status}, ignoring callback`);
+      return res.json(CALLBACK_ACK);
+    }
+
+    const { status, failureReason } = PaymentGateway.mapResultCode(callback.resultCode);
+    const callbackData = {
+      ...callback,
+      receivedAt: new Date(),
+    };
+
+    if (status === "SUCCESS") {
+      // Money has moved, so post it even if our own timeout already expired the request
+      const previousStatus = transaction.status;
+
+      await PaymentPostingService.postSuccessfulPayment(transaction, {
+        mpesaReceiptNumber: callback.mpesaReceiptNumber,
+        amount: callback.amount || transaction.amount,
+        callbackData,
+      });
+
+      console.log(`🎉 M-Pesa payment successful! Receipt: ${transaction.mpesaReceiptNumber}`);
+
+      await ActivityLogger.logTransaction(
+        transaction.initiatedByUserId,
+        'TRANSACTION_SUCCESS',
+        transaction,
+        {
+          receiptNumber: transaction.mpesaReceiptNumber,
+          resultCode: callback.resultCode,
+          previousStatus,
+          source: 'MPESA_CALLBACK',
+          duration: Date.now() - startTime
+        }
+      );
+
+      return res.json(CALLBACK_ACK);
+    }
+
+    // Failure results only apply to requests that are still waiting
+    if (transaction.status !== "PENDING") {
+      console.log(
+        `ℹ️ Transaction ${transaction.transactionId} already ${transaction.status}, storing callback only`,
+      );
+      transaction.callbackData = callbackData;
+      await transaction.save();
+      return res.json(CALLBACK_ACK);
+    }
+
+    transaction.status = status;
+    transaction.failureReason = failureReason;
+    transaction.errorMessage = callback.resultDesc;
+    transaction.callbackData = callbackData;
+    transaction.processedAt = new Date();
+    await transaction.save();
+
+    RiskScoringService.rescoreInBackground(transaction.customerId, 'PAYMENT_FAILED');
+
+    console.log(
+      `❌ Transaction ${transaction.transactionId} ${status} (ResultCode ${callback.resultCode}: ${callback.resultDesc})`,
+    );
+
+    const actionByStatus = {
+      FAILED: 'TRANSACTION_FAIL',
+      CANCELLED: 'TRANSACTION_CANCEL',
+      EXPIRED: 'TRANSACTION_EXPIRE',
+    };
+
+    await ActivityLogger.logTransaction(
+      transaction.initiatedByUserId,
+      actionByStatus[status] || 'TRANSACTION_FAIL',
+      transaction,
+      {
+        resultCode: callback.resultCode,
+        resultDesc: callback.resultDesc,
+        failureReason,
+        source: 'MPESA_CALLBACK',
+        duration: Date.now() - startTime
+      }
+    );
+
+    res.json(CALLBACK_ACK);
+  } catch (error) {
+    console.error("❌ Error processing M-Pesa callback:", error);
+
+    await ActivityLogger.logError(
+      null,
+      'TRANSACTION_PROCESS',
+      'Failed to process M-Pesa STK callback',
+      error,
+      {
+        checkoutRequestId: callback.checkoutRequestId,
+        resultCode: callback.resultCode,
+        duration: Date.now() - startTime
+      }
+    );
+
+    // Non-zero ResultCode lets Safaricom retry the callback
+    res.status(500).json({ ResultCode: 1, ResultDesc: "Internal error" });
+  }
+};
+
+// ==================== C2B (PAYBILL) PAYMENTS ====================
+
+/**
+ * @desc    Validate a paybill payment before M-Pesa completes it
+ * @route   POST /api/payments/mpesa/c2b/validation
+ * @access  Public (Called by Safaricom)
+ */
+exports.processC2BValidation = async (req, res) => {
+  console.log("\n=== M-PESA C2B VALIDATION ===");
+  console.log("Validation body:", JSON.stringify(req.body));
+
+  if (!isAuthorizedCallback(req)) {
+    return res.status(401).json({ ResultCode: "C2B00016", ResultDesc: "Rejected" });
+  }
+
+  try {
+    const payment = C2BService.parsePayload(req.body);
+    const { accepted, reason } = await C2BService.validatePayment(payment);
+
+    if (!accepted) {
+      console.log(`❌ Rejected C2B payment ${payment.transId}: ${reason}`);
+      // C2B00012 = invalid account number, C2B00013 = invalid amount
+      return res.json({
+        ResultCode: reason === "Invalid amount" ? "C2B00013" : "C2B00012",
+        ResultDesc: "Rejected",
+      });
+    }
+
+    res.json({ ResultCode: "0", ResultDesc: "Accepted" });
+  } catch (error) {
+    console.error("❌ Error validating C2B payment:", error);
+    // Never block a customer's payment because of our own error; confirmation will suspense it
+    res.json({ ResultCode: "0", ResultDesc: "Accepted" });
+  }
+};
+
+/**
+ * @desc    Record a completed paybill payment
+ * @route   POST /api/payments/mpesa/c2b/confirmation
+ * @access  Public (Called by Safaricom)
+ */
+exports.processC2BConfirmation = async (req, res) => {
+  const startTime = Date.now();
+
+  console.log("\n=== M-PESA C2B CONFIRMATION ===");
+  console.log("Confirmation body:", JSON.stringify(req.body));
+
+  if (!isAuthorizedCallback(req)) {
+    console.log("❌ Rejected C2B confirmation with invalid token");
+    return res.status(401).json({ ResultCode: 1, ResultDesc: "Rejected" });
+  }
+
+  const payment = C2BService.parsePayload(req.body);
+  if (!payment.transId || isNaN(payment.amount)) {
+    console.log("❌ Invalid C2B confirmation payload");
+    return res.status(400).json({ ResultCode: 1, ResultDesc: "Invalid payload" });
+  }
+
+  try {
+    const result = await C2BService.confirmPayment(payment);
+
+    if (result.outcome === "DUPLICATE") {
+      console.log(`ℹ️ C2B payment ${payment.transId} already recorded, ignoring`);
+    }
+
+    if (result.outcome === "POSTED" && result.transaction.initiatedByUserId) {
+      await ActivityLogger.logTransaction(
+        result.transaction.initiatedByUserId,
+        'TRANSACTION_SUCCESS',
+        result.transaction,
+        {
+          customerName: result.customer.name,
+          receiptNumber: payment.transId,
+          billRefNumber: payment.billRefNumber,
+          matchedBy: result.transaction.callbackData?.matchedBy,
+          source: 'MPESA_C2B',
+          duration: Date.now() - startTime
+        }
+      );
+    }
+
+    res.json(CALLBACK_ACK);
+  } catch (error) {
+    console.error("❌ Error processing C2B confirmation:", error);
+    // Non-zero ResultCode lets Safaricom retry the confirmation
+    res.status(500).json({ ResultCode: 1, ResultDesc: "Internal error" });
+  }
+};
+
+/**
+ * @desc    List paybill payments waiting for manual allocation
+ * @route   GET /api/payments/suspense
+ * @access  Private (Admin, Supervisor)
+ */
+exports.getSuspensePayments = async (req, res) => {
+  try {
+    const {
+      status = "UNALLOCATED",
+      search,
+      page = 1,
+      limit = 20,
+    } = req.query;
+
+    const query = {};
+    if (status && status !== "all") {
+      query.status = status;
+    }
+
+    if (search) {
+      query.$or = [
+        { transId: { $regex: search, $options: "i" } },
+        { billRefNumber: { $regex: search, $options: "i" } },
+        { msisdn: { $regex: search, $options: "i" } },
+        { payerName: { $regex: search, $options: "i" } },
+      ];
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const [payments, total, totals] = await Promise.all([
+      SuspensePayment.find(query)
+        .populate("allocatedCustomerId", "name customerId accountNumber phoneNumber")
+        .populate("allocatedBy", "username fullName")
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      SuspensePayment.countDocuments(query),
+      SuspensePayment.aggregate([
+        { $match: { status: "UNALLOCATED" } },
+        { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: "$amount" } } },
+      ]),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        payments,
+        summary: {
+          unallocatedCount: totals[0]?.count || 0,
+          unallocatedAmount: totals[0]?.amount || 0,
+        },
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get suspense payments error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching suspense payments",
+    });
+  }
+};
+
+/**
+ * @desc    Allocate a suspense payment to a customer
+ * @route   POST /api/payments/suspense/:id/allocate
+ * @access  Private (Admin, Supervisor)
+ */
+exports.allocateSuspensePayment = async (req, res) => {
+  const startTime = Date.now();
+  const user = req.user;
+  const { customerId, notes } = req.body;
+
+  if (!customerId) {
+    return res.status(400).json({
+      success: false,
+      message: "Please provide the customer to allocate this payment to",
+    });
+  }
+
+  try {
+    const customer = await C2BService.findActiveCustomer(customerId);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: "Customer not found",
+      });
+    }
+
+    const { suspensePayment, transaction } = await C2BService.allocateSuspensePayment(
+      req.params.id,
+      customer,
+      user,
+      notes,
+    );
+
+    if (!suspensePayment) {
+      return res.status(404).json({
+        success: false,
+        message: "Suspense payment not found or already allocated",
+      });
+    }
+
+    await ActivityLogger.logTransaction(
+      user.id,
+      'TRANSACTION_SUCCESS',
+      transaction,
+      {
+        customerName: customer.name,
+        receiptNumber: suspensePayment.transId,
+        suspensePaymentId: suspensePayment._id,
+        source: 'SUSPENSE_ALLOCATION',
+        notes,
+        duration: Date.now() - startTime
+      }
+    );
+
+    res.json({
+      success: true,
+      message: `Payment allocated to ${customer.name}`,
+      data: {
+        suspensePayment,
+        transaction,
+      },
+    });
+  } catch (error) {
+    console.error("Allocate suspense payment error:", error);
+
+    await ActivityLogger.logError(
+      user.id,
+      'TRANSACTION_PROCESS',
+      'Failed to allocate suspense payment',
+      error,
+      {
+        suspensePaymentId: req.params.id,
+        customerId,
+        duration: Date.now() - startTime
+      }
+    );
+
+    res.status(500).json({
+      success: false,
+      message: "Error allocating suspense payment: " + error.message,
+    });
+  }
+};
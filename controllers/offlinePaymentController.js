@@ -0,0 +1,446 @@
+// controllers/offlinePaymentController.js
+const fs = require("fs");
+const path = require("path");
+const Transaction = require("../models/Transaction");
+const Customer = require("../models/Customer");
+const PaymentPostingService = require("../services/paymentPostingService");
+const PerformanceTracker = require("../middleware/performanceTracker");
+const ActivityLogger = require("../services/activityLogger");
+const { UPLOAD_ROOT } = require("../middleware/upload");
+const { assertCanApprove, calculateNewBalances, generateInternalId } = require("../utils/helpers");
+
+const OFFLINE_METHODS = ["CASH", "BANK_TRANSFER"];
+
+// Validation failures should not leave orphaned proof files behind
+const removeUploadedFile = (req) => {
+  if (req.file?.path) {
+    fs.unlink(req.file.path, () => {});
+  }
+};
+
+/**
+ * @desc    Submit a cash / bank transfer payment for approval
+ * @route   POST /api/payments/offline
+ * @access  Private (All authenticated users)
+ */
+exports.submitOfflinePayment = async (req, res) => {
+  const startTime = Date.now();
+  const user = req.user;
+
+  try {
+    const {
+      customerId,
+      amount,
+      paymentMethod,
+      reference,
+      valueDate,
+      notes,
+      description,
+    } = req.body;
+
+    if (!customerId || !amount || !paymentMethod) {
+      removeUploadedFile(req);
+      return res.status(400).json({
+        success: false,
+        message: "Please provide customer, amount and payment method",
+      });
+    }
+
+    if (!OFFLINE_METHODS.includes(paymentMethod)) {
+      removeUploadedFile(req);
+      return res.status(400).json({
+        success: false,
+        message: `Payment method must be one of: ${OFFLINE_METHODS.join(", ")}`,
+      });
+    }
+
+    const amountNum = parseFloat(amount);
+    if (isNaN(amountNum) || amountNum <= 0) {
+      removeUploadedFile(req);
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a valid amount greater than 0",
+      });
+    }
+
+    if (paymentMethod === "BANK_TRANSFER" && !reference) {
+      removeUploadedFile(req);
+      return res.status(400).json({
+        success: false,
+        message: "Bank reference is required for bank transfers",
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "Please attach proof of payment (image or PDF)",
+      });
+    }
+
+    const parsedValueDate = valueDate ? new Date(valueDate) : new Date();
+    if (isNaN(parsedValueDate.getTime()) || parsedValueDate > new Date()) {
+      removeUploadedFile(req);
+      return res.status(400).json({
+        success: false,
+        message: "Value date must be a valid date that is not in the future",
+      });
+    }
+
+    const customer = await Customer.findOne({
+      $or: [
+        ...(/^[0-9a-fA-F]{24}$/.test(customerId) ? [{ _id: customerId }] : []),
+        { customerId },
+      ],
+      isActive: true,
+    });
+
+    if (!customer) {
+      removeUploadedFile(req);
+      return res.status(404).json({
+        success: false,
+        message: "Customer not found",
+      });
+    }
+
+    // The same bank reference must not be posted twice
+    if (reference) {
+      const duplicate = await Transaction.findOne({
+        paymentMethod,
+        "offlinePayment.reference": reference.trim(),
+        status: { $in: ["PENDING_APPROVAL", "SUCCESS"] },
+      });
+
+      if (duplicate) {
+        removeUploadedFile(req);
+        return res.status(409).json({
+          success: false,
+          message: `Reference ${reference} has already been submitted (${duplicate.transactionId})`,
+        });
+      }
+    }
+
+    // Preview only - balances are recalculated when the supervisor approves
+    const { newLoanBalance, newArrears } = calculateNewBalances(customer, amountNum);
+
+    const transaction = await Transaction.create({
+      transactionInternalId: generateInternalId("TRN"),
+      transactionId: Transaction.generateTransactionId(),
+      customerId: customer._id,
+      customerInternalId: customer.customerInternalId || customer.customerId,
+      phoneNumber: customer.phoneNumber,
+      amount: amountNum,
+      description: description || (paymentMethod === "CASH" ? "Cash Repayment" : "Bank Transfer Repayment"),
+      status: "PENDING_APPROVAL",
+      loanBalanceBefore: customer.loanBalance,
+      loanBalanceAfter: newLoanBalance,
+      arrearsBefore: customer.arrears,
+      arrearsAfter: newArrears,
+      paymentMethod,
+      initiatedBy: user.username,
+      initiatedByUserId: user.id,
+      offlinePayment: {
+        reference: reference?.trim(),
+        valueDate: parsedValueDate,
+        notes,
+        proofFile: {
+          fileName: req.file.filename,
+          originalName: req.file.originalname,
+          mimeType: req.file.mimetype,
+          size: req.file.size,
+          path: path.relative(UPLOAD_ROOT, req.file.path),
+        },
+      },
+    });
+
+    console.log(`🧾 ${paymentMethod} payment ${transaction.transactionId} submitted for approval by ${user.username}`);
+
+    await ActivityLogger.logTransaction(
+      user.id,
+      'TRANSACTION_INITIATE',
+      transaction,
+      {
+        customerName: customer.name,
+        amount: amountNum,
+        paymentMethod,
+        reference,
+        awaitingApproval: true,
+        duration: Date.now() - startTime
+      }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Payment submitted and awaiting supervisor approval",
+      data: { transaction },
+    });
+  } catch (error) {
+    removeUploadedFile(req);
+    console.error("Submit offline payment error:", error);
+
+    await ActivityLogger.logError(
+      user.id,
+      'TRANSACTION_INITIATE',
+      'Failed to submit offline payment',
+      error,
+      {
+        customerId: req.body.customerId,
+        amount: req.body.amount,
+        paymentMethod: req.body.paymentMethod,
+        duration: Date.now() - startTime
+      }
+    );
+
+    res.status(500).json({
+      success: false,
+      message: "Error submitting payment",
+    });
+  }
+};
+
+/**
+ * @desc    List offline payments awaiting approval
+ * @route   GET /api/payments/offline/pending
+ * @access  Private (Admin, Supervisor)
+ */
+exports.getPendingOfflinePayments = async (req, res) => {
+  try {
+    const { paymentMethod, page = 1, limit = 20 } = req.query;
+
+    const query = { status: "PENDING_APPROVAL" };
+    if (paymentMethod && OFFLINE_METHODS.includes(paymentMethod)) {
+      query.paymentMethod = paymentMethod;
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const [transactions, total] = await Promise.all([
+      Transaction.find(query)
+        .populate("customerId", "name customerId phoneNumber loanBalance arrears")
+        .populate("initiatedByUserId", "username fullName")
+        .sort({ createdAt: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Transaction.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        transactions,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get pending offline payments error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching pending payments",
+    });
+  }
+};
+
+/**
+ * @desc    Download the proof attached to an offline payment
+ * @route   GET /api/payments/offline/:id/proof
+ * @access  Private (Submitting officer, Admin, Supervisor)
+ */
+exports.getOfflinePaymentProof = async (req, res) => {
+  try {
+    const user = req.user;
+    const transaction = await Transaction.findById(req.params.id).lean();
+
+    if (!transaction || !transaction.offlinePayment?.proofFile?.path) {
+      return res.status(404).json({
+        success: false,
+        message: "Proof of payment not found",
+      });
+    }
+
+    const role = user.role === "agent" ? "officer" : user.role;
+    if (role === "officer" && String(transaction.initiatedByUserId) !== String(user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    const proof = transaction.offlinePayment.proofFile;
+    const filePath = path.resolve(UPLOAD_ROOT, proof.path);
+
+    // Never serve anything outside the upload directory
+    if (!filePath.startsWith(UPLOAD_ROOT + path.sep) || !fs.existsSync(filePath)) {
+      return res.status(404).json({
+        success: false,
+        message: "Proof file is missing",
+      });
+    }
+
+    res.setHeader("Content-Type", proof.mimeType);
+    res.setHeader("Content-Disposition", `inline; filename="${proof.originalName}"`);
+    fs.createReadStream(filePath).pipe(res);
+  } catch (error) {
+    console.error("Get offline payment proof error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching proof of payment",
+    });
+  }
+};
+
+/**
+ * @desc    Approve an offline payment and apply it to the customer's balances
+ * @route   POST /api/payments/offline/:id/approve
+ * @access  Private (Users with canApproveTransactions)
+ */
+exports.approveOfflinePayment = async (req, res) => {
+  const startTime = Date.now();
+  const user = req.user;
+
+  try {
+    const transaction = await Transaction.findById(req.params.id);
+
+    if (!transaction || transaction.status !== "PENDING_APPROVAL") {
+      return res.status(404).json({
+        success: false,
+        message: "Payment not found or not awaiting approval",
+      });
+    }
+
+    try {
+      assertCanApprove(transaction.initiatedByUserId, user, "payment submission");
+    } catch (error) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    transaction.offlinePayment.reviewedBy = user.username;
+    transaction.offlinePayment.reviewedByUserId = user.id;
+    transaction.offlinePayment.reviewedAt = new Date();
+
+    const { customer } = await PaymentPostingService.postSuccessfulPayment(transaction, {}, {
+      fromStatus: "PENDING_APPROVAL",
+      paidDate: transaction.offlinePayment.valueDate,
+    });
+
+    // Collections are credited to the officer who took the payment, not the approver
+    await PerformanceTracker.trackTransaction(transaction.initiatedByUserId, transaction);
+
+    console.log(`✅ ${transaction.paymentMethod} payment ${transaction.transactionId} approved by ${user.username}`);
+
+    await ActivityLogger.logTransaction(
+      user.id,
+      'TRANSACTION_SUCCESS',
+      transaction,
+      {
+        customerName: customer?.name,
+        paymentMethod: transaction.paymentMethod,
+        reference: transaction.offlinePayment.reference,
+        submittedBy: transaction.initiatedBy,
+        approvedBy: user.username,
+        duration: Date.now() - startTime
+      }
+    );
+
+    res.json({
+      success: true,
+      message: "Payment approved and posted",
+      data: {
+        transaction,
+        customer: customer && {
+          name: customer.name,
+          loanBalance: customer.loanBalance,
+          arrears: customer.arrears,
+          totalRepayments: customer.totalRepayments,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Approve offline payment error:", error);
+
+    await ActivityLogger.logError(
+      user.id,
+      'TRANSACTION_PROCESS',
+      'Failed to approve offline payment',
+      error,
+      { transactionId: req.params.id, duration: Date.now() - startTime }
+    );
+
+    res.status(["ALREADY_POSTED", "STATUS_CHANGED"].includes(error.code) ? 409 : 500).json({
+      success: false,
+      message: "Error approving payment: " + error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Reject an offline payment
+ * @route   POST /api/payments/offline/:id/reject
+ * @access  Private (Users with canApproveTransactions)
+ */
+exports.rejectOfflinePayment = async (req, res) => {
+  const user = req.user;
+  const { reason } = req.body;
+
+  try {
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a reason for rejecting this payment",
+      });
+    }
+
+    const transaction = await Transaction.findOneAndUpdate(
+      { _id: req.params.id, status: "PENDING_APPROVAL" },
+      {
+        status: "CANCELLED",
+        errorMessage: `Rejected by ${user.username}: ${reason}`,
+        "offlinePayment.reviewedBy": user.username,
+        "offlinePayment.reviewedByUserId": user.id,
+        "offlinePayment.reviewedAt": new Date(),
+        "offlinePayment.rejectionReason": reason,
+      },
+      { new: true },
+    );
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: "Payment not found or not awaiting approval",
+      });
+    }
+
+    await ActivityLogger.logTransaction(
+      user.id,
+      'TRANSACTION_CANCEL',
+      transaction,
+      {
+        paymentMethod: transaction.paymentMethod,
+        reference: transaction.offlinePayment?.reference,
+        submittedBy: transaction.initiatedBy,
+        reason
+      }
+    );
+
+    res.json({
+      success: true,
+      message: "Payment rejected",
+      data: { transaction },
+    });
+  } catch (error) {
+    console.error("Reject offline payment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error rejecting payment",
+    });
+  }
+};
@@ -11,6 +11,11 @@ const WhatsAppService = require("../services/whatsappService");
 const PerformanceTracker = require("../middleware/performanceTracker");
 const User = require("../models/User");
 const ActivityLogger = require("../services/activityLogger");
+const PaymentGateway = require("../services/paymentGateway");
+const PaymentPostingService = require("../services/paymentPostingService");
+const ContactService = require("../services/contactService");
+const ContactPolicyService = require("../services/contactPolicyService");
+const RiskScoringService = require("../services/riskScoringService");
 
 console.log("🔧 Loading payment controller...");
 
@@ -79,16 +84,26 @@ exports.initiateSTKPush = async (req, res) => {
       amount,
       description = "Loan Repayment",
       customerId,
+      contactId,
     } = req.body;
 
     // Validation
-    if (!phoneNumber || !amount) {
+    if ((!phoneNumber && !contactId) || !amount) {
       console.log("❌ Validation failed: Missing phone or amount");
       await session.abortTransaction();
       session.endSession();
       return res.status(400).json({
         success: false,
-        message: "Please provide phone number and amount",
+        message: "Please provide phone number (or contactId) and amount",
+      });
+    }
+
+    if (contactId && !customerId) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: "Please provide the customerId the contact belongs to",
       });
     }
 
@@ -103,11 +118,11 @@ exports.initiateSTKPush = async (req, res) => {
       });
     }
 
-    // Format and validate phone number
-    const formattedPhone = formatPhoneNumber(phoneNumber);
+    // Format and validate phone number; a contact's number is checked when it is saved
+    let formattedPhone = formatPhoneNumber(phoneNumber);
     console.log("Formatted phone:", formattedPhone);
 
-    if (!isValidKenyanPhone(formattedPhone)) {
+    if (!contactId && !isValidKenyanPhone(formattedPhone)) {
       console.log("❌ Validation failed: Invalid Kenyan phone", formattedPhone);
       await session.abortTransaction();
       session.endSession();
@@ -127,7 +142,7 @@ exports.initiateSTKPush = async (req, res) => {
       }).session(session);
     }
 
-    if (!customer) {
+    if (!customer && !contactId) {
       console.log("Looking for customer by phone:", formattedPhone);
       customer = await Customer.findOne({
         phoneNumber: formattedPhone,
@@ -161,6 +176,23 @@ exports.initiateSTKPush = async (req, res) => {
 
     console.log("✅ Customer found:", customer.name);
 
+    // Send to a chosen verified contact instead of the primary phone
+    let contact = null;
+    if (contactId) {
+      try {
+        contact = await ContactService.getOutreachContact(customer._id, contactId);
+      } catch (contactError) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(contactError.statusCode || 400).json({
+          success: false,
+          message: contactError.message,
+        });
+      }
+      formattedPhone = contact.phoneNumber;
+      console.log(`📇 Using ${contact.type} contact ${formattedPhone}`);
+    }
+
     // Check loan balance
     if (amountNum > customer.loanBalance) {
       console.log("❌ Amount exceeds loan balance");
@@ -185,6 +217,45 @@ exports.initiateSTKPush = async (req, res) => {
       });
     }
 
+    // One payment prompt per customer at a time unless the caller explicitly overrides
+    const allowConcurrentPending =
+      req.body.allowConcurrentPending === true ||
+      req.body.allowConcurrentPending === "true";
+
+    const pendingTransaction = await Transaction.findOne({
+      customerId: customer._id,
+      status: "PENDING",
+    }).session(session);
+
+    if (pendingTransaction && !allowConcurrentPending) {
+      console.log("❌ Customer already has a pending transaction:", pendingTransaction.transactionId);
+      await session.abortTransaction();
+      session.endSession();
+
+      await ActivityLogger.logError(
+        user.id,
+        'TRANSACTION_INITIATE',
+        'Customer already has a pending payment request',
+        { code: 'PENDING_TRANSACTION_EXISTS' },
+        {
+          customerName: customer.name,
+          pendingTransactionId: pendingTransaction.transactionId
+        }
+      );
+
+      return res.status(409).json({
+        success: false,
+        message: `Customer already has a pending payment request (${pendingTransaction.transactionId}). Wait for it to complete or expire, or set allowConcurrentPending to send another.`,
+        data: {
+          pendingTransaction: {
+            transactionId: pendingTransaction.transactionId,
+            amount: pendingTransaction.amount,
+            createdAt: pendingTransaction.createdAt,
+          },
+        },
+      });
+    }
+
     // Generate transaction IDs
     const transactionId = `TRX${Date.now().toString().slice(-10)}${Math.floor(
       Math.random() * 1000,
@@ -199,6 +270,35 @@ exports.initiateSTKPush = async (req, res) => {
 
     console.log("Generated Transaction ID:", transactionId);
 
+    // Consent, do-not-contact, hours and frequency limits; supervisors may override with a reason
+    const useStkPush = PaymentGateway.usesStkPush();
+    try {
+      await ContactPolicyService.authorise({
+        customer,
+        channel: useStkPush ? "STK_PUSH" : "WHATSAPP",
+        purpose: "PAYMENT_REQUEST",
+        phoneNumber: formattedPhone,
+        contactId: contact?._id,
+        reference: transactionId,
+        user,
+        overrideReason: req.body.overrideReason,
+      });
+    } catch (policyError) {
+      if (policyError.code !== "CONTACT_BLOCKED") throw policyError;
+
+      await session.abortTransaction();
+      session.endSession();
+
+      return res.status(403).json({
+        success: false,
+        message: policyError.message,
+        data: {
+          reasons: policyError.reasons,
+          overridable: policyError.overridable,
+        },
+      });
+    }
+
     // Calculate new balances
     const { newLoanBalance, newArrears } = calculateNewBalances(
       customer,
@@ -214,6 +314,7 @@ exports.initiateSTKPush = async (req, res) => {
       customerId: customer._id,
       customerInternalId: customer.customerInternalId || customer.customerId,
       phoneNumber: formattedPhone,
+      contactId: contact?._id,
       amount: amountNum,
       description,
       status: "PENDING",
@@ -221,7 +322,11 @@ exports.initiateSTKPush = async (req, res) => {
       loanBalanceAfter: newLoanBalance,
       arrearsBefore: customer.arrears,
       arrearsAfter: newArrears,
-      paymentMethod: "WHATSAPP",
+      paymentMethod: useStkPush ? "MPESA" : "WHATSAPP",
+      pendingLockKey: allowConcurrentPending
+        ? `${customer._id}:${transactionId}`
+        : customer._id.toString(),
+      gateway: PaymentGateway.getGatewayName().toUpperCase(),
       initiatedBy: user.username,
       initiatedByUserId: user.id,
       whatsappRequest: {
@@ -243,51 +348,102 @@ exports.initiateSTKPush = async (req, res) => {
     console.log("✅ Transaction created:", transaction[0]._id);
     console.log("📱 Transaction phone number stored as:", formattedPhone);
 
-    // Send WhatsApp message
-    console.log("Sending WhatsApp message...");
+    if (contact) {
+      await ContactService.markUsed(contact._id);
+    }
+
+    let stkPushResponse = null;
     let whatsappResponse = null;
-    try {
-      whatsappResponse = await WhatsAppService.sendPaymentRequest(
-        formattedPhone,
-        customer.name,
-        amountNum,
-        transactionId,
-      );
 
-      console.log("WhatsApp response:", whatsappResponse);
+    if (useStkPush) {
+      // Send M-Pesa STK push; the final status arrives on /api/payments/mpesa/callback
+      console.log(`Sending STK push via ${PaymentGateway.getGatewayName()}...`);
+      try {
+        stkPushResponse = await PaymentGateway.initiateSTKPush(
+          formattedPhone,
+          amountNum,
+          transactionId,
+          description,
+        );
 
-      // Update transaction with WhatsApp info
-      await Transaction.findByIdAndUpdate(
-        transaction[0]._id,
-        {
-          whatsappMessageId: whatsappResponse.messageId,
-          whatsappStatus: whatsappResponse.status,
-          "whatsappRequest.sentAt": new Date(),
-          "whatsappRequest.mock": whatsappResponse.mock || false,
-        },
-        { session: null },
-      );
-    } catch (whatsappError) {
-      console.error(
-        "❌ WhatsApp sending failed in controller:",
-        whatsappError.message,
-      );
-      whatsappResponse = {
-        success: false,
-        error: whatsappError.message,
-        mock: true,
-      };
+        console.log("STK push response:", stkPushResponse);
 
-      // Update transaction as failed to send
-      await Transaction.findByIdAndUpdate(
-        transaction[0]._id,
-        {
-          status: "FAILED",
-          errorMessage: `WhatsApp message failed: ${whatsappError.message}`,
-          whatsappStatus: "FAILED",
-        },
-        { session: null },
-      );
+        await Transaction.findByIdAndUpdate(
+          transaction[0]._id,
+          {
+            checkoutRequestId: stkPushResponse.checkoutRequestID,
+            merchantRequestId: stkPushResponse.merchantRequestID,
+            stkPushResponse: {
+              message: stkPushResponse.customerMessage || stkPushResponse.message,
+              timestamp: new Date(),
+            },
+            stkPushSentAt: new Date(),
+          },
+          { session: null },
+        );
+      } catch (stkError) {
+        console.error("❌ STK push failed in controller:", stkError.message);
+        stkPushResponse = {
+          success: false,
+          error: stkError.message,
+        };
+
+        await Transaction.findByIdAndUpdate(
+          transaction[0]._id,
+          {
+            status: "FAILED",
+            failureReason: "TECHNICAL_ERROR",
+            errorMessage: `STK push failed: ${stkError.message}`,
+          },
+          { session: null },
+        );
+      }
+    } else {
+      // Send WhatsApp message
+      console.log("Sending WhatsApp message...");
+      try {
+        whatsappResponse = await WhatsAppService.sendPaymentRequest(
+          formattedPhone,
+          customer.name,
+          amountNum,
+          transactionId,
+        );
+
+        console.log("WhatsApp response:", whatsappResponse);
+
+        // Update transaction with WhatsApp info
+        await Transaction.findByIdAndUpdate(
+          transaction[0]._id,
+          {
+            whatsappMessageId: whatsappResponse.messageId,
+            whatsappStatus: whatsappResponse.status,
+            "whatsappRequest.sentAt": new Date(),
+            "whatsappRequest.mock": whatsappResponse.mock || false,
+          },
+          { session: null },
+        );
+      } catch (whatsappError) {
+        console.error(
+          "❌ WhatsApp sending failed in controller:",
+          whatsappError.message,
+        );
+        whatsappResponse = {
+          success: false,
+          error: whatsappError.message,
+          mock: true,
+        };
+
+        // Update transaction as failed to send
+        await Transaction.findByIdAndUpdate(
+          transaction[0]._id,
+          {
+            status: "FAILED",
+            errorMessage: `WhatsApp message failed: ${whatsappError.message}`,
+            whatsappStatus: "FAILED",
+          },
+          { session: null },
+        );
+      }
     }
 
     console.log("✅ Sending response to frontend");
@@ -300,28 +456,43 @@ exports.initiateSTKPush = async (req, res) => {
       {
         customerName: customer.name,
         amount: amountNum,
-        paymentMethod: 'WHATSAPP',
-        whatsappSuccess: whatsappResponse.success,
+        paymentMethod: transactionData.paymentMethod,
+        gateway: transactionData.gateway,
+        contactId: contact?._id,
+        allowConcurrentPending,
+        whatsappSuccess: whatsappResponse?.success,
+        stkPushSuccess: stkPushResponse?.success,
         duration: Date.now() - startTime
       }
     );
 
+    let responseMessage;
+    if (useStkPush) {
+      responseMessage = stkPushResponse.success
+        ? "STK push sent. Waiting for customer to enter M-Pesa PIN"
+        : "Payment request created but STK push failed";
+    } else {
+      responseMessage = whatsappResponse.mock
+        ? "Payment request created (WhatsApp in mock mode)"
+        : "Payment request sent successfully via WhatsApp";
+    }
+
     res.json({
       success: true,
-      message: whatsappResponse.mock
-        ? "Payment request created (WhatsApp in mock mode)"
-        : "Payment request sent successfully via WhatsApp",
+      message: responseMessage,
       data: {
         transaction: transaction[0],
         customer: {
           name: customer.name,
           phoneNumber: customer.phoneNumber,
+          sentTo: formattedPhone,
           loanBalanceBefore: customer.loanBalance,
           loanBalanceAfter: newLoanBalance,
           arrearsBefore: customer.arrears,
           arrearsAfter: newArrears,
         },
         whatsapp: whatsappResponse,
+        stkPush: stkPushResponse,
       },
     });
   } catch (error) {
@@ -334,6 +505,14 @@ exports.initiateSTKPush = async (req, res) => {
     await session.abortTransaction();
     session.endSession();
 
+    if (error.code === 11000 && error.keyPattern?.pendingLockKey) {
+      console.log("Concurrent pending transaction for customer");
+      return res.status(409).json({
+        success: false,
+        message: "Customer already has a pending payment request. Wait for it to complete or expire.",
+      });
+    }
+
     if (error.code === 11000 && error.keyPattern?.transactionId) {
       console.log("Duplicate transaction ID");
       
@@ -722,41 +901,14 @@ async function processPaymentWithPIN(transaction, pin) {
 
       await transaction.save();
 
+      if (transaction.status === "FAILED") {
+        RiskScoringService.rescoreInBackground(transaction.customerId, "PAYMENT_FAILED");
+      }
+
       return false;
     }
 
-    // Start a new session for database transaction
-    const session = await Transaction.startSession();
-
     try {
-      await session.startTransaction();
-
-      // Generate receipt number
-      let mpesaReceiptNumber;
-      try {
-        // If Transaction has generateMpesaReceiptNumber method
-        if (typeof Transaction.generateMpesaReceiptNumber === "function") {
-          mpesaReceiptNumber = Transaction.generateMpesaReceiptNumber();
-        } else {
-          // Fallback
-          mpesaReceiptNumber = `MPESA${Date.now().toString().slice(-8)}${Math.floor(
-            Math.random() * 10000,
-          )
-            .toString()
-            .padStart(4, "0")}`;
-        }
-      } catch (error) {
-        // Another fallback
-        mpesaReceiptNumber = `RC${Date.now().toString().slice(-10)}`;
-      }
-
-      console.log("📄 Generated receipt:", mpesaReceiptNumber);
-
-      // Update transaction
-      transaction.status = "SUCCESS";
-      transaction.mpesaReceiptNumber = mpesaReceiptNumber;
-      transaction.processedAt = new Date();
-      transaction.updatedAt = new Date();
       transaction.pinAttempts += 1;
       transaction.paymentMethod = "WHATSAPP";
       transaction.whatsappResponse = {
@@ -766,51 +918,16 @@ async function processPaymentWithPIN(transaction, pin) {
         messageId: "whatsapp_webhook",
       };
 
-      // Save transaction within session
-      await transaction.save({ session });
-      console.log("✅ Transaction saved with SUCCESS status");
+      // Balances, receipt and customer update are applied in one session
+      const { customer } = await PaymentPostingService.postSuccessfulPayment(transaction);
 
-      // Update customer
-      const customer = await Customer.findById(transaction.customerId).session(
-        session,
-      );
       if (customer) {
-        console.log(`👤 Updating customer: ${customer.name}`);
-
-        // Use the pre-calculated balances from the transaction
-        customer.loanBalance = transaction.loanBalanceAfter;
-        customer.arrears = transaction.arrearsAfter;
-        customer.totalRepayments += transaction.amount;
-        customer.lastPaymentDate = new Date();
-        customer.updatedAt = new Date();
-
-        // FIX: Use updateOne to avoid middleware issues
-        await Customer.updateOne(
-          { _id: customer._id },
-          {
-            $set: {
-              loanBalance: customer.loanBalance,
-              arrears: customer.arrears,
-              totalRepayments: customer.totalRepayments,
-              lastPaymentDate: customer.lastPaymentDate,
-              updatedAt: customer.updatedAt,
-            },
-          },
-          { session },
-        );
-
         console.log(`✅ Customer ${customer.name} balance updated`);
         console.log(`💰 New loan balance: ${customer.loanBalance}`);
         console.log(`📊 New arrears: ${customer.arrears}`);
-      } else {
-        console.log("❌ Customer not found for transaction");
       }
 
-      // Commit the transaction
-      await session.commitTransaction();
-      console.log(`✅ Database transaction committed`);
-
-      console.log(`🎉 Payment successful! Receipt: ${mpesaReceiptNumber}`);
+      console.log(`🎉 Payment successful! Receipt: ${transaction.mpesaReceiptNumber}`);
       console.log(
         `✅ Transaction ${transaction.transactionId} marked as SUCCESS`,
       );
@@ -829,7 +946,6 @@ async function processPaymentWithPIN(transaction, pin) {
 
       return true;
     } catch (error) {
-      await session.abortTransaction();
       console.error("❌ Transaction error:", error);
       console.error("Error stack:", error.stack);
       
@@ -847,8 +963,6 @@ async function processPaymentWithPIN(transaction, pin) {
       );
       
       throw error;
-    } finally {
-      session.endSession();
     }
   } catch (error) {
     console.error("❌ Error in processPaymentWithPIN:", error);
@@ -1140,44 +1254,18 @@ exports.processPin = async (req, res) => {
 
     // Validate PIN (demo: ONLY ACCEPT 1234)
     if (pin === "1234") {
-      // Successful payment
-      let mpesaReceiptNumber;
-      try {
-        if (typeof Transaction.generateMpesaReceiptNumber === "function") {
-          mpesaReceiptNumber = Transaction.generateMpesaReceiptNumber();
-        } else {
-          mpesaReceiptNumber = `MPESA${Date.now().toString().slice(-8)}${Math.floor(
-            Math.random() * 10000,
-          )
-            .toString()
-            .padStart(4, "0")}`;
-        }
-      } catch (error) {
-        mpesaReceiptNumber = `RC${Date.now().toString().slice(-10)}`;
-      }
+      // Nothing has been written yet; posting runs in its own session
+      await session.abortTransaction();
+      session.endSession();
 
       await PerformanceTracker.trackTransaction(user.id, transaction);
 
-      // Update transaction
-      transaction.status = "SUCCESS";
-      transaction.mpesaReceiptNumber = mpesaReceiptNumber;
-      transaction.processedAt = new Date();
-      transaction.updatedAt = new Date();
       transaction.pinAttempts += 1;
+      await PaymentPostingService.postSuccessfulPayment(transaction);
 
-      // Update customer
+      const mpesaReceiptNumber = transaction.mpesaReceiptNumber;
       customer.loanBalance = transaction.loanBalanceAfter;
       customer.arrears = transaction.arrearsAfter;
-      customer.totalRepayments += transaction.amount;
-      customer.lastPaymentDate = new Date();
-      customer.updatedAt = new Date();
-
-      // Save both in transaction
-      await transaction.save({ session });
-      await customer.save({ session });
-
-      await session.commitTransaction();
-      session.endSession();
 
       // Log successful transaction
       await ActivityLogger.logTransaction(
@@ -1253,7 +1341,9 @@ exports.processPin = async (req, res) => {
       });
     }
   } catch (error) {
-    await session.abortTransaction();
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
     session.endSession();
 
     console.error("Process PIN error:", error);
@@ -1611,20 +1701,30 @@ exports.checkExpiredTransactions = async () => {
   
   try {
     const thirtySecondsAgo = new Date(Date.now() - 30000); // 30 seconds
+    // STK pushes wait for the M-Pesa callback, which can take a couple of minutes
+    const stkTimeoutSeconds = parseInt(process.env.MPESA_STK_TIMEOUT_SECONDS, 10) || 120;
+    const stkCutoff = new Date(Date.now() - stkTimeoutSeconds * 1000);
 
     const expiredTransactions = await Transaction.find({
       status: "PENDING",
-      createdAt: { $lt: thirtySecondsAgo },
+      $or: [
+        { checkoutRequestId: { $exists: false }, createdAt: { $lt: thirtySecondsAgo } },
+        { checkoutRequestId: { $exists: true }, createdAt: { $lt: stkCutoff } },
+      ],
     });
 
     if (expiredTransactions.length > 0) {
       console.log(`Found ${expiredTransactions.length} expired transactions`);
 
       for (const transaction of expiredTransactions) {
+        const timeoutLabel = transaction.checkoutRequestId
+          ? `${stkTimeoutSeconds} seconds`
+          : "30 seconds";
+
         transaction.status = "EXPIRED";
         transaction.failureReason = "EXPIRED";
         transaction.errorMessage =
-          "Payment request expired (30 seconds) - Customer did not respond";
+          `Payment request expired (${timeoutLabel}) - Customer did not respond`;
         transaction.updatedAt = new Date();
         await transaction.save();
         
@@ -1634,7 +1734,7 @@ exports.checkExpiredTransactions = async () => {
           'TRANSACTION_EXPIRE',
           transaction,
           {
-            reason: '30 second timeout',
+            reason: `${timeoutLabel} timeout`,
             expiredAt: new Date(),
             durationPending: Date.now() - transaction.createdAt.getTime()
           }
@@ -1800,6 +1900,8 @@ exports.markTransactionFailed = async (req, res) => {
     transaction.updatedAt = new Date();
     await transaction.save();
 
+    RiskScoringService.rescoreInBackground(transaction.customerId, "PAYMENT_FAILED");
+
     // Log manual transaction failure
     await ActivityLogger.logTransaction(
       user.id,
@@ -2339,22 +2441,25 @@ exports.getMyCollections = async (req, res) => {
     const oneWeekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
     const oneMonthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
 
-    const todayCollections = transactions
-      .filter((t) => new Date(t.createdAt) >= oneDayAgo)
-      .reduce((sum, t) => sum + parseFloat(t.amount || 0), 0);
-
-    const weekCollections = transactions
-      .filter((t) => new Date(t.createdAt) >= oneWeekAgo)
-      .reduce((sum, t) => sum + parseFloat(t.amount || 0), 0);
-
-    const monthCollections = transactions
-      .filter((t) => new Date(t.createdAt) >= oneMonthAgo)
-      .reduce((sum, t) => sum + parseFloat(t.amount || 0), 0);
-
-    const allTimeCollections = transactions.reduce(
-      (sum, t) => sum + parseFloat(t.amount || 0),
-      0
-    );
+    // Money recovered on written-off loans is reported separately from collections
+    const collected = (t) => parseFloat(t.amount || 0) - parseFloat(t.recoveryAmount || 0);
+    const recovered = (t) => parseFloat(t.recoveryAmount || 0);
+    const totalSince = (since, amountOf) => transactions
+      .filter((t) => !since || new Date(t.createdAt) >= since)
+      .reduce((sum, t) => sum + amountOf(t), 0);
+
+    const todayCollections = totalSince(oneDayAgo, collected);
+    const weekCollections = totalSince(oneWeekAgo, collected);
+    const monthCollections = totalSince(oneMonthAgo, collected);
+    const allTimeCollections = totalSince(null, collected);
+
+    const recoveries = {
+      today: totalSince(oneDayAgo, recovered),
+      thisWeek: totalSince(oneWeekAgo, recovered),
+      thisMonth: totalSince(oneMonthAgo, recovered),
+      allTime: totalSince(null, recovered),
+      transactionCount: transactions.filter((t) => recovered(t) > 0).length,
+    };
 
     // Log collections summary view
     await ActivityLogger.log({
@@ -2370,6 +2475,7 @@ exports.getMyCollections = async (req, res) => {
           allTime: allTimeCollections,
           transactionCount: transactions.length
         },
+        recoveries,
         duration: Date.now() - startTime
       },
       tags: ['collections', 'summary', 'officer']
@@ -2390,6 +2496,7 @@ exports.getMyCollections = async (req, res) => {
               ? allTimeCollections / transactions.length
               : 0,
         },
+        recoveries,
         recentActivity: transactions.slice(0, 10), // Last 10 for dashboard
       },
     });
@@ -4,6 +4,12 @@
 const PromiseModel = require('../models/Promise');
 const Customer = require('../models/Customer');
 const ActivityLogger = require('../services/activityLogger');
+const RiskScoringService = require('../services/riskScoringService');
+const PromiseMatchingService = require('../services/promiseMatchingService');
+const PromiseEscalationService = require('../services/promiseEscalationService');
+const PaymentPlanService = require('../services/paymentPlanService');
+const PromiseRescheduleService = require('../services/promiseRescheduleService');
+const { respondToReschedule } = require('./promiseRescheduleController');
 
 class PromiseController {
 
@@ -18,11 +24,26 @@ class PromiseController {
 
             const {
                 customerId,
-                promiseAmount,
-                promiseDate,
                 promiseType = 'FULL_PAYMENT',
                 notes = ''
             } = req.body;
+            let { promiseAmount, promiseDate } = req.body;
+
+            // Payment plans take their total and final date from the installment schedule
+            let plan = null;
+            if (promiseType === 'PAYMENT_PLAN') {
+                try {
+                    plan = PaymentPlanService.buildPlan(req.body);
+                } catch (error) {
+                    console.log('❌ Invalid payment plan:', error.message);
+                    return res.status(error.statusCode || 400).json({
+                        success: false,
+                        message: error.message
+                    });
+                }
+                promiseAmount = plan.promiseAmount;
+                promiseDate = plan.promiseDate;
+            }
 
             // Validate required fields
             if (!customerId) {
@@ -108,8 +129,8 @@ class PromiseController {
             }
 
             // Create promise
-            // Calculate next follow-up date (1 day before promise)
-            const nextFollowUpDate = new Date(promiseDateObj);
+            // Calculate next follow-up date (1 day before promise, or before a plan's first installment)
+            const nextFollowUpDate = new Date(plan ? plan.installments[0].dueDate : promiseDateObj);
             nextFollowUpDate.setDate(nextFollowUpDate.getDate() - 1);
 
             // Generate promise ID
@@ -128,7 +149,11 @@ class PromiseController {
                 notes,
                 createdBy: user ? user.id : null,
                 createdByName: user ? (user.username || user.name) : 'System',
-                nextFollowUpDate
+                nextFollowUpDate,
+                ...(plan && {
+                    installments: plan.installments,
+                    maxMissedInstallments: plan.maxMissedInstallments
+                })
             };
 
             console.log('📝 Creating promise with data:', promiseData);
@@ -198,6 +223,7 @@ class PromiseController {
                 startDate,
                 endDate,
                 customerName,
+                minReschedules,
                 page = 1,
                 limit = 20,
                 sortBy = 'promiseDate',
@@ -219,6 +245,11 @@ class PromiseController {
                 query.promiseType = promiseType;
             }
 
+            // Repeatedly rescheduled promises
+            if (parseInt(minReschedules) > 0) {
+                query.rescheduleCount = { $gte: parseInt(minReschedules) };
+            }
+
             // Date filtering
             if (startDate || endDate) {
                 query.promiseDate = {};
@@ -260,7 +291,7 @@ class PromiseController {
             sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
             // Execute queries - FIXED: Use PromiseModel and global.Promise.all
-            const [promises, total, pending, fulfilled, broken] = await global.Promise.all([
+            const [promises, total, pending, fulfilled, broken, partiallyFulfilled, rescheduled, awaitingApproval] = await global.Promise.all([
                 PromiseModel.find(query)  // CHANGED: PromiseModel
                     .populate('customerId', 'name phoneNumber customerId loanType')  // UPDATED: Added loanType
                     .sort(sort)
@@ -269,7 +300,10 @@ class PromiseController {
                 PromiseModel.countDocuments(query),  // CHANGED: PromiseModel
                 PromiseModel.countDocuments({ ...query, status: 'PENDING' }),  // CHANGED: PromiseModel
                 PromiseModel.countDocuments({ ...query, status: 'FULFILLED' }),  // CHANGED: PromiseModel
-                PromiseModel.countDocuments({ ...query, status: 'BROKEN' })  // CHANGED: PromiseModel
+                PromiseModel.countDocuments({ ...query, status: 'BROKEN' }),  // CHANGED: PromiseModel
+                PromiseModel.countDocuments({ ...query, status: 'PARTIALLY_FULFILLED' }),
+                PromiseModel.countDocuments({ ...query, rescheduleCount: { $gt: 0 } }),
+                PromiseModel.countDocuments({ ...query, pendingRescheduleApproval: true })
             ]);
 
             // Calculate statistics
@@ -309,8 +343,11 @@ class PromiseController {
                     statistics: {
                         total,
                         pending,
+                        partiallyFulfilled,
                         fulfilled,
                         broken,
+                        rescheduled,
+                        awaitingRescheduleApproval: awaitingApproval,
                         fulfillmentRate: parseFloat(fulfillmentRate)
                     },
                     pagination: {
@@ -371,10 +408,11 @@ class PromiseController {
             // Validate status transition
             const validTransitions = {
                 'PENDING': ['FULFILLED', 'BROKEN', 'RESCHEDULED', 'CANCELLED'],
-                'RESCHEDULED': ['PENDING', 'FULFILLED', 'BROKEN', 'CANCELLED']
+                'RESCHEDULED': ['PENDING', 'FULFILLED', 'BROKEN', 'CANCELLED'],
+                'PARTIALLY_FULFILLED': ['FULFILLED', 'BROKEN', 'CANCELLED']
             };
 
-            if (promise.status !== 'PENDING' && promise.status !== 'RESCHEDULED') {
+            if (!validTransitions[promise.status]) {
                 await ActivityLogger.logError(
                     user.id,
                     'PROMISE_UPDATE',
@@ -393,11 +431,43 @@ class PromiseController {
                 });
             }
 
+            // Rescheduling keeps a revision and may need supervisor approval
+            if (status === 'RESCHEDULED') {
+                try {
+                    const result = await PromiseRescheduleService.reschedule(promise, {
+                        promiseDate: req.body.promiseDate || req.body.newPromiseDate,
+                        promiseAmount: req.body.promiseAmount,
+                        reason: req.body.reason || notes
+                    }, user);
+                    return await respondToReschedule(res, user, result);
+                } catch (error) {
+                    if (!error.statusCode) throw error;
+                    return res.status(error.statusCode).json({
+                        success: false,
+                        message: error.message
+                    });
+                }
+            }
+
             // Store old status for logging
             const oldStatus = promise.status;
             
             // Update promise
             promise.status = status;
+            if (promise.pendingRescheduleApproval && ['FULFILLED', 'BROKEN', 'CANCELLED'].includes(status)) {
+                // A closed promise can't be rescheduled, so the request lapses
+                const revision = promise.revisions.find(item => item.status === 'PENDING_APPROVAL');
+                if (revision) {
+                    Object.assign(revision, {
+                        status: 'REJECTED',
+                        reviewedBy: user.id,
+                        reviewedByName: user.username,
+                        reviewedAt: new Date(),
+                        reviewNote: `Promise marked as ${status.toLowerCase()}`
+                    });
+                }
+                promise.pendingRescheduleApproval = false;
+            }
             if (fulfillmentAmount) promise.fulfillmentAmount = fulfillmentAmount;
             if (fulfillmentDate) promise.fulfillmentDate = new Date(fulfillmentDate);
             if (notes) promise.notes = notes;
@@ -406,11 +476,16 @@ class PromiseController {
 
             // Update customer if promise fulfilled
             if (status === 'FULFILLED') {
-                const customer = await Customer.findById(promise.customerId);
-                if (customer) {
-                    customer.fulfilledPromiseCount = (customer.fulfilledPromiseCount || 0) + 1;
-                    await customer.save();
-                }
+                await PromiseMatchingService.updateCustomerStats(promise.customerId);
+            }
+
+            // The officer broke it themselves, so only counters, follow-up and review flag apply
+            if (status === 'BROKEN') {
+                await PromiseEscalationService.applyBreak(promise, { notify: false });
+            }
+
+            if (['FULFILLED', 'BROKEN'].includes(status)) {
+                RiskScoringService.rescoreInBackground(promise.customerId, 'PROMISE');
             }
 
             // Log promise status update
@@ -468,12 +543,34 @@ class PromiseController {
             tomorrow.setDate(tomorrow.getDate() + 1);
 
             const followUpPromises = await PromiseModel.find({  // CHANGED: PromiseModel
-                status: 'PENDING',
                 $or: [
-                    { nextFollowUpDate: { $lt: tomorrow } },
-                    { promiseDate: { $lt: tomorrow } }
-                ],
-                reminderSent: false
+                    {
+                        status: { $in: ['PENDING', 'PARTIALLY_FULFILLED'] },
+                        $or: [
+                            { nextFollowUpDate: { $lt: tomorrow } },
+                            { promiseDate: { $lt: tomorrow } }
+                        ],
+                        // Skip promises already reminded for their current date
+                        $expr: {
+                            $not: {
+                                $anyElementTrue: [{
+                                    $map: {
+                                        input: { $ifNull: ['$reminders', []] },
+                                        as: 'reminder',
+                                        in: {
+                                            $and: [
+                                                { $eq: ['$$reminder.status', 'SENT'] },
+                                                { $eq: ['$$reminder.dueDate', '$promiseDate'] }
+                                            ]
+                                        }
+                                    }
+                                }]
+                            }
+                        }
+                    },
+                    // Follow-ups scheduled by the broken-promise escalation rules
+                    { status: 'BROKEN', nextFollowUpDate: { $gte: today, $lt: tomorrow } }
+                ]
             })
                 .populate('customerId', 'name phoneNumber arrears loanType')  // UPDATED: Added loanType
                 .sort({ nextFollowUpDate: 1 })
@@ -488,9 +585,9 @@ class PromiseController {
                 requestDetails: {
                     followUpCount: followUpPromises.length,
                     criteria: {
-                        status: 'PENDING',
+                        status: ['PENDING', 'PARTIALLY_FULFILLED', 'BROKEN'],
                         nextFollowUpDate: { $lt: tomorrow },
-                        reminderSent: false
+                        reminderSentForPromiseDate: false
                     },
                     duration: Date.now() - startTime
                 },
@@ -567,7 +664,11 @@ class PromiseController {
             res.json({
                 success: true,
                 data: {
-                    promises,
+                    // Payment plans carry their installment progress alongside the schedule
+                    promises: promises.map(promise => ({
+                        ...promise.toObject(),
+                        plan: PaymentPlanService.summarise(promise)
+                    })),
                     statistics: {
                         totalPromises,
                         fulfilledPromises,
@@ -644,11 +745,11 @@ class PromiseController {
             }
 
             const promises = await PromiseModel.find(query)  // CHANGED: PromiseModel
-                .populate('customerId', 'name phoneNumber customerId loanType')  // UPDATED: Added loanType
+                .populate('customerId', 'name phoneNumber customerId loanType tags')  // UPDATED: Added loanType
                 .sort({ promiseDate: 1 });
 
             // Create CSV
-            const csvHeader = 'Promise ID,Customer Name,Customer ID,Phone,Loan Type,Amount,Due Date,Type,Status,Created By,Created Date\n';
+            const csvHeader = 'Promise ID,Customer Name,Customer ID,Phone,Loan Type,Customer Tags,Amount,Due Date,Type,Status,Paid Amount,Installments Kept,Missed Installments,Next Installment Due,Plan Schedule,Reschedules,Original Due Date,Original Amount,Created By,Created Date\n';
 
             const csvRows = promises.map(promise => {
                 const customer = promise.customerId || {};
@@ -656,6 +757,7 @@ class PromiseController {
                     new Date(promise.createdAt).toLocaleDateString('en-KE') : '';
                 const dueDate = promise.promiseDate ?
                     new Date(promise.promiseDate).toLocaleDateString('en-KE') : '';
+                const plan = PaymentPlanService.summarise(promise);
 
                 const escapeCSV = (field) => {
                     if (!field) return '';
@@ -672,10 +774,22 @@ class PromiseController {
                     customer.customerId || '',
                     customer.phoneNumber || promise.phoneNumber || '',
                     customer.loanType || '',  // ADDED: Include loan type in CSV export
+                    escapeCSV((customer.tags || []).join('; ')),
                     parseFloat(promise.promiseAmount || 0).toFixed(2),
                     dueDate,
                     promise.promiseType || '',
                     promise.status || '',
+                    parseFloat(promise.fulfillmentAmount || 0).toFixed(2),
+                    plan ? `${plan.kept}/${plan.installmentCount}` : '',
+                    plan ? plan.missed : '',
+                    plan?.nextInstallment ? new Date(plan.nextInstallment.dueDate).toLocaleDateString('en-KE') : '',
+                    escapeCSV((promise.installments || [])
+                        .map(item => `${item.number}: ${new Date(item.dueDate).toLocaleDateString('en-KE')} ${item.amount.toFixed(2)} ${item.status}`)
+                        .join('; ')),
+                    promise.rescheduleCount || 0,
+                    promise.originalPromiseDate ? new Date(promise.originalPromiseDate).toLocaleDateString('en-KE') : '',
+                    promise.originalPromiseAmount !== undefined && promise.originalPromiseAmount !== null
+                        ? parseFloat(promise.originalPromiseAmount).toFixed(2) : '',
                     escapeCSV(promise.createdByName || ''),
                     createdDate
                 ].join(',');
@@ -833,11 +947,25 @@ class PromiseController {
             const userRole = user.role;
             const { 
                 customerId, 
-                promiseAmount, 
-                promiseDate, 
                 promiseType = 'FULL_PAYMENT',
                 notes = '' 
             } = req.body;
+            let { promiseAmount, promiseDate } = req.body;
+
+            // Payment plans take their total and final date from the installment schedule
+            let plan = null;
+            if (promiseType === 'PAYMENT_PLAN') {
+                try {
+                    plan = PaymentPlanService.buildPlan(req.body);
+                } catch (error) {
+                    return res.status(error.statusCode || 400).json({
+                        success: false,
+                        message: error.message
+                    });
+                }
+                promiseAmount = plan.promiseAmount;
+                promiseDate = plan.promiseDate;
+            }
             
             console.log(`📝 Creating promise by officer ${userId} for customer ${customerId}`);
             
@@ -938,8 +1066,8 @@ class PromiseController {
                 });
             }
 
-            // Calculate next follow-up date (1 day before promise)
-            const nextFollowUpDate = new Date(promiseDateObj);
+            // Calculate next follow-up date (1 day before promise, or before a plan's first installment)
+            const nextFollowUpDate = new Date(plan ? plan.installments[0].dueDate : promiseDateObj);
             nextFollowUpDate.setDate(nextFollowUpDate.getDate() - 1);
 
             // Generate promise ID
@@ -959,7 +1087,11 @@ class PromiseController {
                 createdBy: userId,
                 createdByName: user.username || user.name,
                 nextFollowUpDate,
-                status: 'PENDING'
+                status: 'PENDING',
+                ...(plan && {
+                    installments: plan.installments,
+                    maxMissedInstallments: plan.maxMissedInstallments
+                })
             };
 
             const promise = await PromiseModel.create(promiseData);  // CHANGED: PromiseModel
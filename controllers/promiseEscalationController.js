@@ -0,0 +1,160 @@
+// controllers/promiseEscalationController.js
+const Customer = require("../models/Customer");
+const PromiseEscalationService = require("../services/promiseEscalationService");
+const ActivityLogger = require("../services/activityLogger");
+
+const findCustomer = (id) =>
+  Customer.findOne({
+    $or: [
+      ...(/^[0-9a-fA-F]{24}$/.test(id) ? [{ _id: id }] : []),
+      { customerId: id },
+      { customerInternalId: id },
+    ],
+  });
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+/**
+ * @desc    Broken-promise escalation rules for every loan type
+ * @route   GET /api/promises/escalation-rules
+ * @access  Private (Admin, Supervisor)
+ */
+exports.getRules = async (req, res) => {
+  try {
+    const rules = await PromiseEscalationService.getRules();
+
+    res.json({
+      success: true,
+      data: { rules, graceDays: PromiseEscalationService.getGraceDays() },
+    });
+  } catch (error) {
+    console.error("Get escalation rules error:", error);
+    sendError(res, error, "Error fetching escalation rules");
+  }
+};
+
+/**
+ * @desc    Change the escalation rule for a loan type
+ * @route   PUT /api/promises/escalation-rules/:loanType
+ * @access  Private (Admin)
+ * @body    followUpDays, notifyOfficer, reviewThreshold, reviewAction (REVIEW | REASSIGN), isActive
+ */
+exports.updateRule = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const rule = await PromiseEscalationService.updateRule(req.params.loanType, req.body, user);
+
+    await ActivityLogger.logSystem(
+      user.id,
+      'PROMISE_ESCALATION_RULE_UPDATE',
+      `Updated broken-promise escalation rule for ${rule.loanType}`,
+      { loanType: rule.loanType, changes: req.body }
+    );
+
+    res.json({
+      success: true,
+      message: "Escalation rule updated",
+      data: { rule },
+    });
+  } catch (error) {
+    console.error("Update escalation rule error:", error);
+    sendError(res, error, "Error updating escalation rule");
+  }
+};
+
+/**
+ * @desc    Run the broken-promise check now instead of waiting for the nightly job
+ * @route   POST /api/promises/escalation/run
+ * @access  Private (Admin)
+ * @body    dryRun
+ */
+exports.runCheck = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const dryRun = req.body.dryRun === true || req.body.dryRun === "true";
+    const summary = await PromiseEscalationService.runBrokenPromiseCheck({ dryRun });
+
+    if (!dryRun) {
+      await ActivityLogger.logSystem(
+        user.id,
+        'PROMISE_BREAK_RUN',
+        `Ran broken-promise check: ${summary.broken} broken, ${summary.flagged} accounts flagged`,
+        { summary }
+      );
+    }
+
+    res.json({
+      success: true,
+      message: dryRun ? `${summary.checked} promises are overdue` : "Broken-promise check completed",
+      data: { summary },
+    });
+  } catch (error) {
+    console.error("Run broken-promise check error:", error);
+    sendError(res, error, "Error running broken-promise check");
+  }
+};
+
+/**
+ * @desc    Customers flagged for supervisor review or reassignment after broken promises
+ * @route   GET /api/promises/reviews?reviewAction=REASSIGN&loanType=SME&page=1&limit=20
+ * @access  Private (Admin, Supervisor)
+ */
+exports.getReviewQueue = async (req, res) => {
+  try {
+    const result = await PromiseEscalationService.getReviewQueue(req.query);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Get review queue error:", error);
+    sendError(res, error, "Error fetching review queue");
+  }
+};
+
+/**
+ * @desc    Clear a customer's review flag
+ * @route   PUT /api/promises/reviews/:customerId/resolve
+ * @access  Private (Admin, Supervisor)
+ * @body    resolution
+ */
+exports.resolveReview = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const customer = await findCustomer(req.params.customerId);
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: "Customer not found",
+      });
+    }
+
+    const { previous } = await PromiseEscalationService.resolveReview(customer, req.body, user);
+
+    await ActivityLogger.logCustomer(user.id, 'CUSTOMER_REVIEW_RESOLVE', customer, {
+      resolution: customer.reviewResolution,
+      ...previous,
+    });
+
+    res.json({
+      success: true,
+      message: "Review resolved",
+      data: { customer },
+    });
+  } catch (error) {
+    console.error("Resolve review error:", error);
+    sendError(res, error, "Error resolving review");
+  }
+};
@@ -0,0 +1,59 @@
+// controllers/promiseReminderController.js
+const ReminderService = require("../services/reminderService");
+const ActivityLogger = require("../services/activityLogger");
+
+/**
+ * @desc    Send the promise reminders due today now instead of waiting for the hourly job
+ * @route   POST /api/promises/reminders/run
+ * @access  Private (Admin)
+ */
+exports.runReminders = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const summary = await ReminderService.runReminders();
+
+    await ActivityLogger.logSystem(
+      user.id,
+      'PROMISE_REMINDER_RUN',
+      `Ran promise reminders: ${summary.sent} of ${summary.due} sent`,
+      { summary }
+    );
+
+    res.json({
+      success: true,
+      message: "Promise reminders completed",
+      data: { summary, stages: ReminderService.getStages() },
+    });
+  } catch (error) {
+    console.error("Run promise reminders error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error running promise reminders",
+    });
+  }
+};
+
+/**
+ * @desc    Twilio delivery status callback for promise reminders
+ * @route   POST /api/promises/reminders/status
+ * @access  Public (Twilio, signature checked)
+ */
+exports.deliveryStatus = async (req, res) => {
+  try {
+    if (!ReminderService.isValidCallback(req.headers["x-twilio-signature"], req.body)) {
+      return res.status(403).send("Invalid signature");
+    }
+
+    const updated = await ReminderService.updateDeliveryStatus(req.body);
+    if (updated) {
+      console.log(`📬 Reminder ${req.body.MessageSid} is now ${req.body.MessageStatus}`);
+    }
+
+    // Twilio only needs a 2xx; unknown message IDs are not an error
+    res.status(204).end();
+  } catch (error) {
+    console.error("Reminder delivery status error:", error);
+    res.status(500).end();
+  }
+};
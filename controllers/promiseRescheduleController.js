@@ -0,0 +1,156 @@
+// controllers/promiseRescheduleController.js
+const PromiseModel = require("../models/Promise");
+const PromiseRescheduleService = require("../services/promiseRescheduleService");
+const ActivityLogger = require("../services/activityLogger");
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+const promiseNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: "Promise not found",
+  });
+
+/**
+ * Respond to a reschedule and log it. Shared with PATCH /api/promises/:promiseId/status.
+ */
+exports.respondToReschedule = async (res, user, { promise, revision, pendingApproval }) => {
+  await ActivityLogger.logPromise(
+    user.id,
+    pendingApproval ? 'PROMISE_RESCHEDULE_REQUEST' : 'PROMISE_RESCHEDULE',
+    promise,
+    {
+      previousDate: revision.previousDate,
+      newDate: revision.newDate,
+      previousAmount: revision.previousAmount,
+      newAmount: revision.newAmount,
+      reason: revision.reason,
+      rescheduleCount: promise.rescheduleCount,
+      limitReasons: revision.limitReasons,
+    }
+  );
+
+  if (pendingApproval) {
+    console.log(`⏳ Reschedule of ${promise.promiseId} by ${user.username} needs approval: ${revision.limitReasons.join("; ")}`);
+  }
+
+  res.status(pendingApproval ? 202 : 200).json({
+    success: true,
+    message: pendingApproval
+      ? `Reschedule sent for supervisor approval: ${revision.limitReasons.join("; ")}`
+      : "Promise rescheduled",
+    data: { promise, revision, pendingApproval },
+  });
+};
+
+/**
+ * @desc    Move a promise to a new date and/or amount
+ * @route   POST /api/promises/:promiseId/reschedule
+ * @access  Private (All authenticated users; over-limit changes by officers need approval)
+ * @body    promiseDate, promiseAmount (optional), reason
+ */
+exports.reschedulePromise = async (req, res) => {
+  try {
+    const promise = await PromiseModel.findOne({ promiseId: req.params.promiseId });
+    if (!promise) return promiseNotFound(res);
+
+    const result = await PromiseRescheduleService.reschedule(promise, req.body, req.user);
+    await exports.respondToReschedule(res, req.user, result);
+  } catch (error) {
+    console.error("Reschedule promise error:", error);
+    sendError(res, error, "Error rescheduling promise");
+  }
+};
+
+/**
+ * @desc    Reschedules waiting for approval
+ * @route   GET /api/promises/reschedule-approvals?page=1&limit=20
+ * @access  Private (Admin, Supervisor)
+ */
+exports.getPendingApprovals = async (req, res) => {
+  try {
+    const result = await PromiseRescheduleService.getPendingApprovals(req.query);
+
+    res.json({
+      success: true,
+      data: { ...result, limits: PromiseRescheduleService.getLimits() },
+    });
+  } catch (error) {
+    console.error("Get reschedule approvals error:", error);
+    sendError(res, error, "Error fetching reschedule approvals");
+  }
+};
+
+/**
+ * @desc    Approve a pending reschedule
+ * @route   POST /api/promises/:promiseId/reschedule/approve
+ * @access  Private (Admin, Supervisor)
+ * @body    note (optional)
+ */
+exports.approveReschedule = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const promise = await PromiseModel.findOne({ promiseId: req.params.promiseId });
+    if (!promise) return promiseNotFound(res);
+
+    const { revision } = await PromiseRescheduleService.approve(promise, req.body, user);
+
+    await ActivityLogger.logPromise(user.id, 'PROMISE_RESCHEDULE_APPROVE', promise, {
+      requestedBy: revision.requestedByName,
+      newDate: revision.newDate,
+      newAmount: revision.newAmount,
+      limitReasons: revision.limitReasons,
+      note: revision.reviewNote,
+    });
+
+    res.json({
+      success: true,
+      message: "Reschedule approved",
+      data: { promise, revision },
+    });
+  } catch (error) {
+    console.error("Approve reschedule error:", error);
+    sendError(res, error, "Error approving reschedule");
+  }
+};
+
+/**
+ * @desc    Reject a pending reschedule; the promise keeps its current date and amount
+ * @route   POST /api/promises/:promiseId/reschedule/reject
+ * @access  Private (Admin, Supervisor)
+ * @body    reason
+ */
+exports.rejectReschedule = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const promise = await PromiseModel.findOne({ promiseId: req.params.promiseId });
+    if (!promise) return promiseNotFound(res);
+
+    const { revision } = await PromiseRescheduleService.reject(promise, req.body, user);
+
+    await ActivityLogger.logPromise(user.id, 'PROMISE_RESCHEDULE_REJECT', promise, {
+      requestedBy: revision.requestedByName,
+      newDate: revision.newDate,
+      reason: revision.reviewNote,
+    });
+
+    res.json({
+      success: true,
+      message: "Reschedule rejected",
+      data: { promise, revision },
+    });
+  } catch (error) {
+    console.error("Reject reschedule error:", error);
+    sendError(res, error, "Error rejecting reschedule");
+  }
+};
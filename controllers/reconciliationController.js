@@ -0,0 +1,266 @@
+// controllers/reconciliationController.js
+const ReconciliationRun = require("../models/ReconciliationRun");
+const ReconciliationService = require("../services/reconciliationService");
+const ActivityLogger = require("../services/activityLogger");
+
+/**
+ * @desc    Upload an M-Pesa statement and run reconciliation
+ * @route   POST /api/reconciliation/runs
+ * @access  Private (Admin, Supervisor)
+ */
+exports.createRun = async (req, res) => {
+  const startTime = Date.now();
+  const user = req.user;
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "Please upload an M-Pesa statement file (CSV or XLSX)",
+      });
+    }
+
+    console.log(`📄 Reconciling statement ${req.file.originalname} (${req.file.size} bytes)`);
+
+    const run = await ReconciliationService.createRun(
+      req.file,
+      {
+        periodStart: req.body.periodStart,
+        periodEnd: req.body.periodEnd,
+      },
+      user,
+    );
+
+    console.log(`✅ Reconciliation ${run.runId}:`, run.summary);
+
+    await ActivityLogger.logSystem(
+      user.id,
+      'RECONCILIATION_RUN',
+      `Ran M-Pesa reconciliation ${run.runId} on ${req.file.originalname}`,
+      {
+        runId: run.runId,
+        summary: run.summary,
+        duration: Date.now() - startTime
+      }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Reconciliation completed",
+      data: {
+        run,
+        resolutionActions: ReconciliationService.getResolutionActions(),
+      },
+    });
+  } catch (error) {
+    console.error("Create reconciliation run error:", error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    await ActivityLogger.logError(
+      user.id,
+      'RECONCILIATION_RUN',
+      'Failed to run reconciliation',
+      error,
+      {
+        fileName: req.file?.originalname,
+        duration: Date.now() - startTime
+      }
+    );
+
+    res.status(500).json({
+      success: false,
+      message: "Error running reconciliation",
+    });
+  }
+};
+
+/**
+ * @desc    List reconciliation runs
+ * @route   GET /api/reconciliation/runs
+ * @access  Private (Admin, Supervisor)
+ */
+exports.getRuns = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status && status !== "all") {
+      query.status = status;
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const [runs, total] = await Promise.all([
+      ReconciliationRun.find(query)
+        .select("-items")
+        .populate("createdByUserId", "username fullName")
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      ReconciliationRun.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        runs,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get reconciliation runs error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching reconciliation runs",
+    });
+  }
+};
+
+/**
+ * @desc    Get a reconciliation run with its items
+ * @route   GET /api/reconciliation/runs/:id
+ * @access  Private (Admin, Supervisor)
+ */
+exports.getRun = async (req, res) => {
+  try {
+    const { category, resolution } = req.query;
+
+    const run = await ReconciliationRun.findOne(
+      req.params.id.match(/^[0-9a-fA-F]{24}$/)
+        ? { _id: req.params.id }
+        : { runId: req.params.id },
+    )
+      .populate("createdByUserId", "username fullName")
+      .populate("items.resolution.resolvedBy", "username fullName")
+      .lean();
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: "Reconciliation run not found",
+      });
+    }
+
+    // Items can be narrowed for the review screen tabs
+    run.items = run.items.filter(
+      (item) =>
+        (!category || item.category === category) &&
+        (!resolution || item.resolution.status === resolution),
+    );
+
+    res.json({
+      success: true,
+      data: {
+        run,
+        resolutionActions: ReconciliationService.getResolutionActions(),
+      },
+    });
+  } catch (error) {
+    console.error("Get reconciliation run error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching reconciliation run",
+    });
+  }
+};
+
+/**
+ * @desc    Resolve a reconciliation item
+ * @route   POST /api/reconciliation/runs/:id/items/:itemId/resolve
+ * @access  Private (Admin, Supervisor)
+ */
+exports.resolveItem = async (req, res) => {
+  const startTime = Date.now();
+  const user = req.user;
+  const { action, customerId, notes } = req.body;
+
+  try {
+    if (!action) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a resolution action",
+      });
+    }
+
+    const run = await ReconciliationRun.findById(req.params.id);
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: "Reconciliation run not found",
+      });
+    }
+
+    const { item, transaction } = await ReconciliationService.resolveItem(
+      run,
+      req.params.itemId,
+      action,
+      { customerId, notes, user },
+    );
+
+    await ActivityLogger.logSystem(
+      user.id,
+      'RECONCILIATION_RESOLVE',
+      `Resolved ${item.category} item ${item.receiptNumber} with ${action}`,
+      {
+        runId: run.runId,
+        itemId: item._id,
+        receiptNumber: item.receiptNumber,
+        action,
+        transactionId: transaction?.transactionId,
+        notes,
+        duration: Date.now() - startTime
+      }
+    );
+
+    res.json({
+      success: true,
+      message: `Item resolved (${action})`,
+      data: {
+        item,
+        transaction,
+        runStatus: run.status,
+        unresolved: run.summary.unresolved,
+      },
+    });
+  } catch (error) {
+    console.error("Resolve reconciliation item error:", error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    await ActivityLogger.logError(
+      user.id,
+      'RECONCILIATION_RESOLVE',
+      'Failed to resolve reconciliation item',
+      error,
+      {
+        runId: req.params.id,
+        itemId: req.params.itemId,
+        action,
+        duration: Date.now() - startTime
+      }
+    );
+
+    res.status(500).json({
+      success: false,
+      message: "Error resolving reconciliation item: " + error.message,
+    });
+  }
+};
@@ -0,0 +1,328 @@
+// controllers/restructureController.js
+const Restructure = require("../models/Restructure");
+const RestructureService = require("../services/restructureService");
+const ActivityLogger = require("../services/activityLogger");
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+/**
+ * @desc    Discount authority matrix
+ * @route   GET /api/restructures/authority
+ * @access  Private (Admin, Supervisor)
+ */
+exports.getAuthority = async (req, res) => {
+  try {
+    const matrix = await RestructureService.getAuthorityMatrix();
+
+    res.json({
+      success: true,
+      data: matrix,
+    });
+  } catch (error) {
+    console.error("Get discount authority error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching discount authority",
+    });
+  }
+};
+
+/**
+ * @desc    Set a role's discount authority, optionally for one loan type
+ * @route   PUT /api/restructures/authority
+ * @access  Private (Admin)
+ */
+exports.setAuthority = async (req, res) => {
+  try {
+    const authority = await RestructureService.setAuthority(req.body, req.user);
+
+    await ActivityLogger.logSystem(
+      req.user.id,
+      'DISCOUNT_AUTHORITY_UPDATE',
+      `Set ${authority.role} discount authority${authority.loanType ? ` for ${authority.loanType}` : ''} to ${authority.maxDiscountPercent}%`,
+      { authority: authority.toObject() }
+    );
+
+    res.json({
+      success: true,
+      message: "Discount authority updated",
+      data: { authority },
+    });
+  } catch (error) {
+    console.error("Set discount authority error:", error);
+    sendError(res, error, "Error updating discount authority");
+  }
+};
+
+/**
+ * @desc    Work out new terms without saving them
+ * @route   POST /api/restructures/preview
+ * @access  Private (All authenticated users)
+ */
+exports.previewRestructure = async (req, res) => {
+  try {
+    const preview = await RestructureService.preview(req.body);
+
+    res.json({
+      success: true,
+      data: { preview },
+    });
+  } catch (error) {
+    console.error("Preview restructure error:", error);
+    sendError(res, error, "Error previewing restructure");
+  }
+};
+
+/**
+ * @desc    Propose a reschedule or settlement offer
+ * @route   POST /api/restructures
+ * @access  Private (All authenticated users)
+ */
+exports.proposeRestructure = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const { restructure, preview } = await RestructureService.propose(req.body, user);
+
+    console.log(`📝 Restructure ${restructure.restructureId} (${restructure.type}) proposed by ${user.username} on ${restructure.loanRef}`);
+
+    await ActivityLogger.logSystem(
+      user.id,
+      'RESTRUCTURE_REQUEST',
+      `Proposed ${restructure.type.toLowerCase()} of ${restructure.loanRef} (discount KES ${restructure.discountAmount})`,
+      { restructureId: restructure.restructureId, customerId: restructure.customerId, reason: restructure.reason }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: preview.requiredApprover
+        ? `Restructure submitted for ${preview.requiredApprover} approval`
+        : "Restructure submitted, but the discount exceeds every approval limit",
+      data: { restructure, preview },
+    });
+  } catch (error) {
+    console.error("Propose restructure error:", error);
+    sendError(res, error, "Error proposing restructure");
+  }
+};
+
+/**
+ * @desc    List restructures
+ * @route   GET /api/restructures
+ * @access  Private (Officers see their own requests)
+ */
+exports.getRestructures = async (req, res) => {
+  try {
+    const { status = "PENDING", type, customerId, page = 1, limit = 20 } = req.query;
+    const user = req.user;
+
+    const query = {};
+    if (status && status !== "all") query.status = status;
+    if (type) query.type = type;
+    if (customerId) query.customerId = customerId;
+
+    const role = user.role === "agent" ? "officer" : user.role;
+    if (role === "officer") {
+      query.requestedByUserId = user.id;
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const [restructures, total] = await Promise.all([
+      Restructure.find(query)
+        .populate("customerId", "name customerId phoneNumber")
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Restructure.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        restructures,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get restructures error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching restructures",
+    });
+  }
+};
+
+/**
+ * @desc    Get a restructure
+ * @route   GET /api/restructures/:id
+ * @access  Private (All authenticated users)
+ */
+exports.getRestructure = async (req, res) => {
+  try {
+    const restructure = await Restructure.findById(req.params.id)
+      .populate("customerId", "name customerId phoneNumber")
+      .populate("promiseId", "promiseId promiseType promiseAmount promiseDate status")
+      .lean();
+
+    if (!restructure) {
+      return res.status(404).json({
+        success: false,
+        message: "Restructure not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { restructure },
+    });
+  } catch (error) {
+    console.error("Get restructure error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching restructure",
+    });
+  }
+};
+
+/**
+ * @desc    Approve a restructure and regenerate the loan's installments
+ * @route   POST /api/restructures/:id/approve
+ * @access  Private (Admin, Supervisor - within discount authority)
+ */
+exports.approveRestructure = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const { restructure, loan, balances } = await RestructureService.approve(req.params.id, user, req.body.notes);
+
+    console.log(`✅ Restructure ${restructure.restructureId} approved by ${user.username}`);
+
+    await ActivityLogger.logSystem(
+      user.id,
+      'RESTRUCTURE_APPROVE',
+      `Approved ${restructure.type.toLowerCase()} ${restructure.restructureId} of ${restructure.loanRef} (discount KES ${restructure.discountAmount})`,
+      {
+        restructureId: restructure.restructureId,
+        customerId: restructure.customerId,
+        requestedBy: restructure.requestedBy,
+        discountPercent: restructure.discountPercent,
+      }
+    );
+
+    res.json({
+      success: true,
+      message: "Restructure approved",
+      data: { restructure, loan, balances },
+    });
+  } catch (error) {
+    console.error("Approve restructure error:", error);
+    sendError(res, error, "Error approving restructure");
+  }
+};
+
+/**
+ * @desc    Reject a restructure
+ * @route   POST /api/restructures/:id/reject
+ * @access  Private (Admin, Supervisor)
+ */
+exports.rejectRestructure = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const restructure = await RestructureService.reject(req.params.id, user, req.body.notes);
+
+    await ActivityLogger.logSystem(
+      user.id,
+      'RESTRUCTURE_REJECT',
+      `Rejected restructure ${restructure.restructureId}`,
+      { restructureId: restructure.restructureId, customerId: restructure.customerId, notes: req.body.notes }
+    );
+
+    res.json({
+      success: true,
+      message: "Restructure rejected",
+      data: { restructure },
+    });
+  } catch (error) {
+    console.error("Reject restructure error:", error);
+    sendError(res, error, "Error rejecting restructure");
+  }
+};
+
+/**
+ * @desc    Put a loan back on its original terms
+ * @route   POST /api/restructures/:id/revert
+ * @access  Private (Admin, Supervisor)
+ */
+exports.revertRestructure = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const { reason } = req.body;
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a reason for reverting",
+      });
+    }
+
+    const { restructure, loan, balances } = await RestructureService.revert(req.params.id, reason.trim(), user);
+
+    console.log(`↩️ Restructure ${restructure.restructureId} reverted by ${user.username}`);
+
+    await ActivityLogger.logSystem(
+      user.id,
+      'RESTRUCTURE_REVERT',
+      `Reverted restructure ${restructure.restructureId} on ${restructure.loanRef}`,
+      { restructureId: restructure.restructureId, customerId: restructure.customerId, reason: restructure.revertReason }
+    );
+
+    res.json({
+      success: true,
+      message: "Loan reverted to its original terms",
+      data: { restructure, loan, balances },
+    });
+  } catch (error) {
+    console.error("Revert restructure error:", error);
+    sendError(res, error, "Error reverting restructure");
+  }
+};
+
+/**
+ * @desc    Run the restructure default check now instead of waiting for the nightly job
+ * @route   POST /api/restructures/check-defaults
+ * @access  Private (Admin)
+ */
+exports.runDefaultCheck = async (req, res) => {
+  try {
+    const summary = await RestructureService.runDefaultCheck();
+
+    res.json({
+      success: true,
+      message: "Restructure default check completed",
+      data: { summary },
+    });
+  } catch (error) {
+    console.error("Restructure default check error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error running restructure default check",
+    });
+  }
+};
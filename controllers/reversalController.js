@@ -0,0 +1,249 @@
+// controllers/reversalController.js
+const Transaction = require("../models/Transaction");
+const ReversalRequest = require("../models/ReversalRequest");
+const ReversalService = require("../services/reversalService");
+const ActivityLogger = require("../services/activityLogger");
+
+/**
+ * @desc    Request reversal/refund of a successful payment
+ * @route   POST /api/payments/reversals
+ * @access  Private (All authenticated users)
+ */
+exports.requestReversal = async (req, res) => {
+  const startTime = Date.now();
+  const user = req.user;
+  const { transactionId, reason, type, refundReference } = req.body;
+
+  try {
+    if (!transactionId) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide the transaction to reverse",
+      });
+    }
+
+    if (type && !["REVERSAL", "REFUND"].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: "Type must be REVERSAL or REFUND",
+      });
+    }
+
+    const { request, transaction } = await ReversalService.createRequest(transactionId, {
+      reason,
+      type,
+      refundReference,
+      user,
+    });
+
+    console.log(`↩️ Reversal ${request.requestId} requested for ${transaction.transactionId} by ${user.username}`);
+
+    await ActivityLogger.logTransaction(
+      user.id,
+      'TRANSACTION_REVERSAL_REQUEST',
+      transaction,
+      {
+        requestId: request.requestId,
+        type: request.type,
+        reason: request.reason,
+        duration: Date.now() - startTime
+      }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Reversal request submitted for approval",
+      data: { request },
+    });
+  } catch (error) {
+    console.error("Request reversal error:", error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    await ActivityLogger.logError(
+      user.id,
+      'TRANSACTION_REVERSAL_REQUEST',
+      'Failed to request transaction reversal',
+      error,
+      { transactionId, duration: Date.now() - startTime }
+    );
+
+    res.status(500).json({
+      success: false,
+      message: "Error requesting reversal",
+    });
+  }
+};
+
+/**
+ * @desc    List reversal requests (officers see their own)
+ * @route   GET /api/payments/reversals
+ * @access  Private (All authenticated users)
+ */
+exports.getReversalRequests = async (req, res) => {
+  try {
+    const user = req.user;
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status && status !== "all") {
+      query.status = status;
+    }
+
+    const role = user.role === "agent" ? "officer" : user.role;
+    if (role === "officer") {
+      query.requestedByUserId = user.id;
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const [requests, total] = await Promise.all([
+      ReversalRequest.find(query)
+        .populate("customerId", "name customerId phoneNumber")
+        .populate("transactionId", "transactionId amount mpesaReceiptNumber status processedAt")
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      ReversalRequest.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        requests,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get reversal requests error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching reversal requests",
+    });
+  }
+};
+
+/**
+ * @desc    Approve a reversal request and roll back the payment
+ * @route   POST /api/payments/reversals/:id/approve
+ * @access  Private (Users with canApproveTransactions)
+ */
+exports.approveReversal = async (req, res) => {
+  const startTime = Date.now();
+  const user = req.user;
+
+  try {
+    const { request, original, reversal, customer } = await ReversalService.approveRequest(
+      req.params.id,
+      user,
+      req.body.notes,
+    );
+
+    console.log(`✅ Reversal ${request.requestId} approved by ${user.username}`);
+    console.log(`💰 ${customer.name} loan balance restored to ${customer.loanBalance}`);
+
+    await ActivityLogger.logTransaction(
+      user.id,
+      'TRANSACTION_REVERSE',
+      original,
+      {
+        requestId: request.requestId,
+        type: request.type,
+        reason: request.reason,
+        reversalTransactionId: reversal.transactionId,
+        requestedBy: request.requestedBy,
+        loanBalanceAfter: customer.loanBalance,
+        arrearsAfter: customer.arrears,
+        duration: Date.now() - startTime
+      }
+    );
+
+    res.json({
+      success: true,
+      message: "Payment reversed",
+      data: {
+        request,
+        reversal,
+        customer: {
+          name: customer.name,
+          loanBalance: customer.loanBalance,
+          arrears: customer.arrears,
+          totalRepayments: customer.totalRepayments,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Approve reversal error:", error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    await ActivityLogger.logError(
+      user.id,
+      'TRANSACTION_REVERSE',
+      'Failed to reverse transaction',
+      error,
+      { requestId: req.params.id, duration: Date.now() - startTime }
+    );
+
+    res.status(500).json({
+      success: false,
+      message: "Error reversing transaction: " + error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Reject a reversal request
+ * @route   POST /api/payments/reversals/:id/reject
+ * @access  Private (Users with canApproveTransactions)
+ */
+exports.rejectReversal = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const request = await ReversalService.rejectRequest(req.params.id, user, req.body.notes);
+    const transaction = await Transaction.findById(request.transactionId);
+
+    if (transaction) {
+      await ActivityLogger.logTransaction(
+        user.id,
+        'TRANSACTION_REVERSAL_REJECT',
+        transaction,
+        {
+          requestId: request.requestId,
+          notes: request.reviewNotes
+        }
+      );
+    }
+
+    res.json({
+      success: true,
+      message: "Reversal request rejected",
+      data: { request },
+    });
+  } catch (error) {
+    console.error("Reject reversal error:", error);
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Error rejecting reversal request",
+    });
+  }
+};
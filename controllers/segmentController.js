@@ -0,0 +1,240 @@
+// controllers/segmentController.js
+const SegmentService = require("../services/segmentService");
+const ActivityLogger = require("../services/activityLogger");
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+/**
+ * @desc    Filter language reference: keys, types and allowed values
+ * @route   GET /api/segments/fields
+ * @access  Private (All authenticated users)
+ */
+exports.getFields = async (req, res) => {
+  res.json({
+    success: true,
+    data: { fields: SegmentService.getFields() },
+  });
+};
+
+/**
+ * @desc    Customers matching ad-hoc filters, before saving them as a segment
+ * @route   POST /api/segments/preview
+ * @access  Private (All authenticated users; officers only see their own customers)
+ * @body    filters, page, limit, sortBy, sortOrder
+ */
+exports.previewSegment = async (req, res) => {
+  try {
+    const { filters, page, limit, sortBy, sortOrder } = req.body;
+    const result = await SegmentService.preview(SegmentService.parseFilters(filters), req.user, {
+      page,
+      limit,
+      sortBy,
+      sortOrder,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Preview segment error:", error);
+    sendError(res, error, "Error previewing segment");
+  }
+};
+
+/**
+ * @desc    Segments owned by or shared with the current user
+ * @route   GET /api/segments
+ * @access  Private (All authenticated users)
+ */
+exports.getSegments = async (req, res) => {
+  try {
+    const segments = await SegmentService.getSegments(req.user);
+
+    res.json({
+      success: true,
+      data: { segments, count: segments.length },
+    });
+  } catch (error) {
+    console.error("Get segments error:", error);
+    sendError(res, error, "Error fetching segments");
+  }
+};
+
+/**
+ * @desc    Save a named segment
+ * @route   POST /api/segments
+ * @access  Private (All authenticated users; sharing with a team needs Supervisor/Admin)
+ * @body    name, description, filters, visibility (PRIVATE | TEAM)
+ */
+exports.createSegment = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const segment = await SegmentService.createSegment(req.body, user);
+
+    console.log(`🗂️ ${user.username} saved segment "${segment.name}" (${segment.lastCount} customers)`);
+
+    await ActivityLogger.logSystem(
+      user.id,
+      'SEGMENT_SAVE',
+      `Saved segment "${segment.name}"`,
+      { segmentId: segment.segmentId, filters: segment.filters, visibility: segment.visibility }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Segment saved",
+      data: { segment },
+    });
+  } catch (error) {
+    console.error("Create segment error:", error);
+    sendError(res, error, "Error saving segment");
+  }
+};
+
+/**
+ * @desc    Evaluate a saved segment and return its customers
+ * @route   GET /api/segments/:id?page=1&limit=20&sortBy=arrears&sortOrder=desc
+ * @access  Private (Owner, team members of a shared segment, Admin)
+ */
+exports.getSegment = async (req, res) => {
+  try {
+    const result = await SegmentService.runSegment(req.params.id, req.user, req.query);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Get segment error:", error);
+    sendError(res, error, "Error fetching segment");
+  }
+};
+
+/**
+ * @desc    Rename a segment, change its filters or share it
+ * @route   PUT /api/segments/:id
+ * @access  Private (Owner, Admin)
+ */
+exports.updateSegment = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const segment = await SegmentService.updateSegment(req.params.id, req.body, user);
+
+    await ActivityLogger.logSystem(
+      user.id,
+      'SEGMENT_SAVE',
+      `Updated segment "${segment.name}"`,
+      { segmentId: segment.segmentId, changes: Object.keys(req.body), visibility: segment.visibility }
+    );
+
+    res.json({
+      success: true,
+      message: "Segment updated",
+      data: { segment },
+    });
+  } catch (error) {
+    console.error("Update segment error:", error);
+    sendError(res, error, "Error updating segment");
+  }
+};
+
+/**
+ * @desc    Delete a segment
+ * @route   DELETE /api/segments/:id
+ * @access  Private (Owner, Admin)
+ */
+exports.deleteSegment = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const segment = await SegmentService.deleteSegment(req.params.id, user);
+
+    await ActivityLogger.logSystem(
+      user.id,
+      'SEGMENT_DELETE',
+      `Deleted segment "${segment.name}"`,
+      { segmentId: segment.segmentId }
+    );
+
+    res.json({
+      success: true,
+      message: "Segment deleted",
+    });
+  } catch (error) {
+    console.error("Delete segment error:", error);
+    sendError(res, error, "Error deleting segment");
+  }
+};
+
+/**
+ * @desc    Export a segment's customers as CSV
+ * @route   GET /api/segments/:id/export
+ * @access  Private (Owner, team members of a shared segment, Admin)
+ */
+exports.exportSegment = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const { segment, csv, count } = await SegmentService.exportSegment(req.params.id, user);
+
+    await ActivityLogger.logSystem(
+      user.id,
+      'DATA_EXPORT',
+      `Exported segment "${segment.name}" (${count} customers)`,
+      { segmentId: segment.segmentId, count }
+    );
+
+    const filename = `segment_${segment.segmentId}_${new Date().toISOString().split("T")[0]}.csv`;
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(csv);
+  } catch (error) {
+    console.error("Export segment error:", error);
+    sendError(res, error, "Error exporting segment");
+  }
+};
+
+/**
+ * @desc    Send the WhatsApp arrears reminder to a segment through the contact policy
+ * @route   POST /api/segments/:id/campaign
+ * @access  Private (Admin, Supervisor)
+ * @body    dryRun, limit, overrideReason
+ */
+exports.runCampaign = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const { segment, summary, results } = await SegmentService.runCampaign(req.params.id, req.body, user);
+
+    console.log(`📣 Campaign ${summary.reference} on "${segment.name}": ${summary.sent} sent, ${summary.blocked} blocked, ${summary.failed} failed${summary.dryRun ? " (dry run)" : ""}`);
+
+    if (!summary.dryRun) {
+      await ActivityLogger.logSystem(
+        user.id,
+        'CAMPAIGN_RUN',
+        `Ran campaign ${summary.reference} on segment "${segment.name}"`,
+        { segmentId: segment.segmentId, summary }
+      );
+    }
+
+    res.json({
+      success: true,
+      message: summary.dryRun ? "Campaign dry run completed" : "Campaign completed",
+      data: { summary, results },
+    });
+  } catch (error) {
+    console.error("Run campaign error:", error);
+    sendError(res, error, "Error running campaign");
+  }
+};
@@ -5,6 +5,8 @@ const Transaction = require('../models/Transaction');
 const Promise = require('../models/Promise');
 const ActivityLogger = require('../services/activityLogger');
 const ReportGenerator = require('../services/reportGenerator');
+const WriteOffService = require('../services/writeOffService');
+const SegmentService = require('../services/segmentService');
 
 let Comment;
 try {
@@ -77,11 +79,15 @@ exports.getDashboardOverview = async (req, res) => {
       {
         $group: {
           _id: null,
-          totalAmount: { $sum: '$amount' },
-          count: { $sum: 1 }
+          // Recoveries on written-off loans are reported apart from collections
+          totalAmount: { $sum: { $subtract: ['$amount', { $ifNull: ['$recoveryAmount', 0] }] } },
+          count: { $sum: 1 },
+          recoveredAmount: { $sum: { $ifNull: ['$recoveryAmount', 0] } }
         }
       }
     ]);
+
+    const recoveries = await WriteOffService.getRecoveryStats({ from: today, to: tomorrow });
     
     // 8. Get call statistics from Activity model (only important calls)
     const sevenDaysAgo = new Date();
@@ -175,7 +181,8 @@ exports.getDashboardOverview = async (req, res) => {
         upcomingPromises, // Promises due soon
         brokenPromises, // Broken promises for monitoring
         loanTypeDistribution,
-        todaysCollections: todaysCollections[0] || { totalAmount: 0, count: 0 },
+        todaysCollections: todaysCollections[0] || { totalAmount: 0, count: 0, recoveredAmount: 0 },
+        recoveries,
         callStats: {
           last7Days: callStatsData,
           totalThisWeek: callStatsData.reduce((sum, day) => sum + day.count, 0)
@@ -567,7 +574,8 @@ exports.getOfficerCollections = async (req, res) => {
             transactionId: t.transactionId || t._id.toString().slice(-8),
             customerName: t.customerId?.customerName || 'Unknown Customer',
             phoneNumber: t.customerId?.phoneNumber || 'N/A',
-            amount: t.amount,
+            amount: t.amount - (t.recoveryAmount || 0),
+            recoveryAmount: t.recoveryAmount || 0,
             status: t.status,
             receipt: t.mpesaReceiptNumber || `TXN${t._id.toString().slice(-6)}`,
             loanType: t.loanType || 'Not Specified',
@@ -577,7 +585,8 @@ exports.getOfficerCollections = async (req, res) => {
         res.json({
             success: true,
             data: collections,
-            count: collections.length
+            count: collections.length,
+            totalRecovered: collections.reduce((sum, c) => sum + c.recoveryAmount, 0)
         });
 
     } catch (error) {
@@ -1310,7 +1319,7 @@ exports.runBulkAssignment = async (req, res) => {
   const startTime = Date.now();
   
   try {
-    const { loanType, limit, excludeAssigned = true } = req.body;
+    const { loanType, limit, excludeAssigned = true, segmentId, filters } = req.body;
     const user = req.user;
     
     console.log(`🔄 Bulk assignment request from: ${user.username}, loanType: ${loanType}, limit: ${limit}`);
@@ -1327,7 +1336,7 @@ exports.runBulkAssignment = async (req, res) => {
     };
     
     // Get unassigned customers
-    const query = {
+    let query = {
       assignedTo: null,
       isActive: true
     };
@@ -1335,6 +1344,20 @@ exports.runBulkAssignment = async (req, res) => {
     if (loanType) {
       query.loanType = loanType;
     }
+
+    // A saved segment or inline segment filters pick the customers instead
+    let segment = null;
+    if (segmentId || filters) {
+      const resolved = await SegmentService.resolveFilters({ segmentId, filters }, user);
+      segment = resolved.segment;
+      query = await SegmentService.buildQuery(resolved.filters, user);
+      if (excludeAssigned) {
+        query = { $and: [query, { assignedTo: null }] };
+      }
+      if (loanType) {
+        query = { $and: [query, { loanType }] };
+      }
+    }
     
     const unassignedCustomers = await Customer.find(query).limit(limit || 50);
     
@@ -1413,6 +1436,8 @@ exports.runBulkAssignment = async (req, res) => {
       requestDetails: {
         assignmentType: 'round_robin',
         loanType,
+        segmentId: segment ? segment.segmentId : undefined,
+        filters,
         limit: limit || 50,
         results: {
           assignedCount: result.data.assignedCount,
@@ -1428,6 +1453,10 @@ exports.runBulkAssignment = async (req, res) => {
     
   } catch (error) {
     console.error('Bulk assignment error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     
     // Log error
     await ActivityLogger.logError(
@@ -0,0 +1,229 @@
+// controllers/writeOffController.js
+const WriteOffBatch = require("../models/WriteOffBatch");
+const WriteOffService = require("../services/writeOffService");
+const ActivityLogger = require("../services/activityLogger");
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  return res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+/**
+ * @desc    Loans at or past a DPD threshold that could be written off
+ * @route   GET /api/write-offs/candidates?dpdThreshold=180&loanType=
+ * @access  Private (Admin, Supervisor)
+ */
+exports.getCandidates = async (req, res) => {
+  try {
+    const loans = await WriteOffService.findCandidates(req.query);
+
+    res.json({
+      success: true,
+      data: {
+        loans,
+        count: loans.length,
+        totalOutstanding: loans.reduce((sum, loan) => sum + loan.outstandingBalance, 0),
+      },
+    });
+  } catch (error) {
+    console.error("Get write-off candidates error:", error);
+    sendError(res, error, "Error fetching write-off candidates");
+  }
+};
+
+/**
+ * @desc    Propose a write-off batch for admin approval
+ * @route   POST /api/write-offs/batches
+ * @access  Private (Admin, Supervisor)
+ */
+exports.proposeBatch = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const batch = await WriteOffService.proposeBatch(req.body, user);
+
+    console.log(`📝 Write-off batch ${batch.batchId} proposed by ${user.username}: ${batch.items.length} loans, KES ${batch.totalAmount}`);
+
+    await ActivityLogger.logSystem(
+      user.id,
+      'WRITE_OFF_PROPOSE',
+      `Proposed write-off batch ${batch.batchId} of ${batch.items.length} loans (KES ${batch.totalAmount})`,
+      { batchId: batch.batchId, dpdThreshold: batch.dpdThreshold, loanType: batch.loanType }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Write-off batch submitted for admin approval",
+      data: { batch },
+    });
+  } catch (error) {
+    console.error("Propose write-off batch error:", error);
+    sendError(res, error, "Error proposing write-off batch");
+  }
+};
+
+/**
+ * @desc    List write-off batches
+ * @route   GET /api/write-offs/batches
+ * @access  Private (Admin, Supervisor)
+ */
+exports.getBatches = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status && status !== "all") query.status = status;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const [batches, total] = await Promise.all([
+      WriteOffBatch.find(query)
+        .select("-items")
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      WriteOffBatch.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        batches,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get write-off batches error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching write-off batches",
+    });
+  }
+};
+
+/**
+ * @desc    Get a write-off batch with its loans
+ * @route   GET /api/write-offs/batches/:id
+ * @access  Private (Admin, Supervisor)
+ */
+exports.getBatch = async (req, res) => {
+  try {
+    const batch = await WriteOffBatch.findById(req.params.id).lean();
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: "Write-off batch not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { batch },
+    });
+  } catch (error) {
+    console.error("Get write-off batch error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching write-off batch",
+    });
+  }
+};
+
+/**
+ * @desc    Approve a batch and move its balances off-book
+ * @route   POST /api/write-offs/batches/:id/approve
+ * @access  Private (Admin)
+ */
+exports.approveBatch = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const { notes } = req.body;
+    const excludeLoanIds = Array.isArray(req.body.excludeLoanIds) ? req.body.excludeLoanIds : [];
+    const batch = await WriteOffService.approveBatch(req.params.id, user, { excludeLoanIds, notes });
+
+    const posted = batch.items.filter(item => item.status === "POSTED").length;
+    console.log(`✅ Write-off batch ${batch.batchId} approved by ${user.username}: ${posted} loans, KES ${batch.totalWrittenOff}`);
+
+    await ActivityLogger.logSystem(
+      user.id,
+      'WRITE_OFF_APPROVE',
+      `Approved write-off batch ${batch.batchId}: ${posted} loans written off (KES ${batch.totalWrittenOff})`,
+      { batchId: batch.batchId, proposedBy: batch.proposedBy, excluded: excludeLoanIds }
+    );
+
+    res.json({
+      success: true,
+      message: `${posted} of ${batch.items.length} loans written off`,
+      data: { batch },
+    });
+  } catch (error) {
+    console.error("Approve write-off batch error:", error);
+    sendError(res, error, "Error approving write-off batch");
+  }
+};
+
+/**
+ * @desc    Reject a write-off batch
+ * @route   POST /api/write-offs/batches/:id/reject
+ * @access  Private (Admin)
+ */
+exports.rejectBatch = async (req, res) => {
+  const user = req.user;
+
+  try {
+    const batch = await WriteOffService.rejectBatch(req.params.id, user, req.body.notes);
+
+    await ActivityLogger.logSystem(
+      user.id,
+      'WRITE_OFF_REJECT',
+      `Rejected write-off batch ${batch.batchId}`,
+      { batchId: batch.batchId, notes: req.body.notes }
+    );
+
+    res.json({
+      success: true,
+      message: "Write-off batch rejected",
+      data: { batch },
+    });
+  } catch (error) {
+    console.error("Reject write-off batch error:", error);
+    sendError(res, error, "Error rejecting write-off batch");
+  }
+};
+
+/**
+ * @desc    Recoveries on written-off loans and the remaining written-off portfolio
+ * @route   GET /api/write-offs/recoveries?from=&to=
+ * @access  Private (Admin, Supervisor)
+ */
+exports.getRecoveries = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const stats = await WriteOffService.getRecoveryStats({ from, to });
+
+    res.json({
+      success: true,
+      data: stats,
+    });
+  } catch (error) {
+    console.error("Get recoveries error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching recoveries",
+    });
+  }
+};
@@ -0,0 +1,162 @@
+// middleware/idempotency.js
+// Replays the stored response when a client retries a request with the same
+// Idempotency-Key header, so double-clicks and network retries don't create
+// duplicate payments. Must run after protect (keys are scoped per user).
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const MAX_KEY_LENGTH = 255;
+
+const getWindowMs = () => {
+  const hours = parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+  return hours * 60 * 60 * 1000;
+};
+
+// A request that crashed mid-way never clears its IN_PROGRESS record
+const getLockTimeoutMs = () => {
+  const minutes = parseFloat(process.env.IDEMPOTENCY_LOCK_TIMEOUT_MINUTES) || 5;
+  return minutes * 60 * 1000;
+};
+
+// Stable JSON so {a,b} and {b,a} hash the same
+const stableStringify = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+};
+
+const hashRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path} ${stableStringify(req.body || {})}`)
+    .digest('hex');
+};
+
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const userId = req.user?.id;
+  if (!userId) {
+    return next();
+  }
+
+  const route = `${req.method} ${req.baseUrl}${req.path}`;
+  const requestHash = hashRequest(req);
+  const filter = { key, userId, route };
+  let lockedAt;
+
+  try {
+    let record = await IdempotencyKey.findOne(filter);
+
+    // The TTL monitor only runs every minute, so treat expired keys as gone
+    if (record && record.expiresAt < new Date()) {
+      await IdempotencyKey.deleteOne({ _id: record._id });
+      record = null;
+    }
+
+    if (record) {
+      if (record.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key was already used with a different request'
+        });
+      }
+
+      if (record.status === 'COMPLETED') {
+        console.log(`🔁 Replaying stored response for Idempotency-Key ${key}`);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.responseStatus).json(record.responseBody);
+      }
+
+      const previousLock = record.lockedAt || record.createdAt;
+      if (Date.now() - previousLock.getTime() < getLockTimeoutMs()) {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      // Take over the stale lock; only one retry can win it
+      lockedAt = new Date();
+      const claimed = await IdempotencyKey.findOneAndUpdate(
+        {
+          _id: record._id,
+          status: 'IN_PROGRESS',
+          lockedAt: record.lockedAt || { $exists: false }
+        },
+        { $set: { lockedAt, expiresAt: new Date(Date.now() + getWindowMs()) } }
+      );
+      if (!claimed) {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+      console.warn(`⚠️ Reclaimed stale Idempotency-Key ${key} locked since ${previousLock.toISOString()}`);
+    } else {
+      lockedAt = new Date();
+      await IdempotencyKey.create({
+        ...filter,
+        requestHash,
+        lockedAt,
+        expiresAt: new Date(Date.now() + getWindowMs())
+      });
+    }
+  } catch (error) {
+    if (error.code === 11000) {
+      // Another request with the same key won the race
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is still being processed'
+      });
+    }
+    console.error('Idempotency check failed:', error.message);
+    return next();
+  }
+
+  let responseBody;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return originalJson(body);
+  };
+
+  // A request whose lock was reclaimed must not overwrite the retry's record
+  const ownLock = { ...filter, status: 'IN_PROGRESS', lockedAt };
+
+  res.on('finish', async () => {
+    try {
+      // Server errors are not stored so the client can retry with the same key
+      if (res.statusCode >= 500 || responseBody === undefined) {
+        await IdempotencyKey.deleteOne(ownLock);
+        return;
+      }
+
+      await IdempotencyKey.updateOne(ownLock, {
+        status: 'COMPLETED',
+        responseStatus: res.statusCode,
+        responseBody
+      });
+    } catch (error) {
+      console.error('Failed to store idempotent response:', error.message);
+    }
+  });
+
+  next();
+};
+
+module.exports = idempotency;
@@ -12,6 +12,17 @@ class PerformanceTracker {
       const user = await User.findById(userId);
       if (!user) return;
 
+      // Credit a payment once, and record it so a reversal takes back only what was credited
+      if (transaction.status === 'SUCCESS') {
+        const credit = { userId: user._id, amount: transaction.amount };
+        const claimed = await Transaction.updateOne(
+          { _id: transaction._id, 'officerCredit.userId': { $exists: false } },
+          { $set: { officerCredit: credit } }
+        );
+        if (!claimed.modifiedCount) return;
+        transaction.officerCredit = credit;
+      }
+
       const metrics = user.performanceMetrics;
       
       // Update transaction counts
@@ -48,6 +59,46 @@ class PerformanceTracker {
     }
   }
 
+  /**
+   * Take a reversed payment back out of the collection metrics of the officer it was
+   * credited to (transaction.officerCredit). Payments never credited change nothing.
+   * @param {Object} transaction - the original (reversed) transaction
+   * @param {ClientSession} session - optional Mongo session
+   */
+  static async reverseTransaction(transaction, session = null) {
+    const credit = transaction.officerCredit;
+    if (!credit?.userId) return;
+
+    const user = await User.findById(credit.userId).session(session);
+    if (!user) return;
+
+    const metrics = user.performanceMetrics;
+    const totalCollections = Math.max(0, (metrics.totalCollections || 0) - credit.amount);
+    const successfulTransactions = Math.max(0, (metrics.successfulTransactions || 0) - 1);
+
+    const update = {
+      'performanceMetrics.totalCollections': totalCollections,
+      'performanceMetrics.successfulTransactions': successfulTransactions,
+      'performanceMetrics.averageTransactionAmount': successfulTransactions > 0
+        ? totalCollections / successfulTransactions
+        : 0
+    };
+
+    // Also take it off the day it was collected
+    const collectedOn = new Date(transaction.processedAt || transaction.createdAt);
+    const dayIndex = user.dailyActivity.findIndex(record =>
+      record.date.toDateString() === collectedOn.toDateString()
+    );
+    if (dayIndex !== -1) {
+      const record = user.dailyActivity[dayIndex];
+      update[`dailyActivity.${dayIndex}.transactions`] = Math.max(0, (record.transactions || 0) - 1);
+      update[`dailyActivity.${dayIndex}.amountCollected`] = Math.max(0, (record.amountCollected || 0) - credit.amount);
+    }
+
+    // updateOne keeps the User save hooks out of the reversal session
+    await User.updateOne({ _id: user._id }, { $set: update }, { session });
+  }
+
   /**
    * Update user performance metrics after a promise
    */
@@ -0,0 +1,95 @@
+// middleware/upload.js
+// File upload handling (multer). Spreadsheets are kept in memory and parsed by
+// the controller; payment proofs are stored on local disk under UPLOAD_DIR.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx', '.xls'];
+const MAX_SPREADSHEET_SIZE = 10 * 1024 * 1024; // 10MB
+
+const PROOF_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.pdf': 'application/pdf'
+};
+const MAX_PROOF_SIZE = 5 * 1024 * 1024; // 5MB
+
+const UPLOAD_ROOT = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+const PROOF_DIR = path.join(UPLOAD_ROOT, 'payment-proofs');
+
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_SPREADSHEET_SIZE },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (!SPREADSHEET_EXTENSIONS.includes(extension)) {
+      const error = new Error(`Only ${SPREADSHEET_EXTENSIONS.join(', ')} files are allowed`);
+      error.statusCode = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+const proofUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(PROOF_DIR, { recursive: true }, (error) => cb(error, PROOF_DIR));
+    },
+    filename: (req, file, cb) => {
+      const extension = path.extname(file.originalname || '').toLowerCase();
+      cb(null, `${Date.now()}-${crypto.randomBytes(6).toString('hex')}${extension}`);
+    }
+  }),
+  limits: { fileSize: MAX_PROOF_SIZE },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (PROOF_TYPES[extension] !== file.mimetype) {
+      const error = new Error('Proof must be a JPG, PNG or PDF file');
+      error.statusCode = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Wrap a multer handler so upload errors come back as JSON 400s
+ * instead of falling through to the global error handler.
+ */
+const handleUpload = (uploadHandler) => {
+  return (req, res, next) => {
+    uploadHandler(req, res, (error) => {
+      if (!error) return next();
+
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? 'File is too large'
+        : error.message;
+
+      return res.status(error.statusCode || 400).json({
+        success: false,
+        message
+      });
+    });
+  };
+};
+
+/**
+ * Accept a single CSV/XLSX file in the "file" form field
+ */
+const uploadSpreadsheet = (fieldName = 'file') => handleUpload(spreadsheetUpload.single(fieldName));
+
+/**
+ * Accept a single image/PDF proof of payment, stored on disk
+ */
+const uploadProof = (fieldName = 'proof') => handleUpload(proofUpload.single(fieldName));
+
+module.exports = {
+  uploadSpreadsheet,
+  uploadProof,
+  handleUpload,
+  UPLOAD_ROOT
+};
@@ -28,15 +28,27 @@ const ActivitySchema = new mongoose.Schema({
       'LOGIN', 'LOGOUT', 'PASSWORD_CHANGE',
       
       // Customer Operations
-      'CUSTOMER_CREATE', 'CUSTOMER_UPDATE', 'CUSTOMER_VIEW', 'CUSTOMER_DELETE',
+      'CUSTOMER_CREATE', 'CUSTOMER_UPDATE', 'CUSTOMER_VIEW', 'CUSTOMER_DELETE', 'CUSTOMER_IMPORT', 'CUSTOMER_MERGE',
+      'CUSTOMER_RESTORE', 'CUSTOMER_ANONYMISE', 'RETENTION_HOLD_UPDATE',
+      'CUSTOMER_REVIEW_FLAG', 'CUSTOMER_REVIEW_RESOLVE',
+      'CONTACT_ADD', 'CONTACT_UPDATE', 'CONTACT_VERIFY', 'CONTACT_REMOVE',
+      'CONTACT_BLOCKED', 'CONTACT_OVERRIDE', 'CONTACT_PREFERENCES_UPDATE',
       
       // Transaction Operations
       'TRANSACTION_INITIATE', 'TRANSACTION_SUCCESS', 'TRANSACTION_FAIL', 
       'TRANSACTION_EXPIRE', 'TRANSACTION_CANCEL', 'TRANSACTION_VIEW',
+      'TRANSACTION_REVERSAL_REQUEST', 'TRANSACTION_REVERSAL_REJECT', 'TRANSACTION_REVERSE',
+      
+      // Finance Operations
+      'RECONCILIATION_RUN', 'RECONCILIATION_RESOLVE', 'LOAN_CREATE',
+      'FEE_RULE_UPDATE', 'FEE_ACCRUAL_RUN', 'FEE_WAIVER_REQUEST', 'FEE_WAIVER_APPROVE', 'FEE_WAIVER_REJECT',
+      'RESTRUCTURE_REQUEST', 'RESTRUCTURE_APPROVE', 'RESTRUCTURE_REJECT', 'RESTRUCTURE_REVERT', 'DISCOUNT_AUTHORITY_UPDATE',
+      'WRITE_OFF_PROPOSE', 'WRITE_OFF_APPROVE', 'WRITE_OFF_REJECT',
       
       // Promise Operations
       'PROMISE_CREATE', 'PROMISE_UPDATE', 'PROMISE_FULFILL', 'PROMISE_BREAK',
-      'PROMISE_FOLLOWUP', 'PROMISE_VIEW',
+      'PROMISE_FOLLOWUP', 'PROMISE_VIEW', 'PROMISE_ESCALATION_RULE_UPDATE', 'PROMISE_BREAK_RUN', 'PROMISE_REMINDER_RUN',
+      'PROMISE_RESCHEDULE', 'PROMISE_RESCHEDULE_REQUEST', 'PROMISE_RESCHEDULE_APPROVE', 'PROMISE_RESCHEDULE_REJECT',
       
       // Assignment Operations
       'CUSTOMER_ASSIGN', 'CUSTOMER_REASSIGN', 'BULK_ASSIGNMENT',
@@ -45,7 +57,8 @@ const ActivitySchema = new mongoose.Schema({
       'USER_CREATE', 'USER_UPDATE', 'USER_DEACTIVATE', 'USER_VIEW',
       
       // System Operations
-      'REPORT_GENERATE', 'DATA_EXPORT', 'SETTINGS_UPDATE', 'SYSTEM_VIEW',
+      'REPORT_GENERATE', 'DATA_EXPORT', 'SETTINGS_UPDATE', 'SYSTEM_VIEW', 'CONTACT_POLICY_UPDATE',
+      'SEGMENT_SAVE', 'SEGMENT_DELETE', 'CAMPAIGN_RUN', 'CUSTOM_FIELD_UPDATE', 'RETENTION_RUN',
       
       // Supervisor Operations
       'SUPERVISOR_DASHBOARD_VIEW', 'OFFICER_PERFORMANCE_VIEW',
@@ -176,6 +189,20 @@ ActivitySchema.virtual('category').get(function() {
     'CUSTOMER_UPDATE': 'customer',
     'CUSTOMER_VIEW': 'customer',
     'CUSTOMER_DELETE': 'customer',
+    'CUSTOMER_IMPORT': 'customer',
+    'CUSTOMER_MERGE': 'customer',
+    'CUSTOMER_RESTORE': 'customer',
+    'CUSTOMER_ANONYMISE': 'customer',
+    'RETENTION_HOLD_UPDATE': 'customer',
+    'CUSTOMER_REVIEW_FLAG': 'customer',
+    'CUSTOMER_REVIEW_RESOLVE': 'customer',
+    'CONTACT_ADD': 'customer',
+    'CONTACT_UPDATE': 'customer',
+    'CONTACT_VERIFY': 'customer',
+    'CONTACT_REMOVE': 'customer',
+    'CONTACT_BLOCKED': 'customer',
+    'CONTACT_OVERRIDE': 'customer',
+    'CONTACT_PREFERENCES_UPDATE': 'customer',
     
     'TRANSACTION_INITIATE': 'transaction',
     'TRANSACTION_SUCCESS': 'transaction',
@@ -183,6 +210,26 @@ ActivitySchema.virtual('category').get(function() {
     'TRANSACTION_EXPIRE': 'transaction',
     'TRANSACTION_CANCEL': 'transaction',
     'TRANSACTION_VIEW': 'transaction',
+    'TRANSACTION_REVERSAL_REQUEST': 'transaction',
+    'TRANSACTION_REVERSAL_REJECT': 'transaction',
+    'TRANSACTION_REVERSE': 'transaction',
+    
+    'RECONCILIATION_RUN': 'finance',
+    'RECONCILIATION_RESOLVE': 'finance',
+    'LOAN_CREATE': 'finance',
+    'FEE_RULE_UPDATE': 'finance',
+    'FEE_ACCRUAL_RUN': 'finance',
+    'FEE_WAIVER_REQUEST': 'finance',
+    'FEE_WAIVER_APPROVE': 'finance',
+    'FEE_WAIVER_REJECT': 'finance',
+    'RESTRUCTURE_REQUEST': 'finance',
+    'RESTRUCTURE_APPROVE': 'finance',
+    'RESTRUCTURE_REJECT': 'finance',
+    'RESTRUCTURE_REVERT': 'finance',
+    'DISCOUNT_AUTHORITY_UPDATE': 'finance',
+    'WRITE_OFF_PROPOSE': 'finance',
+    'WRITE_OFF_APPROVE': 'finance',
+    'WRITE_OFF_REJECT': 'finance',
     
     'PROMISE_CREATE': 'promise',
     'PROMISE_UPDATE': 'promise',
@@ -190,6 +237,13 @@ ActivitySchema.virtual('category').get(function() {
     'PROMISE_BREAK': 'promise',
     'PROMISE_FOLLOWUP': 'promise',
     'PROMISE_VIEW': 'promise',
+    'PROMISE_ESCALATION_RULE_UPDATE': 'promise',
+    'PROMISE_BREAK_RUN': 'promise',
+    'PROMISE_REMINDER_RUN': 'promise',
+    'PROMISE_RESCHEDULE': 'promise',
+    'PROMISE_RESCHEDULE_REQUEST': 'promise',
+    'PROMISE_RESCHEDULE_APPROVE': 'promise',
+    'PROMISE_RESCHEDULE_REJECT': 'promise',
     
     'USER_CREATE': 'user',
     'USER_UPDATE': 'user',
@@ -203,6 +257,12 @@ ActivitySchema.virtual('category').get(function() {
     'REPORT_GENERATE': 'system',
     'DATA_EXPORT': 'system',
     'SETTINGS_UPDATE': 'system',
+    'CONTACT_POLICY_UPDATE': 'system',
+    'SEGMENT_SAVE': 'system',
+    'SEGMENT_DELETE': 'system',
+    'CAMPAIGN_RUN': 'system',
+    'CUSTOM_FIELD_UPDATE': 'system',
+    'RETENTION_RUN': 'system',
     'SYSTEM_VIEW': 'system',
     
     'SUPERVISOR_DASHBOARD_VIEW': 'supervisor',
@@ -0,0 +1,47 @@
+// models/AgingHistory.js
+const mongoose = require('mongoose');
+
+/**
+ * One entry per customer per aging run in which their bucket changed.
+ * A customer's bucket on any date is the latest entry on or before that date.
+ */
+const agingHistorySchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  asOf: {
+    type: Date,
+    required: true
+  },
+  bucket: {
+    type: String,
+    enum: ['CURRENT', 'DPD_1_30', 'DPD_31_60', 'DPD_61_90', 'DPD_90_PLUS', 'NPL'],
+    required: true
+  },
+  previousBucket: {
+    type: String,
+    enum: ['CURRENT', 'DPD_1_30', 'DPD_31_60', 'DPD_61_90', 'DPD_90_PLUS', 'NPL', null],
+    default: null
+  },
+  daysPastDue: {
+    type: Number,
+    default: 0
+  },
+  loanBalance: {
+    type: Number,
+    default: 0
+  },
+  arrears: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+agingHistorySchema.index({ customerId: 1, asOf: -1 });
+agingHistorySchema.index({ bucket: 1, asOf: -1 });
+
+module.exports = mongoose.model('AgingHistory', agingHistorySchema);
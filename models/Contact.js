@@ -0,0 +1,95 @@
+// models/Contact.js
+const mongoose = require('mongoose');
+
+/**
+ * Additional ways of reaching a customer beyond Customer.phoneNumber
+ * (services/contactService.js). Only verified contacts that are not flagged
+ * do-not-use can be targeted by payment requests.
+ */
+const contactSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['ALTERNATE_MOBILE', 'WORK', 'GUARANTOR', 'EMPLOYER', 'NEXT_OF_KIN'],
+    required: [true, 'Please provide a contact type']
+  },
+  name: { // Person or organisation; blank for the customer's own numbers
+    type: String,
+    trim: true
+  },
+  relationship: { // e.g. spouse, brother, HR manager
+    type: String,
+    trim: true
+  },
+  phoneNumber: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  verificationStatus: {
+    type: String,
+    enum: ['UNVERIFIED', 'VERIFIED', 'FAILED'],
+    default: 'UNVERIFIED'
+  },
+  verificationMethod: {
+    type: String,
+    enum: ['CALL', 'SMS', 'WHATSAPP', 'IN_PERSON', 'DOCUMENT']
+  },
+  verifiedAt: Date,
+  verifiedBy: String,
+  verifiedByUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isPreferred: { // At most one per customer
+    type: Boolean,
+    default: false
+  },
+  doNotUse: {
+    type: Boolean,
+    default: false
+  },
+  doNotUseReason: {
+    type: String,
+    trim: true
+  },
+  lastUsedAt: Date, // Last payment request sent to this contact
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String,
+    required: true
+  },
+  createdByUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: String
+}, {
+  timestamps: true
+});
+
+contactSchema.index({ customerId: 1, isActive: 1, type: 1 });
+contactSchema.index({ phoneNumber: 1 });
+
+module.exports = mongoose.model('Contact', contactSchema);
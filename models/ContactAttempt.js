@@ -0,0 +1,55 @@
+// models/ContactAttempt.js
+const mongoose = require('mongoose');
+
+/**
+ * Every outbound collection contact checked by services/contactPolicyService.js,
+ * including the blocked ones. Allowed and overridden attempts count towards the
+ * daily and weekly limits.
+ */
+const contactAttemptSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['STK_PUSH', 'WHATSAPP', 'SMS', 'CALL'],
+    required: true
+  },
+  purpose: { // e.g. PAYMENT_REQUEST, PROMISE_REMINDER, FOLLOW_UP_CALL
+    type: String,
+    required: true
+  },
+  phoneNumber: String,
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact'
+  },
+  status: {
+    type: String,
+    enum: ['ALLOWED', 'BLOCKED', 'OVERRIDDEN'],
+    required: true
+  },
+  blockReasons: [{
+    code: String,
+    message: String
+  }],
+  overrideReason: String,
+  reference: String, // Transaction or promise the contact was about
+  initiatedBy: {
+    type: String,
+    default: 'system'
+  },
+  initiatedByUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+contactAttemptSchema.index({ customerId: 1, status: 1, createdAt: -1 });
+contactAttemptSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ContactAttempt', contactAttemptSchema);
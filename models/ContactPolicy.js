@@ -0,0 +1,66 @@
+// models/ContactPolicy.js
+const mongoose = require('mongoose');
+
+/**
+ * Outbound contact rules enforced by services/contactPolicyService.js.
+ * A single document (key "default") edited by admins; missing values fall back
+ * to the CONTACT_* environment defaults.
+ */
+const blackoutDateSchema = new mongoose.Schema({
+  date: { // YYYY-MM-DD in the policy timezone
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Blackout dates must be YYYY-MM-DD']
+  },
+  name: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const contactPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  timezone: {
+    type: String,
+    default: 'Africa/Nairobi'
+  },
+  allowedStartHour: { // Inclusive, 0-23
+    type: Number,
+    min: 0,
+    max: 23
+  },
+  allowedEndHour: { // Exclusive, 1-24
+    type: Number,
+    min: 1,
+    max: 24
+  },
+  allowedDays: { // 0 = Sunday ... 6 = Saturday
+    type: [Number],
+    validate: {
+      validator: (days) => days.every(day => Number.isInteger(day) && day >= 0 && day <= 6),
+      message: 'Allowed days must be 0 (Sunday) to 6 (Saturday)'
+    }
+  },
+  maxPerDay: {
+    type: Number,
+    min: [1, 'Daily limit must be at least 1']
+  },
+  maxPerWeek: {
+    type: Number,
+    min: [1, 'Weekly limit must be at least 1']
+  },
+  blackoutDates: [blackoutDateSchema],
+  updatedBy: String,
+  updatedByUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ContactPolicy', contactPolicySchema);
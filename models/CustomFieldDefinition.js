@@ -0,0 +1,61 @@
+// models/CustomFieldDefinition.js
+const mongoose = require('mongoose');
+
+/**
+ * Admin-defined customer attribute (e.g. branch, employer code). Values live in
+ * Customer.customFields under the definition's key and are validated by
+ * services/customFieldService.js.
+ */
+const customFieldDefinitionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Field key is required'],
+    unique: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_]{1,39}$/, 'Field key must be 2-40 lowercase letters, digits or underscores, starting with a letter']
+  },
+  label: {
+    type: String,
+    required: [true, 'Field label is required'],
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['TEXT', 'NUMBER', 'DATE', 'BOOLEAN', 'SELECT'],
+    required: true
+  },
+  options: [{ // Allowed values for SELECT fields
+    type: String,
+    trim: true
+  }],
+  validation: {
+    min: Number, // NUMBER: smallest value; DATE: not used
+    max: Number,
+    minLength: Number, // TEXT
+    maxLength: Number,
+    pattern: String // TEXT: regular expression the whole value must match
+  },
+  required: { // Required for every loan type
+    type: Boolean,
+    default: false
+  },
+  requiredForLoanTypes: [{
+    type: String,
+    enum: ['Digital Loans', 'Asset Finance', 'Consumer Loans', 'SME', 'Credit Cards']
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: String,
+  updatedBy: String
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('CustomFieldDefinition', customFieldDefinitionSchema);
@@ -45,6 +45,11 @@ const CustomerSchema = new mongoose.Schema({
     min: [0, 'Arrears cannot be negative'],
     default: 0
   },
+  writtenOffBalance: { // Off-book but still collectable; not part of loanBalance
+    type: Number,
+    default: 0,
+    min: [0, 'Written-off balance cannot be negative']
+  },
   totalRepayments: {
     type: Number,
     default: 0,
@@ -65,11 +70,110 @@ const CustomerSchema = new mongoose.Schema({
   lastPaymentDate: {
     type: Date
   },
+  // Set by the nightly aging job (services/agingService.js)
+  daysPastDue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  agingBucket: {
+    type: String,
+    enum: ['CURRENT', 'DPD_1_30', 'DPD_31_60', 'DPD_61_90', 'DPD_90_PLUS', 'NPL'],
+    default: 'CURRENT',
+    index: true
+  },
+  agingUpdatedAt: {
+    type: Date
+  },
+  // Behavioural risk score, 0 (low) to 100 (high) (services/riskScoringService.js)
+  riskScore: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: null,
+    index: true
+  },
+  riskBand: {
+    type: String,
+    enum: ['LOW', 'MEDIUM', 'HIGH', 'VERY_HIGH', null],
+    default: null,
+    index: true
+  },
+  riskFactors: [{
+    _id: false,
+    key: String,
+    label: String,
+    points: Number,
+    maxPoints: Number,
+    detail: String
+  }],
+  riskScoredAt: {
+    type: Date
+  },
+  tags: { // Free-form labels such as "disputed" or "legal", stored lowercase
+    type: [{ type: String, lowercase: true, trim: true }],
+    default: [],
+    index: true
+  },
+  // Values of admin-defined fields, keyed by CustomFieldDefinition.key
+  customFields: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Outbound contact compliance (services/contactPolicyService.js)
+  contactConsent: {
+    granted: {
+      type: Boolean,
+      default: true
+    },
+    channels: { // Channels the customer agreed to be contacted on
+      type: [String],
+      enum: ['STK_PUSH', 'WHATSAPP', 'SMS', 'CALL'],
+      default: ['STK_PUSH', 'WHATSAPP', 'SMS', 'CALL']
+    },
+    recordedAt: Date,
+    recordedBy: String
+  },
+  doNotContact: {
+    type: Boolean,
+    default: false
+  },
+  doNotContactReason: String,
+  doNotContactSetAt: Date,
+  doNotContactSetBy: String,
+  lastContactedAt: { // Last outbound contact allowed by the contact policy
+    type: Date,
+    index: true
+  },
   isActive: {
     type: Boolean,
     default: true,
     index: true  // Keep this
   },
+  // Set when this record was merged into a duplicate (services/customerMergeService.js)
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  mergedAt: {
+    type: Date
+  },
+  // Archive and data-retention lifecycle (services/customerLifecycleService.js)
+  archivedAt: Date,
+  archivedBy: String,
+  archiveReason: String,
+  closedAt: { // Start of the retention period: when the account was archived or merged
+    type: Date,
+    index: true
+  },
+  retentionHold: { // Legal/regulatory hold: never anonymise while set
+    type: Boolean,
+    default: false
+  },
+  retentionHoldReason: String,
+  anonymisedAt: Date,
   createdBy: {
     type: String,
     required: true
@@ -95,6 +199,31 @@ const CustomerSchema = new mongoose.Schema({
     min: 0,
     max: 100
   },
+  brokenPromiseCount: {
+    type: Number,
+    default: 0
+  },
+  brokenSinceReview: { // Counts towards the review threshold; reset when a review is resolved
+    type: Number,
+    default: 0
+  },
+  lastBrokenPromiseDate: Date,
+  // Set by the broken-promise escalation rules; cleared when a supervisor resolves it
+  reviewRequired: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  reviewAction: {
+    type: String,
+    enum: ['REVIEW', 'REASSIGN', null],
+    default: null
+  },
+  reviewReason: String,
+  reviewFlaggedAt: Date,
+  reviewResolvedAt: Date,
+  reviewResolvedBy: String,
+  reviewResolution: String,
     loanType: {
     type: String,
     enum: ['Digital Loans', 'Asset Finance', 'Consumer Loans', 'SME', 'Credit Cards'],
@@ -138,5 +267,6 @@ const CustomerSchema = new mongoose.Schema({
 CustomerSchema.index({ loanBalance: -1 });
 CustomerSchema.index({ arrears: -1 });
 CustomerSchema.index({ createdAt: -1 });
+CustomerSchema.index({ 'customFields.$**': 1 });
 
 module.exports = mongoose.model('Customer', CustomerSchema);
\ No newline at end of file
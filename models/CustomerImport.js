@@ -0,0 +1,87 @@
+// models/CustomerImport.js
+const mongoose = require('mongoose');
+
+/**
+ * A bulk customer upload (services/customerImportService.js). The file is validated
+ * as a dry run first; the valid rows are only written when the import is committed.
+ */
+const importRowSchema = new mongoose.Schema({
+  rowNumber: { // Spreadsheet row, header = 1
+    type: Number,
+    required: true
+  },
+  data: { // Normalised values mapped to Customer fields
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  action: {
+    type: String,
+    enum: ['CREATE', 'UPDATE', 'NONE']
+  },
+  status: {
+    type: String,
+    enum: ['VALID', 'INVALID', 'IMPORTED', 'FAILED'],
+    required: true
+  },
+  rowErrors: [String],
+  warnings: [String],
+  customerId: { // Customer to update, or the new customer once imported
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  }
+}, { _id: false });
+
+const customerImportSchema = new mongoose.Schema({
+  importId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  fileName: String,
+  upsert: { // Update existing customers matched on accountNumber instead of rejecting them
+    type: Boolean,
+    default: false
+  },
+  columnMap: { // Spreadsheet header -> Customer field
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  rows: [importRowSchema],
+  summary: {
+    totalRows: { type: Number, default: 0 },
+    validRows: { type: Number, default: 0 },
+    invalidRows: { type: Number, default: 0 },
+    toCreate: { type: Number, default: 0 },
+    toUpdate: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  status: {
+    type: String,
+    enum: ['VALIDATED', 'COMMITTING', 'COMMITTED', 'CANCELLED'],
+    default: 'VALIDATED',
+    index: true
+  },
+  createdBy: {
+    type: String,
+    required: true
+  },
+  createdByUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  committedBy: String,
+  committedByUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  committedAt: Date
+}, {
+  timestamps: true
+});
+
+customerImportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('CustomerImport', customerImportSchema);
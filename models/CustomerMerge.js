@@ -0,0 +1,65 @@
+// models/CustomerMerge.js
+const mongoose = require('mongoose');
+
+/**
+ * Audit trail of a duplicate customer merge (services/customerMergeService.js).
+ * Both records are snapshotted as they were before the merge.
+ */
+const customerMergeSchema = new mongoose.Schema({
+  mergeId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  survivorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+    index: true
+  },
+  mergedId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+    index: true
+  },
+  score: { // Duplicate score when the merge was made
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  matchReasons: [String],
+  survivorBefore: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  mergedBefore: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  fieldsCopied: [String], // Survivor fields that were blank and taken from the merged record
+  repointed: { // Documents moved to the survivor, per collection
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  reason: {
+    type: String,
+    required: [true, 'Please provide a reason for the merge'],
+    trim: true
+  },
+  mergedBy: {
+    type: String,
+    required: true
+  },
+  mergedByUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+customerMergeSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('CustomerMerge', customerMergeSchema);
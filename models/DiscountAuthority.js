@@ -0,0 +1,43 @@
+// models/DiscountAuthority.js
+const mongoose = require('mongoose');
+
+/**
+ * Discount authority matrix: the largest settlement discount (and longest
+ * rescheduled term) each approver role may sign off, optionally per loan type.
+ * A row without a loanType applies to every loan type that has no row of its own.
+ */
+const discountAuthoritySchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['supervisor', 'admin'],
+    required: true
+  },
+  loanType: {
+    type: String,
+    enum: ['Digital Loans', 'Asset Finance', 'Consumer Loans', 'SME', 'Credit Cards'],
+    default: null
+  },
+  maxDiscountPercent: { // Of the outstanding balance
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  maxDiscountAmount: { // KES; no limit when empty
+    type: Number,
+    min: 0
+  },
+  maxTermMonths: { // Longest new schedule; no limit when empty
+    type: Number,
+    min: 1
+  },
+  updatedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+discountAuthoritySchema.index({ role: 1, loanType: 1 }, { unique: true });
+
+module.exports = mongoose.model('DiscountAuthority', discountAuthoritySchema);
@@ -0,0 +1,69 @@
+// models/FeeRule.js
+const mongoose = require('mongoose');
+
+/**
+ * Late fee / penalty interest policy for a loan type, applied by the nightly accrual job.
+ *   FLAT               - one charge of `rate` (KES) per overdue installment
+ *   PERCENT_OF_OVERDUE - one charge of `rate`% of the installment's overdue amount
+ *   DAILY_ACCRUAL      - `rate`% of the overdue amount for every day past the grace period
+ */
+const feeRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a rule name'],
+    trim: true
+  },
+  loanType: {
+    type: String,
+    enum: ['Digital Loans', 'Asset Finance', 'Consumer Loans', 'SME', 'Credit Cards'],
+    required: true,
+    index: true
+  },
+  feeType: {
+    type: String,
+    enum: ['LATE_FEE', 'PENALTY_INTEREST'],
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['FLAT', 'PERCENT_OF_OVERDUE', 'DAILY_ACCRUAL'],
+    required: true
+  },
+  rate: { // KES for FLAT, percent for the other methods
+    type: Number,
+    required: true,
+    min: [0, 'Rate cannot be negative']
+  },
+  graceDays: { // Days after the due date before the rule applies
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  capAmount: { // Maximum total charged per installment (KES)
+    type: Number,
+    min: 0
+  },
+  capPercent: { // Maximum total charged per installment, as % of the installment amount
+    type: Number,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  createdBy: {
+    type: String
+  },
+  createdByUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('FeeRule', feeRuleSchema);
@@ -0,0 +1,87 @@
+// models/FeeWaiver.js
+const mongoose = require('mongoose');
+
+/**
+ * Maker-checker record for waiving part or all of a charged fee.
+ * An officer raises it, a supervisor approves or rejects it.
+ */
+const feeWaiverSchema = new mongoose.Schema({
+  requestId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+    index: true
+  },
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: true
+  },
+  loanRef: {
+    type: String
+  },
+  feeId: { // Loan.fees subdocument
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  feeName: {
+    type: String
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Waiver amount must be greater than 0']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Please provide a reason for the waiver'],
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'APPROVED', 'REJECTED'],
+    default: 'PENDING',
+    index: true
+  },
+  requestedBy: {
+    type: String,
+    required: true
+  },
+  requestedByUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  reviewedBy: {
+    type: String
+  },
+  reviewedByUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNotes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+feeWaiverSchema.index({ status: 1, createdAt: -1 });
+
+// Only one open waiver per fee
+feeWaiverSchema.index(
+  { feeId: 1 },
+  { unique: true, partialFilterExpression: { status: 'PENDING' }, name: 'one_pending_waiver_per_fee' }
+);
+
+module.exports = mongoose.model('FeeWaiver', feeWaiverSchema);
@@ -0,0 +1,52 @@
+// models/IdempotencyKey.js
+const mongoose = require('mongoose');
+
+/**
+ * Stored responses for requests sent with an Idempotency-Key header.
+ * Records expire automatically through the TTL index on expiresAt.
+ */
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  userId: { // Keys are scoped per user so two users cannot collide
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  route: { // e.g. "POST /api/payments/initiate"
+    type: String,
+    required: true
+  },
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['IN_PROGRESS', 'COMPLETED'],
+    default: 'IN_PROGRESS'
+  },
+  lockedAt: { // When the current IN_PROGRESS attempt started; a stale lock can be reclaimed
+    type: Date
+  },
+  responseStatus: {
+    type: Number
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ key: 1, userId: 1, route: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,97 @@
+// models/LedgerEntry.js
+const mongoose = require('mongoose');
+
+/**
+ * Append-only accounting entry. Each entry moves `amount` from creditAccount to
+ * debitAccount; corrections are new entries, never edits. Entries posted for the
+ * same business event share a journalId.
+ */
+const ledgerEntrySchema = new mongoose.Schema({
+  entryId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  journalId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  entryType: {
+    type: String,
+    enum: ['DISBURSEMENT', 'INSTALLMENT_DUE', 'PAYMENT', 'FEE_CHARGE', 'FEE_WAIVER', 'REVERSAL', 'RESTRUCTURE', 'WRITE_OFF', 'CUSTOMER_TRANSFER'],
+    required: true,
+    index: true
+  },
+  debitAccount: {
+    type: String,
+    required: true
+  },
+  creditAccount: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Ledger amount must be greater than 0']
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan'
+  },
+  installmentId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  feeId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  transactionId: { // Payment (or reversal) that produced the entry
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  reference: { // Fee rule, waiver request, transaction id...
+    type: String
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  postedAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdBy: {
+    type: String,
+    default: 'system'
+  },
+  createdByUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+ledgerEntrySchema.index({ customerId: 1, postedAt: 1 });
+ledgerEntrySchema.index({ loanId: 1, postedAt: 1 });
+ledgerEntrySchema.index({ transactionId: 1 }, { sparse: true });
+
+const rejectChange = function() {
+  throw new Error('Ledger entries are append-only; post a correcting entry instead');
+};
+
+ledgerEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], rejectChange);
+
+ledgerEntrySchema.pre('save', function() {
+  if (!this.isNew) {
+    rejectChange();
+  }
+});
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -1,5 +1,96 @@
 //models/Loan.js
 const mongoose = require('mongoose');
+const { roundMoney } = require('../utils/helpers');
+
+const InstallmentSchema = new mongoose.Schema({
+  installmentNumber: {
+    type: Number,
+    required: true
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  principal: {
+    type: Number,
+    default: 0
+  },
+  interest: {
+    type: Number,
+    default: 0
+  },
+  amount: { // principal + interest
+    type: Number,
+    required: true
+  },
+  paidAmount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'partial', 'paid', 'overdue', 'restructured'],
+    default: 'pending'
+  },
+  paidDate: Date,
+  dueBooked: { // INSTALLMENT_DUE ledger entry posted (LOAN_NOT_DUE -> LOAN_DUE)
+    type: Boolean,
+    default: false
+  },
+  restructureId: { // Created by this restructure (services/restructureService.js)
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restructure'
+  },
+  supersededBy: { // Replaced by a restructure, or cancelled when one is reverted; no longer payable
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restructure'
+  }
+}, { _id: true });
+
+// Late fees / penalty interest charged against an overdue installment (services/feeService.js)
+const FeeSchema = new mongoose.Schema({
+  feeRuleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeeRule'
+  },
+  feeType: {
+    type: String,
+    enum: ['LATE_FEE', 'PENALTY_INTEREST'],
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  installmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  installmentNumber: Number,
+  amount: { // Total charged so far; daily accruals add to it
+    type: Number,
+    default: 0
+  },
+  paidAmount: {
+    type: Number,
+    default: 0
+  },
+  waivedAmount: {
+    type: Number,
+    default: 0
+  },
+  capitalisedAmount: { // Rolled into a restructured schedule
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['open', 'paid', 'waived', 'capitalised'],
+    default: 'open'
+  },
+  chargedAt: Date,
+  accruedThrough: Date // Daily accrual has been charged up to (not including) this day
+}, { _id: true });
 
 const LoanSchema = new mongoose.Schema({
   loanId: {
@@ -7,18 +98,31 @@ const LoanSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
-  clientId: {
+  customerId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Client',
-    required: true
+    ref: 'Customer',
+    required: true,
+    index: true
+  },
+  loanType: {
+    type: String,
+    enum: ['Digital Loans', 'Asset Finance', 'Consumer Loans', 'SME', 'Credit Cards'],
+    default: 'Consumer Loans'
   },
   principalAmount: {
     type: Number,
-    required: true
+    required: true,
+    min: [0, 'Principal cannot be negative']
   },
-  interestRate: {
+  interestRate: { // Annual rate in percent
     type: Number,
-    required: true
+    required: true,
+    min: [0, 'Interest rate cannot be negative']
+  },
+  interestMethod: {
+    type: String,
+    enum: ['flat', 'reducing_balance'],
+    default: 'flat'
   },
   totalRepayable: {
     type: Number,
@@ -26,7 +130,8 @@ const LoanSchema = new mongoose.Schema({
   },
   repaymentPeriod: {
     type: Number, // in months
-    required: true
+    required: true,
+    min: [1, 'Repayment period must be at least 1 month']
   },
   startDate: {
     type: Date,
@@ -39,21 +144,144 @@ const LoanSchema = new mongoose.Schema({
   status: {
     type: String,
     enum: ['active', 'overdue', 'settled', 'written_off'],
-    default: 'active'
-  },
-  installments: [{
-    dueDate: Date,
-    amount: Number,
-    status: {
-      type: String,
-      enum: ['pending', 'paid', 'overdue']
-    },
-    paidDate: Date
-  }],
-  createdAt: {
-    type: Date,
-    default: Date.now
-  }
+    default: 'active',
+    index: true
+  },
+  installments: [InstallmentSchema],
+  fees: [FeeSchema],
+  activeRestructureId: { // Restructure whose schedule is currently in force
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restructure'
+  },
+  // Write-off (services/writeOffService.js); the loan stays collectable afterwards
+  writeOffBatchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WriteOffBatch'
+  },
+  writtenOffAt: Date,
+  writtenOffAmount: {
+    type: Number,
+    default: 0
+  },
+  recoveredAmount: { // Collected since the write-off
+    type: Number,
+    default: 0
+  },
+  // Derived from installments by refreshStatus()
+  outstandingBalance: {
+    type: Number,
+    default: 0
+  },
+  arrearsAmount: {
+    type: Number,
+    default: 0
+  },
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  daysPastDue: { // Days since the oldest unpaid installment fell due
+    type: Number,
+    default: 0
+  },
+  source: { // MIGRATION = created from a legacy flat Customer balance
+    type: String,
+    enum: ['ORIGINATION', 'MIGRATION'],
+    default: 'ORIGINATION'
+  },
+  createdBy: {
+    type: String
+  },
+  createdByUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  settledAt: Date
+}, {
+  timestamps: true
 });
 
-module.exports = mongoose.model('Loan', LoanSchema);
\ No newline at end of file
+LoanSchema.index({ customerId: 1, status: 1 });
+LoanSchema.index({ 'installments.dueDate': 1, status: 1 });
+
+/**
+ * Installments still payable, i.e. not replaced by a restructure
+ */
+LoanSchema.methods.activeInstallments = function() {
+  return this.installments.filter(installment => !installment.supersededBy);
+};
+
+/**
+ * Recompute installment statuses and the loan's derived balances as of a date
+ */
+LoanSchema.methods.refreshStatus = function(asOf = new Date()) {
+  let outstanding = 0;
+  let arrears = 0;
+  let paid = 0;
+  let oldestOverdue = null;
+
+  for (const installment of this.installments) {
+    const remaining = roundMoney(installment.amount - (installment.paidAmount || 0));
+    paid += installment.paidAmount || 0;
+
+    if (installment.supersededBy) {
+      installment.status = 'restructured';
+      continue;
+    }
+
+    if (remaining <= 0) {
+      installment.status = 'paid';
+      continue;
+    }
+
+    outstanding += remaining;
+
+    if (installment.dueDate < asOf) {
+      installment.status = 'overdue';
+      arrears += remaining;
+      if (!oldestOverdue || installment.dueDate < oldestOverdue) {
+        oldestOverdue = installment.dueDate;
+      }
+    } else {
+      installment.status = installment.paidAmount > 0 ? 'partial' : 'pending';
+    }
+  }
+
+  // Fees are due as soon as they are charged
+  for (const fee of this.fees || []) {
+    const remaining = roundMoney(fee.amount - (fee.paidAmount || 0) - (fee.waivedAmount || 0) - (fee.capitalisedAmount || 0));
+    paid += fee.paidAmount || 0;
+
+    if (remaining > 0) {
+      fee.status = 'open';
+      outstanding += remaining;
+      arrears += remaining;
+    } else if ((fee.capitalisedAmount || 0) > 0) {
+      fee.status = 'capitalised';
+    } else {
+      fee.status = (fee.waivedAmount || 0) > 0 && (fee.paidAmount || 0) === 0 ? 'waived' : 'paid';
+    }
+  }
+
+  this.outstandingBalance = roundMoney(outstanding);
+  this.arrearsAmount = roundMoney(arrears);
+  this.amountPaid = roundMoney(paid);
+  this.daysPastDue = oldestOverdue
+    ? Math.max(1, Math.floor((asOf - oldestOverdue) / (24 * 60 * 60 * 1000)))
+    : 0;
+
+  // Written-off loans keep their status; everything else follows the schedule
+  if (this.status !== 'written_off') {
+    if (this.outstandingBalance <= 0) {
+      this.status = 'settled';
+      this.settledAt = this.settledAt || new Date();
+    } else {
+      this.status = this.arrearsAmount > 0 ? 'overdue' : 'active';
+      this.settledAt = undefined;
+    }
+  }
+
+  return this;
+};
+
+module.exports = mongoose.model('Loan', LoanSchema);
@@ -2,6 +2,100 @@
 
 const mongoose = require('mongoose');
 
+// One dated part of a PAYMENT_PLAN promise (see services/paymentPlanService.js)
+const installmentSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Installment amount cannot be negative']
+  },
+  paidAmount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'PARTIAL', 'KEPT', 'BROKEN'],
+    default: 'PENDING'
+  },
+  missed: { // Not fully paid by the due date plus grace; stays set if paid later
+    type: Boolean,
+    default: false
+  },
+  paidAt: Date,
+  reminderSentAt: Date
+}, { _id: false });
+
+// One reminder stage for one promise date (see services/reminderService.js)
+const reminderSchema = new mongoose.Schema({
+  stage: {
+    type: String,
+    enum: ['T_MINUS_2', 'DUE_DAY', 'MISSED'],
+    required: true
+  },
+  dueDate: { // The promise date the reminder is for; a reschedule starts the stages again
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'SENDING', 'SENT', 'FAILED', 'DEFERRED', 'BLOCKED'], // DEFERRED waits for the allowed hours
+    default: 'PENDING'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  messageId: String,
+  sentAt: Date,
+  deliveryStatus: String, // Twilio status: queued, sent, delivered, read, failed, undelivered
+  deliveryUpdatedAt: Date,
+  error: String,
+  blockReasons: [String]
+}, { _id: false });
+
+// One change of date and/or amount (see services/promiseRescheduleService.js)
+const revisionSchema = new mongoose.Schema({
+  previousDate: Date,
+  newDate: Date,
+  previousAmount: Number,
+  newAmount: Number,
+  reason: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['APPLIED', 'PENDING_APPROVAL', 'REJECTED'],
+    default: 'APPLIED'
+  },
+  limitReasons: [String], // Limits the change went over, so it needed approval
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  requestedByName: String,
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedByName: String,
+  reviewedAt: Date,
+  reviewNote: String
+});
+
 const PromiseSchema = new mongoose.Schema({
   promiseId: {
     type: String,
@@ -46,7 +140,7 @@ const PromiseSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['PENDING', 'FULFILLED', 'BROKEN', 'RESCHEDULED', 'CANCELLED'],
+    enum: ['PENDING', 'PARTIALLY_FULFILLED', 'FULFILLED', 'BROKEN', 'RESCHEDULED', 'CANCELLED'],
     default: 'PENDING',
     index: true
   },
@@ -57,6 +151,37 @@ const PromiseSchema = new mongoose.Schema({
   fulfillmentDate: {
     type: Date
   },
+  payments: [{ // Successful payments matched to this promise
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    reference: String,
+    amount: Number,
+    paidAt: Date
+  }],
+  revisions: [revisionSchema],
+  rescheduleCount: {
+    type: Number,
+    default: 0,
+    index: true
+  },
+  originalPromiseDate: Date, // Set on the first reschedule
+  originalPromiseAmount: Number,
+  pendingRescheduleApproval: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  installments: [installmentSchema],
+  maxMissedInstallments: { // Cure rule: the plan breaks once this many installments are missed
+    type: Number,
+    min: [1, 'At least one missed installment must be allowed']
+  },
+  missedInstallments: {
+    type: Number,
+    default: 0
+  },
   notes: {
     type: String,
     trim: true
@@ -70,10 +195,7 @@ const PromiseSchema = new mongoose.Schema({
     type: String,
     required: true
   },
-  reminderSent: {
-    type: Boolean,
-    default: false
-  },
+  reminders: [reminderSchema],
   nextFollowUpDate: {
     type: Date,
     index: true
@@ -91,6 +213,9 @@ PromiseSchema.index({ customerId: 1, status: 1 });
 PromiseSchema.index({ promiseDate: 1, status: 1 });
 PromiseSchema.index({ createdBy: 1, createdAt: -1 });
 PromiseSchema.index({ nextFollowUpDate: 1, status: 'PENDING' });
+PromiseSchema.index({ 'payments.transactionId': 1 });
+PromiseSchema.index({ promiseType: 1, status: 1, 'installments.dueDate': 1 });
+PromiseSchema.index({ 'reminders.messageId': 1 });
 
 // PromiseSchema.pre('save', function(next) {
 //   if (!this.promiseId) {
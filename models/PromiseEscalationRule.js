@@ -0,0 +1,44 @@
+// models/PromiseEscalationRule.js
+const mongoose = require('mongoose');
+
+/**
+ * What happens when a promise is automatically marked BROKEN, per loan type.
+ * Applied by services/promiseEscalationService.js; loan types without a stored
+ * rule use the PROMISE_* environment defaults.
+ */
+const promiseEscalationRuleSchema = new mongoose.Schema({
+  loanType: {
+    type: String,
+    enum: ['Digital Loans', 'Asset Finance', 'Consumer Loans', 'SME', 'Credit Cards'],
+    required: true,
+    unique: true
+  },
+  followUpDays: { // Days after the break the officer should follow up; 0 = no follow-up
+    type: Number,
+    min: [0, 'Follow-up days cannot be negative']
+  },
+  notifyOfficer: {
+    type: Boolean
+  },
+  reviewThreshold: { // Broken promises before the account is flagged; 0 = never
+    type: Number,
+    min: [0, 'Review threshold cannot be negative']
+  },
+  reviewAction: {
+    type: String,
+    enum: ['REVIEW', 'REASSIGN']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: String,
+  updatedByUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('PromiseEscalationRule', promiseEscalationRuleSchema);
@@ -0,0 +1,125 @@
+// models/ReconciliationRun.js
+const mongoose = require('mongoose');
+
+const reconciliationItemSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    enum: ['MATCHED', 'MISSING_IN_SYSTEM', 'MISSING_IN_STATEMENT', 'AMOUNT_MISMATCH', 'REVERSED'],
+    required: true
+  },
+  receiptNumber: {
+    type: String,
+    trim: true
+  },
+  statementAmount: Number,
+  systemAmount: Number,
+  statementPhone: String, // As printed on the statement, may be masked (2547****678)
+  systemPhone: String,
+  phoneMatches: {
+    type: Boolean,
+    default: null
+  },
+  completionTime: Date,
+  statementDetails: String,
+  transactionId: { // Transaction document, when the receipt exists in the system
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  suspensePaymentId: { // Paybill payment that reached us but was never allocated
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SuspensePayment'
+  },
+  reversalRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReversalRequest'
+  },
+  resolution: {
+    status: {
+      type: String,
+      enum: ['UNRESOLVED', 'RESOLVED'],
+      default: 'UNRESOLVED'
+    },
+    action: String,
+    notes: String,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date,
+    resultTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    }
+  }
+});
+
+const reconciliationRunSchema = new mongoose.Schema({
+  runId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  statementFileName: {
+    type: String,
+    trim: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['OPEN', 'RESOLVED'],
+    default: 'OPEN',
+    index: true
+  },
+  summary: {
+    statementRows: { type: Number, default: 0 },
+    skippedRows: { type: Number, default: 0 }, // Withdrawals, charges, failed rows
+    matched: { type: Number, default: 0 },
+    missingInSystem: { type: Number, default: 0 },
+    missingInStatement: { type: Number, default: 0 },
+    amountMismatch: { type: Number, default: 0 },
+    reversed: { type: Number, default: 0 }, // On the statement, but the payment was reversed
+    phoneMismatch: { type: Number, default: 0 },
+    statementAmount: { type: Number, default: 0 },
+    systemAmount: { type: Number, default: 0 },
+    unresolved: { type: Number, default: 0 }
+  },
+  items: [reconciliationItemSchema],
+  createdBy: {
+    type: String,
+    required: true
+  },
+  createdByUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+reconciliationRunSchema.index({ createdAt: -1 });
+reconciliationRunSchema.index({ periodStart: 1, periodEnd: 1 });
+
+// Keep the unresolved count and run status in step with the items
+reconciliationRunSchema.methods.refreshResolutionStatus = function() {
+  const unresolved = this.items.filter(item => item.resolution.status === 'UNRESOLVED').length;
+  this.summary.unresolved = unresolved;
+
+  if (unresolved === 0 && this.status !== 'RESOLVED') {
+    this.status = 'RESOLVED';
+    this.completedAt = new Date();
+  }
+  return unresolved;
+};
+
+module.exports = mongoose.model('ReconciliationRun', reconciliationRunSchema);
@@ -0,0 +1,148 @@
+// models/Restructure.js
+const mongoose = require('mongoose');
+
+/**
+ * A change to a loan's terms agreed with the customer (services/restructureService.js).
+ *   RESCHEDULE - the outstanding balance is spread over a new schedule
+ *   SETTLEMENT - the customer pays a discounted amount instead of the full balance
+ * An officer proposes it, a supervisor approves it within their discount authority.
+ * If the customer defaults on the new terms the loan reverts to the original schedule.
+ */
+const restructureSchema = new mongoose.Schema({
+  restructureId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['RESCHEDULE', 'SETTLEMENT'],
+    required: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+    index: true
+  },
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: true,
+    index: true
+  },
+  loanRef: {
+    type: String
+  },
+  loanType: {
+    type: String
+  },
+  promiseId: { // SETTLEMENT / PAYMENT_PLAN promise this was agreed under
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promise'
+  },
+  // Proposed terms
+  installmentCount: {
+    type: Number,
+    required: true,
+    min: [1, 'At least one installment is required']
+  },
+  firstDueDate: {
+    type: Date,
+    required: true
+  },
+  interestRate: { // Annual %, RESCHEDULE only
+    type: Number,
+    default: 0,
+    min: [0, 'Interest rate cannot be negative']
+  },
+  settlementAmount: { // SETTLEMENT only
+    type: Number,
+    min: [0.01, 'Settlement amount must be greater than 0']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Please provide a reason for the restructure'],
+    trim: true
+  },
+  // Figures at request time, recalculated on approval
+  balance: {
+    type: Number,
+    required: true
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  discountPercent: {
+    type: Number,
+    default: 0
+  },
+  interestAdded: {
+    type: Number,
+    default: 0
+  },
+  newScheduleTotal: {
+    type: Number
+  },
+  capitalisedFees: [{
+    feeId: mongoose.Schema.Types.ObjectId,
+    amount: Number
+  }],
+  defaultGraceDays: { // Days an installment on the new terms may be overdue before the loan reverts
+    type: Number,
+    default: 30,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'REJECTED', 'ACTIVE', 'COMPLETED', 'REVERTED'],
+    default: 'PENDING',
+    index: true
+  },
+  requestedBy: {
+    type: String,
+    required: true
+  },
+  requestedByUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  reviewedBy: {
+    type: String
+  },
+  reviewedByUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNotes: {
+    type: String,
+    trim: true
+  },
+  completedAt: {
+    type: Date
+  },
+  revertedAt: {
+    type: Date
+  },
+  revertReason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+restructureSchema.index({ status: 1, createdAt: -1 });
+
+// Only one open proposal per loan
+restructureSchema.index(
+  { loanId: 1 },
+  { unique: true, partialFilterExpression: { status: 'PENDING' }, name: 'one_pending_restructure_per_loan' }
+);
+
+module.exports = mongoose.model('Restructure', restructureSchema);
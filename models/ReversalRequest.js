@@ -0,0 +1,94 @@
+// models/ReversalRequest.js
+const mongoose = require('mongoose');
+
+/**
+ * Maker-checker record for undoing a SUCCESS payment.
+ * An officer raises it, a user with canApproveTransactions approves or rejects it.
+ */
+const reversalRequestSchema = new mongoose.Schema({
+  requestId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: { // REFUND = money is being returned to the customer, REVERSAL = payment was posted in error
+    type: String,
+    enum: ['REVERSAL', 'REFUND'],
+    default: 'REVERSAL'
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true,
+    index: true
+  },
+  transactionRef: { // Human-readable transactionId of the payment
+    type: String,
+    required: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'Please provide a reason for the reversal'],
+    trim: true
+  },
+  refundReference: { // M-Pesa B2C / bank reference for refunds
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'APPROVED', 'REJECTED'],
+    default: 'PENDING',
+    index: true
+  },
+  requestedBy: {
+    type: String,
+    required: true
+  },
+  requestedByUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  reviewedBy: {
+    type: String
+  },
+  reviewedByUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNotes: {
+    type: String,
+    trim: true
+  },
+  reversalTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }
+}, {
+  timestamps: true
+});
+
+reversalRequestSchema.index({ status: 1, createdAt: -1 });
+
+// Only one open request per payment
+reversalRequestSchema.index(
+  { transactionId: 1 },
+  { unique: true, partialFilterExpression: { status: 'PENDING' }, name: 'one_pending_reversal_per_transaction' }
+);
+
+module.exports = mongoose.model('ReversalRequest', reversalRequestSchema);
@@ -0,0 +1,52 @@
+// models/RiskScoreHistory.js
+const mongoose = require('mongoose');
+
+/**
+ * One entry per change in a customer's behavioural risk score.
+ * Written by services/riskScoringService.js; unchanged rescoring is not recorded.
+ */
+const riskScoreHistorySchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  score: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  band: {
+    type: String,
+    enum: ['LOW', 'MEDIUM', 'HIGH', 'VERY_HIGH'],
+    required: true
+  },
+  previousScore: {
+    type: Number,
+    default: null
+  },
+  factors: [{
+    _id: false,
+    key: String,
+    label: String,
+    points: Number,
+    maxPoints: Number,
+    detail: String
+  }],
+  trigger: {
+    type: String,
+    enum: ['SCHEDULED', 'PAYMENT', 'PAYMENT_FAILED', 'PROMISE', 'MANUAL'],
+    default: 'SCHEDULED'
+  },
+  scoredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+riskScoreHistorySchema.index({ customerId: 1, scoredAt: -1 });
+
+module.exports = mongoose.model('RiskScoreHistory', riskScoreHistorySchema);
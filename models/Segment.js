@@ -0,0 +1,56 @@
+// models/Segment.js
+const mongoose = require('mongoose');
+
+/**
+ * Saved customer filter ("smart list"). Membership is not stored: the filters are
+ * re-evaluated every time the segment is used (services/segmentService.js).
+ */
+const segmentSchema = new mongoose.Schema({
+  segmentId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Segment name is required'],
+    trim: true,
+    maxlength: [100, 'Segment name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  visibility: { // PRIVATE: owner only; TEAM: owner's team (admins see everything)
+    type: String,
+    enum: ['PRIVATE', 'TEAM'],
+    default: 'PRIVATE'
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  ownerName: String,
+  lastCount: { // Matching customers when the segment was last evaluated
+    type: Number,
+    default: null
+  },
+  lastEvaluatedAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+segmentSchema.index({ visibility: 1, isActive: 1 });
+
+module.exports = mongoose.model('Segment', segmentSchema);
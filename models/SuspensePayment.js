@@ -0,0 +1,85 @@
+// models/SuspensePayment.js
+const mongoose = require('mongoose');
+
+/**
+ * Paybill (C2B) payments that could not be matched to a customer.
+ * They wait here until someone allocates them manually.
+ */
+const suspensePaymentSchema = new mongoose.Schema({
+  transId: { // M-Pesa receipt number (TransID)
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  transTime: {
+    type: String,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount cannot be negative']
+  },
+  msisdn: {
+    type: String,
+    trim: true
+  },
+  billRefNumber: { // Account reference the customer typed on the paybill
+    type: String,
+    trim: true
+  },
+  businessShortCode: {
+    type: String,
+    trim: true
+  },
+  payerName: {
+    type: String,
+    trim: true
+  },
+  reason: {
+    type: String,
+    enum: ['NO_MATCH', 'INACTIVE_CUSTOMER', 'POSTING_ERROR'],
+    default: 'NO_MATCH'
+  },
+  errorMessage: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['UNALLOCATED', 'ALLOCATED'],
+    default: 'UNALLOCATED',
+    index: true
+  },
+  allocatedCustomerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  allocatedTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  allocatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  allocatedAt: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  rawPayload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+suspensePaymentSchema.index({ status: 1, createdAt: -1 });
+suspensePaymentSchema.index({ msisdn: 1 });
+
+module.exports = mongoose.model('SuspensePayment', suspensePaymentSchema);
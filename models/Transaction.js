@@ -31,6 +31,10 @@ const TransactionSchema = new mongoose.Schema({
     trim: true,
     index: true
   },
+  contactId: { // Set when the request went to a contact instead of the primary phone
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact'
+  },
   amount: {
     type: Number,
     required: true,
@@ -43,7 +47,7 @@ const TransactionSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['PENDING', 'SUCCESS', 'FAILED', 'CANCELLED', 'EXPIRED'], // ADDED EXPIRED
+    enum: ['PENDING', 'PENDING_APPROVAL', 'SUCCESS', 'FAILED', 'CANCELLED', 'EXPIRED', 'REVERSED'], // PENDING_APPROVAL = offline payment awaiting supervisor, REVERSED = undone payment or its reversal entry
     default: 'PENDING',
     index: true
   },
@@ -72,21 +76,104 @@ const TransactionSchema = new mongoose.Schema({
     enum: ['MPESA', 'CASH', 'BANK_TRANSFER', 'WHATSAPP'],
     default: 'MPESA'
   },
+  channel: { // OFFICER = initiated from the app, C2B = customer paid the paybill directly
+    type: String,
+    enum: ['OFFICER', 'C2B'],
+    default: 'OFFICER',
+    index: true
+  },
+  transactionType: { // REVERSAL entries undo a PAYMENT and are linked to it through reversalOf
+    type: String,
+    enum: ['PAYMENT', 'REVERSAL'],
+    default: 'PAYMENT',
+    index: true
+  },
+  reversalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  reversedAt: {
+    type: Date
+  },
+  officerCredit: { // Set when the payment is counted in an officer's collection metrics; a reversal takes back only this
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    amount: Number
+  },
+  loanAllocations: [{ // Installments this payment was applied to, oldest due first
+    loanId: { type: mongoose.Schema.Types.ObjectId, ref: 'Loan' },
+    loanRef: String,
+    installmentId: mongoose.Schema.Types.ObjectId,
+    installmentNumber: Number,
+    feeId: mongoose.Schema.Types.ObjectId, // Set when the amount went to a late fee / penalty
+    amount: Number,
+    recovery: Boolean, // Paid towards a written-off loan
+    _id: false
+  }],
+  unallocatedAmount: { // Overpayment left after every open installment was cleared
+    type: Number,
+    default: 0
+  },
+  recoveryAmount: { // Part of the payment recovered on written-off loans, reported apart from collections
+    type: Number,
+    default: 0
+  },
   initiatedBy: {
     type: String,
     required: true
   },
-  initiatedByUserId: {
+  initiatedByUserId: { // For C2B this is the assigned officer, if any
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return this.channel !== 'C2B';
+    }
+  },
+  mpesaReceiptNumber: { // Unique, see the one_transaction_per_receipt index below
+    type: String,
+    trim: true
+  },
+  receiptSource: { // MPESA = issued by Safaricom, GENERATED = made up here for payments posted without one
+    type: String,
+    enum: ['MPESA', 'GENERATED']
+  },
+  gateway: { // Which payment gateway adapter handled the request
+    type: String,
+    enum: ['WHATSAPP', 'DARAJA', 'SIMULATOR'],
+    default: 'WHATSAPP'
   },
-  mpesaReceiptNumber: {
+  checkoutRequestId: { // Daraja STK push tracking, matched on callback
     type: String,
     trim: true,
     sparse: true,
     index: true
   },
+  merchantRequestId: {
+    type: String,
+    trim: true
+  },
+  offlinePayment: { // CASH / BANK_TRANSFER postings, applied only after supervisor approval
+    reference: { type: String, trim: true }, // Bank reference or cash receipt number
+    valueDate: Date,
+    notes: { type: String, trim: true },
+    proofFile: {
+      fileName: String,
+      originalName: String,
+      mimeType: String,
+      size: Number,
+      path: String
+    },
+    reviewedBy: String,
+    reviewedByUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    rejectionReason: { type: String, trim: true }
+  },
   stkPushResponse: {
     message: String,
     timestamp: Date
@@ -95,6 +182,9 @@ const TransactionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     default: {}
   },
+  pendingLockKey: { // Unique while PENDING so a customer can't have two prompts in flight (see index below)
+    type: String
+  },
   pinAttempts: {
     type: Number,
     default: 0,
@@ -125,6 +215,25 @@ TransactionSchema.index({ customerId: 1, status: 1 });
 TransactionSchema.index({ phoneNumber: 1, createdAt: -1 });
 TransactionSchema.index({ createdAt: 1 });
 TransactionSchema.index({ status: 1, stkPushSentAt: 1 }); // For checking expired transactions
+TransactionSchema.index({ 'offlinePayment.reference': 1, paymentMethod: 1 }, { sparse: true });
+TransactionSchema.index(
+  { pendingLockKey: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: 'PENDING', pendingLockKey: { $exists: true } },
+    name: 'one_pending_per_customer'
+  }
+);
+// A receipt is posted once even if M-Pesa delivers its callback twice at the same time.
+// Replaces the old non-unique mpesaReceiptNumber_1 index: run scripts/migrate-receipt-index.js.
+TransactionSchema.index(
+  { mpesaReceiptNumber: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { mpesaReceiptNumber: { $type: 'string' } },
+    name: 'one_transaction_per_receipt'
+  }
+);
 
 // Static methods
 TransactionSchema.statics.generateTransactionId = function() {
@@ -133,13 +242,10 @@ TransactionSchema.statics.generateTransactionId = function() {
   return `TXN${timestamp.slice(-8)}${random}`;
 };
 
-TransactionSchema.statics.generateMpesaReceiptNumber = function() {
-  const date = new Date();
-  const dateStr = date.getFullYear().toString().slice(-2) + 
-                 (date.getMonth() + 1).toString().padStart(2, '0') +
-                 date.getDate().toString().padStart(2, '0');
-  const random = Math.floor(Math.random() * 100000).toString().padStart(5, '0');
-  return `MC${dateStr}${random}`;
+// Receipt for a payment posted without an M-Pesa one. Derived from the unique
+// transactionId so two generated receipts can never collide on the receipt index.
+TransactionSchema.statics.generateMpesaReceiptNumber = function(transactionId) {
+  return `MC${transactionId.replace(/^TXN/, '')}`;
 };
 
 // Instance method to check if transaction is expired
@@ -0,0 +1,103 @@
+// models/WriteOffBatch.js
+const mongoose = require('mongoose');
+
+/**
+ * A batch of non-performing loans proposed for write-off (services/writeOffService.js).
+ * A supervisor proposes it from a DPD threshold, an admin approves it, and each
+ * loan's balance then moves off-book. Written-off loans stay collectable.
+ */
+const writeOffItemSchema = new mongoose.Schema({
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: true
+  },
+  loanRef: String,
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  customerName: String,
+  loanType: String,
+  daysPastDue: Number,
+  amount: { // Outstanding when proposed
+    type: Number,
+    required: true
+  },
+  writtenOffAmount: { // Outstanding when posted
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['PROPOSED', 'EXCLUDED', 'POSTED', 'SKIPPED', 'FAILED'],
+    default: 'PROPOSED'
+  },
+  note: String // Why it was excluded, skipped or failed
+}, { _id: true });
+
+const writeOffBatchSchema = new mongoose.Schema({
+  batchId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  dpdThreshold: {
+    type: Number,
+    required: true,
+    min: [1, 'DPD threshold must be at least 1']
+  },
+  loanType: { // Empty = all loan types
+    type: String
+  },
+  items: [writeOffItemSchema],
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  totalWrittenOff: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['PROPOSED', 'POSTING', 'APPROVED', 'REJECTED'], // POSTING = approved, loans still being written off
+    default: 'PROPOSED',
+    index: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  proposedBy: {
+    type: String,
+    required: true
+  },
+  proposedByUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewedBy: {
+    type: String
+  },
+  reviewedByUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNotes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+writeOffBatchSchema.index({ status: 1, createdAt: -1 });
+writeOffBatchSchema.index({ 'items.loanId': 1, status: 1 });
+
+module.exports = mongoose.model('WriteOffBatch', writeOffBatchSchema);
@@ -0,0 +1,21 @@
+// routes/contactPolicyRoutes.js
+const express = require("express");
+const router = express.Router();
+const contactPolicyController = require("../controllers/contactPolicyController");
+const { protect, authorize } = require("../middleware/auth");
+
+router.use(protect);
+
+router
+  .route("/")
+  .get(contactPolicyController.getPolicy)
+  .put(authorize("admin"), contactPolicyController.updatePolicy);
+
+router.get("/attempts", authorize("admin", "supervisor"), contactPolicyController.getAttempts);
+
+// Per-customer checks; overrides and lifting restrictions are limited to supervisors/admins in the service
+router.get("/customers/:customerId/check", contactPolicyController.checkCustomer);
+router.post("/customers/:customerId/attempts", contactPolicyController.recordAttempt);
+router.put("/customers/:customerId/preferences", contactPolicyController.updatePreferences);
+
+module.exports = router;
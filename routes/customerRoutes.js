@@ -2,7 +2,13 @@
 const express = require("express");
 const router = express.Router();
 const customerController = require("../controllers/customerController");
+const customerImportController = require("../controllers/customerImportController");
+const customerMergeController = require("../controllers/customerMergeController");
+const contactController = require("../controllers/contactController");
+const customFieldController = require("../controllers/customFieldController");
+const customerLifecycleController = require("../controllers/customerLifecycleController");
 const { protect, authorize } = require("../middleware/auth");
+const { uploadSpreadsheet } = require("../middleware/upload");
 
 // Apply protect middleware to all routes
 router.use(protect);
@@ -13,6 +19,29 @@ router
   .get(customerController.getCustomers) // All users can view customers
   .post(authorize("admin", "supervisor"), customerController.createCustomer); // Only admins/supervisors can create
 
+// Bulk import: upload validates (dry run), commit writes the valid rows
+router.post("/import", authorize("admin", "supervisor"), uploadSpreadsheet("file"), customerImportController.validateImport);
+router.get("/imports", authorize("admin", "supervisor"), customerImportController.getImports);
+router.get("/imports/fields", authorize("admin", "supervisor"), customerImportController.getImportFields);
+router.get("/imports/:id", authorize("admin", "supervisor"), customerImportController.getImport);
+router.post("/imports/:id/commit", authorize("admin", "supervisor"), customerImportController.commitImport);
+router.post("/imports/:id/cancel", authorize("admin", "supervisor"), customerImportController.cancelImport);
+
+// Duplicate detection and merging
+router.get("/duplicates", authorize("admin", "supervisor"), customerMergeController.getDuplicates);
+router.post("/merge", authorize("admin", "supervisor"), customerMergeController.mergeCustomers);
+router.get("/merges", authorize("admin", "supervisor"), customerMergeController.getMerges);
+
+// Custom field definitions and tags
+router.get("/custom-fields", customFieldController.getDefinitions);
+router.post("/custom-fields", authorize("admin"), customFieldController.createDefinition);
+router.put("/custom-fields/:key", authorize("admin"), customFieldController.updateDefinition);
+router.get("/tags", customFieldController.getTags);
+
+// Data retention: anonymise closed customers after the retention period
+router.get("/retention/due", authorize("admin"), customerLifecycleController.getRetentionDue);
+router.post("/retention/run", authorize("admin"), customerLifecycleController.runRetention);
+
 // Dashboard stats - accessible to ALL authenticated users
 router.get("/dashboard/stats", customerController.getDashboardStats);
 
@@ -29,6 +58,21 @@ router
   .route("/:id")
   .get(customerController.getCustomer) // All users can view customer details
   .put(authorize("admin", "supervisor"), customerController.updateCustomer) // Only admins/supervisors can update
-  .delete(authorize("admin"), customerController.deleteCustomer); // Only admins can delete
+  .delete(authorize("admin"), customerController.deleteCustomer); // Only admins can archive
+
+// Archive lifecycle
+router.post("/:id/restore", authorize("admin"), customerLifecycleController.restoreCustomer);
+router.put("/:id/retention-hold", authorize("admin"), customerLifecycleController.setRetentionHold);
+
+// Contact book; officers can only change contacts of their own customers
+router
+  .route("/:id/contacts")
+  .get(contactController.getContacts)
+  .post(contactController.addContact);
+router
+  .route("/:id/contacts/:contactId")
+  .put(contactController.updateContact)
+  .delete(contactController.removeContact);
+router.post("/:id/contacts/:contactId/verify", contactController.verifyContact);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,23 @@
+// routes/feeRoutes.js
+const express = require("express");
+const router = express.Router();
+const feeController = require("../controllers/feeController");
+const { protect, authorize } = require("../middleware/auth");
+
+router.use(protect);
+
+// Fee policy
+router.get("/rules", authorize("admin", "supervisor"), feeController.getRules);
+router.post("/rules", authorize("admin"), feeController.createRule);
+router.put("/rules/:id", authorize("admin"), feeController.updateRule);
+router.post("/accrue", authorize("admin"), feeController.runAccrual);
+
+router.get("/customers/:customerId", feeController.getCustomerFees);
+
+// Waivers: officers request, supervisors decide
+router.post("/waivers", feeController.requestWaiver);
+router.get("/waivers", feeController.getWaivers);
+router.post("/waivers/:id/approve", authorize("admin", "supervisor"), feeController.approveWaiver);
+router.post("/waivers/:id/reject", authorize("admin", "supervisor"), feeController.rejectWaiver);
+
+module.exports = router;
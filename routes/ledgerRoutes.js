@@ -0,0 +1,12 @@
+// routes/ledgerRoutes.js
+const express = require("express");
+const router = express.Router();
+const ledgerController = require("../controllers/ledgerController");
+const { protect, authorize } = require("../middleware/auth");
+
+router.use(protect);
+
+router.get("/customers/:customerId/statement", ledgerController.getStatement);
+router.get("/customers/:customerId/verify", authorize("admin", "supervisor"), ledgerController.verifyCustomer);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+// routes/loanRoutes.js
+const express = require("express");
+const router = express.Router();
+const loanController = require("../controllers/loanController");
+const { protect, authorize } = require("../middleware/auth");
+
+router.use(protect);
+
+router.get("/", loanController.getLoans);
+router.post("/schedule-preview", loanController.previewSchedule);
+router.post("/", authorize("admin", "supervisor"), loanController.createLoan);
+router.get("/:id", loanController.getLoan);
+
+module.exports = router;
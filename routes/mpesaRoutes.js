@@ -0,0 +1,11 @@
+// routes/mpesaRoutes.js
+const express = require("express");
+const router = express.Router();
+const mpesaController = require("../controllers/mpesaController");
+
+// Public routes - called by Safaricom, secured by MPESA_CALLBACK_TOKEN
+router.post("/callback", mpesaController.processStkCallback);
+router.post("/c2b/validation", mpesaController.processC2BValidation);
+router.post("/c2b/confirmation", mpesaController.processC2BConfirmation);
+
+module.exports = router;
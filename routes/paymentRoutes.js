@@ -2,7 +2,12 @@
 const express = require("express");
 const router = express.Router();
 const paymentController = require("../controllers/paymentController");
-const { protect, authorize } = require("../middleware/auth");
+const mpesaController = require("../controllers/mpesaController");
+const reversalController = require("../controllers/reversalController");
+const offlinePaymentController = require("../controllers/offlinePaymentController");
+const { protect, authorize, canApproveTransactions } = require("../middleware/auth");
+const idempotency = require("../middleware/idempotency");
+const { uploadProof } = require("../middleware/upload");
 
 // Public routes
 router.post("/whatsapp-response", paymentController.processWhatsAppResponse);
@@ -21,12 +26,41 @@ router.get("/my-transactions", paymentController.getMyTransactions);
 router.get("/my-collections", paymentController.getMyCollections);
 
 // Payment actions (all authenticated users)
-router.post("/initiate", paymentController.initiateSTKPush);
-router.post("/process-pin", paymentController.processPin);
-router.post("/manual-pin", paymentController.manualPinEntry);
+// Idempotency-Key header makes retries replay the first response
+router.post("/initiate", idempotency, paymentController.initiateSTKPush);
+router.post("/process-pin", idempotency, paymentController.processPin);
+router.post("/manual-pin", idempotency, paymentController.manualPinEntry);
 router.get("/transaction/:id", paymentController.getTransactionById);
 router.get("/debug-transaction", paymentController.debugTransactionModel);
 
+// Cash / bank transfer postings: officers submit with proof, approvers post them
+router.post("/offline", uploadProof("proof"), offlinePaymentController.submitOfflinePayment);
+router.get("/offline/pending", 
+  authorize("admin", "supervisor"), 
+  offlinePaymentController.getPendingOfflinePayments
+);
+router.get("/offline/:id/proof", offlinePaymentController.getOfflinePaymentProof);
+router.post("/offline/:id/approve", 
+  canApproveTransactions, 
+  offlinePaymentController.approveOfflinePayment
+);
+router.post("/offline/:id/reject", 
+  canApproveTransactions, 
+  offlinePaymentController.rejectOfflinePayment
+);
+
+// Reversals: anyone can request, approvers decide
+router.post("/reversals", reversalController.requestReversal);
+router.get("/reversals", reversalController.getReversalRequests);
+router.post("/reversals/:id/approve", 
+  canApproveTransactions, 
+  reversalController.approveReversal
+);
+router.post("/reversals/:id/reject", 
+  canApproveTransactions, 
+  reversalController.rejectReversal
+);
+
 // Admin/Supervisor only routes
 router.get("/dashboard/stats", 
   authorize("admin", "supervisor"), 
@@ -43,4 +77,15 @@ router.post("/cancel/:transactionId",
   paymentController.cancelTransaction
 );
 
+// Paybill payments that could not be matched to a customer
+router.get("/suspense", 
+  authorize("admin", "supervisor"), 
+  mpesaController.getSuspensePayments
+);
+
+router.post("/suspense/:id/allocate", 
+  authorize("admin", "supervisor"), 
+  mpesaController.allocateSuspensePayment
+);
+
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,10 @@
 const express = require("express");
 const router = express.Router();
 const PromiseController = require("../controllers/promiseController");
+const promiseEscalationController = require("../controllers/promiseEscalationController");
+const promiseRescheduleController = require("../controllers/promiseRescheduleController");
+const promiseReminderController = require("../controllers/promiseReminderController");
+const { authorize } = require("../middleware/auth");
 
 console.log("🔧 Loading promise routes...");
 
@@ -15,6 +19,22 @@ router.get("/follow-up", (req, res) => PromiseController.getFollowUpPromises(req
 router.get("/customer/:customerId", (req, res) => PromiseController.getCustomerPromises(req, res));
 router.patch("/:promiseId/status", (req, res) => PromiseController.updatePromiseStatus(req, res));
 
+// Rescheduling with revision history; over-limit reschedules by officers need approval
+router.get("/reschedule-approvals", authorize("admin", "supervisor"), promiseRescheduleController.getPendingApprovals);
+router.post("/:promiseId/reschedule", promiseRescheduleController.reschedulePromise);
+router.post("/:promiseId/reschedule/approve", authorize("admin", "supervisor"), promiseRescheduleController.approveReschedule);
+router.post("/:promiseId/reschedule/reject", authorize("admin", "supervisor"), promiseRescheduleController.rejectReschedule);
+
+// Broken-promise escalation
+router.get("/escalation-rules", authorize("admin", "supervisor"), promiseEscalationController.getRules);
+router.put("/escalation-rules/:loanType", authorize("admin"), promiseEscalationController.updateRule);
+router.post("/escalation/run", authorize("admin"), promiseEscalationController.runCheck);
+router.get("/reviews", authorize("admin", "supervisor"), promiseEscalationController.getReviewQueue);
+router.put("/reviews/:customerId/resolve", authorize("admin", "supervisor"), promiseEscalationController.resolveReview);
+
+// Staged WhatsApp reminders (delivery status callbacks are mounted publicly in server.js)
+router.post("/reminders/run", authorize("admin"), promiseReminderController.runReminders);
+
 // Officer-specific promise routes
 router.get("/my-promises", (req, res) => PromiseController.getMyPromises(req, res));
 router.post("/my-promises", (req, res) => PromiseController.createMyPromise(req, res));
@@ -0,0 +1,17 @@
+// routes/reconciliationRoutes.js
+const express = require("express");
+const router = express.Router();
+const reconciliationController = require("../controllers/reconciliationController");
+const { protect, authorize } = require("../middleware/auth");
+const { uploadSpreadsheet } = require("../middleware/upload");
+
+// Reconciliation is a finance task for supervisors and admins
+router.use(protect);
+router.use(authorize("admin", "supervisor"));
+
+router.post("/runs", uploadSpreadsheet("file"), reconciliationController.createRun);
+router.get("/runs", reconciliationController.getRuns);
+router.get("/runs/:id", reconciliationController.getRun);
+router.post("/runs/:id/items/:itemId/resolve", reconciliationController.resolveItem);
+
+module.exports = router;
@@ -8,6 +8,14 @@ const Promise = require('../models/Promise');
 const User = require('../models/User');
 const Comment = require('../models/Comment');
 const PerformanceTracker = require('../middleware/performanceTracker');
+const AgingService = require('../services/agingService');
+const RiskScoringService = require('../services/riskScoringService');
+const CustomFieldService = require('../services/customFieldService');
+const WriteOffService = require('../services/writeOffService');
+const PromiseRescheduleService = require('../services/promiseRescheduleService');
+
+// Recoveries on written-off loans are reported separately from collections
+const collectedAmount = (t) => t.amount - (t.recoveryAmount || 0);
 
 // @desc    Get summary statistics
 // @route   GET /api/reports/summary
@@ -53,7 +61,8 @@ router.get('/summary', protect, authorize('admin', 'supervisor', 'agent'), async
     const failedTransactions = transactions.filter(t => t.status === 'FAILED');
     const pendingTransactions = transactions.filter(t => t.status === 'PENDING');
     
-    const totalCollections = successfulTransactions.reduce((sum, t) => sum + t.amount, 0);
+    const totalCollections = successfulTransactions.reduce((sum, t) => sum + collectedAmount(t), 0);
+    const totalRecoveries = successfulTransactions.reduce((sum, t) => sum + (t.recoveryAmount || 0), 0);
     const avgTransaction = successfulTransactions.length > 0 
       ? totalCollections / successfulTransactions.length 
       : 0;
@@ -74,13 +83,16 @@ router.get('/summary', protect, authorize('admin', 'supervisor', 'agent'), async
       createdAt: { $gte: todayStart, $lte: todayEnd }
     });
     
-    const dailyCollections = todayTransactions.reduce((sum, t) => sum + t.amount, 0);
+    const dailyCollections = todayTransactions.reduce((sum, t) => sum + collectedAmount(t), 0);
+    const dailyRecoveries = todayTransactions.reduce((sum, t) => sum + (t.recoveryAmount || 0), 0);
     
     // Get promises statistics
     const promises = await Promise.find(dateFilter);
     const totalPromises = promises.length;
     const fulfilledPromises = promises.filter(p => p.status === 'FULFILLED').length;
     const pendingPromises = promises.filter(p => p.status === 'PENDING').length;
+    const rescheduledPromises = promises.filter(p => p.rescheduleCount > 0).length;
+    const totalReschedules = promises.reduce((sum, p) => sum + (p.rescheduleCount || 0), 0);
     
     // Calculate promise fulfillment rate
     const promiseFulfillmentRate = totalPromises > 0 
@@ -98,7 +110,7 @@ router.get('/summary', protect, authorize('admin', 'supervisor', 'agent'), async
       createdAt: { $gte: lastWeekStart, $lte: lastWeekEnd }
     });
     
-    const lastWeekCollections = lastWeekTransactions.reduce((sum, t) => sum + t.amount, 0);
+    const lastWeekCollections = lastWeekTransactions.reduce((sum, t) => sum + collectedAmount(t), 0);
     const thisWeekChange = lastWeekCollections > 0 
       ? ((totalCollections - lastWeekCollections) / lastWeekCollections * 100).toFixed(1)
       : 0;
@@ -114,11 +126,17 @@ router.get('/summary', protect, authorize('admin', 'supervisor', 'agent'), async
       createdAt: { $gte: lastMonthStart, $lte: lastMonthEnd }
     });
     
-    const lastMonthCollections = lastMonthTransactions.reduce((sum, t) => sum + t.amount, 0);
+    const lastMonthCollections = lastMonthTransactions.reduce((sum, t) => sum + collectedAmount(t), 0);
     const thisMonthChange = lastMonthCollections > 0 
       ? ((totalCollections - lastMonthCollections) / lastMonthCollections * 100).toFixed(1)
       : 0;
 
+    // Portfolio-at-risk from the nightly aging buckets
+    const portfolioAtRisk = await AgingService.getPortfolioAtRisk();
+
+    // Balances written off but still collectable
+    const { writtenOffPortfolio } = await WriteOffService.getRecoveryStats();
+
     // Today's performance (percentage of daily target)
     const todayTarget = 50000; // Default daily target
     const todayPerformance = todayTarget > 0 
@@ -142,10 +160,16 @@ router.get('/summary', protect, authorize('admin', 'supervisor', 'agent'), async
         totalPromises: totalPromises,
         fulfilledPromises: fulfilledPromises,
         pendingPromises: pendingPromises,
+        rescheduledPromises,
+        totalReschedules,
         promiseFulfillmentRate: parseFloat(promiseFulfillmentRate),
         thisWeekChange: parseFloat(thisWeekChange),
         thisMonthChange: parseFloat(thisMonthChange),
-        todayPerformance: parseFloat(todayPerformance)
+        todayPerformance: parseFloat(todayPerformance),
+        portfolioAtRisk,
+        totalRecoveries: parseFloat(totalRecoveries.toFixed(2)),
+        dailyRecoveries: parseFloat(dailyRecoveries.toFixed(2)),
+        writtenOffPortfolio
       }
     });
   } catch (error) {
@@ -158,6 +182,152 @@ router.get('/summary', protect, authorize('admin', 'supervisor', 'agent'), async
   }
 });
 
+// @desc    Get a customer's aging bucket history
+// @route   GET /api/reports/aging/history/:customerId
+// @access  Private
+router.get('/aging/history/:customerId', protect, authorize('admin', 'supervisor', 'agent'), async (req, res) => {
+  try {
+    const history = await AgingService.getCustomerHistory(req.params.customerId, parseInt(req.query.limit) || 50);
+
+    res.json({
+      success: true,
+      data: { history }
+    });
+  } catch (error) {
+    console.error('Error fetching aging history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching aging history'
+    });
+  }
+});
+
+// @desc    Run the days-past-due aging job now instead of waiting for the nightly run
+// @route   POST /api/reports/aging/run
+// @access  Private (Admin)
+router.post('/aging/run', protect, authorize('admin'), async (req, res) => {
+  try {
+    const summary = await AgingService.runAging();
+
+    res.json({
+      success: true,
+      message: 'Aging run completed',
+      data: {
+        summary,
+        portfolioAtRisk: await AgingService.getPortfolioAtRisk()
+      }
+    });
+  } catch (error) {
+    console.error('Error running aging:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running aging'
+    });
+  }
+});
+
+// @desc    Get a customer's risk score history
+// @route   GET /api/reports/risk/history/:customerId
+// @access  Private
+router.get('/risk/history/:customerId', protect, authorize('admin', 'supervisor', 'agent'), async (req, res) => {
+  try {
+    const history = await RiskScoringService.getCustomerHistory(req.params.customerId, parseInt(req.query.limit) || 50);
+
+    res.json({
+      success: true,
+      data: { history }
+    });
+  } catch (error) {
+    console.error('Error fetching risk score history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching risk score history'
+    });
+  }
+});
+
+// @desc    Rescore one customer, or every active customer when no customerId is given
+// @route   POST /api/reports/risk/run
+// @access  Private (Admin, Supervisor)
+router.post('/risk/run', protect, authorize('admin', 'supervisor'), async (req, res) => {
+  try {
+    const { customerId } = req.body;
+
+    if (customerId) {
+      const result = await RiskScoringService.scoreCustomer(customerId, 'MANUAL');
+      return res.json({
+        success: true,
+        message: 'Customer rescored',
+        data: result
+      });
+    }
+
+    const summary = await RiskScoringService.runScoring();
+
+    res.json({
+      success: true,
+      message: 'Risk scoring run completed',
+      data: { summary }
+    });
+  } catch (error) {
+    console.error('Error running risk scoring:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error running risk scoring'
+    });
+  }
+});
+
+// @desc    Portfolio split by tag or by a custom field's value
+// @route   GET /api/reports/customers/breakdown?by=tag|<custom field key>
+// @access  Private
+router.get('/customers/breakdown', protect, authorize('admin', 'supervisor', 'agent'), async (req, res) => {
+  try {
+    const by = req.query.by || 'tag';
+    const breakdown = await CustomFieldService.getBreakdown(by);
+
+    res.json({
+      success: true,
+      data: { by, breakdown }
+    });
+  } catch (error) {
+    console.error('Error fetching customer breakdown:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching customer breakdown'
+    });
+  }
+});
+
+// @desc    Promise reschedule counts and the customers who reschedule most
+// @route   GET /api/reports/promises/reschedules?startDate=&endDate=&top=10
+// @access  Private
+router.get('/promises/reschedules', protect, authorize('admin', 'supervisor', 'agent'), async (req, res) => {
+  try {
+    const { startDate, endDate, top } = req.query;
+
+    const match = {};
+    if (startDate && endDate) {
+      match.createdAt = { $gte: new Date(startDate), $lte: new Date(endDate) };
+    }
+
+    const stats = await PromiseRescheduleService.getStats(match, {
+      top: Math.min(parseInt(top, 10) || 10, 100)
+    });
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    console.error('Error fetching reschedule report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reschedule report'
+    });
+  }
+});
+
 // @desc    Get performance analytics
 // @route   GET /api/reports/performance
 // @access  Private
@@ -692,6 +862,8 @@ function getPromiseDescription(promise) {
   switch (promise.status) {
     case 'FULFILLED':
       return `Promise fulfilled - KES ${promise.promiseAmount} paid`;
+    case 'PARTIALLY_FULFILLED':
+      return `Promise partly kept - KES ${promise.fulfillmentAmount} of ${promise.promiseAmount} paid`;
     case 'BROKEN':
       return 'Promise was broken';
     case 'PENDING':
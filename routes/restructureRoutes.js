@@ -0,0 +1,23 @@
+// routes/restructureRoutes.js
+const express = require("express");
+const router = express.Router();
+const restructureController = require("../controllers/restructureController");
+const { protect, authorize } = require("../middleware/auth");
+
+router.use(protect);
+
+// Discount authority matrix
+router.get("/authority", authorize("admin", "supervisor"), restructureController.getAuthority);
+router.put("/authority", authorize("admin"), restructureController.setAuthority);
+router.post("/check-defaults", authorize("admin"), restructureController.runDefaultCheck);
+
+// Officers propose, supervisors decide within their authority
+router.post("/preview", restructureController.previewRestructure);
+router.post("/", restructureController.proposeRestructure);
+router.get("/", restructureController.getRestructures);
+router.get("/:id", restructureController.getRestructure);
+router.post("/:id/approve", authorize("admin", "supervisor"), restructureController.approveRestructure);
+router.post("/:id/reject", authorize("admin", "supervisor"), restructureController.rejectRestructure);
+router.post("/:id/revert", authorize("admin", "supervisor"), restructureController.revertRestructure);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+// routes/segmentRoutes.js
+const express = require("express");
+const router = express.Router();
+const segmentController = require("../controllers/segmentController");
+const { protect, authorize } = require("../middleware/auth");
+
+router.use(protect);
+
+router.get("/fields", segmentController.getFields);
+router.post("/preview", segmentController.previewSegment);
+
+router
+  .route("/")
+  .get(segmentController.getSegments)
+  .post(segmentController.createSegment);
+
+// Owner/admin checks for changes are made in the service
+router
+  .route("/:id")
+  .get(segmentController.getSegment)
+  .put(segmentController.updateSegment)
+  .delete(segmentController.deleteSegment);
+
+router.get("/:id/export", segmentController.exportSegment);
+router.post("/:id/campaign", authorize("admin", "supervisor"), segmentController.runCampaign);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+// routes/writeOffRoutes.js
+const express = require("express");
+const router = express.Router();
+const writeOffController = require("../controllers/writeOffController");
+const { protect, authorize } = require("../middleware/auth");
+
+router.use(protect);
+router.use(authorize("admin", "supervisor"));
+
+router.get("/candidates", writeOffController.getCandidates);
+router.get("/recoveries", writeOffController.getRecoveries);
+
+// Supervisors propose, admins approve
+router.post("/batches", writeOffController.proposeBatch);
+router.get("/batches", writeOffController.getBatches);
+router.get("/batches/:id", writeOffController.getBatch);
+router.post("/batches/:id/approve", authorize("admin"), writeOffController.approveBatch);
+router.post("/batches/:id/reject", authorize("admin"), writeOffController.rejectBatch);
+
+module.exports = router;
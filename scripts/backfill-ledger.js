@@ -0,0 +1,94 @@
+// scripts/backfill-ledger.js
+// Posts ledger history for loans created before the double-entry ledger:
+// the disbursement (or opening balance), one payment journal for what has already
+// been paid, and due transfers for installments that have fallen due.
+// Fee charges and waivers were already posted to the ledger when they happened.
+// Safe to re-run: loans that already have a DISBURSEMENT entry are skipped.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+async function backfillLedger() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const Loan = require('../models/Loan');
+    const LedgerEntry = require('../models/LedgerEntry');
+    const LedgerService = require('../services/ledgerService');
+    const LoanService = require('../services/loanService');
+    const { ACCOUNTS } = LedgerService;
+
+    const loans = await Loan.find({});
+    console.log(`Loans found: ${loans.length}`);
+
+    let posted = 0;
+    let skipped = 0;
+    const customers = new Set();
+
+    for (const loan of loans) {
+      if (await LedgerEntry.exists({ loanId: loan._id, entryType: 'DISBURSEMENT' })) {
+        skipped++;
+        continue;
+      }
+
+      const context = { customerId: loan.customerId, loanId: loan._id, reference: loan.loanId, postedAt: loan.startDate || loan.createdAt };
+
+      if (loan.source === 'MIGRATION') {
+        await LedgerService.postJournal('DISBURSEMENT', [
+          { debit: ACCOUNTS.LOAN_NOT_DUE, credit: ACCOUNTS.OPENING_BALANCE, amount: loan.totalRepayable, description: `Opening balance brought forward to ${loan.loanId}` }
+        ], context);
+      } else {
+        await LedgerService.postJournal('DISBURSEMENT', [
+          { debit: ACCOUNTS.LOAN_NOT_DUE, credit: ACCOUNTS.DISBURSEMENT_CLEARING, amount: loan.principalAmount, description: `Disbursement of ${loan.loanId}` },
+          { debit: ACCOUNTS.LOAN_NOT_DUE, credit: ACCOUNTS.INTEREST_INCOME, amount: loan.totalRepayable - loan.principalAmount, description: `Interest on ${loan.loanId}` }
+        ], context);
+      }
+
+      // Nothing has been booked as due yet, so past payments all come off LOAN_NOT_DUE
+      const paymentLegs = [
+        ...loan.installments.map(installment => ({
+          debit: ACCOUNTS.COLLECTIONS_CLEARING,
+          credit: ACCOUNTS.LOAN_NOT_DUE,
+          amount: installment.paidAmount || 0,
+          installmentId: installment._id
+        })),
+        ...(loan.fees || []).map(fee => ({
+          debit: ACCOUNTS.COLLECTIONS_CLEARING,
+          credit: ACCOUNTS.FEES_RECEIVABLE,
+          amount: fee.paidAmount || 0,
+          feeId: fee._id
+        }))
+      ];
+
+      await LedgerService.postJournal('PAYMENT', paymentLegs, {
+        ...context,
+        postedAt: new Date(),
+        description: `Payments on ${loan.loanId} before ledger backfill`
+      });
+
+      const booked = await LoanService.bookDueInstallments(loan);
+      loan.refreshStatus();
+      await loan.save();
+
+      customers.add(String(loan.customerId));
+      posted++;
+      console.log(`✅ ${loan.loanId}: ledger posted, ${booked} installments booked as due`);
+    }
+
+    for (const customerId of customers) {
+      await LoanService.syncCustomerBalances(customerId);
+    }
+
+    console.log(`Backfilled ${posted} loans, skipped ${skipped} already on the ledger`);
+    console.log(`Re-synced balances for ${customers.size} customers`);
+
+    mongoose.connection.close();
+    console.log('Backfill completed successfully');
+
+  } catch (error) {
+    console.error('Backfill error:', error);
+    process.exit(1);
+  }
+}
+
+backfillLedger();
@@ -0,0 +1,69 @@
+// scripts/migrate-customer-loans.js
+// Turns each customer's flat loanBalance/arrears into one Loan with a schedule.
+// Arrears become an overdue installment, the rest is spread over LOAN_MIGRATION_MONTHS.
+// Safe to re-run: customers that already have a loan are skipped.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+async function migrateCustomerLoans() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const Customer = require('../models/Customer');
+    const Loan = require('../models/Loan');
+    const LoanService = require('../services/loanService');
+
+    const repaymentPeriod = parseInt(process.env.LOAN_MIGRATION_MONTHS, 10) || 6;
+    const customers = await Customer.find({ loanBalance: { $gt: 0 } });
+    console.log(`Customers with a balance: ${customers.length}`);
+
+    let created = 0;
+    let skipped = 0;
+    let cappedArrears = 0;
+
+    for (const customer of customers) {
+      if (await Loan.exists({ customerId: customer._id })) {
+        skipped++;
+        continue;
+      }
+
+      if ((customer.arrears || 0) > customer.loanBalance) {
+        cappedArrears++;
+        console.log(`⚠️ ${customer.customerId}: arrears ${customer.arrears} exceed balance ${customer.loanBalance}, capped`);
+      }
+
+      // Loan, ledger and balances together, so a failure never leaves a half-migrated customer
+      const session = await mongoose.startSession();
+      let loan;
+      try {
+        session.startTransaction();
+        loan = await LoanService.createOpeningBalanceLoan(customer, { repaymentPeriod, session });
+        await LoanService.syncCustomerBalances(customer._id, session);
+        await session.commitTransaction();
+      } catch (error) {
+        await session.abortTransaction();
+        throw error;
+      } finally {
+        session.endSession();
+      }
+      created++;
+
+      console.log(`✅ ${customer.customerId}: ${loan.loanId} with ${loan.installments.length} installments`);
+    }
+
+    console.log(`Created ${created} loans, skipped ${skipped} customers that already had loans`);
+    if (cappedArrears) {
+      console.log(`${cappedArrears} customers had arrears above their balance; arrears were capped at the balance`);
+    }
+
+    mongoose.connection.close();
+    console.log('Migration completed successfully');
+
+  } catch (error) {
+    console.error('Migration error:', error);
+    process.exit(1);
+  }
+}
+
+migrateCustomerLoans();
@@ -0,0 +1,112 @@
+// scripts/migrate-receipt-index.js
+// Replaces the old non-unique mpesaReceiptNumber_1 index with the unique
+// one_transaction_per_receipt index. Mongoose does not build an index whose name or
+// options clash with an existing one, and reports nothing, so this has to run once
+// on every existing database before the receipt is really unique.
+//  1. Marks each receipt as issued by M-Pesa or generated here (receiptSource)
+//  2. Gives generated receipts that collide a fresh one derived from the transactionId
+//  3. Keeps each real receipt on one transaction and moves it off the others
+//     (into callbackData.duplicateReceipt); double postings are listed for reversal
+//  4. Drops mpesaReceiptNumber_1 and builds the unique index
+// Safe to re-run. Exits non-zero if the index cannot be built.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// What Transaction.generateMpesaReceiptNumber produced before it was derived from the transactionId
+const LEGACY_GENERATED_RECEIPT = /^MC\d{11}$/;
+
+// Which copy of a receipt keeps it: a posted one, then the oldest
+const POSTED_STATUSES = ['SUCCESS', 'REVERSED'];
+
+async function migrateReceiptIndex() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const Transaction = require('../models/Transaction');
+    const collection = Transaction.collection;
+
+    // 1. receiptSource for receipts stored before it existed
+    const generated = await Transaction.updateMany(
+      { mpesaReceiptNumber: { $type: 'string', $regex: LEGACY_GENERATED_RECEIPT }, receiptSource: { $exists: false } },
+      { $set: { receiptSource: 'GENERATED' } }
+    );
+    const issued = await Transaction.updateMany(
+      { mpesaReceiptNumber: { $type: 'string' }, receiptSource: { $exists: false } },
+      { $set: { receiptSource: 'MPESA' } }
+    );
+    console.log(`Receipt source set: ${generated.modifiedCount} generated, ${issued.modifiedCount} from M-Pesa`);
+
+    // 2 and 3. Receipts held by more than one transaction
+    const duplicates = await Transaction.aggregate([
+      { $match: { mpesaReceiptNumber: { $type: 'string' } } },
+      { $group: { _id: '$mpesaReceiptNumber', ids: { $push: '$_id' }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } }
+    ]);
+    console.log(`Receipts held by more than one transaction: ${duplicates.length}`);
+
+    const doublePosted = [];
+
+    for (const { _id: receipt, ids } of duplicates) {
+      const transactions = await Transaction.find({ _id: { $in: ids } }).sort({ createdAt: 1 });
+      const keep = transactions.find(item => POSTED_STATUSES.includes(item.status)) || transactions[0];
+
+      for (const transaction of transactions) {
+        if (transaction._id.equals(keep._id)) continue;
+
+        if (transaction.receiptSource === 'GENERATED') {
+          const fresh = Transaction.generateMpesaReceiptNumber(transaction.transactionId);
+          await Transaction.updateOne({ _id: transaction._id }, { $set: { mpesaReceiptNumber: fresh } });
+          console.log(`🔁 ${transaction.transactionId}: generated receipt ${receipt} replaced with ${fresh}`);
+          continue;
+        }
+
+        await Transaction.updateOne(
+          { _id: transaction._id },
+          { $unset: { mpesaReceiptNumber: '', receiptSource: '' }, $set: { 'callbackData.duplicateReceipt': receipt } }
+        );
+        console.log(`✂️ ${transaction.transactionId} (${transaction.status}): duplicate of receipt ${receipt} kept on ${keep.transactionId}`);
+
+        if (transaction.status === 'SUCCESS' && keep.status === 'SUCCESS') {
+          doublePosted.push(`${receipt}: ${keep.transactionId} and ${transaction.transactionId}`);
+        }
+      }
+    }
+
+    // 4. Swap the indexes
+    const indexes = await collection.indexes();
+    if (indexes.some(index => index.name === 'mpesaReceiptNumber_1')) {
+      await collection.dropIndex('mpesaReceiptNumber_1');
+      console.log('Dropped mpesaReceiptNumber_1');
+    }
+
+    await collection.createIndex(
+      { mpesaReceiptNumber: 1 },
+      {
+        unique: true,
+        partialFilterExpression: { mpesaReceiptNumber: { $type: 'string' } },
+        name: 'one_transaction_per_receipt'
+      }
+    );
+
+    const built = (await collection.indexes()).find(index => index.name === 'one_transaction_per_receipt');
+    if (!built || !built.unique) {
+      throw new Error('one_transaction_per_receipt was not built as a unique index');
+    }
+    console.log('✅ one_transaction_per_receipt is in place');
+
+    if (doublePosted.length) {
+      console.log(`⚠️ ${doublePosted.length} receipts were posted more than once; reverse the extra postings:`);
+      doublePosted.forEach(line => console.log(`   ${line}`));
+    }
+
+    mongoose.connection.close();
+    console.log('Receipt index migration completed successfully');
+
+  } catch (error) {
+    console.error('Receipt index migration error:', error);
+    process.exit(1);
+  }
+}
+
+migrateReceiptIndex();
@@ -0,0 +1,36 @@
+// scripts/register-c2b-urls.js
+// Registers the paybill validation/confirmation URLs with Safaricom Daraja.
+// Usage: node scripts/register-c2b-urls.js https://your-domain.example
+require('dotenv').config();
+
+async function registerC2BUrls() {
+  const baseUrl = (process.argv[2] || process.env.MPESA_C2B_BASE_URL || '').replace(/\/$/, '');
+
+  if (!baseUrl) {
+    console.error('Please provide the public base URL, e.g. node scripts/register-c2b-urls.js https://your-domain.example');
+    process.exit(1);
+  }
+
+  const token = process.env.MPESA_CALLBACK_TOKEN
+    ? `?token=${encodeURIComponent(process.env.MPESA_CALLBACK_TOKEN)}`
+    : '';
+
+  const confirmationUrl = `${baseUrl}/api/payments/mpesa/c2b/confirmation${token}`;
+  const validationUrl = `${baseUrl}/api/payments/mpesa/c2b/validation${token}`;
+
+  try {
+    const darajaGateway = require('../services/gateways/darajaGateway');
+
+    console.log('Registering C2B URLs:');
+    console.log(`  Confirmation: ${confirmationUrl}`);
+    console.log(`  Validation:   ${validationUrl}`);
+
+    const response = await darajaGateway.registerC2BUrls(confirmationUrl, validationUrl);
+    console.log('Daraja response:', response);
+  } catch (error) {
+    console.error('Failed to register C2B URLs:', error.message);
+    process.exit(1);
+  }
+}
+
+registerC2BUrls();
@@ -29,12 +29,22 @@ const customerRoutes = require('./routes/customerRoutes');
 const commentRoutes = require('./routes/commentRoutes');
 const reportsRoutes = require('./routes/reports');
 const paymentRoutes = require('./routes/paymentRoutes');
+const mpesaRoutes = require('./routes/mpesaRoutes');
 const promiseRoutes = require('./routes/promiseRoutes');
 const testRoute = require('./routes/testRoutes');
 const transactionRoutes = require('./routes/transactions');
 const supervisorRoutes = require('./routes/supervisorRoutes');
 const activityRoutes = require('./routes/activityRoutes');
 const reportRoutes = require('./routes/reportRoutes');
+const reconciliationRoutes = require('./routes/reconciliationRoutes');
+const loanRoutes = require('./routes/loanRoutes');
+const feeRoutes = require('./routes/feeRoutes');
+const ledgerRoutes = require('./routes/ledgerRoutes');
+const restructureRoutes = require('./routes/restructureRoutes');
+const writeOffRoutes = require('./routes/writeOffRoutes');
+const contactPolicyRoutes = require('./routes/contactPolicyRoutes');
+const segmentRoutes = require('./routes/segmentRoutes');
+const promiseReminderController = require('./controllers/promiseReminderController');
 
 const app = express();
 
@@ -123,6 +133,12 @@ app.get('/api/payments/whatsapp-response', (req, res) => {
   res.status(200).send('Webhook verified');
 });
 
+// Twilio delivery status for promise reminders (public, must be mounted before the protected /api/promises routes)
+app.post('/api/promises/reminders/status', promiseReminderController.deliveryStatus);
+
+// M-Pesa callbacks (public, must be mounted before the protected /api/payments routes)
+app.use('/api/payments/mpesa', mpesaRoutes);
+
 // Protected routes
 app.use('/api/customers', authenticateToken, customerRoutes);
 app.use('/api/comments', authenticateToken, commentRoutes);
@@ -134,6 +150,14 @@ app.use('/api/supervisor', authenticateToken, supervisorRoutes);
 app.use('/api/transactions', authenticateToken, transactionRoutes);
 app.use('/api/activities', authenticateToken, activityRoutes);
 app.use('/api/reports', authenticateToken, reportRoutes);
+app.use('/api/reconciliation', authenticateToken, reconciliationRoutes);
+app.use('/api/loans', authenticateToken, loanRoutes);
+app.use('/api/fees', authenticateToken, feeRoutes);
+app.use('/api/ledger', authenticateToken, ledgerRoutes);
+app.use('/api/restructures', authenticateToken, restructureRoutes);
+app.use('/api/write-offs', authenticateToken, writeOffRoutes);
+app.use('/api/contact-policy', authenticateToken, contactPolicyRoutes);
+app.use('/api/segments', authenticateToken, segmentRoutes);
 
 // ==================== HEALTH CHECK ENDPOINT ====================
 app.get('/api/health', (req, res) => {
@@ -309,6 +333,20 @@ const connectDB = async () => {
     
     // Initialize activity logging cleanup
     initializeActivityCleanup();
+
+    // Initialize nightly days-past-due aging
+    initializeAgingJob();
+
+    // Initialize nightly late fee / penalty accrual
+    initializeFeeAccrualJob();
+
+    // Initialize nightly restructure completion / default check
+    initializeRestructureJob();
+    initializeBrokenPromiseJob();
+    initializeInstallmentReminderJob();
+    initializeReminderJob();
+    initializeRiskScoringJob();
+    initializeRetentionJob();
     
     return true;
   } catch (err) {
@@ -349,6 +387,181 @@ const initializeActivityCleanup = () => {
   }
 };
 
+// ==================== DPD AGING ====================
+const initializeAgingJob = () => {
+  try {
+    const AgingService = require('./services/agingService');
+    const schedule = process.env.AGING_CRON || '0 1 * * *';
+
+    cron.schedule(schedule, async () => {
+      try {
+        console.log('📅 Running days-past-due aging job...');
+        const summary = await AgingService.runAging();
+        console.log(`✅ Aged ${summary.processed} customers (${summary.moved} changed bucket, ${summary.failed} failed)`, summary.byBucket);
+      } catch (error) {
+        console.error('❌ Aging job error:', error);
+      }
+    });
+
+    console.log(`✅ DPD aging scheduled (${schedule})`);
+  } catch (error) {
+    console.warn('⚠️ Could not initialize aging job:', error.message);
+  }
+};
+
+// ==================== FEE ACCRUAL ====================
+const initializeFeeAccrualJob = () => {
+  try {
+    const FeeService = require('./services/feeService');
+    const schedule = process.env.FEE_ACCRUAL_CRON || '30 1 * * *';
+
+    cron.schedule(schedule, async () => {
+      try {
+        console.log('💸 Running fee accrual job...');
+        const summary = await FeeService.runAccrual();
+        console.log(`✅ Charged ${summary.charges} fees totalling KES ${summary.totalCharged} on ${summary.loans} loans (${summary.failed} failed)`);
+      } catch (error) {
+        console.error('❌ Fee accrual job error:', error);
+      }
+    });
+
+    console.log(`✅ Fee accrual scheduled (${schedule})`);
+  } catch (error) {
+    console.warn('⚠️ Could not initialize fee accrual:', error.message);
+  }
+};
+
+// ==================== RESTRUCTURE DEFAULTS ====================
+const initializeRestructureJob = () => {
+  try {
+    const RestructureService = require('./services/restructureService');
+    const schedule = process.env.RESTRUCTURE_CRON || '45 1 * * *';
+
+    cron.schedule(schedule, async () => {
+      try {
+        console.log('🔁 Running restructure default check...');
+        const summary = await RestructureService.runDefaultCheck();
+        console.log(`✅ Checked ${summary.checked} restructures: ${summary.completed} completed, ${summary.reverted} reverted (${summary.failed} failed)`);
+      } catch (error) {
+        console.error('❌ Restructure default check error:', error);
+      }
+    });
+
+    console.log(`✅ Restructure default check scheduled (${schedule})`);
+  } catch (error) {
+    console.warn('⚠️ Could not initialize restructure default check:', error.message);
+  }
+};
+
+// Runs before risk scoring so tonight's broken promises count towards the score
+const initializeBrokenPromiseJob = () => {
+  try {
+    const PromiseEscalationService = require('./services/promiseEscalationService');
+    const schedule = process.env.BROKEN_PROMISE_CRON || '0 2 * * *';
+
+    cron.schedule(schedule, async () => {
+      try {
+        console.log('💔 Running broken-promise check...');
+        const summary = await PromiseEscalationService.runBrokenPromiseCheck();
+        console.log(`✅ Broke ${summary.broken} of ${summary.checked} overdue promises and plans (${summary.installmentsMissed} installments missed): ${summary.notified} officers notified, ${summary.flagged} accounts flagged (${summary.failed} failed)`);
+      } catch (error) {
+        console.error('❌ Broken-promise check error:', error);
+      }
+    });
+
+    console.log(`✅ Broken-promise check scheduled (${schedule}, ${PromiseEscalationService.getGraceDays()} days grace)`);
+  } catch (error) {
+    console.warn('⚠️ Could not initialize broken-promise check:', error.message);
+  }
+};
+
+// Runs in the morning so reminders land inside the contact policy's allowed hours
+const initializeInstallmentReminderJob = () => {
+  try {
+    const PaymentPlanService = require('./services/paymentPlanService');
+    const schedule = process.env.PAYMENT_PLAN_REMINDER_CRON || '0 9 * * *';
+
+    cron.schedule(schedule, async () => {
+      try {
+        console.log('🗓️ Running payment plan installment reminders...');
+        const summary = await PaymentPlanService.sendInstallmentReminders();
+        console.log(`✅ Sent ${summary.sent} of ${summary.due} installment reminders (${summary.blocked} blocked, ${summary.failed} failed)`);
+      } catch (error) {
+        console.error('❌ Installment reminder job error:', error);
+      }
+    });
+
+    console.log(`✅ Installment reminders scheduled (${schedule})`);
+  } catch (error) {
+    console.warn('⚠️ Could not initialize installment reminders:', error.message);
+  }
+};
+
+// Hourly so reminders blocked outside the contact policy's allowed hours go out once they open
+const initializeReminderJob = () => {
+  try {
+    const ReminderService = require('./services/reminderService');
+    const schedule = process.env.PROMISE_REMINDER_CRON || '0 * * * *';
+
+    cron.schedule(schedule, async () => {
+      try {
+        console.log('⏰ Running promise reminders...');
+        const summary = await ReminderService.runReminders();
+        console.log(`✅ Sent ${summary.sent} of ${summary.due} promise reminders (${summary.deferred} deferred, ${summary.blocked} blocked, ${summary.failed} failed)`);
+      } catch (error) {
+        console.error('❌ Promise reminder job error:', error);
+      }
+    });
+
+    console.log(`✅ Promise reminders scheduled (${schedule}, stages: ${ReminderService.getStages().map(item => item.stage).join(', ')})`);
+  } catch (error) {
+    console.warn('⚠️ Could not initialize promise reminders:', error.message);
+  }
+};
+
+// Runs after the aging job so the arrears trend uses today's balances
+const initializeRiskScoringJob = () => {
+  try {
+    const RiskScoringService = require('./services/riskScoringService');
+    const schedule = process.env.RISK_SCORE_CRON || '15 2 * * *';
+
+    cron.schedule(schedule, async () => {
+      try {
+        console.log('🎯 Running risk scoring job...');
+        const summary = await RiskScoringService.runScoring();
+        console.log(`✅ Scored ${summary.processed} customers, ${summary.changed} changed (${summary.failed} failed)`);
+      } catch (error) {
+        console.error('❌ Risk scoring job error:', error);
+      }
+    });
+
+    console.log(`✅ Risk scoring scheduled (${schedule})`);
+  } catch (error) {
+    console.warn('⚠️ Could not initialize risk scoring job:', error.message);
+  }
+};
+
+const initializeRetentionJob = () => {
+  try {
+    const CustomerLifecycleService = require('./services/customerLifecycleService');
+    const schedule = process.env.RETENTION_CRON || '30 2 * * *';
+
+    cron.schedule(schedule, async () => {
+      try {
+        console.log('🧹 Running customer data-retention job...');
+        const summary = await CustomerLifecycleService.runRetention();
+        console.log(`✅ Anonymised ${summary.anonymised} of ${summary.due} closed customers (${summary.failed} failed)`);
+      } catch (error) {
+        console.error('❌ Customer data-retention job error:', error);
+      }
+    });
+
+    console.log(`✅ Customer data retention scheduled (${schedule}, after ${CustomerLifecycleService.getRetentionDays()} days)`);
+  } catch (error) {
+    console.warn('⚠️ Could not initialize customer data-retention job:', error.message);
+  }
+};
+
 // ==================== START SERVER ====================
 const startServer = async () => {
   console.log('🚀 Starting server...');
@@ -129,9 +129,23 @@ class ActivityLogger {
       'CUSTOMER_CREATE': 'Created new customer',
       'CUSTOMER_UPDATE': 'Updated customer information',
       'CUSTOMER_VIEW': 'Viewed customer details',
-      'CUSTOMER_DELETE': 'Deactivated customer',
+      'CUSTOMER_DELETE': 'Archived customer',
+      'CUSTOMER_MERGE': 'Merged duplicate customer into',
+      'CUSTOMER_RESTORE': 'Restored archived customer',
+      'CUSTOMER_ANONYMISE': 'Anonymised personal data of customer',
+      'RETENTION_HOLD_UPDATE': 'Updated retention hold for customer',
+      'CUSTOMER_REVIEW_FLAG': 'Flagged for supervisor review after broken promises',
+      'CUSTOMER_REVIEW_RESOLVE': 'Resolved supervisor review of customer',
+      'CONTACT_ADD': 'Added contact for customer',
+      'CONTACT_UPDATE': 'Updated contact for customer',
+      'CONTACT_VERIFY': 'Verified contact for customer',
+      'CONTACT_REMOVE': 'Removed contact for customer',
+      'CONTACT_BLOCKED': 'Contact policy blocked outreach to customer',
+      'CONTACT_OVERRIDE': 'Overrode contact policy for customer',
+      'CONTACT_PREFERENCES_UPDATE': 'Updated contact consent for customer',
       'CUSTOMER_ASSIGN': 'Assigned customer to officer',
-      'CUSTOMER_REASSIGN': 'Reassigned customer to different officer'
+      'CUSTOMER_REASSIGN': 'Reassigned customer to different officer',
+      'LOAN_CREATE': 'Created loan for customer'
     };
 
     return this.log({
@@ -163,7 +177,10 @@ class ActivityLogger {
       'TRANSACTION_FAIL': 'Transaction failed',
       'TRANSACTION_EXPIRE': 'Transaction expired',
       'TRANSACTION_CANCEL': 'Cancelled transaction',
-      'TRANSACTION_VIEW': 'Viewed transaction details'
+      'TRANSACTION_VIEW': 'Viewed transaction details',
+      'TRANSACTION_REVERSAL_REQUEST': 'Requested transaction reversal',
+      'TRANSACTION_REVERSAL_REJECT': 'Rejected transaction reversal',
+      'TRANSACTION_REVERSE': 'Reversed transaction'
     };
 
     return this.log({
@@ -195,7 +212,11 @@ class ActivityLogger {
       'PROMISE_FULFILL': 'Marked promise as fulfilled',
       'PROMISE_BREAK': 'Marked promise as broken',
       'PROMISE_FOLLOWUP': 'Followed up on promise',
-      'PROMISE_VIEW': 'Viewed promise details'
+      'PROMISE_VIEW': 'Viewed promise details',
+      'PROMISE_RESCHEDULE': 'Rescheduled promise',
+      'PROMISE_RESCHEDULE_REQUEST': 'Requested approval to reschedule promise',
+      'PROMISE_RESCHEDULE_APPROVE': 'Approved reschedule of promise',
+      'PROMISE_RESCHEDULE_REJECT': 'Rejected reschedule of promise'
     };
 
     return this.log({
@@ -337,6 +358,32 @@ class ActivityLogger {
     });
   }
 
+  /**
+   * Log a promise broken by the overdue-promise job, addressed to the assigned officer
+   */
+  static async logPromiseBroken(userId, customer, promise, details = {}) {
+    return this.log({
+      userId,
+      action: 'PROMISE_BREAK',
+      description: `Promise of Ksh ${promise.promiseAmount} from ${customer.name} due ${new Date(promise.promiseDate).toLocaleDateString()} was broken`,
+      resourceType: 'PROMISE',
+      resourceId: promise._id,
+      resourceDetails: {
+        promiseId: promise.promiseId,
+        customerId: customer.customerId,
+        name: customer.name,
+        promiseAmount: promise.promiseAmount,
+        fulfillmentAmount: promise.fulfillmentAmount,
+        dueDate: promise.promiseDate,
+        nextFollowUpDate: promise.nextFollowUpDate,
+        status: 'BROKEN'
+      },
+      requestDetails: details,
+      amount: promise.promiseAmount,
+      tags: ['promise', 'broken', 'alert', 'officer']
+    });
+  }
+
   /**
    * Log user management activity (admin/supervisor only)
    */
@@ -458,6 +505,7 @@ class ActivityLogger {
         'PROMISE_CREATE',           // Promises made
         'PROMISE_FULFILL',          // Promises fulfilled (payments received)
         'PROMISE_BREAK',            // Broken promises
+        'CUSTOMER_REVIEW_FLAG',     // Accounts escalated after repeated broken promises
         'CUSTOMER_ASSIGN',          // Customer assignments
         'BULK_ASSIGNMENT'           // Bulk assignments
       ];
@@ -480,6 +528,7 @@ class ActivityLogger {
         else if (activity.action === 'PROMISE_CREATE') activityType = 'promise_made';
         else if (activity.action === 'PROMISE_FULFILL') activityType = 'promise_fulfilled';
         else if (activity.action === 'PROMISE_BREAK') activityType = 'promise_broken';
+        else if (activity.action === 'CUSTOMER_REVIEW_FLAG') activityType = 'review_flag';
         else if (activity.action === 'CUSTOMER_ASSIGN' || activity.action === 'BULK_ASSIGNMENT') activityType = 'assignment';
         // We're intentionally NOT including CUSTOMER_VIEW, USER_VIEW, etc.
 
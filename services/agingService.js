@@ -0,0 +1,194 @@
+// services/agingService.js
+const Customer = require('../models/Customer');
+const Loan = require('../models/Loan');
+const AgingHistory = require('../models/AgingHistory');
+const LoanService = require('./loanService');
+const { DAY_MS, roundMoney } = require('../utils/helpers');
+
+// Accounts this many days past due are non-performing
+const NPL_DAYS = parseInt(process.env.AGING_NPL_DAYS, 10) || 180;
+
+const BUCKETS = [
+  { key: 'CURRENT', label: 'Current', minDays: 0, maxDays: 0 },
+  { key: 'DPD_1_30', label: '1-30', minDays: 1, maxDays: 30 },
+  { key: 'DPD_31_60', label: '31-60', minDays: 31, maxDays: 60 },
+  { key: 'DPD_61_90', label: '61-90', minDays: 61, maxDays: 90 },
+  { key: 'DPD_90_PLUS', label: '90+', minDays: 91, maxDays: NPL_DAYS - 1 },
+  { key: 'NPL', label: 'NPL', minDays: NPL_DAYS, maxDays: null }
+];
+
+// Share of the portfolio owed by accounts more than n days past due
+const PAR_THRESHOLDS = { PAR1: 0, PAR30: 30, PAR60: 60, PAR90: 90 };
+
+/**
+ * Days-past-due computation, aging buckets and portfolio-at-risk
+ */
+class AgingService {
+  getBuckets() {
+    return BUCKETS;
+  }
+
+  classify(daysPastDue) {
+    if (daysPastDue >= NPL_DAYS) return 'NPL';
+    const bucket = BUCKETS.find(b => daysPastDue >= b.minDays && daysPastDue <= b.maxDays);
+    return bucket ? bucket.key : 'DPD_90_PLUS';
+  }
+
+  /**
+   * Recompute one customer's loans, arrears and bucket as of a date. Runs in one
+   * transaction so booked journals, loan status and customer balances move together.
+   * @returns {Object} { daysPastDue, bucket, previousBucket, changed }
+   */
+  async ageCustomer(customer, asOf = new Date()) {
+    const session = await Loan.startSession();
+
+    try {
+      session.startTransaction();
+
+      const loans = await Loan.find({ customerId: customer._id, status: { $in: ['active', 'overdue'] } }).session(session);
+
+      let daysPastDue = 0;
+      let balances = { loanBalance: customer.loanBalance, arrears: customer.arrears };
+
+      for (const loan of loans) {
+        await LoanService.bookDueInstallments(loan, { asOf, session });
+        loan.refreshStatus(asOf);
+        await loan.save({ session });
+        daysPastDue = Math.max(daysPastDue, loan.daysPastDue);
+      }
+
+      if (loans.length > 0 || (await LoanService.hasLoans(customer._id, session))) {
+        balances = await LoanService.computeCustomerBalances(customer._id, session);
+      } else if (customer.arrears > 0) {
+        // Legacy customer without a schedule: age from the last payment (or onboarding)
+        const since = customer.lastPaymentDate || customer.createdAt || asOf;
+        daysPastDue = Math.max(1, Math.floor((asOf - since) / DAY_MS));
+      }
+
+      const bucket = this.classify(daysPastDue);
+      const previousBucket = customer.agingBucket || null;
+      const changed = bucket !== previousBucket;
+
+      await Customer.updateOne(
+        { _id: customer._id },
+        {
+          $set: {
+            loanBalance: balances.loanBalance,
+            arrears: balances.arrears,
+            daysPastDue,
+            agingBucket: bucket,
+            agingUpdatedAt: asOf
+          }
+        },
+        { session }
+      );
+
+      // First run records every customer; after that only bucket moves are stored
+      if (changed || !(await AgingHistory.exists({ customerId: customer._id }).session(session))) {
+        await AgingHistory.create([{
+          customerId: customer._id,
+          asOf,
+          bucket,
+          previousBucket,
+          daysPastDue,
+          loanBalance: balances.loanBalance,
+          arrears: balances.arrears
+        }], { session });
+      }
+
+      await session.commitTransaction();
+      return { daysPastDue, bucket, previousBucket, changed };
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Age every active customer. Run nightly from server.js.
+   * @returns {Object} { processed, moved, failed, byBucket }
+   */
+  async runAging(asOf = new Date()) {
+    const summary = { processed: 0, moved: 0, failed: 0, byBucket: {} };
+    BUCKETS.forEach(b => { summary.byBucket[b.key] = 0; });
+
+    const cursor = Customer.find({ isActive: true })
+      .select('loanBalance arrears lastPaymentDate createdAt agingBucket')
+      .cursor();
+
+    for await (const customer of cursor) {
+      try {
+        const result = await this.ageCustomer(customer, asOf);
+        summary.processed++;
+        summary.byBucket[result.bucket]++;
+        if (result.changed) summary.moved++;
+      } catch (error) {
+        summary.failed++;
+        console.error(`❌ Aging failed for customer ${customer._id}:`, error.message);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Portfolio-at-risk by bucket
+   * @param {Object} match - Extra Customer filter (e.g. { assignedTo: officerId })
+   */
+  async getPortfolioAtRisk(match = {}) {
+    const rows = await Customer.aggregate([
+      { $match: { isActive: true, ...match } },
+      {
+        $group: {
+          _id: { $ifNull: ['$agingBucket', 'CURRENT'] },
+          count: { $sum: 1 },
+          outstanding: { $sum: '$loanBalance' },
+          arrears: { $sum: '$arrears' }
+        }
+      }
+    ]);
+
+    const totalPortfolio = rows.reduce((sum, row) => sum + row.outstanding, 0);
+    const percentOf = (amount) => (totalPortfolio > 0 ? roundMoney((amount / totalPortfolio) * 100) : 0);
+
+    const buckets = BUCKETS.map(bucket => {
+      const row = rows.find(r => r._id === bucket.key) || { count: 0, outstanding: 0, arrears: 0 };
+      return {
+        bucket: bucket.key,
+        label: bucket.label,
+        customers: row.count,
+        outstanding: roundMoney(row.outstanding),
+        arrears: roundMoney(row.arrears),
+        percentage: percentOf(row.outstanding)
+      };
+    });
+
+    const par = {};
+    for (const [name, days] of Object.entries(PAR_THRESHOLDS)) {
+      const atRisk = buckets
+        .filter((row, index) => BUCKETS[index].minDays > days)
+        .reduce((sum, row) => sum + row.outstanding, 0);
+      par[name] = percentOf(atRisk);
+    }
+
+    const lastRun = await Customer.findOne({ isActive: true, ...match, agingUpdatedAt: { $ne: null } })
+      .sort({ agingUpdatedAt: -1 })
+      .select('agingUpdatedAt')
+      .lean();
+
+    return {
+      totalPortfolio: roundMoney(totalPortfolio),
+      buckets,
+      par,
+      asOf: lastRun?.agingUpdatedAt || null
+    };
+  }
+
+  async getCustomerHistory(customerId, limit = 50) {
+    return AgingHistory.find({ customerId }).sort({ asOf: -1 }).limit(limit).lean();
+  }
+}
+
+module.exports = new AgingService();
@@ -0,0 +1,288 @@
+// services/c2bService.js
+const Transaction = require('../models/Transaction');
+const Customer = require('../models/Customer');
+const SuspensePayment = require('../models/SuspensePayment');
+const PaymentPostingService = require('./paymentPostingService');
+const {
+  formatPhoneNumber,
+  isValidKenyanPhone,
+  generateInternalId
+} = require('../utils/helpers');
+
+// Unique index violation on the M-Pesa receipt (Transaction) or TransID (SuspensePayment)
+const isDuplicateReceipt = (error) =>
+  error.code === 11000 && Boolean(error.keyPattern?.mpesaReceiptNumber || error.keyPattern?.transId);
+
+/**
+ * Paybill (C2B) ingestion: matches direct paybill payments to customers and
+ * posts them, or parks them in the suspense queue for manual allocation.
+ */
+class C2BService {
+  /**
+   * Flatten a Daraja C2B validation/confirmation body
+   */
+  parsePayload(body = {}) {
+    const payerName = [body.FirstName, body.MiddleName, body.LastName]
+      .filter(Boolean)
+      .join(' ');
+
+    return {
+      transId: body.TransID ? String(body.TransID).trim() : null,
+      transTime: body.TransTime ? String(body.TransTime) : null,
+      amount: parseFloat(body.TransAmount),
+      msisdn: body.MSISDN ? String(body.MSISDN).trim() : null,
+      billRefNumber: body.BillRefNumber ? String(body.BillRefNumber).trim() : null,
+      businessShortCode: body.BusinessShortCode ? String(body.BusinessShortCode) : null,
+      payerName: payerName || null,
+      raw: body
+    };
+  }
+
+  /**
+   * Find the customer a paybill payment belongs to.
+   * Account reference (accountNumber or customerId) wins; MSISDN is the fallback.
+   * @returns {Object} { customer, matchedBy } - customer is null when nothing matched
+   */
+  async matchCustomer(payment) {
+    if (payment.billRefNumber) {
+      const references = [...new Set([payment.billRefNumber, payment.billRefNumber.toUpperCase()])];
+      const customer = await Customer.findOne({
+        $or: [
+          { accountNumber: { $in: references } },
+          { customerId: { $in: references } }
+        ]
+      });
+
+      if (customer) {
+        return { customer, matchedBy: 'ACCOUNT_REFERENCE' };
+      }
+    }
+
+    // Newer Daraja versions mask the MSISDN, so only try it when it looks like a real number
+    const phoneNumber = formatPhoneNumber(payment.msisdn);
+    if (phoneNumber && isValidKenyanPhone(phoneNumber)) {
+      const customer = await Customer.findOne({ phoneNumber });
+      if (customer) {
+        return { customer, matchedBy: 'MSISDN' };
+      }
+    }
+
+    return { customer: null, matchedBy: null };
+  }
+
+  /**
+   * Validation step. We accept everything by default because unmatched payments go
+   * to suspense; set MPESA_C2B_REJECT_UNMATCHED=true to bounce them at the paybill instead.
+   */
+  async validatePayment(payment) {
+    if (isNaN(payment.amount) || payment.amount < 1) {
+      return { accepted: false, reason: 'Invalid amount' };
+    }
+
+    if (process.env.MPESA_C2B_REJECT_UNMATCHED === 'true') {
+      const { customer } = await this.matchCustomer(payment);
+      if (!customer || !customer.isActive) {
+        return { accepted: false, reason: 'Unknown account reference' };
+      }
+    }
+
+    return { accepted: true };
+  }
+
+  /**
+   * Confirmation step: post the payment to the matched customer or send it to suspense.
+   * Safe to call repeatedly for the same TransID.
+   * @returns {Object} { outcome: 'POSTED' | 'SUSPENSE' | 'DUPLICATE', transaction, suspensePayment }
+   */
+  async confirmPayment(payment) {
+    const existingTransaction = await Transaction.findOne({ mpesaReceiptNumber: payment.transId });
+    if (existingTransaction) {
+      return { outcome: 'DUPLICATE', transaction: existingTransaction };
+    }
+
+    const existingSuspense = await SuspensePayment.findOne({ transId: payment.transId });
+    if (existingSuspense) {
+      return { outcome: 'DUPLICATE', suspensePayment: existingSuspense };
+    }
+
+    const { customer, matchedBy } = await this.matchCustomer(payment);
+
+    if (!customer) {
+      return this.suspend(payment, 'NO_MATCH');
+    }
+
+    if (!customer.isActive) {
+      return this.suspend(payment, 'INACTIVE_CUSTOMER');
+    }
+
+    try {
+      const transaction = await this.postToCustomer(customer, payment, { matchedBy });
+      return { outcome: 'POSTED', transaction, customer };
+    } catch (error) {
+      // The checks above read before writing; a concurrent delivery of the same
+      // confirmation is only caught by the unique receipt index
+      if (isDuplicateReceipt(error)) {
+        return this.duplicate(payment);
+      }
+      console.error(`❌ Failed to post C2B payment ${payment.transId}:`, error.message);
+      return this.suspend(payment, 'POSTING_ERROR', error.message);
+    }
+  }
+
+  async suspend(payment, reason, errorMessage) {
+    try {
+      const suspensePayment = await this.sendToSuspense(payment, reason, errorMessage);
+      return { outcome: 'SUSPENSE', suspensePayment };
+    } catch (error) {
+      if (isDuplicateReceipt(error)) return this.duplicate(payment);
+      throw error;
+    }
+  }
+
+  async duplicate(payment) {
+    const [transaction, suspensePayment] = await Promise.all([
+      Transaction.findOne({ mpesaReceiptNumber: payment.transId }),
+      SuspensePayment.findOne({ transId: payment.transId })
+    ]);
+    return { outcome: 'DUPLICATE', transaction, suspensePayment };
+  }
+
+  /**
+   * Create a SUCCESS transaction for a paybill payment and apply it to the customer
+   * @param {Object} options - matchedBy, initiatedBy, initiatedByUserId (defaults to the assigned officer)
+   */
+  async postToCustomer(customer, payment, options = {}) {
+    const {
+      matchedBy = 'MANUAL_ALLOCATION',
+      initiatedBy = 'MPESA_C2B',
+      initiatedByUserId = customer.assignedTo || undefined
+    } = options;
+
+    const payerPhone = formatPhoneNumber(payment.msisdn);
+
+    const transaction = new Transaction({
+      transactionInternalId: generateInternalId('TRN'),
+      transactionId: Transaction.generateTransactionId(),
+      customerId: customer._id,
+      customerInternalId: customer.customerInternalId || customer.customerId,
+      phoneNumber: isValidKenyanPhone(payerPhone) ? payerPhone : customer.phoneNumber,
+      amount: payment.amount,
+      description: 'Paybill Payment',
+      paymentMethod: 'MPESA',
+      channel: 'C2B',
+      initiatedBy,
+      initiatedByUserId,
+      callbackData: {
+        transTime: payment.transTime,
+        billRefNumber: payment.billRefNumber,
+        msisdn: payment.msisdn,
+        businessShortCode: payment.businessShortCode,
+        payerName: payment.payerName,
+        matchedBy,
+        receivedAt: new Date()
+      }
+    });
+
+    await PaymentPostingService.postSuccessfulPayment(transaction, {
+      mpesaReceiptNumber: payment.transId
+    });
+
+    console.log(
+      `✅ C2B payment ${payment.transId} posted to ${customer.name} (matched by ${matchedBy})`
+    );
+
+    return transaction;
+  }
+
+  /**
+   * Resolve a customer picked by a user (Mongo _id, customerId or accountNumber)
+   */
+  async findActiveCustomer(reference) {
+    const ref = String(reference).trim();
+    return Customer.findOne({
+      $or: [
+        ...(/^[0-9a-fA-F]{24}$/.test(ref) ? [{ _id: ref }] : []),
+        { customerId: ref },
+        { accountNumber: ref }
+      ],
+      isActive: true
+    });
+  }
+
+  /**
+   * Manually allocate a suspense payment to a customer.
+   * The payment is claimed first so it cannot be allocated twice.
+   * @returns {Object} { suspensePayment, transaction } - suspensePayment is null if not found/already allocated
+   */
+  async allocateSuspensePayment(suspensePaymentId, customer, user, notes) {
+    const suspensePayment = await SuspensePayment.findOneAndUpdate(
+      { _id: suspensePaymentId, status: 'UNALLOCATED' },
+      {
+        status: 'ALLOCATED',
+        allocatedCustomerId: customer._id,
+        allocatedBy: user.id,
+        allocatedAt: new Date(),
+        notes
+      },
+      { new: true }
+    );
+
+    if (!suspensePayment) {
+      return { suspensePayment: null, transaction: null };
+    }
+
+    try {
+      const transaction = await this.postToCustomer(
+        customer,
+        {
+          transId: suspensePayment.transId,
+          transTime: suspensePayment.transTime,
+          amount: suspensePayment.amount,
+          msisdn: suspensePayment.msisdn,
+          billRefNumber: suspensePayment.billRefNumber,
+          businessShortCode: suspensePayment.businessShortCode,
+          payerName: suspensePayment.payerName
+        },
+        {
+          matchedBy: 'MANUAL_ALLOCATION',
+          initiatedBy: user.username,
+          initiatedByUserId: customer.assignedTo || user.id
+        }
+      );
+
+      suspensePayment.allocatedTransactionId = transaction._id;
+      await suspensePayment.save();
+
+      return { suspensePayment, transaction };
+    } catch (error) {
+      // Release the claim so the payment can be allocated again
+      await SuspensePayment.updateOne(
+        { _id: suspensePayment._id },
+        {
+          status: 'UNALLOCATED',
+          $unset: { allocatedCustomerId: 1, allocatedBy: 1, allocatedAt: 1 }
+        }
+      );
+      throw error;
+    }
+  }
+
+  async sendToSuspense(payment, reason, errorMessage) {
+    console.log(`⚠️ C2B payment ${payment.transId} sent to suspense (${reason})`);
+
+    return SuspensePayment.create({
+      transId: payment.transId,
+      transTime: payment.transTime,
+      amount: payment.amount,
+      msisdn: payment.msisdn,
+      billRefNumber: payment.billRefNumber,
+      businessShortCode: payment.businessShortCode,
+      payerName: payment.payerName,
+      reason,
+      errorMessage,
+      rawPayload: payment.raw
+    });
+  }
+}
+
+module.exports = new C2BService();
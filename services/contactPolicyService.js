@@ -0,0 +1,343 @@
+// services/contactPolicyService.js
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const ContactPolicy = require('../models/ContactPolicy');
+const ContactAttempt = require('../models/ContactAttempt');
+const ActivityLogger = require('./activityLogger');
+const { serviceError } = require('../utils/helpers');
+
+const CHANNELS = ['STK_PUSH', 'WHATSAPP', 'SMS', 'CALL'];
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// A customer's refusal cannot be overridden; everything else can, with a reason
+const NON_OVERRIDABLE = ['NO_CONSENT', 'NO_CHANNEL_CONSENT'];
+const OVERRIDE_ROLES = ['admin', 'supervisor'];
+
+const POLICY_FIELDS = ['timezone', 'allowedStartHour', 'allowedEndHour', 'allowedDays', 'maxPerDay', 'maxPerWeek', 'blackoutDates'];
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const DEFAULT_POLICY = {
+  timezone: process.env.CONTACT_TIMEZONE || 'Africa/Nairobi',
+  allowedStartHour: envInt('CONTACT_START_HOUR', 8),
+  allowedEndHour: envInt('CONTACT_END_HOUR', 19),
+  allowedDays: [1, 2, 3, 4, 5, 6],
+  maxPerDay: envInt('CONTACT_MAX_PER_DAY', 3),
+  maxPerWeek: envInt('CONTACT_MAX_PER_WEEK', 10),
+  blackoutDates: []
+};
+
+const normaliseRole = (role) => (role === 'agent' ? 'officer' : role);
+
+/**
+ * Date, hour and weekday of an instant in the policy timezone
+ */
+const localParts = (date, timezone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(({ type, value }) => { parts[type] = value; });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+/**
+ * Central outbound-contact guard. Every collection contact (STK push, WhatsApp,
+ * SMS, calls) is checked against consent, do-not-contact, allowed hours, blackout
+ * dates and frequency limits, and recorded as a ContactAttempt. Payment receipts
+ * are replies to the customer's own payment and are not checked.
+ */
+class ContactPolicyService {
+  getChannels() {
+    return CHANNELS;
+  }
+
+  async getPolicy() {
+    const stored = await ContactPolicy.findOne({ key: 'default' }).lean();
+    const policy = { ...DEFAULT_POLICY };
+    for (const field of POLICY_FIELDS) {
+      if (stored && stored[field] !== undefined && stored[field] !== null) policy[field] = stored[field];
+    }
+    policy.updatedBy = stored?.updatedBy;
+    policy.updatedAt = stored?.updatedAt;
+    return policy;
+  }
+
+  async updatePolicy(data, user) {
+    const update = {};
+    for (const field of POLICY_FIELDS) {
+      if (data[field] !== undefined) update[field] = data[field];
+    }
+
+    const merged = { ...(await this.getPolicy()), ...update };
+    if (!(merged.allowedStartHour < merged.allowedEndHour)) {
+      throw serviceError('Allowed start hour must be before the end hour');
+    }
+    if (merged.maxPerWeek < merged.maxPerDay) {
+      throw serviceError('Weekly limit cannot be lower than the daily limit');
+    }
+    try {
+      localParts(new Date(), merged.timezone);
+    } catch (error) {
+      throw serviceError(`Unknown timezone "${merged.timezone}"`);
+    }
+
+    update.updatedBy = user.username;
+    update.updatedByUserId = user.id;
+
+    await ContactPolicy.findOneAndUpdate(
+      { key: 'default' },
+      { $set: update },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    return this.getPolicy();
+  }
+
+  /**
+   * Check whether a customer may be contacted on a channel now, without recording anything
+   * @returns {Object} { allowed, reasons: [{ code, message }], counts: { today, thisWeek } }
+   */
+  async evaluate(customer, channel, { now = new Date(), policy } = {}) {
+    if (!CHANNELS.includes(channel)) {
+      throw serviceError(`Unknown contact channel "${channel}". Allowed: ${CHANNELS.join(', ')}`);
+    }
+
+    policy = policy || await this.getPolicy();
+    const reasons = [];
+    const block = (code, message) => reasons.push({ code, message });
+
+    if (customer.doNotContact) {
+      block('DO_NOT_CONTACT', `Customer is flagged do-not-contact${customer.doNotContactReason ? `: ${customer.doNotContactReason}` : ''}`);
+    }
+
+    const consent = customer.contactConsent || {};
+    if (consent.granted === false) {
+      block('NO_CONSENT', 'Customer has withdrawn consent to be contacted');
+    } else if (Array.isArray(consent.channels) && !consent.channels.includes(channel)) {
+      block('NO_CHANNEL_CONSENT', `Customer has not consented to ${channel.replace('_', ' ').toLowerCase()} contact`);
+    }
+
+    const local = localParts(now, policy.timezone);
+
+    if (!policy.allowedDays.includes(local.weekday)) {
+      block('OUTSIDE_ALLOWED_DAYS', `Customers may not be contacted on ${WEEKDAYS[local.weekday]}`);
+    }
+    if (local.hour < policy.allowedStartHour || local.hour >= policy.allowedEndHour) {
+      block('OUTSIDE_ALLOWED_HOURS', `Customers may only be contacted between ${policy.allowedStartHour}:00 and ${policy.allowedEndHour}:00`);
+    }
+
+    const blackout = (policy.blackoutDates || []).find(entry => entry.date === local.date);
+    if (blackout) {
+      block('BLACKOUT_DATE', `No contact on ${blackout.name || blackout.date}`);
+    }
+
+    const startOfDay = new Date(now.getTime() - ((local.hour * 60 + local.minute) * 60 + local.second) * 1000 - now.getMilliseconds());
+    const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+    const counted = { customerId: customer._id, status: { $in: ['ALLOWED', 'OVERRIDDEN'] } };
+
+    const [today, thisWeek] = await Promise.all([
+      ContactAttempt.countDocuments({ ...counted, createdAt: { $gte: startOfDay, $lte: now } }),
+      ContactAttempt.countDocuments({ ...counted, createdAt: { $gte: weekAgo, $lte: now } })
+    ]);
+
+    if (today >= policy.maxPerDay) {
+      block('DAILY_LIMIT', `Customer has already been contacted ${today} times today (limit ${policy.maxPerDay})`);
+    }
+    if (thisWeek >= policy.maxPerWeek) {
+      block('WEEKLY_LIMIT', `Customer has been contacted ${thisWeek} times in the last 7 days (limit ${policy.maxPerWeek})`);
+    }
+
+    return {
+      allowed: reasons.length === 0,
+      overridable: reasons.every(reason => !NON_OVERRIDABLE.includes(reason.code)),
+      reasons,
+      counts: { today, thisWeek },
+      limits: { maxPerDay: policy.maxPerDay, maxPerWeek: policy.maxPerWeek }
+    };
+  }
+
+  /**
+   * Check and record an outbound contact. Throws a 403 (error.code CONTACT_BLOCKED,
+   * error.reasons) when blocked; supervisors and admins can pass overrideReason to
+   * send anyway.
+   * @param {Object} options - customer, channel, purpose, phoneNumber, contactId, reference, user, overrideReason
+   * @returns {Document} ContactAttempt
+   */
+  async authorise({ customer, channel, purpose, phoneNumber, contactId, reference, user = null, overrideReason }) {
+    const decision = await this.evaluate(customer, channel);
+
+    const attempt = {
+      customerId: customer._id,
+      channel,
+      purpose,
+      phoneNumber: phoneNumber || customer.phoneNumber,
+      contactId,
+      reference,
+      blockReasons: decision.reasons,
+      initiatedBy: user?.username || 'system',
+      initiatedByUserId: user?.id
+    };
+
+    if (decision.allowed) {
+      const allowed = await ContactAttempt.create({ ...attempt, status: 'ALLOWED' });
+      await Customer.updateOne({ _id: customer._id }, { $set: { lastContactedAt: allowed.createdAt } });
+      return allowed;
+    }
+
+    const reason = overrideReason ? String(overrideReason).trim() : '';
+    const canOverride = user && OVERRIDE_ROLES.includes(normaliseRole(user.role));
+
+    if (reason && canOverride && decision.overridable) {
+      const overridden = await ContactAttempt.create({ ...attempt, status: 'OVERRIDDEN', overrideReason: reason });
+      await Customer.updateOne({ _id: customer._id }, { $set: { lastContactedAt: overridden.createdAt } });
+
+      console.log(`⚠️ Contact policy overridden by ${user.username} for ${customer.name}: ${reason}`);
+      await ActivityLogger.logCustomer(user.id, 'CONTACT_OVERRIDE', customer, {
+        channel,
+        purpose,
+        reference,
+        blockReasons: decision.reasons.map(item => item.code),
+        overrideReason: reason
+      });
+
+      return overridden;
+    }
+
+    const blocked = await ContactAttempt.create({ ...attempt, status: 'BLOCKED' });
+
+    console.log(`🚫 ${channel} contact to ${customer.name} blocked: ${decision.reasons.map(item => item.code).join(', ')}`);
+    if (user) {
+      await ActivityLogger.logCustomer(user.id, 'CONTACT_BLOCKED', customer, {
+        channel,
+        purpose,
+        reference,
+        blockReasons: decision.reasons.map(item => item.code),
+        attemptedOverride: Boolean(reason)
+      });
+    }
+
+    let message = `Contact blocked: ${decision.reasons.map(item => item.message).join('; ')}`;
+    if (reason && !canOverride) {
+      message += '. Only supervisors and admins can override the contact policy';
+    } else if (reason && !decision.overridable) {
+      message += '. Missing customer consent cannot be overridden';
+    }
+
+    const error = serviceError(message, 403);
+    error.code = 'CONTACT_BLOCKED';
+    error.reasons = decision.reasons;
+    error.overridable = decision.overridable;
+    error.attemptId = blocked._id;
+    throw error;
+  }
+
+  /**
+   * Record consent and do-not-contact changes. Anyone may restrict contact;
+   * lifting a restriction needs a supervisor or admin.
+   * @param {Object} data - consentGranted, consentChannels, doNotContact, doNotContactReason
+   */
+  async updatePreferences(customer, data, user) {
+    const lifting = [];
+    const consent = customer.contactConsent || {};
+
+    if (data.consentGranted !== undefined) {
+      const granted = data.consentGranted === true || data.consentGranted === 'true';
+      if (granted && consent.granted === false) lifting.push('consent');
+      customer.contactConsent.granted = granted;
+    }
+
+    if (data.consentChannels !== undefined) {
+      if (!Array.isArray(data.consentChannels) || data.consentChannels.some(channel => !CHANNELS.includes(channel))) {
+        throw serviceError(`Consent channels must be a list of: ${CHANNELS.join(', ')}`);
+      }
+      const current = consent.channels || [];
+      if (data.consentChannels.some(channel => !current.includes(channel))) lifting.push('channels');
+      customer.contactConsent.channels = [...new Set(data.consentChannels)];
+    }
+
+    if (data.doNotContact !== undefined) {
+      const flag = data.doNotContact === true || data.doNotContact === 'true';
+      if (flag) {
+        if (!data.doNotContactReason || !String(data.doNotContactReason).trim()) {
+          throw serviceError('Please provide a reason for the do-not-contact flag');
+        }
+        customer.doNotContactReason = String(data.doNotContactReason).trim();
+        customer.doNotContactSetAt = new Date();
+        customer.doNotContactSetBy = user.username;
+      } else if (customer.doNotContact) {
+        lifting.push('do-not-contact');
+        customer.doNotContactReason = undefined;
+        customer.doNotContactSetAt = new Date();
+        customer.doNotContactSetBy = user.username;
+      }
+      customer.doNotContact = flag;
+    }
+
+    if (lifting.length > 0 && !OVERRIDE_ROLES.includes(normaliseRole(user.role))) {
+      throw serviceError(`Only supervisors and admins can lift contact restrictions (${lifting.join(', ')})`, 403);
+    }
+
+    if (data.consentGranted !== undefined || data.consentChannels !== undefined) {
+      customer.contactConsent.recordedAt = new Date();
+      customer.contactConsent.recordedBy = user.username;
+    }
+
+    await customer.save();
+    return customer;
+  }
+
+  async getAttempts({ customerId, status, channel, from, to, page = 1, limit = 50 } = {}) {
+    const query = {};
+    if (customerId) {
+      if (!mongoose.Types.ObjectId.isValid(customerId)) {
+        throw serviceError('Invalid customer id');
+      }
+      query.customerId = customerId;
+    }
+    if (status) query.status = status;
+    if (channel) query.channel = channel;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const [attempts, total] = await Promise.all([
+      ContactAttempt.find(query)
+        .populate('customerId', 'name customerId phoneNumber')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      ContactAttempt.countDocuments(query)
+    ]);
+
+    return {
+      attempts,
+      pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) }
+    };
+  }
+}
+
+module.exports = new ContactPolicyService();
@@ -0,0 +1,215 @@
+// services/contactService.js
+const mongoose = require('mongoose');
+const Contact = require('../models/Contact');
+const { serviceError, formatPhoneNumber, isValidKenyanPhone } = require('../utils/helpers');
+
+const EDITABLE_FIELDS = ['type', 'name', 'relationship', 'phoneNumber', 'email', 'address', 'notes', 'isPreferred', 'doNotUse', 'doNotUseReason'];
+
+const normaliseRole = (role) => (role === 'agent' ? 'officer' : role);
+
+const isTrue = (value) => value === true || value === 'true';
+
+/**
+ * Customer contact book: alternate numbers, guarantors, employers and next-of-kin
+ */
+class ContactService {
+  /**
+   * Officers may only change contacts of customers assigned to them
+   */
+  assertCanEdit(customer, user) {
+    if (normaliseRole(user.role) === 'officer' && String(customer.assignedTo) !== String(user.id)) {
+      throw serviceError('You can only manage contacts of your own customers', 403);
+    }
+  }
+
+  async getContacts(customerId, { includeInactive = false } = {}) {
+    const query = { customerId };
+    if (!includeInactive) query.isActive = true;
+
+    return Contact.find(query)
+      .sort({ isPreferred: -1, doNotUse: 1, verificationStatus: -1, createdAt: 1 })
+      .lean();
+  }
+
+  async findContact(customer, contactId) {
+    if (!mongoose.Types.ObjectId.isValid(contactId)) {
+      throw serviceError('Invalid contact id');
+    }
+
+    const contact = await Contact.findOne({ _id: contactId, customerId: customer._id, isActive: true });
+    if (!contact) {
+      throw serviceError('Contact not found for this customer', 404);
+    }
+    return contact;
+  }
+
+  /**
+   * Apply and validate editable fields. Changing the number resets verification.
+   */
+  async applyChanges(contact, customer, data) {
+    for (const field of EDITABLE_FIELDS) {
+      if (data[field] === undefined) continue;
+      contact[field] = ['isPreferred', 'doNotUse'].includes(field) ? isTrue(data[field]) : data[field];
+    }
+
+    if (contact.isModified('phoneNumber')) {
+      if (contact.phoneNumber) {
+        contact.phoneNumber = formatPhoneNumber(contact.phoneNumber);
+        if (!isValidKenyanPhone(contact.phoneNumber)) {
+          throw serviceError('Please provide a valid Kenyan phone number (e.g., 0712345678 or 254712345678)');
+        }
+        if (contact.phoneNumber === customer.phoneNumber) {
+          throw serviceError('This is already the customer\'s primary phone number');
+        }
+
+        const duplicate = await Contact.findOne({
+          customerId: customer._id,
+          phoneNumber: contact.phoneNumber,
+          isActive: true,
+          _id: { $ne: contact._id }
+        }).select('_id');
+        if (duplicate) {
+          throw serviceError('This customer already has a contact with that phone number', 409);
+        }
+      }
+
+      contact.verificationStatus = 'UNVERIFIED';
+      contact.verificationMethod = undefined;
+      contact.verifiedAt = undefined;
+      contact.verifiedBy = undefined;
+      contact.verifiedByUserId = undefined;
+    }
+
+    if (!contact.phoneNumber && !contact.email && !contact.address) {
+      throw serviceError('Please provide a phone number, email or address for the contact');
+    }
+
+    if (contact.doNotUse) {
+      if (!contact.doNotUseReason || !contact.doNotUseReason.trim()) {
+        throw serviceError('Please provide a reason for flagging the contact do-not-use');
+      }
+      contact.isPreferred = false;
+    } else {
+      contact.doNotUseReason = undefined;
+    }
+
+    if (contact.isPreferred && !contact.phoneNumber) {
+      throw serviceError('Only a contact with a phone number can be preferred');
+    }
+  }
+
+  // Only one preferred contact per customer
+  async clearOtherPreferred(contact) {
+    if (!contact.isPreferred) return;
+    await Contact.updateMany(
+      { customerId: contact.customerId, isPreferred: true, _id: { $ne: contact._id } },
+      { isPreferred: false }
+    );
+  }
+
+  async addContact(customer, data, user) {
+    this.assertCanEdit(customer, user);
+
+    const contact = new Contact({
+      customerId: customer._id,
+      createdBy: user.username,
+      createdByUserId: user.id
+    });
+
+    await this.applyChanges(contact, customer, data);
+    await contact.save();
+    await this.clearOtherPreferred(contact);
+
+    return contact;
+  }
+
+  async updateContact(customer, contactId, data, user) {
+    this.assertCanEdit(customer, user);
+
+    const contact = await this.findContact(customer, contactId);
+    await this.applyChanges(contact, customer, data);
+    contact.updatedBy = user.username;
+    await contact.save();
+    await this.clearOtherPreferred(contact);
+
+    return contact;
+  }
+
+  /**
+   * Record the outcome of checking that a contact's number reaches the right person
+   * @param {Object} data - status (VERIFIED or FAILED), method
+   */
+  async verifyContact(customer, contactId, { status = 'VERIFIED', method } = {}, user) {
+    this.assertCanEdit(customer, user);
+
+    if (!['VERIFIED', 'FAILED'].includes(status)) {
+      throw serviceError('Verification status must be VERIFIED or FAILED');
+    }
+
+    const contact = await this.findContact(customer, contactId);
+    if (!contact.phoneNumber) {
+      throw serviceError('Only contacts with a phone number can be verified');
+    }
+
+    contact.verificationStatus = status;
+    contact.verificationMethod = method;
+    contact.verifiedAt = new Date();
+    contact.verifiedBy = user.username;
+    contact.verifiedByUserId = user.id;
+    await contact.save();
+
+    return contact;
+  }
+
+  async removeContact(customer, contactId, user) {
+    this.assertCanEdit(customer, user);
+
+    const contact = await this.findContact(customer, contactId);
+    contact.isActive = false;
+    contact.isPreferred = false;
+    contact.updatedBy = user.username;
+    await contact.save();
+
+    return contact;
+  }
+
+  /**
+   * Contact a payment request may be sent to instead of the primary phone
+   * @param {String} contactId - contact id, or "preferred" for the customer's preferred contact
+   */
+  async getOutreachContact(customerId, contactId) {
+    let contact;
+    if (contactId === 'preferred') {
+      contact = await Contact.findOne({ customerId, isPreferred: true, isActive: true });
+      if (!contact) {
+        throw serviceError('Customer has no preferred contact', 404);
+      }
+    } else {
+      if (!mongoose.Types.ObjectId.isValid(contactId)) {
+        throw serviceError('Invalid contact id');
+      }
+      contact = await Contact.findOne({ _id: contactId, isActive: true });
+      if (!contact || (customerId && String(contact.customerId) !== String(customerId))) {
+        throw serviceError('Contact not found for this customer', 404);
+      }
+    }
+
+    if (contact.doNotUse) {
+      throw serviceError(`Contact is flagged do-not-use: ${contact.doNotUseReason}`);
+    }
+    if (contact.verificationStatus !== 'VERIFIED') {
+      throw serviceError('Only verified contacts can receive payment requests');
+    }
+    if (!contact.phoneNumber) {
+      throw serviceError('Contact has no phone number');
+    }
+
+    return contact;
+  }
+
+  async markUsed(contactId) {
+    await Contact.updateOne({ _id: contactId }, { lastUsedAt: new Date() });
+  }
+}
+
+module.exports = new ContactService();
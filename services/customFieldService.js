@@ -0,0 +1,278 @@
+// services/customFieldService.js
+const Customer = require('../models/Customer');
+const CustomFieldDefinition = require('../models/CustomFieldDefinition');
+const { serviceError } = require('../utils/helpers');
+
+const TYPES = ['TEXT', 'NUMBER', 'DATE', 'BOOLEAN', 'SELECT'];
+const DEFINITION_FIELDS = ['label', 'description', 'options', 'validation', 'required', 'requiredForLoanTypes', 'isActive'];
+
+const MAX_TAGS = 30;
+const MAX_TAG_LENGTH = 40;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const toObject = (values) => {
+  if (!values) return {};
+  if (values instanceof Map) return Object.fromEntries(values);
+  return { ...values };
+};
+
+/**
+ * Admin-defined customer fields and free tags
+ */
+class CustomFieldService {
+  getTypes() {
+    return TYPES;
+  }
+
+  async getDefinitions({ includeInactive = false } = {}) {
+    return CustomFieldDefinition.find(includeInactive ? {} : { isActive: true }).sort({ label: 1 }).lean();
+  }
+
+  checkDefinition(definition) {
+    if (definition.type === 'SELECT' && (!definition.options || definition.options.length === 0)) {
+      throw serviceError('SELECT fields need at least one option');
+    }
+    if (definition.validation?.pattern) {
+      try {
+        new RegExp(definition.validation.pattern);
+      } catch (error) {
+        throw serviceError(`Invalid validation pattern: ${error.message}`);
+      }
+    }
+  }
+
+  async createDefinition(body, user) {
+    const type = String(body.type || '').toUpperCase();
+    if (!TYPES.includes(type)) {
+      throw serviceError(`Field type must be one of: ${TYPES.join(', ')}`);
+    }
+
+    if (await CustomFieldDefinition.exists({ key: body.key })) {
+      throw serviceError(`A custom field with key "${body.key}" already exists`, 409);
+    }
+
+    const definition = new CustomFieldDefinition({ key: body.key, type, createdBy: user.username });
+    DEFINITION_FIELDS.forEach(field => {
+      if (body[field] !== undefined) definition[field] = body[field];
+    });
+
+    this.checkDefinition(definition);
+    return definition.save();
+  }
+
+  /**
+   * Key and type are fixed once created: stored values depend on them
+   */
+  async updateDefinition(key, body, user) {
+    const definition = await CustomFieldDefinition.findOne({ key });
+    if (!definition) throw serviceError('Custom field not found', 404);
+
+    if ((body.key && body.key !== definition.key) || (body.type && String(body.type).toUpperCase() !== definition.type)) {
+      throw serviceError('A custom field\'s key and type cannot be changed; create a new field instead');
+    }
+
+    DEFINITION_FIELDS.forEach(field => {
+      if (body[field] !== undefined) definition[field] = body[field];
+    });
+    definition.updatedBy = user.username;
+
+    this.checkDefinition(definition);
+    return definition.save();
+  }
+
+  /**
+   * Convert and check one value against its definition
+   * @returns {*} the value to store
+   */
+  coerceValue(definition, raw) {
+    const { type, validation = {}, options = [], label } = definition;
+
+    switch (type) {
+      case 'NUMBER': {
+        const number = Number(raw);
+        if (typeof raw === 'boolean' || Number.isNaN(number)) throw new Error(`${label} must be a number`);
+        if (validation.min !== undefined && validation.min !== null && number < validation.min) {
+          throw new Error(`${label} must be at least ${validation.min}`);
+        }
+        if (validation.max !== undefined && validation.max !== null && number > validation.max) {
+          throw new Error(`${label} must be at most ${validation.max}`);
+        }
+        return number;
+      }
+      case 'DATE': {
+        const date = new Date(raw);
+        if (Number.isNaN(date.getTime())) throw new Error(`${label} must be a date`);
+        return date;
+      }
+      case 'BOOLEAN':
+        if (raw === true || raw === 'true') return true;
+        if (raw === false || raw === 'false') return false;
+        throw new Error(`${label} must be true or false`);
+      case 'SELECT': {
+        const value = String(raw).trim();
+        if (!options.includes(value)) throw new Error(`${label} must be one of: ${options.join(', ')}`);
+        return value;
+      }
+      default: {
+        const text = String(raw).trim();
+        if (validation.minLength && text.length < validation.minLength) {
+          throw new Error(`${label} must be at least ${validation.minLength} characters`);
+        }
+        if (validation.maxLength && text.length > validation.maxLength) {
+          throw new Error(`${label} cannot exceed ${validation.maxLength} characters`);
+        }
+        if (validation.pattern && !new RegExp(`^(?:${validation.pattern})$`).test(text)) {
+          throw new Error(`${label} has an invalid format`);
+        }
+        return text;
+      }
+    }
+  }
+
+  isRequired(definition, loanType) {
+    return definition.required || (definition.requiredForLoanTypes || []).includes(loanType);
+  }
+
+  /**
+   * Apply changes to a customer's custom field values. A null or empty value removes the field.
+   * Values of fields that have since been deactivated are kept untouched.
+   * @param {Object|Map} current - Stored values
+   * @param {Object} changes - { key: value }
+   * @param {String} loanType - Customer's (new) loan type, for required checks
+   * @returns {Object} Values to store
+   */
+  async applyValues(current, changes = {}, loanType) {
+    if (typeof changes !== 'object' || changes === null || Array.isArray(changes)) {
+      throw serviceError('customFields must be an object of { key: value }');
+    }
+
+    const definitions = await this.getDefinitions();
+    const byKey = new Map(definitions.map(definition => [definition.key, definition]));
+    const values = toObject(current);
+    const errors = [];
+
+    for (const [key, raw] of Object.entries(changes)) {
+      const definition = byKey.get(key);
+      if (!definition) {
+        errors.push({ field: key, message: `Unknown custom field "${key}"` });
+        continue;
+      }
+
+      if (isBlank(raw)) {
+        delete values[key];
+        continue;
+      }
+
+      try {
+        values[key] = this.coerceValue(definition, raw);
+      } catch (error) {
+        errors.push({ field: key, message: error.message });
+      }
+    }
+
+    definitions
+      .filter(definition => this.isRequired(definition, loanType) && isBlank(values[definition.key]))
+      .forEach(definition => {
+        errors.push({ field: definition.key, message: `${definition.label} is required for ${loanType}` });
+      });
+
+    if (errors.length) {
+      throw serviceError(`Invalid custom fields: ${errors.map(item => item.message).join('; ')}`, 400, errors);
+    }
+
+    return values;
+  }
+
+  // ==================== TAGS ====================
+
+  normaliseTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    const clean = [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+
+    const tooLong = clean.filter(tag => tag.length > MAX_TAG_LENGTH);
+    if (tooLong.length) {
+      throw serviceError(`Tags cannot exceed ${MAX_TAG_LENGTH} characters: ${tooLong.join(', ')}`);
+    }
+    return clean;
+  }
+
+  /**
+   * New tag list from { tags } (replace) and/or { addTags, removeTags }
+   */
+  applyTags(current = [], { tags, addTags, removeTags } = {}) {
+    let result = tags !== undefined ? this.normaliseTags(tags) : [...current];
+
+    if (addTags !== undefined) {
+      result = [...new Set([...result, ...this.normaliseTags(addTags)])];
+    }
+    if (removeTags !== undefined) {
+      const removed = this.normaliseTags(removeTags);
+      result = result.filter(tag => !removed.includes(tag));
+    }
+
+    if (result.length > MAX_TAGS) {
+      throw serviceError(`A customer can have at most ${MAX_TAGS} tags`);
+    }
+    return result;
+  }
+
+  /**
+   * Tags in use, most common first
+   */
+  async getTagCounts(match = { isActive: true }) {
+    const rows = await Customer.aggregate([
+      { $match: match },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]);
+
+    return rows.map(row => ({ tag: row._id, count: row.count }));
+  }
+
+  /**
+   * Portfolio split by tag or by the value of a custom field
+   * @param {String} by - "tag" or a custom field key
+   */
+  async getBreakdown(by, match = { isActive: true }) {
+    let groupKey;
+
+    if (by === 'tag') {
+      groupKey = '$tags';
+    } else {
+      const definition = await CustomFieldDefinition.findOne({ key: by }).lean();
+      if (!definition) throw serviceError(`Unknown breakdown "${by}". Use "tag" or a custom field key`);
+      groupKey = `$customFields.${definition.key}`;
+    }
+
+    const pipeline = [{ $match: match }];
+    if (by === 'tag') {
+      pipeline.push({ $unwind: { path: '$tags', preserveNullAndEmptyArrays: true } });
+    }
+    pipeline.push(
+      {
+        $group: {
+          _id: { $ifNull: [groupKey, null] },
+          customers: { $sum: 1 },
+          loanBalance: { $sum: '$loanBalance' },
+          arrears: { $sum: '$arrears' },
+          totalRepayments: { $sum: '$totalRepayments' }
+        }
+      },
+      { $sort: { loanBalance: -1 } }
+    );
+
+    const rows = await Customer.aggregate(pipeline);
+
+    return rows.map(row => ({
+      value: row._id === null ? (by === 'tag' ? '(untagged)' : '(not set)') : row._id,
+      customers: row.customers,
+      loanBalance: Math.round(row.loanBalance * 100) / 100,
+      arrears: Math.round(row.arrears * 100) / 100,
+      totalRepayments: Math.round(row.totalRepayments * 100) / 100
+    }));
+  }
+}
+
+module.exports = new CustomFieldService();
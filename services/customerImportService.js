@@ -0,0 +1,421 @@
+// services/customerImportService.js
+const XLSX = require('xlsx');
+const Customer = require('../models/Customer');
+const CustomerImport = require('../models/CustomerImport');
+const LoanService = require('./loanService');
+const {
+  roundMoney,
+  serviceError,
+  formatPhoneNumber,
+  generateAccountNumber,
+  generateInternalId,
+  isValidKenyanPhone
+} = require('../utils/helpers');
+
+// Default header names per Customer field, matched against the header with
+// case, spaces and punctuation stripped
+const COLUMN_ALIASES = {
+  name: ['name', 'customername', 'fullname', 'clientname'],
+  phoneNumber: ['phone', 'phonenumber', 'phoneno', 'mobile', 'mobilenumber', 'mobileno', 'msisdn', 'telephone'],
+  accountNumber: ['accountnumber', 'accountno', 'acno', 'account', 'loanaccount'],
+  customerId: ['customerid', 'customerno', 'customernumber', 'clientid'],
+  email: ['email', 'emailaddress'],
+  nationalId: ['nationalid', 'idnumber', 'idno', 'nationalidnumber'],
+  loanType: ['loantype', 'product', 'producttype'],
+  loanBalance: ['loanbalance', 'balance', 'outstanding', 'outstandingbalance'],
+  arrears: ['arrears', 'arrearsamount', 'amountinarrears']
+};
+
+const IMPORT_FIELDS = Object.keys(COLUMN_ALIASES);
+const LOAN_TYPES = Customer.schema.path('loanType').enumValues;
+const EMAIL_PATTERN = /^\S+@\S+\.\S+$/;
+
+const MAX_ROWS = parseInt(process.env.CUSTOMER_IMPORT_MAX_ROWS, 10) || 5000;
+const BATCH_SIZE = parseInt(process.env.CUSTOMER_IMPORT_BATCH_SIZE, 10) || 100;
+
+const normalizeHeader = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const cellText = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+/**
+ * Bulk customer import from CSV/XLSX: validate as a dry run, then commit in batches
+ */
+class CustomerImportService {
+  getFields() {
+    return { fields: IMPORT_FIELDS, aliases: COLUMN_ALIASES, loanTypes: LOAN_TYPES };
+  }
+
+  /**
+   * Work out which column holds which Customer field
+   * @param {Array} header - header row cells
+   * @param {Object} columnMap - optional { "Spreadsheet header": "customerField" } overrides
+   * @returns {Object} { columns: { field: index }, mapping: { header: field } }
+   */
+  mapColumns(header, columnMap = {}) {
+    const overrides = {};
+    for (const [column, field] of Object.entries(columnMap || {})) {
+      if (!IMPORT_FIELDS.includes(field)) {
+        throw serviceError(`Unknown customer field "${field}" in column map. Allowed: ${IMPORT_FIELDS.join(', ')}`);
+      }
+      overrides[normalizeHeader(column)] = field;
+    }
+
+    const columns = {};
+    const mapping = {};
+    header.forEach((cell, index) => {
+      const key = normalizeHeader(cell);
+      if (!key) return;
+
+      const field = overrides[key]
+        || IMPORT_FIELDS.find(candidate => COLUMN_ALIASES[candidate].includes(key));
+
+      if (field && columns[field] === undefined) {
+        columns[field] = index;
+        mapping[cellText(cell)] = field;
+      }
+    });
+
+    const missing = ['name', 'phoneNumber'].filter(field => columns[field] === undefined);
+    if (missing.length > 0) {
+      throw serviceError(`Could not find a column for: ${missing.join(', ')}. Rename the header or pass a column map`);
+    }
+
+    return { columns, mapping };
+  }
+
+  /**
+   * Read the first sheet of a CSV/XLSX file into raw row objects
+   */
+  parseFile(buffer, columnMap) {
+    // raw keeps CSV cells as text so account numbers and phones keep leading zeros
+    const workbook = XLSX.read(buffer, { type: 'buffer', raw: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    if (!sheet) {
+      throw serviceError('File is empty');
+    }
+
+    const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: null, raw: true, blankrows: true });
+    const headerIndex = rows.findIndex(row => row.some(cell => cellText(cell)));
+    if (headerIndex === -1) {
+      throw serviceError('File is empty');
+    }
+
+    const { columns, mapping } = this.mapColumns(rows[headerIndex], columnMap);
+
+    const records = [];
+    rows.slice(headerIndex + 1).forEach((row, offset) => {
+      if (!row.some(cell => cellText(cell))) return;
+
+      const raw = {};
+      for (const [field, index] of Object.entries(columns)) {
+        raw[field] = cellText(row[index]);
+      }
+      records.push({ rowNumber: headerIndex + offset + 2, raw });
+    });
+
+    if (records.length === 0) {
+      throw serviceError('File has no customer rows');
+    }
+    if (records.length > MAX_ROWS) {
+      throw serviceError(`File has ${records.length} rows; the limit per import is ${MAX_ROWS}`);
+    }
+
+    return { records, mapping };
+  }
+
+  parseAmount(value, label, rowErrors) {
+    if (value === '') return 0;
+    const amount = Number(String(value).replace(/,/g, ''));
+    if (!Number.isFinite(amount) || amount < 0) {
+      rowErrors.push(`${label} must be a non-negative number`);
+      return 0;
+    }
+    return roundMoney(amount);
+  }
+
+  /**
+   * Field-level validation and normalisation of one row
+   */
+  validateRecord({ rowNumber, raw }) {
+    const rowErrors = [];
+    const data = {};
+
+    data.name = raw.name;
+    if (!data.name) rowErrors.push('Name is required');
+
+    if (!raw.phoneNumber) {
+      rowErrors.push('Phone number is required');
+    } else {
+      data.phoneNumber = formatPhoneNumber(raw.phoneNumber);
+      if (!isValidKenyanPhone(data.phoneNumber)) {
+        rowErrors.push(`Invalid Kenyan phone number "${raw.phoneNumber}"`);
+      }
+    }
+
+    if (raw.accountNumber) data.accountNumber = raw.accountNumber;
+    if (raw.customerId) data.customerId = raw.customerId;
+    if (raw.nationalId) data.nationalId = raw.nationalId;
+
+    if (raw.email) {
+      data.email = raw.email.toLowerCase();
+      if (!EMAIL_PATTERN.test(data.email)) rowErrors.push(`Invalid email "${raw.email}"`);
+    }
+
+    if (raw.loanType) {
+      data.loanType = LOAN_TYPES.find(type => type.toLowerCase() === raw.loanType.toLowerCase());
+      if (!data.loanType) {
+        rowErrors.push(`Invalid loan type "${raw.loanType}". Allowed: ${LOAN_TYPES.join(', ')}`);
+      }
+    }
+
+    data.loanBalance = this.parseAmount(raw.loanBalance ?? '', 'Loan balance', rowErrors);
+    data.arrears = this.parseAmount(raw.arrears ?? '', 'Arrears', rowErrors);
+    if (data.arrears > data.loanBalance) {
+      rowErrors.push('Arrears cannot exceed the loan balance');
+    }
+
+    return { rowNumber, data, rowErrors, warnings: [] };
+  }
+
+  /**
+   * Check rows against each other and against existing customers.
+   * Mutates each row's rowErrors, warnings, action and customerId.
+   */
+  async checkConflicts(rows, upsert) {
+    const values = (field) => [...new Set(rows.map(row => row.data[field]).filter(Boolean))];
+
+    const [byAccount, byPhone, byCustomerId] = await Promise.all(
+      ['accountNumber', 'phoneNumber', 'customerId'].map(async (field) => {
+        const list = values(field);
+        if (list.length === 0) return new Map();
+        const customers = await Customer.find({ [field]: { $in: list } })
+          .select('_id name accountNumber phoneNumber customerId')
+          .lean();
+        return new Map(customers.map(customer => [customer[field], customer]));
+      })
+    );
+
+    const seen = { accountNumber: new Map(), phoneNumber: new Map(), customerId: new Map() };
+    const labels = { accountNumber: 'account number', phoneNumber: 'phone number', customerId: 'customer ID' };
+
+    for (const row of rows) {
+      const { data } = row;
+
+      for (const field of Object.keys(seen)) {
+        const value = data[field];
+        if (!value) continue;
+        if (seen[field].has(value)) {
+          row.rowErrors.push(`Duplicate ${labels[field]} ${value} (also on row ${seen[field].get(value)})`);
+        } else {
+          seen[field].set(value, row.rowNumber);
+        }
+      }
+
+      const existing = data.accountNumber ? byAccount.get(data.accountNumber) : null;
+      if (existing && !upsert) {
+        row.rowErrors.push(`Account number ${data.accountNumber} already exists (${existing.name}); enable upsert to update it`);
+      }
+
+      const target = upsert ? existing : null;
+      const owners = [[byPhone, 'phoneNumber'], [byCustomerId, 'customerId']];
+      for (const [index, field] of owners) {
+        const owner = data[field] ? index.get(data[field]) : null;
+        if (owner && (!target || String(owner._id) !== String(target._id))) {
+          row.rowErrors.push(`${labels[field][0].toUpperCase()}${labels[field].slice(1)} ${data[field]} already belongs to ${owner.name} (${owner.accountNumber})`);
+        }
+      }
+
+      if (target && (data.loanBalance > 0 || data.arrears > 0)) {
+        row.warnings.push('Balances come from the customer\'s loans and are not changed for existing customers');
+      }
+
+      row.action = row.rowErrors.length > 0 ? 'NONE' : (target ? 'UPDATE' : 'CREATE');
+      row.customerId = target ? target._id : undefined;
+      row.status = row.rowErrors.length > 0 ? 'INVALID' : 'VALID';
+    }
+
+    return rows;
+  }
+
+  /**
+   * Dry run: parse and validate the file and save the report. Nothing is written
+   * to customers until the import is committed.
+   * @param {Object} file - multer file (buffer + originalname)
+   * @param {Object} options - upsert, columnMap
+   */
+  async validate(file, options, user) {
+    const upsert = options.upsert === true || options.upsert === 'true';
+    const { records, mapping } = this.parseFile(file.buffer, options.columnMap);
+
+    const rows = records.map(record => this.validateRecord(record));
+    await this.checkConflicts(rows, upsert);
+
+    const count = (predicate) => rows.filter(predicate).length;
+
+    return CustomerImport.create({
+      importId: generateInternalId('IMP'),
+      fileName: file.originalname,
+      upsert,
+      columnMap: mapping,
+      rows,
+      summary: {
+        totalRows: rows.length,
+        validRows: count(row => row.status === 'VALID'),
+        invalidRows: count(row => row.status === 'INVALID'),
+        toCreate: count(row => row.action === 'CREATE'),
+        toUpdate: count(row => row.action === 'UPDATE')
+      },
+      createdBy: user.username,
+      createdByUserId: user.id
+    });
+  }
+
+  async createCustomer(data, user, session) {
+    const [customer] = await Customer.create([{
+      customerInternalId: generateInternalId('CUS'),
+      customerId: data.customerId || `CUST${Date.now().toString().slice(-6)}${Math.floor(Math.random() * 1000).toString().padStart(3, '0')}`,
+      phoneNumber: data.phoneNumber,
+      name: data.name,
+      accountNumber: data.accountNumber || generateAccountNumber(),
+      loanBalance: data.loanBalance,
+      arrears: data.arrears,
+      email: data.email,
+      nationalId: data.nationalId,
+      loanType: data.loanType || 'Consumer Loans',
+      totalRepayments: 0,
+      isActive: true,
+      createdBy: user.username,
+      createdByUserId: user.id
+    }], { session });
+
+    // Same as createCustomer: the balance columns become an opening-balance loan
+    const loan = await LoanService.createOpeningBalanceLoan(customer, { session, user });
+    if (loan) {
+      await LoanService.syncCustomerBalances(customer._id, session);
+    }
+
+    return customer;
+  }
+
+  async updateCustomer(customerId, data, session) {
+    const update = { name: data.name, phoneNumber: data.phoneNumber };
+    for (const field of ['customerId', 'email', 'nationalId', 'loanType']) {
+      if (data[field]) update[field] = data[field];
+    }
+
+    const customer = await Customer.findByIdAndUpdate(customerId, update, { new: true, runValidators: true, session });
+    if (!customer) {
+      throw serviceError('Customer no longer exists', 404);
+    }
+    return customer;
+  }
+
+  async writeRow(row, user, session) {
+    const customer = row.action === 'UPDATE'
+      ? await this.updateCustomer(row.customerId, row.data, session)
+      : await this.createCustomer(row.data, user, session);
+    return customer._id;
+  }
+
+  /**
+   * Write one batch in a single transaction. If the batch fails, each row is retried
+   * on its own so one bad row only fails itself.
+   */
+  async commitBatch(rows, user) {
+    const session = await Customer.startSession();
+    try {
+      session.startTransaction();
+      const ids = [];
+      for (const row of rows) {
+        ids.push(await this.writeRow(row, user, session));
+      }
+      await session.commitTransaction();
+
+      rows.forEach((row, index) => {
+        row.customerId = ids[index];
+        row.status = 'IMPORTED';
+      });
+      return;
+    } catch (error) {
+      await session.abortTransaction();
+      if (rows.length === 1) {
+        rows[0].status = 'FAILED';
+        rows[0].rowErrors.push(error.code === 11000
+          ? `Duplicate ${Object.keys(error.keyPattern || {})[0] || 'value'}`
+          : error.message);
+        return;
+      }
+    } finally {
+      session.endSession();
+    }
+
+    for (const row of rows) {
+      await this.commitBatch([row], user);
+    }
+  }
+
+  /**
+   * Write the valid rows of a dry run. Rows are re-checked first in case customers
+   * changed since the dry run.
+   */
+  async commit(importId, user) {
+    const customerImport = await CustomerImport.findOneAndUpdate(
+      { _id: importId, status: 'VALIDATED' },
+      { status: 'COMMITTING' },
+      { new: true }
+    );
+
+    if (!customerImport) {
+      throw serviceError('Import not found or already committed', 404);
+    }
+
+    try {
+      const rows = customerImport.rows
+        .filter(row => row.status === 'VALID')
+        .map(row => ({ ...row.toObject(), rowErrors: [], warnings: [...row.warnings] }));
+
+      await this.checkConflicts(rows, customerImport.upsert);
+
+      for (const row of rows) {
+        if (row.status === 'INVALID') row.status = 'FAILED';
+      }
+
+      const pending = rows.filter(row => row.status === 'VALID');
+      for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+        await this.commitBatch(pending.slice(i, i + BATCH_SIZE), user);
+        console.log(`📥 Import ${customerImport.importId}: ${Math.min(i + BATCH_SIZE, pending.length)}/${pending.length} rows written`);
+      }
+
+      const byRowNumber = new Map(rows.map(row => [row.rowNumber, row]));
+      customerImport.rows = customerImport.rows.map(row => byRowNumber.get(row.rowNumber) || row.toObject());
+
+      customerImport.summary.created = rows.filter(row => row.status === 'IMPORTED' && row.action === 'CREATE').length;
+      customerImport.summary.updated = rows.filter(row => row.status === 'IMPORTED' && row.action === 'UPDATE').length;
+      customerImport.summary.failed = rows.filter(row => row.status === 'FAILED').length;
+      customerImport.status = 'COMMITTED';
+      customerImport.committedBy = user.username;
+      customerImport.committedByUserId = user.id;
+      customerImport.committedAt = new Date();
+      await customerImport.save();
+
+      return customerImport;
+    } catch (error) {
+      await CustomerImport.updateOne({ _id: customerImport._id, status: 'COMMITTING' }, { status: 'VALIDATED' });
+      throw error;
+    }
+  }
+
+  async cancel(importId) {
+    const customerImport = await CustomerImport.findOneAndUpdate(
+      { _id: importId, status: 'VALIDATED' },
+      { status: 'CANCELLED' },
+      { new: true }
+    ).select('-rows');
+
+    if (!customerImport) {
+      throw serviceError('Import not found or already committed', 404);
+    }
+    return customerImport;
+  }
+}
+
+module.exports = new CustomerImportService();
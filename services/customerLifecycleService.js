@@ -0,0 +1,288 @@
+// services/customerLifecycleService.js
+const Customer = require('../models/Customer');
+const Transaction = require('../models/Transaction');
+const PromiseModel = require('../models/Promise');
+const Comment = require('../models/Comment');
+const Contact = require('../models/Contact');
+const ContactAttempt = require('../models/ContactAttempt');
+const SuspensePayment = require('../models/SuspensePayment');
+const CustomerMerge = require('../models/CustomerMerge');
+const CustomerImport = require('../models/CustomerImport');
+const WriteOffBatch = require('../models/WriteOffBatch');
+const User = require('../models/User');
+const Activity = require('../models/Activity');
+const ActivityLogger = require('./activityLogger');
+const { DAY_MS, serviceError } = require('../utils/helpers');
+
+// Closed accounts keep personal data this long before it is anonymised (default 7 years)
+const RETENTION_DAYS = parseInt(process.env.RETENTION_ANONYMISE_AFTER_DAYS, 10) || 2555;
+
+const ANONYMISED_NAME = 'Anonymised customer';
+const ANONYMISED_PHONE = 'ANONYMISED';
+
+// Blanks the personal fields of a customer snapshot stored under prefix
+const scrubSnapshot = (prefix) => ({
+  $set: {
+    [`${prefix}.name`]: ANONYMISED_NAME,
+    [`${prefix}.phoneNumber`]: ANONYMISED_PHONE,
+    [`${prefix}.customFields`]: {}
+  },
+  $unset: { [`${prefix}.email`]: 1, [`${prefix}.nationalId`]: 1 }
+});
+
+// Replaces each of values inside a string field (aggregation expression for a pipeline update)
+const replaceEach = (field, values, replacement) => values
+  .filter(Boolean)
+  .reduce((input, find) => ({ $replaceAll: { input, find, replacement } }), `$${field}`);
+
+// Overwrites a field only where it is already set
+const overwriteIfSet = (field, value) => ({ $cond: [{ $ifNull: [`$${field}`, false] }, value, '$$REMOVE'] });
+
+const hasBalance = (customer) =>
+  (customer.loanBalance || 0) > 0 || (customer.arrears || 0) > 0 || (customer.writtenOffBalance || 0) > 0;
+
+/**
+ * Customer archive/restore and the data-retention anonymisation engine.
+ * Financial records (transactions, loans, ledger) are never deleted; only the
+ * personal data on and copied from the customer record is replaced.
+ */
+class CustomerLifecycleService {
+  getRetentionDays() {
+    return RETENTION_DAYS;
+  }
+
+  /**
+   * Archive (soft delete) a settled customer. The record and its history stay in place.
+   */
+  async archive(customer, { reason } = {}, user) {
+    if (!customer.isActive) {
+      throw serviceError(customer.mergedInto ? 'Customer was merged into another record' : 'Customer is already archived');
+    }
+    if (hasBalance(customer)) {
+      throw serviceError('Cannot archive a customer with an outstanding, overdue or written-off balance');
+    }
+
+    const now = new Date();
+    customer.isActive = false;
+    customer.archivedAt = now;
+    customer.archivedBy = user.username;
+    customer.archiveReason = reason ? String(reason).trim() : undefined;
+    customer.closedAt = now;
+    await customer.save();
+
+    if (customer.assignedTo) {
+      await User.updateOne({ _id: customer.assignedTo }, { $pull: { assignedCustomers: customer._id } });
+    }
+
+    return customer;
+  }
+
+  /**
+   * Bring an archived customer back. Merged and anonymised records cannot be restored.
+   */
+  async restore(customer, { reason } = {}, user) {
+    if (customer.isActive) throw serviceError('Customer is not archived');
+    if (customer.mergedInto) throw serviceError('Merged customers cannot be restored; use the surviving record');
+    if (customer.anonymisedAt) throw serviceError('Customer data has been anonymised and cannot be restored');
+
+    const previous = { archivedAt: customer.archivedAt, archivedBy: customer.archivedBy, archiveReason: customer.archiveReason };
+
+    customer.isActive = true;
+    customer.archivedAt = undefined;
+    customer.archivedBy = undefined;
+    customer.archiveReason = undefined;
+    customer.closedAt = undefined;
+    await customer.save();
+
+    if (customer.assignedTo) {
+      await User.updateOne(
+        { _id: customer.assignedTo, isActive: true },
+        { $addToSet: { assignedCustomers: customer._id } }
+      );
+    }
+
+    console.log(`♻️ Customer ${customer.customerId} restored by ${user.username}${reason ? `: ${reason}` : ''}`);
+
+    return { customer, previous };
+  }
+
+  async setRetentionHold(customer, { hold, reason } = {}) {
+    const enable = hold === true || hold === 'true';
+    if (enable && !reason) throw serviceError('A reason is required to place a retention hold');
+    if (customer.anonymisedAt) throw serviceError('Customer data has already been anonymised');
+
+    customer.retentionHold = enable;
+    customer.retentionHoldReason = enable ? String(reason).trim() : undefined;
+    return customer.save();
+  }
+
+  /**
+   * Closed, settled accounts past the retention period that are not on hold
+   */
+  dueQuery(asOf = new Date()) {
+    const cutoff = new Date(asOf.getTime() - RETENTION_DAYS * DAY_MS);
+
+    return {
+      isActive: false,
+      anonymisedAt: null,
+      retentionHold: { $ne: true },
+      // Customers deactivated before closedAt existed are aged from their last update
+      $or: [
+        { closedAt: { $lte: cutoff } },
+        { closedAt: null, updatedAt: { $lte: cutoff } }
+      ],
+      loanBalance: { $lte: 0 },
+      arrears: { $lte: 0 },
+      writtenOffBalance: { $not: { $gt: 0 } }
+    };
+  }
+
+  async getDue({ asOf = new Date(), limit = 100 } = {}) {
+    const query = this.dueQuery(asOf);
+    const [customers, total] = await Promise.all([
+      Customer.find(query)
+        .select('customerId accountNumber name loanType closedAt archivedAt mergedAt')
+        .sort({ closedAt: 1 })
+        .limit(limit)
+        .lean(),
+      Customer.countDocuments(query)
+    ]);
+
+    return { customers, total, retentionDays: RETENTION_DAYS };
+  }
+
+  /**
+   * Replace a customer's personal data (and the copies of it on related records)
+   * while keeping every amount, date and reference
+   */
+  async anonymise(customer, user = null) {
+    if (customer.anonymisedAt) throw serviceError('Customer data has already been anonymised');
+    if (customer.isActive || customer.retentionHold || hasBalance(customer)) {
+      throw serviceError('Only closed, settled customers without a retention hold can be anonymised');
+    }
+
+    const session = await Customer.startSession();
+
+    try {
+      session.startTransaction();
+
+      // Activity descriptions quote the name and phone number as they were
+      const { name: previousName, phoneNumber: previousPhone } = customer;
+
+      customer.name = ANONYMISED_NAME;
+      // phoneNumber is unique; legacy customers have no customerInternalId
+      customer.phoneNumber = `${ANONYMISED_PHONE}-${customer.customerInternalId || customer._id}`;
+      customer.email = undefined;
+      customer.nationalId = undefined;
+      customer.customFields = {};
+      customer.doNotContact = true;
+      customer.doNotContactReason = 'Personal data anonymised';
+      customer.anonymisedAt = new Date();
+      await customer.save({ session });
+
+      // Operations in a transaction run one at a time
+      const byCustomer = { customerId: customer._id };
+      // C2B and STK callbacks keep the payer's number and name
+      await Transaction.updateMany(
+        byCustomer,
+        {
+          $set: { phoneNumber: ANONYMISED_PHONE },
+          $unset: { 'callbackData.msisdn': 1, 'callbackData.payerName': 1, 'callbackData.phoneNumber': 1 }
+        },
+        { session }
+      );
+      await PromiseModel.updateMany(byCustomer, { $set: { customerName: ANONYMISED_NAME, phoneNumber: ANONYMISED_PHONE } }, { session });
+      await Comment.updateMany(byCustomer, { $set: { customerName: ANONYMISED_NAME } }, { session });
+      await ContactAttempt.updateMany(byCustomer, { $unset: { phoneNumber: 1 } }, { session });
+      // Alternate numbers, guarantors and next-of-kin are personal data with no financial value
+      await Contact.deleteMany(byCustomer, { session });
+      await SuspensePayment.updateMany(
+        { allocatedCustomerId: customer._id },
+        {
+          $set: { msisdn: ANONYMISED_PHONE, payerName: ANONYMISED_NAME },
+          $unset: { 'rawPayload.MSISDN': 1, 'rawPayload.FirstName': 1, 'rawPayload.MiddleName': 1, 'rawPayload.LastName': 1 }
+        },
+        { session }
+      );
+      await Activity.updateMany(
+        {
+          $or: [
+            { resourceId: customer._id },
+            { 'resourceDetails.customerId': { $in: [customer._id, customer.customerId].filter(Boolean) } }
+          ]
+        },
+        [{
+          $set: {
+            description: replaceEach('description', [previousPhone], ANONYMISED_PHONE),
+            'resourceDetails.name': overwriteIfSet('resourceDetails.name', ANONYMISED_NAME),
+            'resourceDetails.phoneNumber': overwriteIfSet('resourceDetails.phoneNumber', ANONYMISED_PHONE)
+          }
+        }, {
+          $set: { description: replaceEach('description', [previousName], ANONYMISED_NAME) }
+        }],
+        { session }
+      );
+      // Copies kept for audit: merge snapshots, uploaded import rows and write-off batches
+      await CustomerMerge.updateMany({ survivorId: customer._id }, scrubSnapshot('survivorBefore'), { session });
+      await CustomerMerge.updateMany({ mergedId: customer._id }, scrubSnapshot('mergedBefore'), { session });
+      await CustomerImport.updateMany(
+        { 'rows.customerId': customer._id },
+        { $set: { 'rows.$[row].data': {}, 'rows.$[row].rowErrors': [], 'rows.$[row].warnings': [] } },
+        { arrayFilters: [{ 'row.customerId': customer._id }], session }
+      );
+      await WriteOffBatch.updateMany(
+        { 'items.customerId': customer._id },
+        { $set: { 'items.$[item].customerName': ANONYMISED_NAME } },
+        { arrayFilters: [{ 'item.customerId': customer._id }], session }
+      );
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    if (user) {
+      await ActivityLogger.logCustomer(user.id, 'CUSTOMER_ANONYMISE', customer, {
+        closedAt: customer.closedAt,
+        retentionDays: RETENTION_DAYS
+      });
+    }
+
+    return customer;
+  }
+
+  /**
+   * Anonymise every customer due under the retention policy
+   * @returns {Object} summary
+   */
+  async runRetention({ asOf = new Date(), dryRun = false, user = null } = {}) {
+    const summary = { retentionDays: RETENTION_DAYS, due: 0, anonymised: 0, failed: 0, dryRun };
+
+    if (dryRun) {
+      summary.due = await Customer.countDocuments(this.dueQuery(asOf));
+      return summary;
+    }
+
+    // Collect ids first: anonymised records drop out of the query while we iterate
+    const ids = await Customer.find(this.dueQuery(asOf)).distinct('_id');
+    summary.due = ids.length;
+
+    for (const id of ids) {
+      try {
+        const customer = await Customer.findById(id);
+        await this.anonymise(customer, user);
+        summary.anonymised++;
+      } catch (error) {
+        summary.failed++;
+        console.error(`❌ Anonymisation failed for customer ${id}:`, error.message);
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new CustomerLifecycleService();
@@ -0,0 +1,440 @@
+// services/customerMergeService.js
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const CustomerMerge = require('../models/CustomerMerge');
+const Transaction = require('../models/Transaction');
+const PromiseModel = require('../models/Promise');
+const Comment = require('../models/Comment');
+const Activity = require('../models/Activity');
+const Loan = require('../models/Loan');
+const FeeWaiver = require('../models/FeeWaiver');
+const Restructure = require('../models/Restructure');
+const ReversalRequest = require('../models/ReversalRequest');
+const AgingHistory = require('../models/AgingHistory');
+const SuspensePayment = require('../models/SuspensePayment');
+const Contact = require('../models/Contact');
+const ContactAttempt = require('../models/ContactAttempt');
+const RiskScoreHistory = require('../models/RiskScoreHistory');
+const User = require('../models/User');
+const LoanService = require('./loanService');
+const LedgerService = require('./ledgerService');
+const { serviceError, formatPhoneNumber, generateInternalId } = require('../utils/helpers');
+
+// Points each signal adds to a pair's duplicate score (capped at 100)
+const WEIGHTS = {
+  phone: 40,
+  nationalId: 35,
+  nationalIdTypo: 20,
+  email: 20,
+  name: 25
+};
+
+const NAME_SIMILARITY_THRESHOLD = 0.8;
+const MAX_BLOCK_SIZE = 200; // Name tokens shared by more customers than this are too common to compare on
+
+// Collections whose customer reference moves to the survivor. Ledger entries are
+// append-only, so their balances move with a transfer journal instead (see merge).
+const CUSTOMER_REFERENCES = [
+  ['transactions', Transaction, 'customerId'],
+  ['promises', PromiseModel, 'customerId'],
+  ['comments', Comment, 'customerId'],
+  ['loans', Loan, 'customerId'],
+  ['feeWaivers', FeeWaiver, 'customerId'],
+  ['restructures', Restructure, 'customerId'],
+  ['reversalRequests', ReversalRequest, 'customerId'],
+  ['agingHistory', AgingHistory, 'customerId'],
+  ['suspensePayments', SuspensePayment, 'allocatedCustomerId'],
+  ['contacts', Contact, 'customerId'],
+  ['contactAttempts', ContactAttempt, 'customerId'], // Frequency limits count the merged record's contacts too
+  ['riskScoreHistory', RiskScoreHistory, 'customerId']
+];
+
+const SNAPSHOT_EXCLUDE = ['__v'];
+
+const phoneKey = (phone) => {
+  const digits = String(formatPhoneNumber(phone) || '').replace(/\D/g, '');
+  return digits.length >= 9 ? digits.slice(-9) : null;
+};
+const nationalIdKey = (value) => (value ? String(value).toUpperCase().replace(/[^A-Z0-9]/g, '') || null : null);
+const emailKey = (value) => (value ? String(value).trim().toLowerCase() || null : null);
+const nameTokens = (name) => String(name || '').toLowerCase().replace(/[^a-z\s]/g, ' ').split(/\s+/).filter(token => token.length >= 3);
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Word order does not matter: "Kamau John" matches "John Kamau"
+const nameSimilarity = (a, b) => {
+  const left = nameTokens(a).sort().join(' ');
+  const right = nameTokens(b).sort().join(' ');
+  if (!left || !right) return 0;
+  return 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+};
+
+/**
+ * Duplicate customer detection and merging
+ */
+class CustomerMergeService {
+  /**
+   * Score how likely two customers are the same person
+   * @returns {Object} { score, reasons }
+   */
+  scorePair(a, b) {
+    let score = 0;
+    const reasons = [];
+
+    if (a.phoneKey && a.phoneKey === b.phoneKey) {
+      score += WEIGHTS.phone;
+      reasons.push('Same phone number');
+    }
+
+    if (a.nationalIdKey && b.nationalIdKey) {
+      if (a.nationalIdKey === b.nationalIdKey) {
+        score += WEIGHTS.nationalId;
+        reasons.push('Same national ID');
+      } else if (levenshtein(a.nationalIdKey, b.nationalIdKey) === 1) {
+        score += WEIGHTS.nationalIdTypo;
+        reasons.push('National ID differs by one character');
+      }
+    }
+
+    if (a.emailKey && a.emailKey === b.emailKey) {
+      score += WEIGHTS.email;
+      reasons.push('Same email');
+    }
+
+    const similarity = nameSimilarity(a.name, b.name);
+    if (similarity >= NAME_SIMILARITY_THRESHOLD) {
+      score += Math.round(WEIGHTS.name * similarity);
+      reasons.push(similarity === 1 ? 'Same name' : `Similar name (${Math.round(similarity * 100)}%)`);
+    }
+
+    return { score: Math.min(100, score), reasons };
+  }
+
+  /**
+   * Find likely duplicate pairs among active customers. Customers are only compared
+   * when they share a phone, national ID, email or name token, so the whole book is
+   * never compared pairwise.
+   * @param {Object} options - minScore (default 50), limit, customerId (only pairs involving this customer)
+   */
+  async findDuplicates({ minScore = 50, limit = 100, customerId } = {}) {
+    const customers = await Customer.find({ isActive: true })
+      .select('name phoneNumber nationalId email accountNumber customerId loanType loanBalance arrears assignedTo createdAt')
+      .lean();
+
+    const keyed = customers.map(customer => ({
+      ...customer,
+      phoneKey: phoneKey(customer.phoneNumber),
+      nationalIdKey: nationalIdKey(customer.nationalId),
+      emailKey: emailKey(customer.email)
+    }));
+
+    const blocks = new Map();
+    const addToBlock = (key, index) => {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(index);
+    };
+
+    keyed.forEach((customer, index) => {
+      if (customer.phoneKey) addToBlock(`phone:${customer.phoneKey}`, index);
+      if (customer.nationalIdKey) addToBlock(`id:${customer.nationalIdKey}`, index);
+      if (customer.emailKey) addToBlock(`email:${customer.emailKey}`, index);
+      for (const token of new Set(nameTokens(customer.name))) addToBlock(`name:${token}`, index);
+    });
+
+    const focus = customerId ? String(customerId) : null;
+    const compared = new Set();
+    const pairs = [];
+
+    for (const [key, members] of blocks) {
+      if (members.length < 2) continue;
+      if (key.startsWith('name:') && members.length > MAX_BLOCK_SIZE) continue;
+
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          const a = keyed[members[i]];
+          const b = keyed[members[j]];
+          if (focus && String(a._id) !== focus && String(b._id) !== focus) continue;
+
+          const pairKey = members[i] < members[j] ? `${members[i]}:${members[j]}` : `${members[j]}:${members[i]}`;
+          if (compared.has(pairKey)) continue;
+          compared.add(pairKey);
+
+          const { score, reasons } = this.scorePair(a, b);
+          if (score >= minScore) {
+            pairs.push({ score, reasons, customers: [this.summarise(a), this.summarise(b)] });
+          }
+        }
+      }
+    }
+
+    pairs.sort((x, y) => y.score - x.score);
+    return pairs.slice(0, limit);
+  }
+
+  summarise(customer) {
+    return {
+      _id: customer._id,
+      customerId: customer.customerId,
+      name: customer.name,
+      phoneNumber: customer.phoneNumber,
+      nationalId: customer.nationalId,
+      email: customer.email,
+      accountNumber: customer.accountNumber,
+      loanType: customer.loanType,
+      loanBalance: customer.loanBalance,
+      arrears: customer.arrears,
+      assignedTo: customer.assignedTo,
+      createdAt: customer.createdAt
+    };
+  }
+
+  snapshot(customer) {
+    const data = customer.toObject();
+    SNAPSHOT_EXCLUDE.forEach(field => delete data[field]);
+    return data;
+  }
+
+  /**
+   * Merge one customer into another. Everything that pointed at the merged record
+   * moves to the survivor; the merged record is deactivated and linked to the survivor.
+   * @param {Object} data - survivorId, mergedId, reason
+   * @returns {Object} { merge (CustomerMerge audit record), survivor }
+   */
+  async merge({ survivorId, mergedId, reason }, user) {
+    if (!survivorId || !mergedId) {
+      throw serviceError('Please provide survivorId and mergedId');
+    }
+    if (!reason || !String(reason).trim()) {
+      throw serviceError('Please provide a reason for the merge');
+    }
+    if (![survivorId, mergedId].every(id => mongoose.Types.ObjectId.isValid(id))) {
+      throw serviceError('Invalid customer id');
+    }
+    if (String(survivorId) === String(mergedId)) {
+      throw serviceError('Cannot merge a customer into itself');
+    }
+
+    const session = await Customer.startSession();
+
+    try {
+      session.startTransaction();
+
+      const [survivor, merged] = await Promise.all([
+        Customer.findById(survivorId).session(session),
+        Customer.findById(mergedId).session(session)
+      ]);
+
+      if (!survivor || !merged) {
+        throw serviceError('Customer not found', 404);
+      }
+      for (const customer of [survivor, merged]) {
+        if (customer.mergedInto) {
+          throw serviceError(`${customer.name} (${customer.customerId}) was already merged into another customer`);
+        }
+        if (!customer.isActive) {
+          throw serviceError(`${customer.name} (${customer.customerId}) is not active`);
+        }
+      }
+
+      const keyOf = (customer) => ({
+        name: customer.name,
+        phoneKey: phoneKey(customer.phoneNumber),
+        nationalIdKey: nationalIdKey(customer.nationalId),
+        emailKey: emailKey(customer.email)
+      });
+      const { score, reasons } = this.scorePair(keyOf(survivor), keyOf(merged));
+
+      const survivorBefore = this.snapshot(survivor);
+      const mergedBefore = this.snapshot(merged);
+
+      // A customer has at most one preferred contact; the survivor's wins
+      if (await Contact.exists({ customerId: survivor._id, isPreferred: true }).session(session)) {
+        await Contact.updateMany(
+          { customerId: merged._id, isPreferred: true },
+          { $set: { isPreferred: false } },
+          { session }
+        );
+      }
+
+      // A legacy flat balance is not on the ledger, so the balance sync below would wipe
+      // it; bring it on as an opening-balance loan so it moves with the other loans
+      const openingBalanceLoans = [];
+      for (const customer of [survivor, merged]) {
+        const loan = await LoanService.ensureOpeningBalanceLoan(customer, { session, user });
+        if (loan) openingBalanceLoans.push(loan.loanId);
+      }
+
+      // Re-point everything that belongs to the merged record
+      const repointed = { openingBalanceLoans: openingBalanceLoans.length };
+      for (const [name, Model, field] of CUSTOMER_REFERENCES) {
+        const result = await Model.updateMany(
+          { [field]: merged._id },
+          { $set: { [field]: survivor._id } },
+          { session }
+        );
+        repointed[name] = result.modifiedCount;
+      }
+
+      const transferEntries = await LedgerService.transferCustomerBalances(merged._id, survivor._id, {
+        reference: merged.customerId,
+        description: `Merged ${merged.customerId} into ${survivor.customerId}`,
+        user
+      }, session);
+      repointed.ledgerTransferEntries = transferEntries.length;
+
+      const activities = await Activity.updateMany(
+        { resourceType: 'CUSTOMER', resourceId: merged._id },
+        { $set: { resourceId: survivor._id, 'resourceDetails.mergedFrom': merged.customerId } },
+        { session }
+      );
+      repointed.activities = activities.modifiedCount;
+
+      const officers = await User.updateMany(
+        { assignedCustomers: merged._id },
+        { $pull: { assignedCustomers: merged._id } },
+        { session }
+      );
+      repointed.officerAssignments = officers.modifiedCount;
+
+      // Fill the survivor's blanks from the merged record
+      const fieldsCopied = [];
+      for (const field of ['email', 'nationalId']) {
+        if (!survivor[field] && merged[field]) {
+          survivor[field] = merged[field];
+          fieldsCopied.push(field);
+        }
+      }
+      if (!survivor.assignedTo && merged.assignedTo) {
+        survivor.assignedTo = merged.assignedTo;
+        fieldsCopied.push('assignedTo');
+      }
+      if (survivor.assignedTo) {
+        await User.updateOne(
+          { _id: survivor.assignedTo },
+          { $addToSet: { assignedCustomers: survivor._id } },
+          { session }
+        );
+      }
+
+      // Both assignment histories, oldest first
+      const history = [...survivor.assignmentHistory, ...merged.assignmentHistory]
+        .map(entry => entry.toObject())
+        .sort((a, b) => new Date(a.assignedAt) - new Date(b.assignedAt));
+      const seenAssignments = new Set();
+      survivor.assignmentHistory = history.filter(entry => {
+        const key = `${entry.officerId}:${new Date(entry.assignedAt).getTime()}`;
+        if (seenAssignments.has(key)) return false;
+        seenAssignments.add(key);
+        return true;
+      });
+
+      survivor.totalRepayments = (survivor.totalRepayments || 0) + (merged.totalRepayments || 0);
+      survivor.promiseCount = (survivor.promiseCount || 0) + (merged.promiseCount || 0);
+      survivor.fulfilledPromiseCount = (survivor.fulfilledPromiseCount || 0) + (merged.fulfilledPromiseCount || 0);
+      survivor.brokenPromiseCount = (survivor.brokenPromiseCount || 0) + (merged.brokenPromiseCount || 0);
+      survivor.promiseFulfillmentRate = survivor.promiseCount > 0
+        ? Math.round((survivor.fulfilledPromiseCount / survivor.promiseCount) * 100)
+        : 0;
+
+      for (const field of ['lastPaymentDate', 'lastPromiseDate', 'lastBrokenPromiseDate']) {
+        if (merged[field] && (!survivor[field] || merged[field] > survivor[field])) {
+          survivor[field] = merged[field];
+        }
+      }
+
+      // Keep the worse aging until the nightly job recomputes it
+      if ((merged.daysPastDue || 0) > (survivor.daysPastDue || 0)) {
+        survivor.daysPastDue = merged.daysPastDue;
+        survivor.agingBucket = merged.agingBucket;
+      }
+
+      merged.isActive = false;
+      merged.mergedInto = survivor._id;
+      merged.mergedAt = new Date();
+      merged.closedAt = merged.mergedAt;
+      merged.assignedTo = null;
+      merged.promiseCount = 0;
+      merged.fulfilledPromiseCount = 0;
+      merged.brokenPromiseCount = 0;
+      merged.promiseFulfillmentRate = 0;
+      merged.totalRepayments = 0;
+
+      await survivor.save({ session });
+      await merged.save({ session });
+
+      // Balances follow the loans that moved
+      await LoanService.syncCustomerBalances(survivor._id, session);
+      await LoanService.syncCustomerBalances(merged._id, session);
+
+      const [mergeRecord] = await CustomerMerge.create([{
+        mergeId: generateInternalId('MRG'),
+        survivorId: survivor._id,
+        mergedId: merged._id,
+        score,
+        matchReasons: reasons,
+        survivorBefore,
+        mergedBefore,
+        fieldsCopied,
+        repointed,
+        reason: String(reason).trim(),
+        mergedBy: user.username,
+        mergedByUserId: user.id
+      }], { session });
+
+      await session.commitTransaction();
+
+      return { merge: mergeRecord, survivor: await Customer.findById(survivor._id) };
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  async getMerges({ customerId, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (customerId) {
+      if (!mongoose.Types.ObjectId.isValid(customerId)) {
+        throw serviceError('Invalid customer id');
+      }
+      query.$or = [{ survivorId: customerId }, { mergedId: customerId }];
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const [merges, total] = await Promise.all([
+      CustomerMerge.find(query)
+        .select('-survivorBefore -mergedBefore')
+        .populate('survivorId', 'name customerId phoneNumber')
+        .populate('mergedId', 'name customerId phoneNumber')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      CustomerMerge.countDocuments(query)
+    ]);
+
+    return {
+      merges,
+      pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) }
+    };
+  }
+}
+
+module.exports = new CustomerMergeService();
@@ -0,0 +1,342 @@
+// services/feeService.js
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const Customer = require('../models/Customer');
+const FeeRule = require('../models/FeeRule');
+const FeeWaiver = require('../models/FeeWaiver');
+const LoanService = require('./loanService');
+const LedgerService = require('./ledgerService');
+const { DAY_MS, roundMoney, serviceError, assertCanApprove, generateInternalId } = require('../utils/helpers');
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Late fee / penalty accrual and the fee waiver workflow
+ */
+class FeeService {
+  /**
+   * Most that may still be charged on an installment under a rule
+   */
+  remainingCap(rule, installment, alreadyCharged) {
+    const caps = [];
+    if (rule.capAmount != null) caps.push(rule.capAmount);
+    if (rule.capPercent != null) caps.push(installment.amount * rule.capPercent / 100);
+    if (caps.length === 0) return Infinity;
+    return Math.max(0, roundMoney(Math.min(...caps) - alreadyCharged));
+  }
+
+  /**
+   * Work out what a rule charges on one overdue installment today
+   * @returns {Object|null} { amount, accruedThrough }
+   */
+  calculateCharge(rule, installment, fee, asOf) {
+    const overdue = roundMoney(installment.amount - (installment.paidAmount || 0));
+    const chargeableFrom = new Date(startOfDay(installment.dueDate).getTime() + (rule.graceDays + 1) * DAY_MS);
+    const today = startOfDay(asOf);
+
+    if (overdue <= 0 || today < chargeableFrom) return null;
+
+    const cap = this.remainingCap(rule, installment, fee?.amount || 0);
+    if (cap <= 0) return null;
+
+    let amount = 0;
+    let accruedThrough;
+
+    if (rule.method === 'DAILY_ACCRUAL') {
+      const from = fee?.accruedThrough && fee.accruedThrough > chargeableFrom ? fee.accruedThrough : chargeableFrom;
+      accruedThrough = new Date(today.getTime() + DAY_MS);
+      const days = Math.round((accruedThrough - startOfDay(from)) / DAY_MS);
+      if (days <= 0) return null;
+      amount = overdue * (rule.rate / 100) * days;
+    } else {
+      // One-off charges are only raised once per installment
+      if (fee) return null;
+      amount = rule.method === 'FLAT' ? rule.rate : overdue * (rule.rate / 100);
+    }
+
+    amount = roundMoney(Math.min(amount, cap));
+    return amount > 0 ? { amount, accruedThrough } : null;
+  }
+
+  /**
+   * Charge fees on one loan's overdue installments
+   * @returns {Array} charges made
+   */
+  async accrueLoan(loan, rules, asOf = new Date()) {
+    const session = await Loan.startSession();
+    const charges = [];
+
+    try {
+      session.startTransaction();
+
+      for (const installment of loan.activeInstallments()) {
+        if (installment.dueDate >= asOf) continue;
+
+        for (const rule of rules) {
+          let fee = loan.fees.find(f =>
+            String(f.feeRuleId) === String(rule._id) && String(f.installmentId) === String(installment._id)
+          );
+
+          const charge = this.calculateCharge(rule, installment, fee, asOf);
+          if (!charge) continue;
+
+          if (!fee) {
+            loan.fees.push({
+              feeRuleId: rule._id,
+              feeType: rule.feeType,
+              name: rule.name,
+              installmentId: installment._id,
+              installmentNumber: installment.installmentNumber,
+              chargedAt: asOf
+            });
+            fee = loan.fees[loan.fees.length - 1];
+          }
+
+          fee.amount = roundMoney((fee.amount || 0) + charge.amount);
+          if (charge.accruedThrough) {
+            fee.accruedThrough = charge.accruedThrough;
+          }
+
+          await LedgerService.post('FEE_CHARGE', {
+            amount: charge.amount,
+            customerId: loan.customerId,
+            loanId: loan._id,
+            installmentId: installment._id,
+            feeId: fee._id,
+            reference: String(rule._id),
+            description: `${rule.name} on ${loan.loanId} installment ${installment.installmentNumber}`
+          }, session);
+
+          charges.push({ loanId: loan.loanId, installmentNumber: installment.installmentNumber, rule: rule.name, amount: charge.amount });
+        }
+      }
+
+      if (charges.length > 0) {
+        loan.refreshStatus(asOf);
+        await loan.save({ session });
+        await LoanService.syncCustomerBalances(loan.customerId, session);
+      }
+
+      await session.commitTransaction();
+      return charges;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Apply every active fee rule to every overdue loan. Run nightly from server.js.
+   * @returns {Object} { loans, charges, totalCharged, failed }
+   */
+  async runAccrual(asOf = new Date()) {
+    const summary = { loans: 0, charges: 0, totalCharged: 0, failed: 0 };
+
+    const rules = await FeeRule.find({ isActive: true }).lean();
+    if (rules.length === 0) return summary;
+
+    const rulesByType = rules.reduce((map, rule) => {
+      (map[rule.loanType] = map[rule.loanType] || []).push(rule);
+      return map;
+    }, {});
+
+    const cursor = Loan.find({
+      status: { $in: ['active', 'overdue'] },
+      loanType: { $in: Object.keys(rulesByType) },
+      'installments.dueDate': { $lt: asOf }
+    }).cursor();
+
+    for await (const loan of cursor) {
+      try {
+        const charges = await this.accrueLoan(loan, rulesByType[loan.loanType], asOf);
+        summary.loans++;
+        summary.charges += charges.length;
+        summary.totalCharged = roundMoney(summary.totalCharged + charges.reduce((sum, c) => sum + c.amount, 0));
+      } catch (error) {
+        summary.failed++;
+        console.error(`❌ Fee accrual failed for loan ${loan.loanId}:`, error.message);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Officer asks to waive part or all of an outstanding fee
+   */
+  async requestWaiver(data, user) {
+    const { loanId, feeId, reason } = data;
+    const amount = parseFloat(data.amount);
+
+    if (!loanId || !feeId) {
+      throw serviceError('Please provide the loan and fee to waive');
+    }
+    if (!reason || !reason.trim()) {
+      throw serviceError('Please provide a reason for the waiver');
+    }
+
+    const loan = await Loan.findOne(
+      mongoose.Types.ObjectId.isValid(loanId) ? { _id: loanId } : { loanId }
+    );
+    const fee = loan?.fees.id(feeId);
+    if (!fee) {
+      throw serviceError('Fee not found', 404);
+    }
+
+    const outstanding = LoanService.feeDue(fee);
+    const waiveAmount = isNaN(amount) ? outstanding : roundMoney(amount);
+    if (waiveAmount <= 0 || waiveAmount > outstanding) {
+      throw serviceError(`Waiver amount must be between 0 and the outstanding fee (${outstanding})`);
+    }
+
+    // Officers may only request waivers for their own customers
+    const role = user.role === 'agent' ? 'officer' : user.role;
+    if (role === 'officer') {
+      const customer = await Customer.findById(loan.customerId).select('assignedTo');
+      if (!customer || String(customer.assignedTo) !== String(user.id)) {
+        throw serviceError('You can only request waivers for your own customers', 403);
+      }
+    }
+
+    const existing = await FeeWaiver.findOne({ feeId: fee._id, status: 'PENDING' });
+    if (existing) {
+      throw serviceError(`A waiver request (${existing.requestId}) is already pending for this fee`, 409);
+    }
+
+    return FeeWaiver.create({
+      requestId: generateInternalId('FWV'),
+      customerId: loan.customerId,
+      loanId: loan._id,
+      loanRef: loan.loanId,
+      feeId: fee._id,
+      feeName: fee.name,
+      amount: waiveAmount,
+      reason: reason.trim(),
+      requestedBy: user.username,
+      requestedByUserId: user.id
+    });
+  }
+
+  /**
+   * Approve a pending waiver and take it off the fee
+   */
+  async approveWaiver(waiverId, user, notes) {
+    const waiver = await FeeWaiver.findById(waiverId);
+    if (!waiver) {
+      throw serviceError('Waiver request not found', 404);
+    }
+    if (waiver.status !== 'PENDING') {
+      throw serviceError(`Waiver request is already ${waiver.status.toLowerCase()}`);
+    }
+
+    assertCanApprove(waiver.requestedByUserId, user, 'waiver request');
+
+    const session = await Loan.startSession();
+
+    try {
+      session.startTransaction();
+
+      const loan = await Loan.findById(waiver.loanId).session(session);
+      const fee = loan?.fees.id(waiver.feeId);
+      if (!fee) {
+        throw serviceError('Fee no longer exists', 404);
+      }
+
+      // The fee may have been partly paid since the request was raised
+      const applied = Math.min(waiver.amount, LoanService.feeDue(fee));
+      if (applied <= 0) {
+        throw serviceError('Nothing left to waive on this fee');
+      }
+
+      fee.waivedAmount = roundMoney((fee.waivedAmount || 0) + applied);
+      loan.refreshStatus();
+      await loan.save({ session });
+
+      await LedgerService.post('FEE_WAIVER', {
+        amount: applied,
+        customerId: loan.customerId,
+        loanId: loan._id,
+        installmentId: fee.installmentId,
+        feeId: fee._id,
+        reference: waiver.requestId,
+        description: `Waiver of ${fee.name || fee.feeType} on ${loan.loanId}: ${waiver.reason}`,
+        user
+      }, session);
+
+      const customer = await LoanService.syncCustomerBalances(loan.customerId, session);
+
+      waiver.amount = applied;
+      waiver.status = 'APPROVED';
+      waiver.reviewedBy = user.username;
+      waiver.reviewedByUserId = user.id;
+      waiver.reviewedAt = new Date();
+      waiver.reviewNotes = notes;
+      await waiver.save({ session });
+
+      await session.commitTransaction();
+
+      return { waiver, loan, balances: customer };
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  async rejectWaiver(waiverId, user, notes) {
+    const waiver = await FeeWaiver.findOneAndUpdate(
+      { _id: waiverId, status: 'PENDING' },
+      {
+        status: 'REJECTED',
+        reviewedBy: user.username,
+        reviewedByUserId: user.id,
+        reviewedAt: new Date(),
+        reviewNotes: notes
+      },
+      { new: true }
+    );
+
+    if (!waiver) {
+      throw serviceError('Waiver request not found or already reviewed', 404);
+    }
+
+    return waiver;
+  }
+
+  /**
+   * Fees charged to a customer across their loans, for the customer detail view
+   */
+  async getCustomerFeeSummary(customerId) {
+    const [loans, pendingWaivers] = await Promise.all([
+      Loan.find({ customerId, 'fees.0': { $exists: true } }).select('loanId fees').lean(),
+      FeeWaiver.find({ customerId, status: 'PENDING' }).sort({ createdAt: -1 }).lean()
+    ]);
+
+    const fees = loans.flatMap(loan => loan.fees.map(fee => ({
+      ...fee,
+      loanId: loan._id,
+      loanRef: loan.loanId,
+      outstanding: LoanService.feeDue(fee)
+    })));
+
+    const total = (field) => roundMoney(fees.reduce((sum, fee) => sum + (fee[field] || 0), 0));
+
+    return {
+      totalCharged: total('amount'),
+      totalPaid: total('paidAmount'),
+      totalWaived: total('waivedAmount'),
+      outstanding: total('outstanding'),
+      fees,
+      pendingWaivers
+    };
+  }
+}
+
+module.exports = new FeeService();
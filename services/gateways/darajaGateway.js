@@ -0,0 +1,204 @@
+// services/gateways/darajaGateway.js
+const axios = require('axios');
+
+const DARAJA_BASE_URLS = {
+  sandbox: 'https://sandbox.safaricom.co.ke',
+  production: 'https://api.safaricom.co.ke'
+};
+
+// Refresh the OAuth token this long before Safaricom says it expires
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+/**
+ * Safaricom Daraja (Lipa Na M-Pesa Online) STK Push adapter.
+ * Exposes the same interface as utils/mpesaSimulator so the two are interchangeable.
+ */
+class DarajaGateway {
+  constructor() {
+    this.environment = process.env.MPESA_ENV === 'production' ? 'production' : 'sandbox';
+    this.baseUrl = DARAJA_BASE_URLS[this.environment];
+    this.consumerKey = process.env.MPESA_CONSUMER_KEY;
+    this.consumerSecret = process.env.MPESA_CONSUMER_SECRET;
+    this.shortCode = process.env.MPESA_SHORTCODE;
+    this.passkey = process.env.MPESA_PASSKEY;
+    this.transactionType = process.env.MPESA_TRANSACTION_TYPE || 'CustomerPayBillOnline';
+    this.partyB = process.env.MPESA_PARTY_B || this.shortCode;
+    this.callbackUrl = process.env.MPESA_CALLBACK_URL;
+
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+    this.tokenRequest = null;
+
+    if (!this.isConfigured()) {
+      console.warn('⚠️ Daraja gateway credentials are incomplete (check MPESA_* variables)');
+    }
+  }
+
+  isConfigured() {
+    return !!(
+      this.consumerKey &&
+      this.consumerSecret &&
+      this.shortCode &&
+      this.passkey &&
+      this.callbackUrl
+    );
+  }
+
+  /**
+   * Get an OAuth access token, reusing the cached one until it is about to expire
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.tokenExpiresAt) {
+      return this.accessToken;
+    }
+
+    // Share a single in-flight token request between concurrent callers
+    if (!this.tokenRequest) {
+      this.tokenRequest = this.requestAccessToken().finally(() => {
+        this.tokenRequest = null;
+      });
+    }
+
+    return this.tokenRequest;
+  }
+
+  async requestAccessToken() {
+    const credentials = Buffer.from(`${this.consumerKey}:${this.consumerSecret}`).toString('base64');
+
+    const response = await axios.get(
+      `${this.baseUrl}/oauth/v1/generate?grant_type=client_credentials`,
+      {
+        headers: { Authorization: `Basic ${credentials}` },
+        timeout: 15000
+      }
+    );
+
+    const expiresInMs = parseInt(response.data.expires_in, 10) * 1000 || 3599 * 1000;
+    this.accessToken = response.data.access_token;
+    this.tokenExpiresAt = Date.now() + expiresInMs - TOKEN_EXPIRY_MARGIN_MS;
+
+    console.log(`[DARAJA] 🔑 Access token refreshed (${this.environment})`);
+    return this.accessToken;
+  }
+
+  invalidateToken() {
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+  }
+
+  /**
+   * Daraja expects YYYYMMDDHHmmss in East Africa Time
+   */
+  getTimestamp(date = new Date()) {
+    const eat = new Date(date.getTime() + 3 * 60 * 60 * 1000);
+    return eat.toISOString().replace(/[^0-9]/g, '').slice(0, 14);
+  }
+
+  generatePassword(timestamp) {
+    return Buffer.from(this.shortCode + this.passkey + timestamp).toString('base64');
+  }
+
+  /**
+   * POST to a Daraja endpoint, retrying once with a fresh token on 401
+   */
+  async post(path, payload, retry = true) {
+    const token = await this.getAccessToken();
+
+    try {
+      const response = await axios.post(`${this.baseUrl}${path}`, payload, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 30000
+      });
+      return response.data;
+    } catch (error) {
+      if (retry && error.response?.status === 401) {
+        this.invalidateToken();
+        return this.post(path, payload, false);
+      }
+
+      const darajaError = error.response?.data;
+      const message = darajaError?.errorMessage || darajaError?.ResponseDescription || error.message;
+      const wrapped = new Error(`Daraja request failed: ${message}`);
+      wrapped.code = darajaError?.errorCode || error.code;
+      wrapped.status = error.response?.status;
+      throw wrapped;
+    }
+  }
+
+  /**
+   * Send an STK push prompt to the customer's phone
+   */
+  async initiateSTKPush(phoneNumber, amount, transactionId, description) {
+    if (!this.isConfigured()) {
+      throw new Error('Daraja gateway is not configured. Set the MPESA_* environment variables.');
+    }
+
+    const timestamp = this.getTimestamp();
+
+    const payload = {
+      BusinessShortCode: this.shortCode,
+      Password: this.generatePassword(timestamp),
+      Timestamp: timestamp,
+      TransactionType: this.transactionType,
+      Amount: Math.round(amount),
+      PartyA: phoneNumber,
+      PartyB: this.partyB,
+      PhoneNumber: phoneNumber,
+      CallBackURL: this.callbackUrl,
+      AccountReference: String(transactionId).slice(-12), // Daraja limit: 12 chars
+      TransactionDesc: (description || 'Loan Repayment').slice(0, 13) // Daraja limit: 13 chars
+    };
+
+    console.log(`[DARAJA] 📱 Initiating STK Push to ${phoneNumber} for Ksh ${payload.Amount}`);
+
+    const data = await this.post('/mpesa/stkpush/v1/processrequest', payload);
+
+    if (data.ResponseCode !== '0') {
+      throw new Error(`STK push rejected: ${data.ResponseDescription || 'Unknown error'}`);
+    }
+
+    console.log(`[DARAJA] CheckoutRequestID: ${data.CheckoutRequestID}`);
+
+    return {
+      success: true,
+      message: 'STK Push initiated successfully',
+      transactionId,
+      checkoutRequestID: data.CheckoutRequestID,
+      merchantRequestID: data.MerchantRequestID,
+      customerMessage: data.CustomerMessage,
+      responseCode: data.ResponseCode,
+      responseDescription: data.ResponseDescription
+    };
+  }
+
+  /**
+   * Register the paybill validation/confirmation URLs with Safaricom (one-off setup)
+   */
+  async registerC2BUrls(confirmationUrl, validationUrl) {
+    return this.post('/mpesa/c2b/v1/registerurl', {
+      ShortCode: this.shortCode,
+      ResponseType: process.env.MPESA_C2B_RESPONSE_TYPE || 'Completed',
+      ConfirmationURL: confirmationUrl,
+      ValidationURL: validationUrl
+    });
+  }
+
+  /**
+   * Query the status of an STK push (used when a callback never arrives)
+   */
+  async querySTKStatus(checkoutRequestID) {
+    const timestamp = this.getTimestamp();
+
+    return this.post('/mpesa/stkpushquery/v1/query', {
+      BusinessShortCode: this.shortCode,
+      Password: this.generatePassword(timestamp),
+      Timestamp: timestamp,
+      CheckoutRequestID: checkoutRequestID
+    });
+  }
+}
+
+module.exports = new DarajaGateway();
@@ -0,0 +1,318 @@
+// services/ledgerService.js
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Loan = require('../models/Loan');
+const Customer = require('../models/Customer');
+const { roundMoney, generateInternalId } = require('../utils/helpers');
+
+const ACCOUNTS = {
+  // What the customer owes
+  LOAN_NOT_DUE: 'LOAN_NOT_DUE',       // Scheduled installments that have not fallen due
+  LOAN_DUE: 'LOAN_DUE',               // Installments past their due date and unpaid
+  FEES_RECEIVABLE: 'FEES_RECEIVABLE',
+  // Everything else
+  DISBURSEMENT_CLEARING: 'DISBURSEMENT_CLEARING',
+  OPENING_BALANCE: 'OPENING_BALANCE', // Balances brought over from the flat Customer fields
+  INTEREST_INCOME: 'INTEREST_INCOME',
+  FEE_INCOME: 'FEE_INCOME',
+  FEE_WAIVER_EXPENSE: 'FEE_WAIVER_EXPENSE',
+  COLLECTIONS_CLEARING: 'COLLECTIONS_CLEARING',
+  CUSTOMER_OVERPAYMENT: 'CUSTOMER_OVERPAYMENT',
+  SETTLEMENT_DISCOUNT: 'SETTLEMENT_DISCOUNT', // Debt forgiven under an approved settlement offer
+  CUSTOMER_MERGE_CLEARING: 'CUSTOMER_MERGE_CLEARING', // Balances moved between customers by a merge
+  WRITE_OFF_EXPENSE: 'WRITE_OFF_EXPENSE',
+  RECOVERY_INCOME: 'RECOVERY_INCOME',         // Collected on written-off loans
+  // Off-book memo pair: what written-off customers still owe
+  WRITTEN_OFF: 'WRITTEN_OFF',
+  WRITTEN_OFF_CONTRA: 'WRITTEN_OFF_CONTRA'
+};
+
+const RECEIVABLE_ACCOUNTS = [ACCOUNTS.LOAN_NOT_DUE, ACCOUNTS.LOAN_DUE, ACCOUNTS.FEES_RECEIVABLE];
+const ARREARS_ACCOUNTS = [ACCOUNTS.LOAN_DUE, ACCOUNTS.FEES_RECEIVABLE];
+
+// Default accounts for single-leg entry types
+const ENTRY_ACCOUNTS = {
+  FEE_CHARGE: { debit: ACCOUNTS.FEES_RECEIVABLE, credit: ACCOUNTS.FEE_INCOME },
+  FEE_WAIVER: { debit: ACCOUNTS.FEE_WAIVER_EXPENSE, credit: ACCOUNTS.FEES_RECEIVABLE }
+};
+
+/**
+ * Writes and reads the loan ledger. Nothing else should create LedgerEntry documents.
+ * Customer balances are the net of the receivable accounts; arrears are the due part.
+ */
+class LedgerService {
+  /**
+   * Post one business event as one or more debit/credit legs sharing a journalId
+   * @param {String} entryType - DISBURSEMENT, PAYMENT, REVERSAL...
+   * @param {Array} legs - { debit, credit, amount, loanId?, installmentId?, feeId?, description? }
+   * @param {Object} context - customerId and optional transactionId, reference, description, postedAt, user
+   * @param {ClientSession} session
+   */
+  async postJournal(entryType, legs, context, session = null) {
+    const { user, ...shared } = context;
+    const journalId = generateInternalId('JNL');
+
+    const entries = legs
+      .filter(leg => roundMoney(leg.amount) > 0)
+      .map(({ debit, credit, ...leg }, index) => ({
+        entryId: `${journalId}-${index + 1}`,
+        journalId,
+        entryType,
+        debitAccount: debit,
+        creditAccount: credit,
+        ...shared,
+        ...leg,
+        description: leg.description || shared.description,
+        amount: roundMoney(leg.amount),
+        createdBy: user?.username || 'system',
+        createdByUserId: user?.id
+      }));
+
+    if (entries.length === 0) return [];
+
+    return LedgerEntry.create(entries, { session, ordered: true });
+  }
+
+  /**
+   * Single-leg shorthand for entry types with default accounts (fees and waivers)
+   */
+  async post(entryType, data, session = null) {
+    const accounts = ENTRY_ACCOUNTS[entryType];
+    if (!accounts) {
+      throw new Error(`Unknown ledger entry type: ${entryType}`);
+    }
+
+    const { amount, loanId, installmentId, feeId, ...context } = data;
+    const [entry] = await this.postJournal(
+      entryType,
+      [{ debit: accounts.debit, credit: accounts.credit, amount, loanId, installmentId, feeId }],
+      context,
+      session
+    );
+
+    return entry;
+  }
+
+  /**
+   * Move every balance a customer holds to another customer, loan by loan, as one
+   * CUSTOMER_TRANSFER journal. Each pair of legs carries the same loanId, so loan
+   * balances are unchanged; only the customer they are reported under moves.
+   * @returns {Array} entries posted
+   */
+  async transferCustomerBalances(fromCustomerId, toCustomerId, context = {}, session = null) {
+    const rows = await LedgerEntry.aggregate([
+      { $match: { customerId: new mongoose.Types.ObjectId(String(fromCustomerId)) } },
+      {
+        $facet: {
+          debits: [{ $group: { _id: { loanId: '$loanId', account: '$debitAccount' }, total: { $sum: '$amount' } } }],
+          credits: [{ $group: { _id: { loanId: '$loanId', account: '$creditAccount' }, total: { $sum: '$amount' } } }]
+        }
+      }
+    ]).session(session);
+
+    const balances = new Map();
+    const add = (row, sign) => {
+      const key = `${row._id.loanId || ''}:${row._id.account}`;
+      const current = balances.get(key) || { loanId: row._id.loanId || undefined, account: row._id.account, balance: 0 };
+      current.balance += sign * row.total;
+      balances.set(key, current);
+    };
+    rows[0].debits.forEach(row => add(row, 1));
+    rows[0].credits.forEach(row => add(row, -1));
+
+    const legs = [];
+    for (const { loanId, account, balance } of balances.values()) {
+      const amount = roundMoney(Math.abs(balance));
+      if (amount === 0 || account === ACCOUNTS.CUSTOMER_MERGE_CLEARING) continue;
+
+      // Take the balance off one customer and put it on the other through the clearing account
+      const [out, into] = balance > 0
+        ? [{ debit: ACCOUNTS.CUSTOMER_MERGE_CLEARING, credit: account }, { debit: account, credit: ACCOUNTS.CUSTOMER_MERGE_CLEARING }]
+        : [{ debit: account, credit: ACCOUNTS.CUSTOMER_MERGE_CLEARING }, { debit: ACCOUNTS.CUSTOMER_MERGE_CLEARING, credit: account }];
+      legs.push({ ...out, amount, loanId, customerId: fromCustomerId });
+      legs.push({ ...into, amount, loanId, customerId: toCustomerId });
+    }
+
+    return this.postJournal('CUSTOMER_TRANSFER', legs, { customerId: fromCustomerId, ...context }, session);
+  }
+
+  /**
+   * How an entry moves the customer's balance: + when it increases what they owe
+   */
+  effect(entry, accounts = RECEIVABLE_ACCOUNTS) {
+    const debits = accounts.includes(entry.debitAccount);
+    const credits = accounts.includes(entry.creditAccount);
+    if (debits === credits) return 0;
+    return debits ? entry.amount : -entry.amount;
+  }
+
+  /**
+   * Net balance per account for the entries matching a filter
+   */
+  async getAccountBalances(filter, session = null) {
+    const match = { ...filter };
+    for (const key of ['customerId', 'loanId']) {
+      if (typeof match[key] === 'string') {
+        match[key] = new mongoose.Types.ObjectId(match[key]);
+      }
+    }
+
+    const rows = await LedgerEntry.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          debits: [{ $group: { _id: '$debitAccount', total: { $sum: '$amount' } } }],
+          credits: [{ $group: { _id: '$creditAccount', total: { $sum: '$amount' } } }]
+        }
+      }
+    ]).session(session);
+
+    const balances = {};
+    for (const row of rows[0].debits) balances[row._id] = (balances[row._id] || 0) + row.total;
+    for (const row of rows[0].credits) balances[row._id] = (balances[row._id] || 0) - row.total;
+    Object.keys(balances).forEach(account => { balances[account] = roundMoney(balances[account]); });
+
+    return balances;
+  }
+
+  /**
+   * Loan balance and arrears according to the ledger. Written-off balances are
+   * off-book and reported separately.
+   * @param {Object} filter - e.g. { customerId } or { loanId }
+   */
+  async getBalances(filter, session = null) {
+    const accounts = await this.getAccountBalances(filter, session);
+    const sum = (names) => roundMoney(names.reduce((total, name) => total + (accounts[name] || 0), 0));
+
+    return {
+      loanBalance: Math.max(0, sum(RECEIVABLE_ACCOUNTS)),
+      arrears: Math.max(0, sum(ARREARS_ACCOUNTS)),
+      writtenOff: Math.max(0, sum([ACCOUNTS.WRITTEN_OFF])),
+      accounts
+    };
+  }
+
+  /**
+   * Compare the balances stored on a customer and their loans with the ledger
+   * @returns {Object} { consistent, customer, loans }
+   */
+  async verifyCustomer(customerId) {
+    const [customer, loans, customerLedger] = await Promise.all([
+      Customer.findById(customerId).select('name customerId loanBalance arrears writtenOffBalance').lean(),
+      Loan.find({ customerId }),
+      this.getBalances({ customerId })
+    ]);
+
+    const now = new Date();
+    const loanChecks = [];
+
+    for (const loan of loans) {
+      const ledger = await this.getBalances({ loanId: loan._id });
+      loan.refreshStatus(now);
+
+      // Installments past due but not yet booked by the nightly job still sit in LOAN_NOT_DUE
+      const awaitingDueBooking = roundMoney(loan.activeInstallments()
+        .filter(inst => !inst.dueBooked && inst.dueDate < now)
+        .reduce((sum, inst) => sum + Math.max(0, inst.amount - (inst.paidAmount || 0)), 0));
+
+      // Written-off loans are off-book: what is still owed sits in the WRITTEN_OFF memo account
+      const writtenOff = loan.status === 'written_off';
+      const balanceDifference = writtenOff
+        ? roundMoney(loan.outstandingBalance - (ledger.writtenOff + ledger.loanBalance))
+        : roundMoney(loan.outstandingBalance - ledger.loanBalance);
+      const arrearsDifference = writtenOff
+        ? ledger.arrears
+        : roundMoney(loan.arrearsAmount - (ledger.arrears + awaitingDueBooking));
+
+      loanChecks.push({
+        loanId: loan._id,
+        loanRef: loan.loanId,
+        status: loan.status,
+        loan: { outstandingBalance: loan.outstandingBalance, arrearsAmount: loan.arrearsAmount },
+        ledger: { loanBalance: ledger.loanBalance, arrears: ledger.arrears, writtenOff: ledger.writtenOff, awaitingDueBooking },
+        balanceDifference,
+        arrearsDifference,
+        consistent: balanceDifference === 0 && arrearsDifference === 0
+      });
+    }
+
+    const customerCheck = customer && {
+      stored: { loanBalance: customer.loanBalance, arrears: customer.arrears, writtenOffBalance: customer.writtenOffBalance || 0 },
+      ledger: { loanBalance: customerLedger.loanBalance, arrears: customerLedger.arrears, writtenOff: customerLedger.writtenOff },
+      creditBalance: Math.max(0, -(customerLedger.accounts[ACCOUNTS.CUSTOMER_OVERPAYMENT] || 0)),
+      balanceDifference: roundMoney(customer.loanBalance - customerLedger.loanBalance),
+      arrearsDifference: roundMoney(customer.arrears - customerLedger.arrears),
+      writtenOffDifference: roundMoney((customer.writtenOffBalance || 0) - customerLedger.writtenOff)
+    };
+
+    // Customers without loans are still on flat balances and have no ledger to compare
+    const customerConsistent = !customerCheck || loans.length === 0 ||
+      (customerCheck.balanceDifference === 0 && customerCheck.arrearsDifference === 0 && customerCheck.writtenOffDifference === 0);
+
+    return {
+      consistent: customerConsistent && loanChecks.every(check => check.consistent),
+      customer: customerCheck,
+      loans: loanChecks
+    };
+  }
+
+  /**
+   * Account statement with a running balance
+   * @param {ObjectId} customerId
+   * @param {Object} options - from, to, loanId, includeInternal (show due-date transfers)
+   */
+  async getStatement(customerId, options = {}) {
+    const { from, to, loanId, includeInternal = false } = options;
+
+    const filter = { customerId };
+    if (loanId) filter.loanId = loanId;
+
+    const opening = from
+      ? (await this.getBalances({ ...filter, postedAt: { $lt: new Date(from) } })).loanBalance
+      : 0;
+
+    const period = {};
+    if (from) period.$gte = new Date(from);
+    if (to) period.$lte = new Date(to);
+
+    const entries = await LedgerEntry.find({ ...filter, ...(from || to ? { postedAt: period } : {}) })
+      .sort({ postedAt: 1, createdAt: 1 })
+      .lean();
+
+    let balance = opening;
+    const lines = [];
+
+    for (const entry of entries) {
+      const change = this.effect(entry);
+      if (change === 0 && !includeInternal) continue;
+
+      balance = roundMoney(balance + change);
+      lines.push({
+        date: entry.postedAt,
+        entryId: entry.entryId,
+        journalId: entry.journalId,
+        type: entry.entryType,
+        description: entry.description,
+        reference: entry.reference,
+        loanId: entry.loanId,
+        debit: change > 0 ? change : 0,
+        credit: change < 0 ? -change : 0,
+        balance
+      });
+    }
+
+    return {
+      openingBalance: roundMoney(opening),
+      closingBalance: balance,
+      totalDebits: roundMoney(lines.reduce((sum, line) => sum + line.debit, 0)),
+      totalCredits: roundMoney(lines.reduce((sum, line) => sum + line.credit, 0)),
+      from: from || null,
+      to: to || null,
+      lines
+    };
+  }
+}
+
+module.exports = new LedgerService();
+module.exports.ACCOUNTS = ACCOUNTS;
+module.exports.RECEIVABLE_ACCOUNTS = RECEIVABLE_ACCOUNTS;
@@ -0,0 +1,525 @@
+// services/loanService.js
+const Loan = require('../models/Loan');
+const Customer = require('../models/Customer');
+const LedgerService = require('./ledgerService');
+const { roundMoney, generateInternalId } = require('../utils/helpers');
+
+const { ACCOUNTS } = LedgerService;
+
+/**
+ * Loans, amortisation schedules and payment allocation.
+ * Customer.loanBalance / arrears are derived from the customer's loans through here.
+ */
+class LoanService {
+  /**
+   * Same day of month, clamped to the month's last day (31 Jan + 1 month = 28/29 Feb)
+   */
+  addMonths(date, months) {
+    const result = new Date(date);
+    const day = result.getDate();
+    result.setDate(1);
+    result.setMonth(result.getMonth() + months);
+    const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+    result.setDate(Math.min(day, lastDay));
+    return result;
+  }
+
+  /**
+   * Build a monthly amortisation schedule
+   * @param {Object} terms - principalAmount, interestRate (annual %), repaymentPeriod (months),
+   *                         startDate, interestMethod ('flat' | 'reducing_balance')
+   * @returns {Object} { installments, totalRepayable, dueDate }
+   */
+  generateSchedule(terms) {
+    const principal = parseFloat(terms.principalAmount);
+    const annualRate = parseFloat(terms.interestRate) || 0;
+    const months = parseInt(terms.repaymentPeriod, 10);
+    const startDate = terms.startDate ? new Date(terms.startDate) : new Date();
+    const method = terms.interestMethod || 'flat';
+
+    if (!(principal > 0) || !(months >= 1) || isNaN(startDate.getTime())) {
+      throw new Error('Principal, repayment period and start date are required to build a schedule');
+    }
+
+    const installments = [];
+
+    if (method === 'reducing_balance') {
+      const monthlyRate = annualRate / 100 / 12;
+      const payment = monthlyRate === 0
+        ? principal / months
+        : (principal * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -months));
+
+      let balance = principal;
+      for (let i = 1; i <= months; i++) {
+        const interest = roundMoney(balance * monthlyRate);
+        // Last installment clears whatever rounding left behind
+        const principalPart = i === months ? roundMoney(balance) : roundMoney(payment - interest);
+        balance = roundMoney(balance - principalPart);
+
+        installments.push({
+          installmentNumber: i,
+          dueDate: this.addMonths(startDate, i),
+          principal: principalPart,
+          interest,
+          amount: roundMoney(principalPart + interest)
+        });
+      }
+    } else {
+      const totalInterest = principal * (annualRate / 100) * (months / 12);
+      const principalPart = roundMoney(principal / months);
+      const interestPart = roundMoney(totalInterest / months);
+
+      for (let i = 1; i <= months; i++) {
+        const isLast = i === months;
+        const installmentPrincipal = isLast ? roundMoney(principal - principalPart * (months - 1)) : principalPart;
+        const installmentInterest = isLast ? roundMoney(totalInterest - interestPart * (months - 1)) : interestPart;
+
+        installments.push({
+          installmentNumber: i,
+          dueDate: this.addMonths(startDate, i),
+          principal: installmentPrincipal,
+          interest: installmentInterest,
+          amount: roundMoney(installmentPrincipal + installmentInterest)
+        });
+      }
+    }
+
+    return {
+      installments,
+      totalRepayable: roundMoney(installments.reduce((sum, inst) => sum + inst.amount, 0)),
+      dueDate: installments[installments.length - 1].dueDate
+    };
+  }
+
+  /**
+   * Create a loan with its schedule and refresh the customer's derived balances
+   * @param {Document} customer
+   * @param {Object} terms - see generateSchedule
+   * @param {Object} options - session, user
+   */
+  async createLoan(customer, terms, options = {}) {
+    const { session = null, user = null } = options;
+    const schedule = this.generateSchedule(terms);
+
+    const loan = new Loan({
+      loanId: generateInternalId('LN'),
+      customerId: customer._id,
+      loanType: terms.loanType || customer.loanType,
+      principalAmount: parseFloat(terms.principalAmount),
+      interestRate: parseFloat(terms.interestRate) || 0,
+      interestMethod: terms.interestMethod || 'flat',
+      repaymentPeriod: parseInt(terms.repaymentPeriod, 10),
+      startDate: terms.startDate ? new Date(terms.startDate) : new Date(),
+      dueDate: schedule.dueDate,
+      totalRepayable: schedule.totalRepayable,
+      installments: schedule.installments,
+      createdBy: user?.username,
+      createdByUserId: user?.id
+    });
+
+    await LedgerService.postJournal('DISBURSEMENT', [
+      { debit: ACCOUNTS.LOAN_NOT_DUE, credit: ACCOUNTS.DISBURSEMENT_CLEARING, amount: loan.principalAmount, description: `Disbursement of ${loan.loanId}` },
+      { debit: ACCOUNTS.LOAN_NOT_DUE, credit: ACCOUNTS.INTEREST_INCOME, amount: loan.totalRepayable - loan.principalAmount, description: `Interest on ${loan.loanId}` }
+    ], { customerId: customer._id, loanId: loan._id, reference: loan.loanId, user }, session);
+
+    // Backdated loans may already have installments due
+    await this.bookDueInstallments(loan, { session });
+    loan.refreshStatus();
+    await loan.save({ session });
+    await this.syncCustomerBalances(customer._id, session);
+
+    return loan;
+  }
+
+  /**
+   * Turn a legacy flat balance into a loan: arrears become one overdue installment,
+   * the rest is spread monthly from next month. No interest is added because the
+   * legacy balance already includes it.
+   */
+  async createOpeningBalanceLoan(customer, options = {}) {
+    const { session = null, user = null, repaymentPeriod = 6 } = options;
+
+    const loanBalance = roundMoney(customer.loanBalance || 0);
+    if (loanBalance <= 0) return null;
+
+    const arrears = Math.min(roundMoney(customer.arrears || 0), loanBalance);
+    const current = roundMoney(loanBalance - arrears);
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const installments = [];
+    if (arrears > 0) {
+      const overdueDate = new Date(today);
+      overdueDate.setDate(overdueDate.getDate() - 1);
+      installments.push({ dueDate: overdueDate, principal: arrears, interest: 0, amount: arrears });
+    }
+
+    if (current > 0) {
+      const months = Math.max(1, parseInt(repaymentPeriod, 10) || 1);
+      const part = roundMoney(current / months);
+      for (let i = 1; i <= months; i++) {
+        const amount = i === months ? roundMoney(current - part * (months - 1)) : part;
+        installments.push({ dueDate: this.addMonths(today, i), principal: amount, interest: 0, amount });
+      }
+    }
+
+    installments.forEach((installment, index) => {
+      installment.installmentNumber = index + 1;
+    });
+
+    const loan = new Loan({
+      loanId: generateInternalId('LN'),
+      customerId: customer._id,
+      loanType: customer.loanType,
+      principalAmount: loanBalance,
+      interestRate: 0,
+      interestMethod: 'flat',
+      repaymentPeriod: Math.max(1, installments.length),
+      startDate: customer.createdAt || today,
+      dueDate: installments[installments.length - 1].dueDate,
+      totalRepayable: loanBalance,
+      installments,
+      source: 'MIGRATION',
+      createdBy: user?.username || 'system',
+      createdByUserId: user?.id
+    });
+
+    await LedgerService.postJournal('DISBURSEMENT', [
+      { debit: ACCOUNTS.LOAN_NOT_DUE, credit: ACCOUNTS.OPENING_BALANCE, amount: loanBalance, description: `Opening balance brought forward to ${loan.loanId}` }
+    ], { customerId: customer._id, loanId: loan._id, reference: loan.loanId, user }, session);
+
+    await this.bookDueInstallments(loan, { session });
+    loan.refreshStatus();
+    await loan.save({ session });
+
+    return loan;
+  }
+
+  /**
+   * A customer still on the legacy flat loanBalance/arrears has no loans and a ledger
+   * balance of 0. Bring that balance onto the ledger before anything re-derives the
+   * customer's balances from it, or the debt disappears.
+   * @returns {Document|null} the opening-balance loan, when one was needed
+   */
+  async ensureOpeningBalanceLoan(customer, options = {}) {
+    if (await this.hasLoans(customer._id, options.session)) return null;
+    return this.createOpeningBalanceLoan(customer, options);
+  }
+
+  /**
+   * Move the unpaid part of installments that have fallen due from LOAN_NOT_DUE to
+   * LOAN_DUE. Each installment is booked once; the caller saves the loan.
+   * @returns {Number} installments booked
+   */
+  async bookDueInstallments(loan, options = {}) {
+    const { session = null, asOf = new Date() } = options;
+    let booked = 0;
+
+    for (const installment of loan.activeInstallments()) {
+      if (installment.dueBooked || installment.dueDate >= asOf) continue;
+
+      await LedgerService.postJournal('INSTALLMENT_DUE', [{
+        debit: ACCOUNTS.LOAN_DUE,
+        credit: ACCOUNTS.LOAN_NOT_DUE,
+        amount: installment.amount - (installment.paidAmount || 0),
+        installmentId: installment._id
+      }], {
+        customerId: loan.customerId,
+        loanId: loan._id,
+        reference: loan.loanId,
+        description: `Installment ${installment.installmentNumber} of ${loan.loanId} due`
+      }, session);
+
+      installment.dueBooked = true;
+      booked++;
+    }
+
+    return booked;
+  }
+
+  async hasLoans(customerId, session = null) {
+    const loan = await Loan.exists({ customerId }).session(session);
+    return !!loan;
+  }
+
+  async getCustomerLoans(customerId, session = null) {
+    return Loan.find({ customerId }).sort({ startDate: 1 }).session(session);
+  }
+
+  /**
+   * Customer-level balances from the ledger. Callers book due installments first
+   * (allocatePayment and syncCustomerBalances do) so arrears are current.
+   */
+  async computeCustomerBalances(customerId, session = null) {
+    const { loanBalance, arrears, writtenOff } = await LedgerService.getBalances({ customerId }, session);
+    return { loanBalance, arrears, writtenOffBalance: writtenOff };
+  }
+
+  /**
+   * Book any installments that fell due, then write the ledger balances onto the Customer
+   */
+  async syncCustomerBalances(customerId, session = null) {
+    const loans = await Loan.find({ customerId, status: { $in: ['active', 'overdue'] } }).session(session);
+    for (const loan of loans) {
+      if (await this.bookDueInstallments(loan, { session })) {
+        loan.refreshStatus();
+        await loan.save({ session });
+      }
+    }
+
+    const balances = await this.computeCustomerBalances(customerId, session);
+    await Customer.updateOne({ _id: customerId }, { $set: balances }, { session });
+    return balances;
+  }
+
+  /**
+   * Apply a payment to the customer's oldest due installments first, across all open loans.
+   * Fees charged on an installment are cleared before the installment itself.
+   * Written-off loans are still collectable but only paid once everything on-book is clear;
+   * what they receive is a recovery (allocation.recovery).
+   * @returns {Object} { allocations, unallocated } - unallocated is any overpayment
+   */
+  async allocatePayment(customerId, amount, options = {}) {
+    const { session = null, paidDate = new Date(), transaction = null, user = null } = options;
+
+    const loans = await Loan.find({ customerId, status: { $in: ['active', 'overdue', 'written_off'] } }).session(session);
+
+    // Book anything that fell due since the last run so the payment credits the right account
+    const touchedLoans = new Set();
+    for (const loan of loans) {
+      if (loan.status !== 'written_off' && await this.bookDueInstallments(loan, { session })) {
+        touchedLoans.add(loan);
+      }
+    }
+
+    const openItems = [];
+    for (const loan of loans) {
+      for (const installment of loan.installments) {
+        // Fees stay payable even when their installment has been restructured away
+        for (const fee of loan.fees || []) {
+          if (String(fee.installmentId) === String(installment._id) && this.feeDue(fee) > 0) {
+            openItems.push({ loan, installment, fee });
+          }
+        }
+        if (!installment.supersededBy && roundMoney(installment.amount - (installment.paidAmount || 0)) > 0) {
+          openItems.push({ loan, installment });
+        }
+      }
+    }
+
+    const writtenOff = (item) => (item.loan.status === 'written_off' ? 1 : 0);
+    openItems.sort((a, b) =>
+      writtenOff(a) - writtenOff(b) ||
+      a.installment.dueDate - b.installment.dueDate ||
+      a.loan.startDate - b.loan.startDate ||
+      (a.fee ? 0 : 1) - (b.fee ? 0 : 1)
+    );
+
+    const allocations = [];
+    const legs = [];
+    let remaining = roundMoney(amount);
+
+    for (const { loan, installment, fee } of openItems) {
+      if (remaining <= 0) break;
+
+      const due = fee ? this.feeDue(fee) : roundMoney(installment.amount - (installment.paidAmount || 0));
+      const applied = Math.min(due, remaining);
+
+      if (fee) {
+        fee.paidAmount = roundMoney((fee.paidAmount || 0) + applied);
+      } else {
+        installment.paidAmount = roundMoney((installment.paidAmount || 0) + applied);
+        if (installment.paidAmount >= installment.amount) {
+          installment.paidDate = paidDate;
+        }
+      }
+      remaining = roundMoney(remaining - applied);
+      touchedLoans.add(loan);
+
+      const recovery = loan.status === 'written_off';
+      const target = { loanId: loan._id, installmentId: installment._id, feeId: fee?._id };
+
+      if (recovery) {
+        loan.recoveredAmount = roundMoney((loan.recoveredAmount || 0) + applied);
+        legs.push(
+          { debit: ACCOUNTS.COLLECTIONS_CLEARING, credit: ACCOUNTS.RECOVERY_INCOME, amount: applied, ...target, description: `Recovery on written-off ${loan.loanId}` },
+          { debit: ACCOUNTS.WRITTEN_OFF_CONTRA, credit: ACCOUNTS.WRITTEN_OFF, amount: applied, ...target }
+        );
+      } else {
+        legs.push({ debit: ACCOUNTS.COLLECTIONS_CLEARING, credit: this.receivableAccount(installment, fee), amount: applied, ...target });
+      }
+
+      allocations.push({
+        loanId: loan._id,
+        loanRef: loan.loanId,
+        installmentId: installment._id,
+        installmentNumber: installment.installmentNumber,
+        feeId: fee?._id,
+        amount: applied,
+        recovery
+      });
+    }
+
+    if (remaining > 0) {
+      legs.push({ debit: ACCOUNTS.COLLECTIONS_CLEARING, credit: ACCOUNTS.CUSTOMER_OVERPAYMENT, amount: remaining, description: 'Overpayment held on account' });
+    }
+
+    await LedgerService.postJournal('PAYMENT', legs, {
+      customerId,
+      transactionId: transaction?._id,
+      reference: transaction?.transactionId,
+      description: `Payment ${transaction?.transactionId || ''}`.trim(),
+      postedAt: paidDate,
+      user
+    }, session);
+
+    for (const loan of touchedLoans) {
+      loan.refreshStatus();
+      await loan.save({ session });
+    }
+
+    return { allocations, unallocated: remaining };
+  }
+
+  /**
+   * Undo allocations made by allocatePayment (used for reversals and adjustments)
+   * @param {Array} allocations - transaction.loanAllocations
+   * @param {Object} options - session, transaction (the payment being undone), user
+   */
+  async reverseAllocations(allocations, options = {}) {
+    const { session = null, transaction = null, user = null } = options;
+    const loanIds = [...new Set(allocations.map(allocation => String(allocation.loanId)))];
+    const loans = await Loan.find({ _id: { $in: loanIds } }).session(session);
+    const legs = [];
+
+    for (const loan of loans) {
+      for (const allocation of allocations.filter(a => String(a.loanId) === String(loan._id))) {
+        const installment = loan.installments.id(allocation.installmentId);
+        const fee = allocation.feeId ? loan.fees.id(allocation.feeId) : null;
+
+        if (allocation.recovery) {
+          loan.recoveredAmount = Math.max(0, roundMoney((loan.recoveredAmount || 0) - allocation.amount));
+          if (fee) {
+            fee.paidAmount = Math.max(0, roundMoney((fee.paidAmount || 0) - allocation.amount));
+          } else if (installment) {
+            installment.paidAmount = Math.max(0, roundMoney((installment.paidAmount || 0) - allocation.amount));
+            installment.paidDate = undefined;
+          }
+
+          const target = { loanId: loan._id, installmentId: allocation.installmentId, feeId: allocation.feeId };
+          legs.push(
+            { debit: ACCOUNTS.RECOVERY_INCOME, credit: ACCOUNTS.COLLECTIONS_CLEARING, amount: allocation.amount, ...target },
+            { debit: ACCOUNTS.WRITTEN_OFF, credit: ACCOUNTS.WRITTEN_OFF_CONTRA, amount: allocation.amount, ...target }
+          );
+          continue;
+        }
+
+        if (installment?.supersededBy && !fee) {
+          // The schedule has been restructured since; the debt comes back on the current one
+          legs.push(...this.restoreOwed(loan, installment, allocation.amount));
+          continue;
+        }
+
+        if (fee) {
+          fee.paidAmount = Math.max(0, roundMoney((fee.paidAmount || 0) - allocation.amount));
+        } else if (installment) {
+          installment.paidAmount = Math.max(0, roundMoney((installment.paidAmount || 0) - allocation.amount));
+          if (installment.paidAmount < installment.amount) {
+            installment.paidDate = undefined;
+          }
+        } else {
+          continue;
+        }
+
+        legs.push({
+          debit: this.receivableAccount(installment, fee),
+          credit: ACCOUNTS.COLLECTIONS_CLEARING,
+          amount: allocation.amount,
+          loanId: loan._id,
+          installmentId: allocation.installmentId,
+          feeId: allocation.feeId
+        });
+      }
+
+      loan.refreshStatus();
+      await loan.save({ session });
+    }
+
+    if (transaction?.unallocatedAmount > 0) {
+      legs.push({ debit: ACCOUNTS.CUSTOMER_OVERPAYMENT, credit: ACCOUNTS.COLLECTIONS_CLEARING, amount: transaction.unallocatedAmount, description: 'Overpayment returned' });
+    }
+
+    const customerId = loans[0]?.customerId || transaction?.customerId;
+    if (customerId) {
+      await LedgerService.postJournal('REVERSAL', legs, {
+        customerId: customerId._id || customerId,
+        transactionId: transaction?._id,
+        reference: transaction?.transactionId,
+        description: `Reversal of payment ${transaction?.transactionId || ''}`.trim(),
+        user
+      }, session);
+    }
+  }
+
+  /**
+   * Put a reversed payment back on the loan when the installment it paid has been
+   * replaced by a restructure. Payments still recorded on the old installment are
+   * taken off it and added to the last current installment; payments that were moved
+   * onto other installments when a restructure was reverted are taken back from the
+   * most recently paid current installments first.
+   * @returns {Array} ledger legs
+   */
+  restoreOwed(loan, installment, amount) {
+    const legs = [];
+    const active = loan.activeInstallments().sort((a, b) => b.dueDate - a.dueDate);
+    const remaining = roundMoney(amount);
+
+    const leg = (target, value) => ({
+      debit: this.receivableAccount(target),
+      credit: ACCOUNTS.COLLECTIONS_CLEARING,
+      amount: value,
+      loanId: loan._id,
+      installmentId: target._id,
+      description: `Reversed payment restored to installment ${target.installmentNumber}`
+    });
+
+    // Still recorded on the old installment: take it off there
+    const recorded = Math.min(installment.paidAmount || 0, remaining);
+    installment.paidAmount = roundMoney((installment.paidAmount || 0) - recorded);
+
+    // Moved onto other installments by a revert: take it back from those
+    let moved = roundMoney(remaining - recorded);
+    for (const target of active) {
+      if (moved <= 0) break;
+      const value = roundMoney(Math.min(target.paidAmount || 0, moved));
+      if (value <= 0) continue;
+      target.paidAmount = roundMoney(target.paidAmount - value);
+      target.paidDate = undefined;
+      moved = roundMoney(moved - value);
+      legs.push(leg(target, value));
+    }
+
+    // Whatever is left becomes owed on the last current installment
+    const extra = roundMoney(recorded + moved);
+    if (extra > 0 && active[0]) {
+      active[0].amount = roundMoney(active[0].amount + extra);
+      legs.push(leg(active[0], extra));
+    }
+
+    return legs;
+  }
+
+  /**
+   * Ledger account a payment towards this installment or fee is taken from
+   */
+  receivableAccount(installment, fee) {
+    if (fee) return ACCOUNTS.FEES_RECEIVABLE;
+    return installment.dueBooked ? ACCOUNTS.LOAN_DUE : ACCOUNTS.LOAN_NOT_DUE;
+  }
+
+  feeDue(fee) {
+    return roundMoney(fee.amount - (fee.paidAmount || 0) - (fee.waivedAmount || 0) - (fee.capitalisedAmount || 0));
+  }
+}
+
+module.exports = new LoanService();
@@ -0,0 +1,89 @@
+// services/paymentGateway.js
+
+/**
+ * Daraja STK callback ResultCodes mapped onto Transaction.status / failureReason
+ */
+const RESULT_CODE_MAP = {
+  0: { status: 'SUCCESS', failureReason: null },
+  1: { status: 'FAILED', failureReason: 'INSUFFICIENT_FUNDS' },
+  1001: { status: 'FAILED', failureReason: 'TECHNICAL_ERROR' }, // Subscriber locked by another transaction
+  1019: { status: 'EXPIRED', failureReason: 'EXPIRED' },
+  1025: { status: 'FAILED', failureReason: 'TECHNICAL_ERROR' },
+  1032: { status: 'CANCELLED', failureReason: 'USER_CANCELLED' },
+  1037: { status: 'EXPIRED', failureReason: 'EXPIRED' }, // Phone unreachable / no PIN entered
+  2001: { status: 'FAILED', failureReason: 'WRONG_PIN' },
+  9999: { status: 'FAILED', failureReason: 'TECHNICAL_ERROR' }
+};
+
+const GATEWAYS = ['whatsapp', 'daraja', 'simulator'];
+
+/**
+ * Pluggable payment gateway layer.
+ * PAYMENT_GATEWAY selects the adapter: 'whatsapp' (default, legacy PIN-by-reply flow),
+ * 'daraja' (real Safaricom STK push) or 'simulator' (utils/mpesaSimulator).
+ */
+class PaymentGateway {
+  getGatewayName() {
+    const name = (process.env.PAYMENT_GATEWAY || 'whatsapp').toLowerCase();
+    return GATEWAYS.includes(name) ? name : 'whatsapp';
+  }
+
+  /**
+   * True when payments go out as M-Pesa STK pushes and settle via callback
+   */
+  usesStkPush() {
+    return this.getGatewayName() !== 'whatsapp';
+  }
+
+  getAdapter() {
+    switch (this.getGatewayName()) {
+      case 'daraja':
+        return require('./gateways/darajaGateway');
+      case 'simulator':
+        return require('../utils/mpesaSimulator');
+      default:
+        return null;
+    }
+  }
+
+  async initiateSTKPush(phoneNumber, amount, transactionId, description) {
+    const adapter = this.getAdapter();
+    if (!adapter) {
+      throw new Error(`Gateway '${this.getGatewayName()}' does not support STK push`);
+    }
+    return adapter.initiateSTKPush(phoneNumber, amount, transactionId, description);
+  }
+
+  /**
+   * Flatten a Daraja STK callback body. Returns null if the payload is not an STK callback.
+   */
+  parseStkCallback(body) {
+    const callback = body?.Body?.stkCallback;
+    if (!callback || !callback.CheckoutRequestID) {
+      return null;
+    }
+
+    const metadata = {};
+    const items = callback.CallbackMetadata?.Item || [];
+    for (const item of items) {
+      metadata[item.Name] = item.Value;
+    }
+
+    return {
+      merchantRequestId: callback.MerchantRequestID,
+      checkoutRequestId: callback.CheckoutRequestID,
+      resultCode: Number(callback.ResultCode),
+      resultDesc: callback.ResultDesc,
+      amount: metadata.Amount !== undefined ? Number(metadata.Amount) : null,
+      mpesaReceiptNumber: metadata.MpesaReceiptNumber || null,
+      transactionDate: metadata.TransactionDate ? String(metadata.TransactionDate) : null,
+      phoneNumber: metadata.PhoneNumber ? String(metadata.PhoneNumber) : null
+    };
+  }
+
+  mapResultCode(resultCode) {
+    return RESULT_CODE_MAP[resultCode] || { status: 'FAILED', failureReason: 'OTHER' };
+  }
+}
+
+module.exports = new PaymentGateway();
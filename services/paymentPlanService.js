@@ -0,0 +1,269 @@
+// services/paymentPlanService.js
+const PromiseModel = require('../models/Promise');
+const ContactPolicyService = require('./contactPolicyService');
+const WhatsAppService = require('./whatsappService');
+const { DAY_MS, roundMoney, serviceError } = require('../utils/helpers');
+
+const FREQUENCIES = ['WEEKLY', 'BIWEEKLY', 'MONTHLY'];
+const MIN_INSTALLMENTS = 2;
+const MAX_INSTALLMENTS = 52;
+
+// Default cure rule: the plan is broken once this many installments are missed
+const DEFAULT_MAX_MISSED = parseInt(process.env.PAYMENT_PLAN_MAX_MISSED, 10) || 2;
+
+// Installment reminders go out this many days before the due date
+const REMINDER_DAYS_BEFORE = parseInt(process.env.PAYMENT_PLAN_REMINDER_DAYS, 10) || 2;
+
+// Plans that can still receive payments
+const OPEN_STATUSES = ['PENDING', 'RESCHEDULED', 'PARTIALLY_FULFILLED'];
+
+// Same day of month, clamped to the month's last day (31 Jan + 1 month = 28/29 Feb)
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, lastDay));
+  return result;
+};
+
+const toPlain = (installment) => (installment.toObject ? installment.toObject() : { ...installment });
+
+/**
+ * PAYMENT_PLAN promises: a schedule of dated installments on one promise.
+ * The promise's promiseAmount is the plan total and its promiseDate the last
+ * installment, so matching, follow-ups and reports treat it like any promise.
+ */
+class PaymentPlanService {
+  getFrequencies() {
+    return FREQUENCIES;
+  }
+
+  /**
+   * Schedule, total and final date from a create-promise body: either an explicit
+   * installments list or installmentCount/installmentFrequency/firstInstallmentDate
+   * splitting promiseAmount
+   * @returns {Object} { installments, promiseAmount, promiseDate, maxMissedInstallments }
+   */
+  buildPlan({ installments, installmentCount, installmentFrequency = 'MONTHLY', firstInstallmentDate, promiseAmount, maxMissedInstallments } = {}) {
+    let schedule;
+
+    if (Array.isArray(installments) && installments.length) {
+      schedule = installments.map((item, index) => {
+        const dueDate = new Date(item.dueDate);
+        const amount = roundMoney(parseFloat(item.amount));
+        if (Number.isNaN(dueDate.getTime())) throw serviceError(`Installment ${index + 1} has an invalid due date`);
+        if (!(amount > 0)) throw serviceError(`Installment ${index + 1} needs a positive amount`);
+        return { dueDate, amount };
+      }).sort((a, b) => a.dueDate - b.dueDate);
+    } else {
+      const count = parseInt(installmentCount, 10);
+      const total = roundMoney(parseFloat(promiseAmount));
+      const first = new Date(firstInstallmentDate);
+      const frequency = String(installmentFrequency).toUpperCase();
+
+      if (!count) throw serviceError('A payment plan needs installments or an installmentCount');
+      if (!FREQUENCIES.includes(frequency)) throw serviceError(`Installment frequency must be one of: ${FREQUENCIES.join(', ')}`);
+      if (Number.isNaN(first.getTime())) throw serviceError('A valid firstInstallmentDate is required');
+      if (!(total > 0)) throw serviceError('Valid promise amount is required');
+
+      // Even split; rounding differences go on the last installment
+      const each = Math.floor((total / count) * 100) / 100;
+      schedule = Array.from({ length: count }, (_, index) => ({
+        dueDate: frequency === 'MONTHLY'
+          ? addMonths(first, index)
+          : new Date(first.getTime() + index * (frequency === 'WEEKLY' ? 7 : 14) * DAY_MS),
+        amount: index === count - 1 ? roundMoney(total - each * (count - 1)) : each
+      }));
+    }
+
+    if (schedule.length < MIN_INSTALLMENTS || schedule.length > MAX_INSTALLMENTS) {
+      throw serviceError(`A payment plan needs ${MIN_INSTALLMENTS} to ${MAX_INSTALLMENTS} installments`);
+    }
+
+    const maxMissed = maxMissedInstallments !== undefined && maxMissedInstallments !== ''
+      ? parseInt(maxMissedInstallments, 10)
+      : Math.min(DEFAULT_MAX_MISSED, schedule.length);
+    if (!(maxMissed >= 1) || maxMissed > schedule.length) {
+      throw serviceError(`maxMissedInstallments must be between 1 and ${schedule.length}`);
+    }
+
+    const plan = schedule.map((item, index) => ({ number: index + 1, ...item }));
+
+    return {
+      installments: plan,
+      promiseAmount: roundMoney(plan.reduce((sum, item) => sum + item.amount, 0)),
+      promiseDate: plan[plan.length - 1].dueDate,
+      maxMissedInstallments: maxMissed
+    };
+  }
+
+  /**
+   * Spread a payment over the plan, earliest unpaid installment first
+   * @returns {Array} Updated copy of the installments
+   */
+  allocate(installments, amount, paidAt) {
+    const result = installments.map(toPlain).sort((a, b) => a.number - b.number);
+    let remaining = amount;
+
+    for (const installment of result) {
+      if (remaining <= 0) break;
+
+      const outstanding = roundMoney(installment.amount - (installment.paidAmount || 0));
+      if (outstanding <= 0) continue;
+
+      const paid = roundMoney(Math.min(remaining, outstanding));
+      installment.paidAmount = roundMoney((installment.paidAmount || 0) + paid);
+      installment.paidAt = paidAt;
+      installment.status = installment.paidAmount >= installment.amount ? 'KEPT' : 'PARTIAL';
+      remaining = roundMoney(remaining - paid);
+    }
+
+    return result;
+  }
+
+  /**
+   * Plan progress for promise lists and exports
+   */
+  summarise(promise) {
+    const installments = promise.installments || [];
+    if (promise.promiseType !== 'PAYMENT_PLAN' || installments.length === 0) return null;
+
+    const count = (status) => installments.filter(item => item.status === status).length;
+    const next = installments.find(item => item.status !== 'KEPT');
+
+    return {
+      installmentCount: installments.length,
+      kept: count('KEPT'),
+      partial: count('PARTIAL'),
+      broken: count('BROKEN'),
+      missed: promise.missedInstallments || 0,
+      maxMissedInstallments: promise.maxMissedInstallments,
+      paidAmount: roundMoney(installments.reduce((sum, item) => sum + (item.paidAmount || 0), 0)),
+      outstanding: roundMoney(installments.reduce((sum, item) => sum + Math.max(item.amount - (item.paidAmount || 0), 0), 0)),
+      nextInstallment: next ? { number: next.number, dueDate: next.dueDate, amount: roundMoney(next.amount - (next.paidAmount || 0)) } : null
+    };
+  }
+
+  /**
+   * Mark installments not fully paid by their due date plus graceDays as missed
+   * and work out which plans the cure rule now breaks. Breaking and escalation
+   * are left to the broken-promise check.
+   * @returns {Object} { checked, installmentsMissed, toBreak: [promise _id] }
+   */
+  async checkInstallments(asOf = new Date(), graceDays = 0) {
+    const cutoff = new Date(asOf.getTime() - graceDays * DAY_MS);
+    const result = { checked: 0, installmentsMissed: 0, toBreak: [] };
+
+    const plans = await PromiseModel.find({
+      promiseType: 'PAYMENT_PLAN',
+      status: { $in: OPEN_STATUSES },
+      installments: { $elemMatch: { dueDate: { $lt: cutoff }, missed: false, status: { $ne: 'KEPT' } } }
+    });
+
+    for (const plan of plans) {
+      result.checked++;
+
+      const installments = plan.installments.map(toPlain);
+      let newlyMissed = 0;
+      for (const installment of installments) {
+        if (installment.dueDate < cutoff && !installment.missed && installment.status !== 'KEPT') {
+          installment.missed = true;
+          if (!(installment.paidAmount > 0)) installment.status = 'BROKEN';
+          newlyMissed++;
+        }
+      }
+
+      const missedInstallments = installments.filter(item => item.missed).length;
+
+      // Conditional on the paid amount so a payment matched meanwhile is not overwritten
+      const updated = await PromiseModel.updateOne(
+        { _id: plan._id, fulfillmentAmount: plan.fulfillmentAmount },
+        { $set: { installments, missedInstallments } }
+      );
+      if (!updated.modifiedCount) continue;
+
+      result.installmentsMissed += newlyMissed;
+
+      // Broken by the cure rule, or nothing is left to catch up on
+      const pastFinalDate = installments.every(item => item.dueDate < cutoff);
+      if (missedInstallments >= (plan.maxMissedInstallments || DEFAULT_MAX_MISSED) || pastFinalDate) {
+        result.toBreak.push(plan._id);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * WhatsApp reminder for each installment due within the reminder window, through
+   * the contact policy. Blocked or failed reminders are retried on the next run.
+   * @returns {Object} summary
+   */
+  async sendInstallmentReminders(asOf = new Date()) {
+    const summary = { due: 0, sent: 0, blocked: 0, failed: 0 };
+    const windowEnd = new Date(asOf.getTime() + REMINDER_DAYS_BEFORE * DAY_MS);
+    const dueFilter = {
+      dueDate: { $gte: asOf, $lte: windowEnd },
+      reminderSentAt: null,
+      status: { $in: ['PENDING', 'PARTIAL'] }
+    };
+
+    const plans = await PromiseModel.find({
+      promiseType: 'PAYMENT_PLAN',
+      status: { $in: OPEN_STATUSES },
+      installments: { $elemMatch: dueFilter }
+    }).populate('customerId', 'name phoneNumber contactConsent doNotContact doNotContactReason');
+
+    for (const plan of plans) {
+      const customer = plan.customerId;
+      if (!customer) continue;
+
+      const due = plan.installments.filter(item =>
+        item.dueDate >= asOf && item.dueDate <= windowEnd && !item.reminderSentAt && ['PENDING', 'PARTIAL'].includes(item.status)
+      );
+
+      for (const installment of due) {
+        summary.due++;
+        const reference = `${plan.promiseId}-${installment.number}`;
+
+        try {
+          await ContactPolicyService.authorise({
+            customer,
+            channel: 'WHATSAPP',
+            purpose: 'INSTALLMENT_REMINDER',
+            phoneNumber: plan.phoneNumber,
+            reference
+          });
+        } catch (error) {
+          if (error.code !== 'CONTACT_BLOCKED') throw error;
+          summary.blocked++;
+          continue;
+        }
+
+        const sent = await WhatsAppService.sendInstallmentReminder(plan.phoneNumber, plan.customerName, {
+          number: installment.number,
+          installmentCount: plan.installments.length,
+          amount: roundMoney(installment.amount - (installment.paidAmount || 0)),
+          dueDate: installment.dueDate
+        }, reference);
+
+        if (!sent.success) {
+          summary.failed++;
+          continue;
+        }
+
+        await PromiseModel.updateOne(
+          { _id: plan._id, 'installments.number': installment.number },
+          { $set: { 'installments.$.reminderSentAt': new Date() } }
+        );
+        summary.sent++;
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new PaymentPlanService();
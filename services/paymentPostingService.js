@@ -0,0 +1,341 @@
+// services/paymentPostingService.js
+const Transaction = require('../models/Transaction');
+const Customer = require('../models/Customer');
+const PerformanceTracker = require('../middleware/performanceTracker');
+const LoanService = require('./loanService');
+const RiskScoringService = require('./riskScoringService');
+const PromiseMatchingService = require('./promiseMatchingService');
+const { roundMoney, calculateNewBalances, generateInternalId } = require('../utils/helpers');
+
+const MPESA_PAYMENT_METHODS = ['MPESA', 'WHATSAPP'];
+
+/**
+ * Applies payments to customer balances.
+ * Every code path that turns a Transaction SUCCESS should go through here so
+ * balance updates stay consistent.
+ */
+class PaymentPostingService {
+  /**
+   * Work out the customer's balances after a payment. Customers with loans have the
+   * payment allocated to their installments (recorded on transaction.loanAllocations);
+   * legacy customers without loans fall back to the flat arrears-first calculation.
+   * @param {Object} customer - Customer document or { _id, loanBalance, arrears }
+   * @param {Date} paidDate - When the customer paid; defaults to now
+   * @returns {Object} { newLoanBalance, newArrears }
+   */
+  static async applyToBalances(customer, transaction, amount, session, paidDate) {
+    if (!(await LoanService.hasLoans(customer._id, session))) {
+      transaction.loanAllocations = [];
+      return calculateNewBalances(customer, amount);
+    }
+
+    const { allocations, unallocated } = await LoanService.allocatePayment(customer._id, amount, { session, transaction, paidDate });
+    const balances = await LoanService.computeCustomerBalances(customer._id, session);
+
+    transaction.loanAllocations = allocations;
+    transaction.unallocatedAmount = unallocated;
+    transaction.recoveryAmount = roundMoney(
+      allocations.filter(allocation => allocation.recovery).reduce((sum, allocation) => sum + allocation.amount, 0)
+    );
+
+    if (balances.writtenOffBalance !== (customer.writtenOffBalance || 0)) {
+      await Customer.updateOne({ _id: customer._id }, { $set: { writtenOffBalance: balances.writtenOffBalance } }, { session });
+    }
+
+    return { newLoanBalance: balances.loanBalance, newArrears: balances.arrears };
+  }
+
+  /**
+   * Undo the balance effect of a posted payment
+   * @returns {Object} { _id, loanBalance, arrears } - the customer's balances without this payment
+   */
+  static async undoBalances(customer, transaction, session) {
+    if (transaction.loanAllocations?.length || transaction.unallocatedAmount > 0) {
+      await LoanService.reverseAllocations(transaction.loanAllocations, { session, transaction });
+      const balances = await LoanService.computeCustomerBalances(customer._id, session);
+
+      if (balances.writtenOffBalance !== (customer.writtenOffBalance || 0)) {
+        await Customer.updateOne({ _id: customer._id }, { $set: { writtenOffBalance: balances.writtenOffBalance } }, { session });
+      }
+      return { _id: customer._id, ...balances };
+    }
+
+    return {
+      _id: customer._id,
+      loanBalance: customer.loanBalance + (transaction.loanBalanceBefore - transaction.loanBalanceAfter),
+      arrears: customer.arrears + (transaction.arrearsBefore - transaction.arrearsAfter)
+    };
+  }
+
+  /**
+   * Mark a transaction SUCCESS and apply it to the customer's balances in one session.
+   * Balances are recalculated at posting time because they may have moved since
+   * the transaction was initiated.
+   * @param {Document} transaction - Transaction document that has not been posted yet
+   * @param {Object} details - Optional mpesaReceiptNumber, amount and extra transaction fields
+   * @param {Object} options - fromStatus: refuse to post unless the stored transaction is still in this status;
+   *   paidDate: when the customer actually paid (e.g. a bank value date), used for installments and the ledger
+   * @returns {Object} { transaction, customer }
+   */
+  static async postSuccessfulPayment(transaction, details = {}, { fromStatus, paidDate } = {}) {
+    const { mpesaReceiptNumber, amount, ...extraFields } = details;
+    const session = await Transaction.startSession();
+
+    try {
+      session.startTransaction();
+
+      // Two requests racing on the same PENDING transaction must not both post it
+      if (!transaction.isNew) {
+        const current = await Transaction.findById(transaction._id).select('status').session(session);
+        if (current && ['SUCCESS', 'REVERSED'].includes(current.status)) {
+          const error = new Error(`Transaction ${transaction.transactionId} has already been posted`);
+          error.code = 'ALREADY_POSTED';
+          throw error;
+        }
+        // e.g. an offline payment rejected while it was being approved. Saving in this
+        // session conflicts with any change made after this read, so the check holds.
+        if (fromStatus && current?.status !== fromStatus) {
+          const error = new Error(`Transaction ${transaction.transactionId} is now ${current?.status || 'deleted'}`);
+          error.code = 'STATUS_CHANGED';
+          throw error;
+        }
+      }
+
+      const customerId = transaction.customerId?._id || transaction.customerId;
+      const customer = await Customer.findById(customerId).session(session);
+
+      if (amount) {
+        transaction.amount = amount;
+      }
+
+      if (customer) {
+        const { newLoanBalance, newArrears } = await PaymentPostingService.applyToBalances(
+          customer, transaction, transaction.amount, session, paidDate
+        );
+        transaction.loanBalanceBefore = customer.loanBalance;
+        transaction.loanBalanceAfter = newLoanBalance;
+        transaction.arrearsBefore = customer.arrears;
+        transaction.arrearsAfter = newArrears;
+      }
+
+      transaction.status = 'SUCCESS';
+      // Cash and bank transfers carry their own reference instead of an M-Pesa receipt
+      if (mpesaReceiptNumber) {
+        transaction.mpesaReceiptNumber = mpesaReceiptNumber;
+        transaction.receiptSource = 'MPESA';
+      } else if (!transaction.mpesaReceiptNumber && MPESA_PAYMENT_METHODS.includes(transaction.paymentMethod)) {
+        transaction.mpesaReceiptNumber = Transaction.generateMpesaReceiptNumber(transaction.transactionId);
+        transaction.receiptSource = 'GENERATED';
+      }
+      transaction.processedAt = new Date();
+      transaction.failureReason = undefined;
+      transaction.errorMessage = undefined;
+      Object.assign(transaction, extraFields);
+
+      await transaction.save({ session });
+
+      if (customer) {
+        customer.loanBalance = transaction.loanBalanceAfter;
+        customer.arrears = transaction.arrearsAfter;
+        customer.totalRepayments = (customer.totalRepayments || 0) + transaction.amount;
+        // A back-dated payment must not hide a later one
+        const paymentDate = paidDate || new Date();
+        if (!customer.lastPaymentDate || paymentDate > customer.lastPaymentDate) {
+          customer.lastPaymentDate = paymentDate;
+        }
+
+        // updateOne avoids re-running full document validation on legacy records
+        await Customer.updateOne(
+          { _id: customer._id },
+          {
+            $set: {
+              loanBalance: customer.loanBalance,
+              arrears: customer.arrears,
+              totalRepayments: customer.totalRepayments,
+              lastPaymentDate: customer.lastPaymentDate
+            }
+          },
+          { session }
+        );
+      } else {
+        console.log(`❌ Customer not found for transaction ${transaction.transactionId}`);
+      }
+
+      await session.commitTransaction();
+
+      if (customer) {
+        // After commit so a matching problem never rolls back the payment
+        await PromiseMatchingService.matchPaymentSafely(transaction);
+        RiskScoringService.rescoreInBackground(customer._id, 'PAYMENT');
+      }
+
+      return { transaction, customer };
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Change the amount of an already posted payment and correct the customer's balances.
+   * The original effect is undone using the transaction's before/after snapshots and
+   * the new amount is applied on top.
+   * @param {Document} transaction - SUCCESS transaction
+   * @param {Number} newAmount - Corrected amount
+   * @param {Object} extraFields - Extra transaction fields to set
+   * @returns {Object} { transaction, customer, previousAmount }
+   */
+  static async adjustPostedAmount(transaction, newAmount, extraFields = {}) {
+    const session = await Transaction.startSession();
+
+    try {
+      session.startTransaction();
+
+      const customerId = transaction.customerId?._id || transaction.customerId;
+      const customer = await Customer.findById(customerId).session(session);
+      if (!customer) {
+        throw new Error(`Customer not found for transaction ${transaction.transactionId}`);
+      }
+
+      const previousAmount = transaction.amount;
+      const restored = await PaymentPostingService.undoBalances(customer, transaction, session);
+      const { newLoanBalance, newArrears } = await PaymentPostingService.applyToBalances(
+        restored, transaction, newAmount, session, transaction.offlinePayment?.valueDate
+      );
+
+      transaction.amount = newAmount;
+      transaction.loanBalanceBefore = restored.loanBalance;
+      transaction.loanBalanceAfter = newLoanBalance;
+      transaction.arrearsBefore = restored.arrears;
+      transaction.arrearsAfter = newArrears;
+      Object.assign(transaction, extraFields);
+
+      await transaction.save({ session });
+
+      customer.loanBalance = newLoanBalance;
+      customer.arrears = newArrears;
+      customer.totalRepayments = Math.max(0, (customer.totalRepayments || 0) + newAmount - previousAmount);
+
+      await Customer.updateOne(
+        { _id: customer._id },
+        {
+          $set: {
+            loanBalance: customer.loanBalance,
+            arrears: customer.arrears,
+            totalRepayments: customer.totalRepayments
+          }
+        },
+        { session }
+      );
+
+      await session.commitTransaction();
+
+      // After commit, as on posting: promises re-match against the corrected amount
+      await PromiseMatchingService.rematchPaymentSafely(transaction);
+
+      return { transaction, customer, previousAmount };
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Undo a posted payment with a linked REVERSAL transaction.
+   * The amount the payment took off loanBalance/arrears is added back, which restores
+   * loanBalanceBefore/arrearsBefore when no later payment has been posted.
+   * @param {ObjectId} transactionId - SUCCESS payment to reverse
+   * @param {Object} options - reason, user (approver), reference (e.g. reversal request id)
+   * @returns {Object} { original, reversal, customer }
+   */
+  static async postReversal(transactionId, options = {}) {
+    const { reason, user, reference } = options;
+    const session = await Transaction.startSession();
+
+    try {
+      session.startTransaction();
+
+      const original = await Transaction.findById(transactionId).session(session);
+      if (!original) {
+        throw new Error('Transaction not found');
+      }
+      if (original.status !== 'SUCCESS' || original.transactionType === 'REVERSAL') {
+        throw new Error(`Only successful payments can be reversed (current status: ${original.status})`);
+      }
+
+      const customer = await Customer.findById(original.customerId).session(session);
+      if (!customer) {
+        throw new Error(`Customer not found for transaction ${original.transactionId}`);
+      }
+
+      const { loanBalance: loanBalanceAfter, arrears: arrearsAfter } =
+        await PaymentPostingService.undoBalances(customer, original, session);
+
+      const [reversal] = await Transaction.create([{
+        transactionInternalId: generateInternalId('TRN'),
+        transactionId: generateInternalId('REV'),
+        customerId: customer._id,
+        customerInternalId: original.customerInternalId,
+        phoneNumber: original.phoneNumber,
+        amount: original.amount,
+        description: `Reversal of ${original.transactionId}${reason ? `: ${reason}` : ''}`,
+        status: 'REVERSED',
+        transactionType: 'REVERSAL',
+        reversalOf: original._id,
+        loanAllocations: original.loanAllocations,
+        loanBalanceBefore: customer.loanBalance,
+        loanBalanceAfter,
+        arrearsBefore: customer.arrears,
+        arrearsAfter,
+        paymentMethod: original.paymentMethod,
+        channel: 'OFFICER',
+        initiatedBy: user.username,
+        initiatedByUserId: user.id,
+        callbackData: { reference, originalReceipt: original.mpesaReceiptNumber },
+        processedAt: new Date()
+      }], { session });
+
+      original.status = 'REVERSED';
+      original.reversedBy = reversal._id;
+      original.reversedAt = new Date();
+      await original.save({ session });
+
+      customer.loanBalance = loanBalanceAfter;
+      customer.arrears = arrearsAfter;
+      customer.totalRepayments = Math.max(0, (customer.totalRepayments || 0) - original.amount);
+
+      await Customer.updateOne(
+        { _id: customer._id },
+        {
+          $set: {
+            loanBalance: customer.loanBalance,
+            arrears: customer.arrears,
+            totalRepayments: customer.totalRepayments
+          }
+        },
+        { session }
+      );
+
+      await PerformanceTracker.reverseTransaction(original, session);
+
+      await session.commitTransaction();
+
+      // Promises this payment kept are reopened
+      await PromiseMatchingService.unmatchPaymentSafely(original, { userId: user?.id });
+      RiskScoringService.rescoreInBackground(customer._id, 'PAYMENT');
+
+      return { original, reversal, customer };
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+}
+
+module.exports = PaymentPostingService;
@@ -0,0 +1,275 @@
+// services/promiseEscalationService.js
+const Customer = require('../models/Customer');
+const PromiseModel = require('../models/Promise');
+const PromiseEscalationRule = require('../models/PromiseEscalationRule');
+const ActivityLogger = require('./activityLogger');
+const PromiseMatchingService = require('./promiseMatchingService');
+const PaymentPlanService = require('./paymentPlanService');
+const RiskScoringService = require('./riskScoringService');
+const { DAY_MS, serviceError } = require('../utils/helpers');
+
+const LOAN_TYPES = PromiseEscalationRule.schema.path('loanType').enumValues;
+const REVIEW_ACTIONS = PromiseEscalationRule.schema.path('reviewAction').enumValues;
+const RULE_FIELDS = ['followUpDays', 'notifyOfficer', 'reviewThreshold', 'reviewAction', 'isActive'];
+
+// Promises the job can break: the same statuses payments are still matched to
+const OPEN_STATUSES = ['PENDING', 'RESCHEDULED', 'PARTIALLY_FULFILLED'];
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const DEFAULT_RULE = {
+  followUpDays: envInt('PROMISE_FOLLOW_UP_DAYS', 1),
+  notifyOfficer: true,
+  reviewThreshold: envInt('PROMISE_REVIEW_THRESHOLD', 3),
+  reviewAction: REVIEW_ACTIONS.includes(process.env.PROMISE_REVIEW_ACTION) ? process.env.PROMISE_REVIEW_ACTION : 'REVIEW',
+  isActive: true
+};
+
+/**
+ * Breaks promises whose date (plus the payment grace window) has passed and
+ * applies the per-loan-type escalation rules: officer follow-up, notification
+ * and, after repeated breaks, a supervisor review flag on the account.
+ */
+class PromiseEscalationService {
+  getGraceDays() {
+    return PromiseMatchingService.getGraceDays();
+  }
+
+  /**
+   * Effective rule for every loan type, stored values over the environment defaults
+   */
+  async getRules() {
+    const stored = await PromiseEscalationRule.find().lean();
+    const byLoanType = new Map(stored.map(rule => [rule.loanType, rule]));
+
+    return LOAN_TYPES.map(loanType => {
+      const rule = byLoanType.get(loanType);
+      const effective = { loanType, ...DEFAULT_RULE, isDefault: !rule };
+      for (const field of RULE_FIELDS) {
+        if (rule && rule[field] !== undefined && rule[field] !== null) effective[field] = rule[field];
+      }
+      effective.updatedBy = rule?.updatedBy;
+      effective.updatedAt = rule?.updatedAt;
+      return effective;
+    });
+  }
+
+  async updateRule(loanType, data, user) {
+    if (!LOAN_TYPES.includes(loanType)) {
+      throw serviceError(`Unknown loan type "${loanType}". Allowed: ${LOAN_TYPES.join(', ')}`);
+    }
+
+    const update = {};
+    for (const field of RULE_FIELDS) {
+      if (data[field] !== undefined) update[field] = data[field];
+    }
+    if (update.reviewAction !== undefined && !REVIEW_ACTIONS.includes(update.reviewAction)) {
+      throw serviceError(`Review action must be one of: ${REVIEW_ACTIONS.join(', ')}`);
+    }
+
+    update.updatedBy = user.username;
+    update.updatedByUserId = user.id;
+
+    await PromiseEscalationRule.findOneAndUpdate(
+      { loanType },
+      { $set: update },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    return (await this.getRules()).find(rule => rule.loanType === loanType);
+  }
+
+  /**
+   * Open promises whose date plus the grace window is before asOf.
+   * Payment plans are broken by their cure rule instead (PaymentPlanService.checkInstallments).
+   */
+  overdueQuery(asOf = new Date()) {
+    return {
+      status: { $in: OPEN_STATUSES },
+      promiseType: { $ne: 'PAYMENT_PLAN' },
+      promiseDate: { $lt: new Date(asOf.getTime() - this.getGraceDays() * DAY_MS) }
+    };
+  }
+
+  /**
+   * Customer counters and escalation for a promise that has just become BROKEN,
+   * by the job or by an officer
+   * @param {Document} promise - Promise already saved as BROKEN
+   * @param {Object} options - asOf, notify (false when the officer broke it themselves), rules
+   * @returns {Object} { followUpDate, notified, flagged }
+   */
+  async applyBreak(promise, { asOf = new Date(), notify = true, rules } = {}) {
+    const result = { followUpDate: null, notified: false, flagged: false };
+
+    const customer = await Customer.findByIdAndUpdate(
+      promise.customerId?._id || promise.customerId,
+      {
+        $inc: { brokenPromiseCount: 1, brokenSinceReview: 1 },
+        $set: { lastBrokenPromiseDate: asOf }
+      },
+      { new: true }
+    ).select('customerId name phoneNumber loanType assignedTo brokenPromiseCount brokenSinceReview reviewRequired');
+    if (!customer) return result;
+
+    rules = rules || await this.getRules();
+    const rule = rules.find(item => item.loanType === customer.loanType) || { ...DEFAULT_RULE };
+    if (!rule.isActive) return result;
+
+    if (rule.followUpDays > 0) {
+      result.followUpDate = new Date(asOf.getTime() + rule.followUpDays * DAY_MS);
+      await PromiseModel.updateOne(
+        { _id: promise._id },
+        { $set: { nextFollowUpDate: result.followUpDate } }
+      );
+      promise.nextFollowUpDate = result.followUpDate;
+    }
+
+    // Unassigned customers are reported against whoever took the promise
+    const officerId = customer.assignedTo || promise.createdBy;
+
+    if (notify && rule.notifyOfficer) {
+      await ActivityLogger.logPromiseBroken(officerId, customer, promise, {
+        automatic: true,
+        brokenPromiseCount: customer.brokenPromiseCount,
+        followUpDate: result.followUpDate
+      });
+      result.notified = true;
+    }
+
+    if (rule.reviewThreshold > 0 && customer.brokenSinceReview >= rule.reviewThreshold && !customer.reviewRequired) {
+      const reviewReason = `${customer.brokenSinceReview} broken promises (threshold ${rule.reviewThreshold} for ${customer.loanType})`;
+      const flagged = await Customer.updateOne(
+        { _id: customer._id, reviewRequired: { $ne: true } },
+        {
+          $set: {
+            reviewRequired: true,
+            reviewAction: rule.reviewAction,
+            reviewReason,
+            reviewFlaggedAt: asOf
+          }
+        }
+      );
+
+      if (flagged.modifiedCount) {
+        result.flagged = true;
+        console.log(`🚩 Customer ${customer.customerId} flagged for ${rule.reviewAction.toLowerCase()}: ${reviewReason}`);
+        await ActivityLogger.logCustomer(officerId, 'CUSTOMER_REVIEW_FLAG', customer, {
+          reviewAction: rule.reviewAction,
+          reviewReason,
+          promiseId: promise.promiseId
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Break every overdue promise and escalate
+   * @returns {Object} summary
+   */
+  async runBrokenPromiseCheck({ asOf = new Date(), dryRun = false } = {}) {
+    const summary = {
+      graceDays: this.getGraceDays(),
+      checked: 0,
+      installmentsMissed: 0,
+      broken: 0,
+      followUps: 0,
+      notified: 0,
+      flagged: 0,
+      failed: 0,
+      dryRun
+    };
+    const query = this.overdueQuery(asOf);
+
+    if (dryRun) {
+      summary.checked = await PromiseModel.countDocuments(query);
+      return summary;
+    }
+
+    // Collect ids first: broken promises drop out of the query while we iterate
+    const ids = await PromiseModel.find(query).distinct('_id');
+    const plans = await PaymentPlanService.checkInstallments(asOf, this.getGraceDays());
+    const rules = await this.getRules();
+    summary.checked = ids.length + plans.checked;
+    summary.installmentsMissed = plans.installmentsMissed;
+
+    for (const id of [...ids, ...plans.toBreak]) {
+      try {
+        // Conditional so a promise fulfilled meanwhile is not overwritten
+        const promise = await PromiseModel.findOneAndUpdate(
+          { _id: id, status: { $in: OPEN_STATUSES } },
+          { $set: { status: 'BROKEN' } },
+          { new: true }
+        );
+        if (!promise) continue;
+
+        summary.broken++;
+        const result = await this.applyBreak(promise, { asOf, rules });
+        if (result.followUpDate) summary.followUps++;
+        if (result.notified) summary.notified++;
+        if (result.flagged) summary.flagged++;
+
+        RiskScoringService.rescoreInBackground(promise.customerId, 'PROMISE');
+      } catch (error) {
+        summary.failed++;
+        console.error(`❌ Broken-promise check failed for promise ${id}:`, error.message);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Customers flagged for supervisor review or reassignment, oldest flag first
+   */
+  async getReviewQueue({ reviewAction, loanType, page = 1, limit = 20 } = {}) {
+    const query = { reviewRequired: true, isActive: true };
+    if (reviewAction) query.reviewAction = reviewAction;
+    if (loanType) query.loanType = loanType;
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [customers, total] = await Promise.all([
+      Customer.find(query)
+        .select('customerId name phoneNumber loanType loanBalance arrears assignedTo brokenPromiseCount brokenSinceReview reviewAction reviewReason reviewFlaggedAt riskScore riskBand')
+        .populate('assignedTo', 'username firstName lastName')
+        .sort({ reviewFlaggedAt: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Customer.countDocuments(query)
+    ]);
+
+    return {
+      customers,
+      pagination: { total, page: pageNum, limit: limitNum, pages: Math.ceil(total / limitNum) }
+    };
+  }
+
+  /**
+   * Clear a review flag. The broken-promise count towards the next flag starts again.
+   */
+  async resolveReview(customer, { resolution } = {}, user) {
+    if (!customer.reviewRequired) throw serviceError('Customer is not flagged for review');
+    if (!resolution || !String(resolution).trim()) throw serviceError('A resolution is required');
+
+    const previous = { reviewAction: customer.reviewAction, reviewReason: customer.reviewReason, reviewFlaggedAt: customer.reviewFlaggedAt };
+
+    customer.reviewRequired = false;
+    customer.reviewAction = null;
+    customer.brokenSinceReview = 0;
+    customer.reviewResolvedAt = new Date();
+    customer.reviewResolvedBy = user.username;
+    customer.reviewResolution = String(resolution).trim();
+    await customer.save();
+
+    return { customer, previous };
+  }
+}
+
+module.exports = new PromiseEscalationService();
@@ -0,0 +1,291 @@
+// services/promiseMatchingService.js
+const Customer = require('../models/Customer');
+const PromiseModel = require('../models/Promise');
+const ActivityLogger = require('./activityLogger');
+const PaymentPlanService = require('./paymentPlanService');
+const { DAY_MS, roundMoney } = require('../utils/helpers');
+
+// A payment still counts towards a promise this many days after the promise date
+const GRACE_DAYS = parseInt(process.env.PROMISE_GRACE_DAYS, 10) || 3;
+
+// Promises that can still receive payments
+const OPEN_STATUSES = ['PENDING', 'RESCHEDULED', 'PARTIALLY_FULFILLED'];
+
+/**
+ * Matches successful payments to the customer's open promises so promises are
+ * kept or partially kept without anyone updating them by hand
+ */
+class PromiseMatchingService {
+  getGraceDays() {
+    return GRACE_DAYS;
+  }
+
+  /**
+   * Open promises a payment made at paidAt can count towards, oldest first.
+   * Promises made after the payment are not eligible.
+   */
+  async findEligiblePromises(customerId, paidAt) {
+    return PromiseModel.find({
+      customerId,
+      status: { $in: OPEN_STATUSES },
+      promiseDate: { $gte: new Date(paidAt.getTime() - GRACE_DAYS * DAY_MS) },
+      createdAt: { $lte: paidAt }
+    }).sort({ promiseDate: 1, createdAt: 1 });
+  }
+
+  /**
+   * Allocate a SUCCESS transaction across the customer's open promises
+   * @param {Document} transaction - Posted transaction
+   * @returns {Object} { matched: [{ promiseId, allocated, status }], unallocated }
+   */
+  async matchPayment(transaction) {
+    const customerId = transaction.customerId?._id || transaction.customerId;
+    const result = { matched: [], unallocated: transaction.amount || 0 };
+
+    if (transaction.status !== 'SUCCESS' || !customerId || !(transaction.amount > 0)) {
+      return result;
+    }
+
+    // A transaction is only ever matched once, even if posting is retried
+    if (await PromiseModel.exists({ 'payments.transactionId': transaction._id })) {
+      return result;
+    }
+
+    const paidAt = transaction.processedAt || new Date();
+    const promises = await this.findEligiblePromises(customerId, paidAt);
+    let remaining = transaction.amount;
+    let newlyFulfilled = 0;
+
+    for (const promise of promises) {
+      if (remaining <= 0) break;
+
+      const alreadyPaid = promise.fulfillmentAmount || 0;
+      const outstanding = roundMoney(promise.promiseAmount - alreadyPaid);
+      if (outstanding <= 0) continue;
+
+      const allocated = roundMoney(Math.min(remaining, outstanding));
+      const fulfillmentAmount = roundMoney(alreadyPaid + allocated);
+      const status = fulfillmentAmount >= promise.promiseAmount ? 'FULFILLED' : 'PARTIALLY_FULFILLED';
+
+      const set = { status, fulfillmentAmount, fulfillmentDate: paidAt };
+      const condition = { _id: promise._id, status: promise.status, fulfillmentAmount: promise.fulfillmentAmount };
+      if (promise.promiseType === 'PAYMENT_PLAN' && promise.installments?.length) {
+        set.installments = PaymentPlanService.allocate(promise.installments, allocated, paidAt);
+        // The nightly installment check may have marked installments missed since we read the plan
+        condition.missedInstallments = promise.missedInstallments;
+      }
+
+      // Conditional on the amount we read so a concurrent payment cannot allocate the same balance twice
+      const updated = await PromiseModel.findOneAndUpdate(
+        condition,
+        {
+          $set: set,
+          $push: {
+            payments: {
+              transactionId: transaction._id,
+              reference: transaction.mpesaReceiptNumber || transaction.transactionId,
+              amount: allocated,
+              paidAt
+            }
+          }
+        },
+        { new: true }
+      );
+      if (!updated) {
+        console.log(`⚠️ Promise ${promise.promiseId} changed while matching ${transaction.transactionId}; skipped`);
+        continue;
+      }
+
+      remaining = roundMoney(remaining - allocated);
+      if (status === 'FULFILLED') newlyFulfilled++;
+      result.matched.push({ promiseId: updated.promiseId, allocated, status });
+
+      await ActivityLogger.logPromise(
+        transaction.initiatedByUserId || promise.createdBy,
+        status === 'FULFILLED' ? 'PROMISE_FULFILL' : 'PROMISE_UPDATE',
+        updated,
+        {
+          oldStatus: promise.status,
+          newStatus: status,
+          transactionId: transaction.transactionId,
+          allocated,
+          fulfillmentAmount,
+          automatic: true
+        }
+      );
+    }
+
+    result.unallocated = remaining;
+
+    if (newlyFulfilled > 0) {
+      await this.updateCustomerStats(customerId, newlyFulfilled);
+    }
+
+    if (result.matched.length) {
+      console.log(`🤝 ${transaction.transactionId} matched to ${result.matched.length} promise(s): ${result.matched.map(m => `${m.promiseId} ${m.status}`).join(', ')}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * matchPayment for the posting path: a matching failure must never fail the payment
+   */
+  async matchPaymentSafely(transaction) {
+    try {
+      return await this.matchPayment(transaction);
+    } catch (error) {
+      console.error(`❌ Promise matching failed for ${transaction.transactionId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Take a payment back off the promises it was matched to, after it is reversed
+   * or its amount corrected. Promises it had kept reopen; the nightly check breaks
+   * them again if they are past their grace period.
+   * @param {Object} options - userId: who reversed or corrected the payment
+   * @returns {Object} { unmatched: [{ promiseId, removed, status }] }
+   */
+  async unmatchPayment(transaction, { userId } = {}) {
+    const customerId = transaction.customerId?._id || transaction.customerId;
+    const result = { unmatched: [] };
+    let noLongerFulfilled = 0;
+
+    const promises = await PromiseModel.find({ 'payments.transactionId': transaction._id });
+
+    for (let promise of promises) {
+      // Conditional like matching; re-read and retry if a payment lands meanwhile
+      for (let attempt = 0; attempt < 3 && promise; attempt++) {
+        const isThis = (payment) => String(payment.transactionId) === String(transaction._id);
+        const removed = roundMoney(promise.payments.filter(isThis).reduce((sum, payment) => sum + payment.amount, 0));
+        const remaining = promise.payments.filter(payment => !isThis(payment));
+        const fulfillmentAmount = roundMoney(Math.max(0, (promise.fulfillmentAmount || 0) - removed));
+
+        // Only statuses matching set are changed; a promise since broken or cancelled stays so
+        let status = promise.status;
+        if (['FULFILLED', 'PARTIALLY_FULFILLED'].includes(promise.status)) {
+          if (fulfillmentAmount >= promise.promiseAmount) status = 'FULFILLED';
+          else if (fulfillmentAmount > 0) status = 'PARTIALLY_FULFILLED';
+          else status = promise.rescheduleCount > 0 ? 'RESCHEDULED' : 'PENDING';
+        }
+
+        const set = {
+          status,
+          fulfillmentAmount,
+          fulfillmentDate: remaining.length ? remaining[remaining.length - 1].paidAt : null
+        };
+        const condition = { _id: promise._id, fulfillmentAmount: promise.fulfillmentAmount, 'payments.transactionId': transaction._id };
+        if (promise.promiseType === 'PAYMENT_PLAN' && promise.installments?.length) {
+          set.installments = this.reallocateInstallments(promise.installments, remaining);
+          condition.missedInstallments = promise.missedInstallments;
+        }
+
+        const updated = await PromiseModel.findOneAndUpdate(
+          condition,
+          { $set: set, $pull: { payments: { transactionId: transaction._id } } },
+          { new: true }
+        );
+
+        if (!updated) {
+          promise = await PromiseModel.findOne({ _id: promise._id, 'payments.transactionId': transaction._id });
+          continue;
+        }
+
+        if (promise.status === 'FULFILLED' && status !== 'FULFILLED') noLongerFulfilled++;
+        result.unmatched.push({ promiseId: updated.promiseId, removed, status });
+
+        await ActivityLogger.logPromise(
+          userId || transaction.initiatedByUserId || promise.createdBy,
+          'PROMISE_UPDATE',
+          updated,
+          {
+            oldStatus: promise.status,
+            newStatus: status,
+            transactionId: transaction.transactionId,
+            removed,
+            fulfillmentAmount,
+            automatic: true
+          }
+        );
+        break;
+      }
+    }
+
+    if (noLongerFulfilled > 0 && customerId) {
+      await this.updateCustomerStats(customerId, -noLongerFulfilled);
+    }
+
+    if (result.unmatched.length) {
+      console.log(`↩️ ${transaction.transactionId} unmatched from ${result.unmatched.length} promise(s): ${result.unmatched.map(m => `${m.promiseId} ${m.status}`).join(', ')}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Installments as if only the given payments had been made
+   */
+  reallocateInstallments(installments, payments) {
+    let result = installments.map(installment => {
+      const plain = installment.toObject ? installment.toObject() : { ...installment };
+      return { ...plain, paidAmount: 0, paidAt: undefined, status: plain.missed ? 'BROKEN' : 'PENDING' };
+    });
+    for (const payment of [...payments].sort((a, b) => a.paidAt - b.paidAt)) {
+      result = PaymentPlanService.allocate(result, payment.amount, payment.paidAt);
+    }
+    return result;
+  }
+
+  /**
+   * Match a payment again after its amount was corrected
+   */
+  async rematchPayment(transaction, options = {}) {
+    await this.unmatchPayment(transaction, options);
+    return this.matchPayment(transaction);
+  }
+
+  /**
+   * unmatchPayment/rematchPayment for the reversal and adjustment paths: like
+   * matching, a failure here must never fail the payment change
+   */
+  async unmatchPaymentSafely(transaction, options = {}) {
+    try {
+      return await this.unmatchPayment(transaction, options);
+    } catch (error) {
+      console.error(`❌ Promise unmatching failed for ${transaction.transactionId}:`, error.message);
+      return null;
+    }
+  }
+
+  async rematchPaymentSafely(transaction, options = {}) {
+    try {
+      return await this.rematchPayment(transaction, options);
+    } catch (error) {
+      console.error(`❌ Promise re-matching failed for ${transaction.transactionId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Add newly kept promises to the customer's count (negative when kept promises
+   * reopen) and refresh the fulfilment rate
+   */
+  async updateCustomerStats(customerId, newlyFulfilled = 1) {
+    const customer = await Customer.findByIdAndUpdate(
+      customerId,
+      { $inc: { fulfilledPromiseCount: newlyFulfilled } },
+      { new: true }
+    ).select('promiseCount fulfilledPromiseCount');
+    if (!customer) return null;
+
+    const promiseFulfillmentRate = customer.promiseCount > 0
+      ? Math.min(100, Math.round((customer.fulfilledPromiseCount / customer.promiseCount) * 100))
+      : 0;
+
+    await Customer.updateOne({ _id: customer._id }, { $set: { promiseFulfillmentRate } });
+    return { fulfilledPromiseCount: customer.fulfilledPromiseCount, promiseFulfillmentRate };
+  }
+}
+
+module.exports = new PromiseMatchingService();
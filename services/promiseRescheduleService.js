@@ -0,0 +1,270 @@
+// services/promiseRescheduleService.js
+const Customer = require('../models/Customer');
+const PromiseModel = require('../models/Promise');
+const { DAY_MS, roundMoney, serviceError } = require('../utils/helpers');
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Beyond these an officer's reschedule waits for a supervisor
+const MAX_RESCHEDULES = envInt('PROMISE_MAX_RESCHEDULES', 2);
+const MAX_DAYS_OUT = envInt('PROMISE_MAX_RESCHEDULE_DAYS', 30); // From the original promise date
+
+const RESCHEDULABLE_STATUSES = ['PENDING', 'RESCHEDULED'];
+const APPROVER_ROLES = ['admin', 'supervisor'];
+
+const normaliseRole = (role) => (role === 'agent' ? 'officer' : role);
+
+/**
+ * Promise rescheduling: every change of date or amount is kept as a revision,
+ * and reschedules past the configured limits need supervisor approval
+ */
+class PromiseRescheduleService {
+  getLimits() {
+    return { maxReschedules: MAX_RESCHEDULES, maxDaysOut: MAX_DAYS_OUT };
+  }
+
+  canApprove(user) {
+    return APPROVER_ROLES.includes(normaliseRole(user.role));
+  }
+
+  /**
+   * Limits a new date would go over
+   * @returns {Array<String>} reasons, empty when within limits
+   */
+  checkLimits(promise, newDate) {
+    const reasons = [];
+
+    const count = (promise.rescheduleCount || 0) + 1;
+    if (count > MAX_RESCHEDULES) {
+      reasons.push(`Reschedule ${count} exceeds the limit of ${MAX_RESCHEDULES}`);
+    }
+
+    const originalDate = promise.originalPromiseDate || promise.promiseDate;
+    const daysOut = Math.ceil((newDate - originalDate) / DAY_MS);
+    if (daysOut > MAX_DAYS_OUT) {
+      reasons.push(`New date is ${daysOut} days after the original promise date (limit ${MAX_DAYS_OUT})`);
+    }
+
+    return reasons;
+  }
+
+  applyRevision(promise, revision) {
+    if (!promise.originalPromiseDate) {
+      promise.originalPromiseDate = revision.previousDate;
+      promise.originalPromiseAmount = revision.previousAmount;
+    }
+
+    promise.promiseDate = revision.newDate;
+    promise.promiseAmount = revision.newAmount;
+    promise.status = 'RESCHEDULED';
+    promise.rescheduleCount = (promise.rescheduleCount || 0) + 1;
+    promise.nextFollowUpDate = new Date(revision.newDate.getTime() - DAY_MS);
+  }
+
+  /**
+   * Move a promise to a new date and/or amount. Officers going over a limit get a
+   * pending revision instead; supervisors and admins are applied straight away.
+   * @returns {Object} { promise, revision, pendingApproval }
+   */
+  async reschedule(promise, { promiseDate, promiseAmount, reason } = {}, user) {
+    if (promise.promiseType === 'PAYMENT_PLAN') {
+      throw serviceError('Payment plans cannot be rescheduled; cancel the plan and agree a new one');
+    }
+    if (!RESCHEDULABLE_STATUSES.includes(promise.status)) {
+      throw serviceError(`Cannot reschedule a promise with status: ${promise.status}`);
+    }
+    if (promise.pendingRescheduleApproval) {
+      throw serviceError('This promise already has a reschedule waiting for approval', 409);
+    }
+    if (!reason || !String(reason).trim()) {
+      throw serviceError('A reason is required to reschedule a promise');
+    }
+
+    const newDate = new Date(promiseDate);
+    if (!promiseDate || Number.isNaN(newDate.getTime())) {
+      throw serviceError('A valid new promise date is required');
+    }
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (newDate < today) throw serviceError('The new promise date cannot be in the past');
+
+    const newAmount = promiseAmount !== undefined && promiseAmount !== ''
+      ? roundMoney(parseFloat(promiseAmount))
+      : promise.promiseAmount;
+    if (!(newAmount > 0)) throw serviceError('Valid promise amount is required');
+    if (newAmount < (promise.fulfillmentAmount || 0)) {
+      throw serviceError(`Promise amount cannot be less than the Ksh ${promise.fulfillmentAmount} already paid`);
+    }
+    if (newAmount !== promise.promiseAmount) {
+      const customer = await Customer.findById(promise.customerId).select('loanBalance').lean();
+      if (customer && newAmount > (customer.loanBalance || 0)) {
+        throw serviceError(`Promise amount (Ksh ${newAmount.toLocaleString()}) exceeds loan balance (Ksh ${(customer.loanBalance || 0).toLocaleString()})`);
+      }
+    }
+
+    if (newDate.getTime() === promise.promiseDate.getTime() && newAmount === promise.promiseAmount) {
+      throw serviceError('The new date and amount are the same as the current promise');
+    }
+
+    const limitReasons = this.checkLimits(promise, newDate);
+    const needsApproval = limitReasons.length > 0 && !this.canApprove(user);
+    const now = new Date();
+
+    const revision = {
+      previousDate: promise.promiseDate,
+      newDate,
+      previousAmount: promise.promiseAmount,
+      newAmount,
+      reason: String(reason).trim(),
+      status: needsApproval ? 'PENDING_APPROVAL' : 'APPLIED',
+      limitReasons,
+      requestedBy: user.id,
+      requestedByName: user.username,
+      requestedAt: now
+    };
+
+    if (needsApproval) {
+      promise.pendingRescheduleApproval = true;
+    } else {
+      // Over-limit changes by an approver approve themselves
+      if (limitReasons.length) {
+        Object.assign(revision, { reviewedBy: user.id, reviewedByName: user.username, reviewedAt: now });
+      }
+      this.applyRevision(promise, revision);
+    }
+
+    promise.revisions.push(revision);
+    await promise.save();
+
+    return {
+      promise,
+      revision: promise.revisions[promise.revisions.length - 1],
+      pendingApproval: needsApproval
+    };
+  }
+
+  pendingRevision(promise) {
+    const revision = promise.revisions.find(item => item.status === 'PENDING_APPROVAL');
+    if (!promise.pendingRescheduleApproval || !revision) {
+      throw serviceError('This promise has no reschedule waiting for approval', 404);
+    }
+    return revision;
+  }
+
+  async approve(promise, { note } = {}, user) {
+    const revision = this.pendingRevision(promise);
+    if (!RESCHEDULABLE_STATUSES.includes(promise.status)) {
+      throw serviceError(`Promise is now ${promise.status}; reject the reschedule instead`);
+    }
+
+    Object.assign(revision, {
+      status: 'APPLIED',
+      reviewedBy: user.id,
+      reviewedByName: user.username,
+      reviewedAt: new Date(),
+      reviewNote: note
+    });
+    // The promise may have moved on since the request; keep the history accurate
+    revision.previousDate = promise.promiseDate;
+    revision.previousAmount = promise.promiseAmount;
+
+    this.applyRevision(promise, revision);
+    promise.pendingRescheduleApproval = false;
+    await promise.save();
+
+    return { promise, revision };
+  }
+
+  async reject(promise, { reason } = {}, user) {
+    const revision = this.pendingRevision(promise);
+    if (!reason || !String(reason).trim()) throw serviceError('A rejection reason is required');
+
+    Object.assign(revision, {
+      status: 'REJECTED',
+      reviewedBy: user.id,
+      reviewedByName: user.username,
+      reviewedAt: new Date(),
+      reviewNote: String(reason).trim()
+    });
+    promise.pendingRescheduleApproval = false;
+    await promise.save();
+
+    return { promise, revision };
+  }
+
+  async getPendingApprovals({ page = 1, limit = 20 } = {}) {
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const query = { pendingRescheduleApproval: true };
+
+    const [promises, total] = await Promise.all([
+      PromiseModel.find(query)
+        .populate('customerId', 'name phoneNumber customerId loanType')
+        .sort({ updatedAt: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      PromiseModel.countDocuments(query)
+    ]);
+
+    return {
+      promises,
+      pagination: { total, page: pageNum, limit: limitNum, pages: Math.ceil(total / limitNum) }
+    };
+  }
+
+  /**
+   * Reschedule counts for reports: totals for a promise match and the customers
+   * who reschedule most
+   */
+  async getStats(match = {}, { top = 10 } = {}) {
+    const [totals] = await PromiseModel.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          promises: { $sum: 1 },
+          rescheduledPromises: { $sum: { $cond: [{ $gt: ['$rescheduleCount', 0] }, 1, 0] } },
+          repeatRescheduled: { $sum: { $cond: [{ $gt: ['$rescheduleCount', 1] }, 1, 0] } },
+          totalReschedules: { $sum: { $ifNull: ['$rescheduleCount', 0] } },
+          pendingApprovals: { $sum: { $cond: ['$pendingRescheduleApproval', 1, 0] } }
+        }
+      }
+    ]);
+
+    const topCustomers = await PromiseModel.aggregate([
+      { $match: { ...match, rescheduleCount: { $gt: 0 } } },
+      {
+        $group: {
+          _id: '$customerId',
+          customerName: { $first: '$customerName' },
+          promises: { $sum: 1 },
+          reschedules: { $sum: '$rescheduleCount' },
+          maxOnOnePromise: { $max: '$rescheduleCount' }
+        }
+      },
+      { $sort: { reschedules: -1 } },
+      { $limit: top }
+    ]);
+
+    return {
+      promises: totals?.promises || 0,
+      rescheduledPromises: totals?.rescheduledPromises || 0,
+      repeatRescheduled: totals?.repeatRescheduled || 0,
+      totalReschedules: totals?.totalReschedules || 0,
+      pendingApprovals: totals?.pendingApprovals || 0,
+      limits: this.getLimits(),
+      topCustomers: topCustomers.map(row => ({
+        customerId: row._id,
+        customerName: row.customerName,
+        promises: row.promises,
+        reschedules: row.reschedules,
+        maxOnOnePromise: row.maxOnOnePromise
+      }))
+    };
+  }
+}
+
+module.exports = new PromiseRescheduleService();
@@ -0,0 +1,445 @@
+// services/reconciliationService.js
+const XLSX = require('xlsx');
+const Transaction = require('../models/Transaction');
+const SuspensePayment = require('../models/SuspensePayment');
+const ReconciliationRun = require('../models/ReconciliationRun');
+const C2BService = require('./c2bService');
+const ReversalService = require('./reversalService');
+const PaymentPostingService = require('./paymentPostingService');
+const { serviceError, formatPhoneNumber, generateInternalId } = require('../utils/helpers');
+
+// Statement columns we care about, matched against the lower-cased header text
+const COLUMN_PATTERNS = {
+  receiptNumber: /^receipt/,
+  completionTime: /^completion time/,
+  details: /^details/,
+  transactionStatus: /^transaction status/,
+  paidIn: /^paid in/,
+  otherPartyInfo: /^other party/,
+  accountNumber: /^a\/c no|^account no/
+};
+
+// One-click actions available per item category
+const RESOLUTION_ACTIONS = {
+  MATCHED: ['ACKNOWLEDGE'],
+  MISSING_IN_SYSTEM: ['POST_PAYMENT', 'SEND_TO_SUSPENSE', 'IGNORE'],
+  MISSING_IN_STATEMENT: ['REQUEST_REVERSAL', 'ACKNOWLEDGE', 'IGNORE'],
+  AMOUNT_MISMATCH: ['ADJUST_TO_STATEMENT', 'ACKNOWLEDGE'],
+  REVERSED: ['ACKNOWLEDGE', 'IGNORE'] // The receipt was posted and then reversed; never posted again
+};
+
+/**
+ * Reconciles M-Pesa organisation statements (CSV/XLSX) against posted transactions
+ */
+class ReconciliationService {
+  getResolutionActions() {
+    return RESOLUTION_ACTIONS;
+  }
+
+  /**
+   * Parse an M-Pesa org statement into credit rows.
+   * Statements carry a preamble before the header, so the header row is located by
+   * its "Receipt No." column rather than assumed to be the first line.
+   */
+  parseStatement(buffer) {
+    const workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    if (!sheet) {
+      throw serviceError('Statement file is empty');
+    }
+
+    const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: null, raw: true });
+    const normalize = (value) => (value === null || value === undefined ? '' : String(value).trim().toLowerCase());
+
+    const headerIndex = rows.findIndex(row => row.some(cell => COLUMN_PATTERNS.receiptNumber.test(normalize(cell))));
+    if (headerIndex === -1) {
+      throw serviceError('Could not find the statement header row (expected a "Receipt No." column)');
+    }
+
+    const columns = {};
+    rows[headerIndex].forEach((cell, index) => {
+      const header = normalize(cell);
+      for (const [key, pattern] of Object.entries(COLUMN_PATTERNS)) {
+        if (columns[key] === undefined && pattern.test(header)) {
+          columns[key] = index;
+        }
+      }
+    });
+
+    if (columns.paidIn === undefined) {
+      throw serviceError('Statement is missing the "Paid In" column');
+    }
+
+    const statementRows = [];
+    const seenReceipts = new Set();
+    let skippedRows = 0;
+
+    for (const row of rows.slice(headerIndex + 1)) {
+      const receiptNumber = normalize(row[columns.receiptNumber]).toUpperCase();
+      if (!receiptNumber) continue;
+
+      const status = columns.transactionStatus !== undefined ? normalize(row[columns.transactionStatus]) : 'completed';
+      const amount = this.parseAmount(row[columns.paidIn]);
+
+      // Only completed credits can be repayments; duplicates are statement noise
+      if ((status && status !== 'completed') || !(amount > 0) || seenReceipts.has(receiptNumber)) {
+        skippedRows++;
+        continue;
+      }
+
+      seenReceipts.add(receiptNumber);
+      statementRows.push({
+        receiptNumber,
+        amount,
+        completionTime: this.parseDate(row[columns.completionTime]),
+        phone: this.parsePhone(row[columns.otherPartyInfo]),
+        details: row[columns.details] ? String(row[columns.details]).trim() : null,
+        accountNumber: row[columns.accountNumber] ? String(row[columns.accountNumber]).trim() : null
+      });
+    }
+
+    return { rows: statementRows, skippedRows };
+  }
+
+  parseAmount(value) {
+    if (typeof value === 'number') return value;
+    if (!value) return 0;
+    return parseFloat(String(value).replace(/[^\d.-]/g, '')) || 0;
+  }
+
+  parseDate(value) {
+    if (!value) return null;
+    if (value instanceof Date) return value;
+
+    if (typeof value === 'number') {
+      const parsed = XLSX.SSF.parse_date_code(value);
+      return parsed ? new Date(parsed.y, parsed.m - 1, parsed.d, parsed.H, parsed.M, Math.floor(parsed.S)) : null;
+    }
+
+    const text = String(value).trim();
+    let match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?/);
+    if (match) {
+      const [, y, m, d, H = 0, M = 0, S = 0] = match;
+      return new Date(y, m - 1, d, H, M, S);
+    }
+
+    // Safaricom exports use day-first dates (15-01-2024 14:23:11)
+    match = text.match(/^(\d{2})[-/](\d{2})[-/](\d{4})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?/);
+    if (match) {
+      const [, d, m, y, H = 0, M = 0, S = 0] = match;
+      return new Date(y, m - 1, d, H, M, S);
+    }
+
+    const parsed = new Date(text);
+    return isNaN(parsed.getTime()) ? null : parsed;
+  }
+
+  /**
+   * "Other Party Info" looks like "254712345678 - JOHN DOE" or "2547****678 - JOHN DOE"
+   */
+  parsePhone(otherPartyInfo) {
+    if (!otherPartyInfo) return null;
+    const match = String(otherPartyInfo).match(/^\s*([\d*]{9,12})/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Compare a statement phone (possibly masked with *) against a system phone number
+   */
+  phonesMatch(statementPhone, systemPhone) {
+    if (!statementPhone || !systemPhone) return null;
+
+    let pattern = statementPhone;
+    if (pattern.startsWith('0')) {
+      pattern = '254' + pattern.slice(1);
+    }
+
+    const regex = new RegExp('^' + pattern.replace(/\*/g, '\\d') + '$');
+    return regex.test(formatPhoneNumber(systemPhone));
+  }
+
+  /**
+   * Match statement rows against transactions and build the run's items
+   */
+  async reconcile(statementRows, periodStart, periodEnd) {
+    const receipts = statementRows.map(row => row.receiptNumber);
+
+    const [transactions, suspensePayments, unmatchedSystem] = await Promise.all([
+      Transaction.find({ mpesaReceiptNumber: { $in: receipts } })
+        .select('mpesaReceiptNumber amount phoneNumber status')
+        .lean(),
+      SuspensePayment.find({ transId: { $in: receipts }, status: 'UNALLOCATED' })
+        .select('transId')
+        .lean(),
+      // Only receipts Safaricom issued can be on its statement; generated ones never are
+      // (receiptSource is set on older transactions by scripts/migrate-receipt-index.js)
+      Transaction.find({
+        status: 'SUCCESS',
+        receiptSource: 'MPESA',
+        processedAt: { $gte: periodStart, $lte: periodEnd },
+        mpesaReceiptNumber: { $nin: receipts }
+      })
+        .select('mpesaReceiptNumber amount phoneNumber processedAt description')
+        .lean()
+    ]);
+
+    const transactionsByReceipt = new Map(transactions.map(t => [t.mpesaReceiptNumber, t]));
+    const suspenseByReceipt = new Map(suspensePayments.map(p => [p.transId, p]));
+
+    const items = [];
+
+    for (const row of statementRows) {
+      const transaction = transactionsByReceipt.get(row.receiptNumber);
+      const base = {
+        receiptNumber: row.receiptNumber,
+        statementAmount: row.amount,
+        statementPhone: row.phone,
+        completionTime: row.completionTime,
+        statementDetails: row.details
+      };
+
+      if (transaction?.status === 'REVERSED') {
+        items.push({
+          ...base,
+          category: 'REVERSED',
+          transactionId: transaction._id,
+          systemAmount: transaction.amount,
+          systemPhone: transaction.phoneNumber,
+          phoneMatches: this.phonesMatch(row.phone, transaction.phoneNumber)
+        });
+        continue;
+      }
+
+      if (!transaction || transaction.status !== 'SUCCESS') {
+        // Money arrived but was never posted (no record, unallocated paybill, or non-SUCCESS status)
+        items.push({
+          ...base,
+          category: 'MISSING_IN_SYSTEM',
+          transactionId: transaction?._id,
+          systemAmount: transaction?.amount,
+          systemPhone: transaction?.phoneNumber,
+          suspensePaymentId: suspenseByReceipt.get(row.receiptNumber)?._id
+        });
+        continue;
+      }
+
+      const amountMatches = Math.abs(transaction.amount - row.amount) < 0.01;
+      items.push({
+        ...base,
+        category: amountMatches ? 'MATCHED' : 'AMOUNT_MISMATCH',
+        transactionId: transaction._id,
+        systemAmount: transaction.amount,
+        systemPhone: transaction.phoneNumber,
+        phoneMatches: this.phonesMatch(row.phone, transaction.phoneNumber),
+        resolution: amountMatches
+          ? { status: 'RESOLVED', action: 'AUTO_MATCHED', resolvedAt: new Date() }
+          : { status: 'UNRESOLVED' }
+      });
+    }
+
+    for (const transaction of unmatchedSystem) {
+      items.push({
+        category: 'MISSING_IN_STATEMENT',
+        receiptNumber: transaction.mpesaReceiptNumber,
+        systemAmount: transaction.amount,
+        systemPhone: transaction.phoneNumber,
+        completionTime: transaction.processedAt,
+        transactionId: transaction._id
+      });
+    }
+
+    return items;
+  }
+
+  /**
+   * Parse a statement, reconcile it and save the run
+   * @param {Object} file - multer file (buffer + originalname)
+   * @param {Object} options - periodStart, periodEnd (defaults to the statement's date range)
+   * @param {Object} user - user creating the run
+   */
+  async createRun(file, options, user) {
+    const { rows, skippedRows } = this.parseStatement(file.buffer);
+
+    if (rows.length === 0) {
+      throw serviceError('No completed incoming payments found in the statement');
+    }
+
+    const times = rows.map(row => row.completionTime).filter(Boolean).map(date => date.getTime());
+
+    const periodStart = options.periodStart
+      ? new Date(options.periodStart)
+      : new Date(times.length ? Math.min(...times) : Date.now());
+    const periodEnd = options.periodEnd
+      ? new Date(options.periodEnd)
+      : new Date(times.length ? Math.max(...times) : Date.now());
+
+    if (isNaN(periodStart.getTime()) || isNaN(periodEnd.getTime())) {
+      throw serviceError('Invalid reconciliation period');
+    }
+
+    // Statements cover whole days
+    periodStart.setHours(0, 0, 0, 0);
+    periodEnd.setHours(23, 59, 59, 999);
+
+    const items = await this.reconcile(rows, periodStart, periodEnd);
+    const count = (category) => items.filter(item => item.category === category).length;
+
+    const run = new ReconciliationRun({
+      runId: generateInternalId('REC'),
+      statementFileName: file.originalname,
+      periodStart,
+      periodEnd,
+      items,
+      summary: {
+        statementRows: rows.length,
+        skippedRows,
+        matched: count('MATCHED'),
+        missingInSystem: count('MISSING_IN_SYSTEM'),
+        missingInStatement: count('MISSING_IN_STATEMENT'),
+        amountMismatch: count('AMOUNT_MISMATCH'),
+        reversed: count('REVERSED'),
+        phoneMismatch: items.filter(item => item.phoneMatches === false).length,
+        statementAmount: rows.reduce((sum, row) => sum + row.amount, 0),
+        systemAmount: items
+          .filter(item => !['MISSING_IN_SYSTEM', 'REVERSED'].includes(item.category))
+          .reduce((sum, item) => sum + (item.systemAmount || 0), 0)
+      },
+      createdBy: user.username,
+      createdByUserId: user.id
+    });
+
+    run.refreshResolutionStatus();
+    await run.save();
+
+    return run;
+  }
+
+  /**
+   * Apply a one-click resolution action to a run item
+   * @param {Document} run - ReconciliationRun
+   * @param {String} itemId - item subdocument id
+   * @param {String} action - one of RESOLUTION_ACTIONS[item.category]
+   * @param {Object} options - customerId (for POST_PAYMENT), notes, user
+   * @returns {Object} { item, transaction }
+   */
+  async resolveItem(run, itemId, action, options) {
+    const { customerId, notes, user } = options;
+    const item = run.items.id(itemId);
+
+    if (!item) {
+      throw serviceError('Reconciliation item not found', 404);
+    }
+
+    if (item.resolution.status === 'RESOLVED') {
+      throw serviceError('Item is already resolved');
+    }
+
+    const allowedActions = RESOLUTION_ACTIONS[item.category] || [];
+    if (!allowedActions.includes(action)) {
+      throw serviceError(`Action ${action} is not valid for ${item.category} items. Use one of: ${allowedActions.join(', ')}`);
+    }
+
+    let transaction = null;
+
+    if (action === 'POST_PAYMENT') {
+      transaction = await this.postMissingPayment(item, customerId, user, notes);
+    } else if (action === 'SEND_TO_SUSPENSE') {
+      if (item.suspensePaymentId) {
+        throw serviceError('Payment is already in the suspense queue');
+      }
+      const suspensePayment = await C2BService.sendToSuspense(this.toC2BPayment(item), 'NO_MATCH');
+      item.suspensePaymentId = suspensePayment._id;
+    } else if (action === 'REQUEST_REVERSAL') {
+      // Still goes through the normal approval step before balances change
+      const { request } = await ReversalService.createRequest(item.transactionId, {
+        reason: notes || `Not found on M-Pesa statement (reconciliation ${run.runId})`,
+        user
+      });
+      item.reversalRequestId = request._id;
+    } else if (action === 'ADJUST_TO_STATEMENT') {
+      transaction = await Transaction.findById(item.transactionId);
+      if (!transaction || transaction.status !== 'SUCCESS') {
+        throw serviceError('Only posted transactions can be adjusted');
+      }
+      await PaymentPostingService.adjustPostedAmount(transaction, item.statementAmount, {
+        errorMessage: `Amount adjusted from ${item.systemAmount} to ${item.statementAmount} by reconciliation ${run.runId}`
+      });
+    }
+
+    item.resolution = {
+      status: 'RESOLVED',
+      action,
+      notes,
+      resolvedBy: user.id,
+      resolvedAt: new Date(),
+      resultTransactionId: transaction?._id
+    };
+
+    run.refreshResolutionStatus();
+    await run.save();
+
+    return { item, transaction };
+  }
+
+  /**
+   * Post a statement payment the system never recorded
+   */
+  async postMissingPayment(item, customerId, user, notes) {
+    // The receipt exists on a transaction that never reached SUCCESS - post that one
+    if (item.transactionId) {
+      const transaction = await Transaction.findById(item.transactionId);
+      if (transaction?.status === 'REVERSED') {
+        throw serviceError(`Receipt ${item.receiptNumber} was reversed and cannot be posted again`);
+      }
+      if (transaction && transaction.status !== 'SUCCESS') {
+        await PaymentPostingService.postSuccessfulPayment(transaction, {
+          mpesaReceiptNumber: item.receiptNumber,
+          amount: item.statementAmount
+        });
+        return transaction;
+      }
+    }
+
+    if (!customerId) {
+      throw serviceError('Please select the customer this payment belongs to');
+    }
+
+    const customer = await C2BService.findActiveCustomer(customerId);
+    if (!customer) {
+      throw serviceError('Customer not found', 404);
+    }
+
+    if (item.suspensePaymentId) {
+      const { transaction } = await C2BService.allocateSuspensePayment(item.suspensePaymentId, customer, user, notes);
+      if (!transaction) {
+        throw serviceError('Suspense payment has already been allocated');
+      }
+      return transaction;
+    }
+
+    const existing = await Transaction.findOne({ mpesaReceiptNumber: item.receiptNumber, status: { $in: ['SUCCESS', 'REVERSED'] } });
+    if (existing) {
+      throw serviceError(`Receipt ${item.receiptNumber} has already been posted`);
+    }
+
+    return C2BService.postToCustomer(customer, this.toC2BPayment(item), {
+      matchedBy: 'RECONCILIATION',
+      initiatedBy: user.username,
+      initiatedByUserId: customer.assignedTo || user.id
+    });
+  }
+
+  toC2BPayment(item) {
+    return {
+      transId: item.receiptNumber,
+      transTime: item.completionTime ? item.completionTime.toISOString() : null,
+      amount: item.statementAmount,
+      msisdn: item.statementPhone && !item.statementPhone.includes('*') ? item.statementPhone : null,
+      billRefNumber: null,
+      payerName: item.statementDetails,
+      raw: { source: 'RECONCILIATION' }
+    };
+  }
+}
+
+module.exports = new ReconciliationService();
@@ -1,75 +1,254 @@
-// backend/features/promise-to-pay/services/reminderService.js
+// services/reminderService.js
+const twilio = require('twilio');
+const PromiseModel = require('../models/Promise');
+const ContactPolicyService = require('./contactPolicyService');
+const WhatsAppService = require('./whatsappService');
+const { DAY_MS, roundMoney } = require('../utils/helpers');
 
-const cron = require('node-cron');
-const Promise = require('../models/Promise');
-const WhatsAppService = require('../../../services/whatsappService');
+// Promises that still owe money
+const OPEN_STATUSES = ['PENDING', 'RESCHEDULED', 'PARTIALLY_FULFILLED'];
 
+/**
+ * Reminder stages, in days from the promise date. A stage only goes out on its
+ * own day; if it cannot be sent that day (deferred or failed) it is not carried over.
+ */
+const STAGES = [
+  {
+    stage: 'T_MINUS_2',
+    offsetDays: -2,
+    statuses: OPEN_STATUSES,
+    template: '*Promise Reminder*\n\nDear {{name}},\n\nYour payment promise of *KES {{amount}}* is due in 2 days, on {{dueDate}}.\nPromise ID: {{promiseId}}\n\nPlease ensure you have sufficient funds to fulfil your promise.\n\nThank you.'
+  },
+  {
+    stage: 'DUE_DAY',
+    offsetDays: 0,
+    statuses: OPEN_STATUSES,
+    template: '*Payment Due Today*\n\nDear {{name}},\n\nYour payment promise of *KES {{amount}}* is due today, {{dueDate}}.\nPromise ID: {{promiseId}}\n\nPlease pay today to keep your promise.\n\nThank you.'
+  },
+  {
+    stage: 'MISSED',
+    offsetDays: 1,
+    statuses: [...OPEN_STATUSES, 'BROKEN'],
+    template: '*Missed Payment Promise*\n\nDear {{name}},\n\nWe have not received your payment of *KES {{amount}}* promised for {{dueDate}}.\nPromise ID: {{promiseId}}\n\nPlease pay as soon as possible, or contact your collections officer to agree a new date.\n\nThank you.'
+  }
+];
+
+// Reminder records a run may (re)try; SENDING, SENT and BLOCKED are final
+const RETRYABLE = ['PENDING', 'FAILED', 'DEFERRED'];
+
+// Contact policy blocks that lift later in the day: such reminders wait for a later
+// run. Any other block goes through authorise so the attempt is recorded.
+const DEFER_CODES = ['OUTSIDE_ALLOWED_HOURS', 'OUTSIDE_ALLOWED_DAYS', 'BLACKOUT_DATE'];
+
+// Twilio delivery statuses in the order they happen; callbacks can arrive out of order
+const DELIVERY_ORDER = ['accepted', 'queued', 'sending', 'sent', 'undelivered', 'failed', 'delivered', 'read'];
+
+// YYYY-MM-DD of an instant in the given timezone
+const localDate = (date, timezone) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+
+const addDays = (day, days) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, date + days)).toISOString().slice(0, 10);
+};
+
+/**
+ * Promise reminders over WhatsApp: a templated message at each stage, sent
+ * through the contact policy and recorded on the promise with its delivery status.
+ * Payment plans get installment reminders instead (see paymentPlanService).
+ */
 class ReminderService {
-  constructor() {
-    console.log('⏰ Initializing Promise Reminder Service...');
-    this.initReminderJob();
+  getStages() {
+    return STAGES.map(({ stage, offsetDays, template }) => ({ stage, offsetDays, template }));
   }
 
-  initReminderJob() {
-    // Run every hour at minute 0
-    cron.schedule('0 * * * *', async () => {
-      console.log('⏰ Running promise reminder check...');
-      await this.checkAndSendReminders();
-    });
+  render(template, values) {
+    return template.replace(/{{(\w+)}}/g, (placeholder, key) =>
+      (values[key] !== undefined && values[key] !== null ? String(values[key]) : placeholder));
+  }
+
+  /**
+   * The stage due for a promise on the given local day, or null when none is due
+   * or it has already gone out for the current promise date
+   */
+  stageFor(promise, today, timezone) {
+    const dueDay = localDate(promise.promiseDate, timezone);
+    const stage = STAGES.find(item => addDays(dueDay, item.offsetDays) === today);
+    if (!stage || !stage.statuses.includes(promise.status)) return null;
+
+    if (roundMoney(promise.promiseAmount - (promise.fulfillmentAmount || 0)) <= 0) return null;
 
-    console.log('✅ Promise reminder service initialized');
+    const done = (promise.reminders || []).some(item =>
+      item.stage === stage.stage &&
+      item.dueDate.getTime() === promise.promiseDate.getTime() &&
+      !RETRYABLE.includes(item.status)
+    );
+    return done ? null : stage;
   }
 
-  async checkAndSendReminders() {
-    try {
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-
-      const tomorrow = new Date(today);
-      tomorrow.setDate(tomorrow.getDate() + 2); // Remind for promises due in next 2 days
-
-      // Find promises needing reminder
-      const promises = await Promise.find({
-        status: 'PENDING',
-        promiseDate: { $lte: tomorrow, $gte: today },
-        reminderSent: false
-      }).populate('customerId');
-
-      console.log(`Found ${promises.length} promises needing reminders`);
-
-      for (const promise of promises) {
-        try {
-          await this.sendReminder(promise);
-          promise.reminderSent = true;
-          promise.followUpCount += 1;
-          await promise.save();
-        } catch (error) {
-          console.error(`Failed to send reminder for promise ${promise.promiseId}:`, error);
-        }
-      }
+  statusCallbackUrl() {
+    const base = process.env.WEBHOOK_BASE_URL;
+    return base ? `${base.replace(/\/+$/, '')}/api/promises/reminders/status` : undefined;
+  }
 
-    } catch (error) {
-      console.error('Reminder service error:', error);
+  /**
+   * Send each promise the stage due today. Safe to run repeatedly: a stage is
+   * claimed before sending, and reminders deferred by the allowed hours, days or
+   * blackout dates are retried on later runs the same day.
+   * @returns {Object} summary
+   */
+  async runReminders(asOf = new Date()) {
+    const summary = { due: 0, sent: 0, deferred: 0, blocked: 0, failed: 0, skipped: 0 };
+    const policy = await ContactPolicyService.getPolicy();
+    const today = localDate(asOf, policy.timezone);
+
+    // A wide window; stageFor picks the exact day in the policy timezone
+    const promises = await PromiseModel.find({
+      promiseType: { $ne: 'PAYMENT_PLAN' },
+      status: { $in: [...OPEN_STATUSES, 'BROKEN'] },
+      promiseDate: { $gte: new Date(asOf.getTime() - 3 * DAY_MS), $lte: new Date(asOf.getTime() + 4 * DAY_MS) }
+    }).populate('customerId', 'name phoneNumber contactConsent doNotContact doNotContactReason');
+
+    for (const promise of promises) {
+      const stage = this.stageFor(promise, today, policy.timezone);
+      if (!stage || !promise.customerId) continue;
+
+      summary.due++;
+      try {
+        summary[await this.sendStage(promise, stage, policy)]++;
+      } catch (error) {
+        console.error(`❌ ${stage.stage} reminder for promise ${promise.promiseId} failed:`, error.message);
+        summary.failed++;
+      }
     }
+
+    return summary;
   }
 
-  async sendReminder(promise) {
-    const customerName = promise.customerName;
-    const phoneNumber = promise.phoneNumber;
-    const promiseAmount = promise.promiseAmount;
-    const promiseDate = new Date(promise.promiseDate).toLocaleDateString('en-KE');
-    const promiseId = promise.promiseId;
+  /**
+   * Send one stage for a promise and record the outcome on its reminder record
+   * @returns {String} sent | deferred | blocked | failed | skipped
+   */
+  async sendStage(promise, { stage, template }, policy) {
+    const customer = promise.customerId;
+    const match = { stage, dueDate: promise.promiseDate };
+    const update = (fromStatuses, set) => PromiseModel.updateOne(
+      { _id: promise._id, reminders: { $elemMatch: { ...match, status: { $in: fromStatuses } } } },
+      set
+    );
+
+    // One record per stage and promise date
+    await PromiseModel.updateOne(
+      { _id: promise._id, reminders: { $not: { $elemMatch: match } } },
+      { $push: { reminders: { ...match, status: 'PENDING' } } }
+    );
 
-    const message = `*Promise Reminder*\n\nDear ${customerName},\n\nThis is a reminder about your payment promise of KES ${promiseAmount.toLocaleString()} due on ${promiseDate}.\n\nPromise ID: ${promiseId}\n\nPlease ensure you have sufficient funds to fulfill your promise.\n\nThank you.`;
+    // Checked before claiming so hourly runs outside the allowed hours don't log a blocked attempt each time
+    const decision = await ContactPolicyService.evaluate(customer, 'WHATSAPP', { policy });
+    if (!decision.allowed && decision.reasons.every(reason => DEFER_CODES.includes(reason.code))) {
+      await update(RETRYABLE, {
+        $set: { 'reminders.$.status': 'DEFERRED', 'reminders.$.blockReasons': decision.reasons.map(item => item.code) }
+      });
+      return 'deferred';
+    }
+
+    const claimed = await update(RETRYABLE, {
+      $set: { 'reminders.$.status': 'SENDING' },
+      $inc: { 'reminders.$.attempts': 1 }
+    });
+    if (!claimed.modifiedCount) return 'skipped';
 
     try {
-      await WhatsAppService.sendPaymentRequest(phoneNumber, customerName, promiseAmount, promiseId);
-      console.log(`✅ Reminder sent for promise ${promiseId}`);
+      await ContactPolicyService.authorise({
+        customer,
+        channel: 'WHATSAPP',
+        purpose: 'PROMISE_REMINDER',
+        phoneNumber: promise.phoneNumber,
+        reference: `${promise.promiseId}-${stage}`
+      });
     } catch (error) {
-      console.error(`Failed to send WhatsApp reminder:`, error);
-      // You could implement SMS fallback here
+      if (error.code !== 'CONTACT_BLOCKED') {
+        await update(['SENDING'], { $set: { 'reminders.$.status': 'FAILED', 'reminders.$.error': error.message } });
+        throw error;
+      }
+      // The allowed hours may have closed since the pre-check
+      const codes = error.reasons.map(item => item.code);
+      const outcome = codes.every(code => DEFER_CODES.includes(code)) ? 'deferred' : 'blocked';
+      await update(['SENDING'], {
+        $set: { 'reminders.$.status': outcome.toUpperCase(), 'reminders.$.blockReasons': codes }
+      });
+      return outcome;
     }
+
+    const message = this.render(template, {
+      name: promise.customerName,
+      amount: roundMoney(promise.promiseAmount - (promise.fulfillmentAmount || 0)).toLocaleString(),
+      dueDate: promise.promiseDate.toLocaleDateString('en-KE', { timeZone: policy.timezone }),
+      promiseId: promise.promiseId
+    });
+
+    const sent = await WhatsAppService.sendMessage(promise.phoneNumber, message, {
+      statusCallback: this.statusCallbackUrl()
+    });
+
+    if (!sent.success) {
+      await update(['SENDING'], { $set: { 'reminders.$.status': 'FAILED', 'reminders.$.error': sent.error } });
+      return 'failed';
+    }
+
+    const now = new Date();
+    await update(['SENDING'], {
+      $set: {
+        'reminders.$.status': 'SENT',
+        'reminders.$.messageId': sent.messageId,
+        'reminders.$.sentAt': now,
+        'reminders.$.deliveryStatus': sent.status,
+        'reminders.$.deliveryUpdatedAt': now,
+        'reminders.$.error': null
+      },
+      $inc: { followUpCount: 1 }
+    });
+
+    console.log(`✅ ${stage} reminder sent for promise ${promise.promiseId}`);
+    return 'sent';
+  }
+
+  /**
+   * Whether a delivery status callback really came from Twilio. Without a
+   * callback URL or auth token no callbacks were requested, so none are accepted.
+   */
+  isValidCallback(signature, params) {
+    const url = this.statusCallbackUrl();
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    if (!url || !authToken || !signature) return false;
+    return twilio.validateRequest(authToken, signature, url, params);
+  }
+
+  /**
+   * Record a Twilio delivery status on the reminder it belongs to. Older
+   * statuses arriving late do not overwrite newer ones.
+   * @returns {Boolean} whether a reminder was updated
+   */
+  async updateDeliveryStatus({ MessageSid, MessageStatus, ErrorCode } = {}) {
+    if (!MessageSid || !MessageStatus) return false;
+
+    const status = String(MessageStatus).toLowerCase();
+    const rank = DELIVERY_ORDER.indexOf(status);
+    const newer = rank === -1 ? [] : DELIVERY_ORDER.slice(rank + 1);
+
+    const result = await PromiseModel.updateOne(
+      { reminders: { $elemMatch: { messageId: MessageSid, deliveryStatus: { $nin: newer } } } },
+      {
+        $set: {
+          'reminders.$.deliveryStatus': status,
+          'reminders.$.deliveryUpdatedAt': new Date(),
+          ...(ErrorCode ? { 'reminders.$.error': `Twilio error ${ErrorCode}` } : {})
+        }
+      }
+    );
+
+    return result.modifiedCount > 0;
   }
 }
 
-module.exports = new ReminderService();
\ No newline at end of file
+module.exports = new ReminderService();
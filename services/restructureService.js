@@ -0,0 +1,654 @@
+// services/restructureService.js
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const Customer = require('../models/Customer');
+const PromiseModel = require('../models/Promise');
+const Restructure = require('../models/Restructure');
+const DiscountAuthority = require('../models/DiscountAuthority');
+const LoanService = require('./loanService');
+const LedgerService = require('./ledgerService');
+const { DAY_MS, roundMoney, serviceError, assertCanApprove, generateInternalId } = require('../utils/helpers');
+
+const { ACCOUNTS } = LedgerService;
+
+// Used when the matrix has no row for a role
+const DEFAULT_AUTHORITY = {
+  supervisor: { maxDiscountPercent: 10, maxTermMonths: 12 },
+  admin: { maxDiscountPercent: 100 }
+};
+
+const APPROVER_ROLES = ['supervisor', 'admin'];
+
+const normaliseRole = (role) => (role === 'agent' ? 'officer' : role);
+
+/**
+ * Loan restructuring and settlement offers: proposal, approval within the discount
+ * authority matrix, regenerating the schedule, and reverting on default.
+ */
+class RestructureService {
+  async findLoan(loanId, session = null) {
+    const loan = await Loan.findOne(
+      mongoose.Types.ObjectId.isValid(loanId) ? { _id: loanId } : { loanId }
+    ).session(session);
+
+    if (!loan) {
+      throw serviceError('Loan not found', 404);
+    }
+    return loan;
+  }
+
+  validateTerms(data) {
+    const type = data.type;
+    const installmentCount = parseInt(data.installmentCount, 10) || (type === 'SETTLEMENT' ? 1 : NaN);
+    const firstDueDate = data.firstDueDate ? new Date(data.firstDueDate) : null;
+    const interestRate = data.interestRate === undefined ? 0 : parseFloat(data.interestRate);
+    const settlementAmount = parseFloat(data.settlementAmount);
+
+    if (!['RESCHEDULE', 'SETTLEMENT'].includes(type)) {
+      throw serviceError('Type must be RESCHEDULE or SETTLEMENT');
+    }
+    if (!(installmentCount >= 1)) {
+      throw serviceError('Please provide the number of installments on the new terms');
+    }
+    if (!firstDueDate || isNaN(firstDueDate.getTime())) {
+      throw serviceError('Please provide a valid first due date');
+    }
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (firstDueDate < today) {
+      throw serviceError('First due date cannot be in the past');
+    }
+
+    if (type === 'SETTLEMENT' && !(settlementAmount > 0)) {
+      throw serviceError('Please provide the settlement amount');
+    }
+    if (type === 'RESCHEDULE' && !(interestRate >= 0)) {
+      throw serviceError('Interest rate cannot be negative');
+    }
+
+    return {
+      type,
+      installmentCount,
+      firstDueDate,
+      interestRate: type === 'RESCHEDULE' ? interestRate : 0,
+      settlementAmount: type === 'SETTLEMENT' ? roundMoney(settlementAmount) : undefined
+    };
+  }
+
+  /**
+   * Work out the new schedule and discount for a loan. The loan should have had its
+   * due installments booked and its status refreshed.
+   */
+  calculate(loan, terms) {
+    const openInstallments = loan.activeInstallments()
+      .filter(installment => roundMoney(installment.amount - (installment.paidAmount || 0)) > 0);
+    const openFees = (loan.fees || []).filter(fee => LoanService.feeDue(fee) > 0);
+
+    const balance = roundMoney(
+      openInstallments.reduce((sum, inst) => sum + inst.amount - (inst.paidAmount || 0), 0) +
+      openFees.reduce((sum, fee) => sum + LoanService.feeDue(fee), 0)
+    );
+
+    if (balance <= 0) {
+      throw serviceError('Loan has no outstanding balance to restructure');
+    }
+
+    let principal = balance;
+    if (terms.type === 'SETTLEMENT') {
+      if (terms.settlementAmount > balance) {
+        throw serviceError(`Settlement amount cannot exceed the outstanding balance (${balance})`);
+      }
+      principal = terms.settlementAmount;
+    }
+
+    const schedule = LoanService.generateSchedule({
+      principalAmount: principal,
+      interestRate: terms.interestRate || 0,
+      repaymentPeriod: terms.installmentCount,
+      startDate: terms.firstDueDate,
+      interestMethod: loan.interestMethod
+    });
+
+    // generateSchedule puts the first installment a month after the start date
+    schedule.installments.forEach((installment, index) => {
+      installment.dueDate = LoanService.addMonths(terms.firstDueDate, index);
+    });
+    schedule.dueDate = schedule.installments[schedule.installments.length - 1].dueDate;
+
+    const discountAmount = roundMoney(balance - principal);
+
+    return {
+      balance,
+      openInstallments,
+      openFees,
+      schedule,
+      discountAmount,
+      discountPercent: roundMoney((discountAmount / balance) * 100),
+      interestAdded: roundMoney(schedule.totalRepayable - principal)
+    };
+  }
+
+  /**
+   * Authority limits for a role and loan type: loan-type row, then catch-all row, then default
+   */
+  async getAuthority(role, loanType) {
+    const rows = await DiscountAuthority.find({ role, loanType: { $in: [loanType, null] } }).lean();
+    const row = rows.find(r => r.loanType === loanType) || rows.find(r => !r.loanType);
+    return row || { role, loanType: null, ...DEFAULT_AUTHORITY[role] };
+  }
+
+  withinAuthority(authority, figures, installmentCount) {
+    if (!authority) return false;
+    if (figures.discountPercent > authority.maxDiscountPercent) return false;
+    if (authority.maxDiscountAmount != null && figures.discountAmount > authority.maxDiscountAmount) return false;
+    if (authority.maxTermMonths != null && installmentCount > authority.maxTermMonths) return false;
+    return true;
+  }
+
+  /**
+   * Lowest role that may approve these terms, or null when nobody can
+   */
+  async requiredApprover(loanType, figures, installmentCount) {
+    for (const role of APPROVER_ROLES) {
+      const authority = await this.getAuthority(role, loanType);
+      if (this.withinAuthority(authority, figures, installmentCount)) return role;
+    }
+    return null;
+  }
+
+  async checkAuthority(user, loanType, figures, installmentCount) {
+    const role = normaliseRole(user.role);
+    if (!APPROVER_ROLES.includes(role)) {
+      throw serviceError('Only supervisors and admins can approve restructures', 403);
+    }
+
+    const authority = await this.getAuthority(role, loanType);
+    if (!this.withinAuthority(authority, figures, installmentCount)) {
+      const limits = [`${authority.maxDiscountPercent}%`];
+      if (authority.maxDiscountAmount != null) limits.push(`KES ${authority.maxDiscountAmount}`);
+      if (authority.maxTermMonths != null) limits.push(`${authority.maxTermMonths} installments`);
+
+      throw serviceError(
+        `Discount of ${figures.discountPercent}% (KES ${figures.discountAmount}) over ${installmentCount} installments ` +
+        `exceeds your approval authority (${limits.join(', ')}); escalate to an admin`,
+        403
+      );
+    }
+  }
+
+  async getAuthorityMatrix() {
+    const rows = await DiscountAuthority.find({}).sort({ role: 1, loanType: 1 }).lean();
+    return { rows, defaults: DEFAULT_AUTHORITY };
+  }
+
+  async setAuthority(data, user) {
+    const { role, loanType = null } = data;
+    if (!APPROVER_ROLES.includes(role)) {
+      throw serviceError('Role must be supervisor or admin');
+    }
+
+    const update = { $set: { updatedBy: user.username }, $unset: {} };
+    for (const key of ['maxDiscountPercent', 'maxDiscountAmount', 'maxTermMonths']) {
+      if (data[key] === null) update.$unset[key] = 1;
+      else if (data[key] !== undefined) update.$set[key] = data[key];
+    }
+    if (Object.keys(update.$unset).length === 0) delete update.$unset;
+
+    return DiscountAuthority.findOneAndUpdate(
+      { role, loanType },
+      update,
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  /**
+   * Figures for proposed terms without saving anything
+   */
+  async preview(data) {
+    const terms = this.validateTerms(data);
+    const loan = await this.findLoan(data.loanId);
+
+    loan.refreshStatus();
+
+    const figures = this.calculate(loan, terms);
+
+    return {
+      loanRef: loan.loanId,
+      type: terms.type,
+      balance: figures.balance,
+      discountAmount: figures.discountAmount,
+      discountPercent: figures.discountPercent,
+      interestAdded: figures.interestAdded,
+      newScheduleTotal: figures.schedule.totalRepayable,
+      installments: figures.schedule.installments,
+      requiredApprover: await this.requiredApprover(loan.loanType, figures, terms.installmentCount)
+    };
+  }
+
+  /**
+   * Officer proposes new terms for a loan
+   */
+  async propose(data, user) {
+    const terms = this.validateTerms(data);
+
+    if (!data.reason || !data.reason.trim()) {
+      throw serviceError('Please provide a reason for the restructure');
+    }
+
+    const loan = await this.findLoan(data.loanId);
+    if (['settled', 'written_off'].includes(loan.status)) {
+      throw serviceError(`Cannot restructure a ${loan.status.replace('_', ' ')} loan`);
+    }
+    if (loan.activeRestructureId) {
+      throw serviceError('This loan is already on restructured terms', 409);
+    }
+
+    // Officers may only propose restructures for their own customers
+    if (normaliseRole(user.role) === 'officer') {
+      const customer = await Customer.findById(loan.customerId).select('assignedTo');
+      if (!customer || String(customer.assignedTo) !== String(user.id)) {
+        throw serviceError('You can only propose restructures for your own customers', 403);
+      }
+    }
+
+    let promise = null;
+    if (data.promiseId) {
+      promise = await PromiseModel.findOne(
+        mongoose.Types.ObjectId.isValid(data.promiseId) ? { _id: data.promiseId } : { promiseId: data.promiseId }
+      );
+      if (!promise || String(promise.customerId) !== String(loan.customerId)) {
+        throw serviceError('Promise not found for this customer', 404);
+      }
+      if (!['SETTLEMENT', 'PAYMENT_PLAN'].includes(promise.promiseType)) {
+        throw serviceError('Only SETTLEMENT and PAYMENT_PLAN promises can be linked to a restructure');
+      }
+    }
+
+    const existing = await Restructure.findOne({ loanId: loan._id, status: 'PENDING' });
+    if (existing) {
+      throw serviceError(`A restructure (${existing.restructureId}) is already pending for this loan`, 409);
+    }
+
+    const preview = await this.preview({ ...data, loanId: loan._id });
+
+    const restructure = await Restructure.create({
+      restructureId: generateInternalId('RST'),
+      ...terms,
+      customerId: loan.customerId,
+      loanId: loan._id,
+      loanRef: loan.loanId,
+      loanType: loan.loanType,
+      promiseId: promise?._id,
+      reason: data.reason.trim(),
+      balance: preview.balance,
+      discountAmount: preview.discountAmount,
+      discountPercent: preview.discountPercent,
+      interestAdded: preview.interestAdded,
+      newScheduleTotal: preview.newScheduleTotal,
+      defaultGraceDays: data.defaultGraceDays !== undefined
+        ? data.defaultGraceDays
+        : parseInt(process.env.RESTRUCTURE_DEFAULT_GRACE_DAYS, 10) || 30,
+      requestedBy: user.username,
+      requestedByUserId: user.id
+    });
+
+    return { restructure, preview };
+  }
+
+  /**
+   * Approve a proposal and put the loan on the new terms
+   */
+  async approve(restructureId, user, notes) {
+    const restructure = await Restructure.findById(restructureId);
+    if (!restructure) {
+      throw serviceError('Restructure not found', 404);
+    }
+    if (restructure.status !== 'PENDING') {
+      throw serviceError(`Restructure is already ${restructure.status.toLowerCase()}`);
+    }
+
+    assertCanApprove(restructure.requestedByUserId, user, 'restructure request');
+
+    const session = await Loan.startSession();
+
+    try {
+      session.startTransaction();
+
+      const loan = await Loan.findById(restructure.loanId).session(session);
+      if (!loan || ['settled', 'written_off'].includes(loan.status)) {
+        throw serviceError('Loan is no longer open');
+      }
+      if (loan.activeRestructureId) {
+        throw serviceError('This loan is already on restructured terms', 409);
+      }
+      if (restructure.firstDueDate < new Date(new Date().setHours(0, 0, 0, 0))) {
+        throw serviceError('The proposed first due date has passed; please propose new terms');
+      }
+
+      await LoanService.bookDueInstallments(loan, { session });
+      loan.refreshStatus();
+
+      // The balance may have moved since the proposal; authority applies to today's figures
+      const figures = this.calculate(loan, restructure);
+      await this.checkAuthority(user, loan.loanType, figures, restructure.installmentCount);
+
+      const legs = [];
+
+      // Unpaid installments are replaced by the new schedule
+      for (const installment of figures.openInstallments) {
+        if (installment.dueBooked) {
+          legs.push({
+            debit: ACCOUNTS.LOAN_NOT_DUE,
+            credit: ACCOUNTS.LOAN_DUE,
+            amount: installment.amount - (installment.paidAmount || 0),
+            installmentId: installment._id,
+            description: `Installment ${installment.installmentNumber} replaced by ${restructure.restructureId}`
+          });
+        }
+        installment.supersededBy = restructure._id;
+        installment.dueBooked = false;
+      }
+
+      // Open fees are rolled into the new schedule
+      const capitalisedFees = figures.openFees.map(fee => {
+        const amount = LoanService.feeDue(fee);
+        fee.capitalisedAmount = roundMoney((fee.capitalisedAmount || 0) + amount);
+        legs.push({
+          debit: ACCOUNTS.LOAN_NOT_DUE,
+          credit: ACCOUNTS.FEES_RECEIVABLE,
+          amount,
+          feeId: fee._id,
+          description: `${fee.name || fee.feeType} capitalised into ${restructure.restructureId}`
+        });
+        return { feeId: fee._id, amount };
+      });
+
+      legs.push({
+        debit: ACCOUNTS.LOAN_NOT_DUE,
+        credit: ACCOUNTS.INTEREST_INCOME,
+        amount: figures.interestAdded,
+        description: `Interest on restructured schedule ${restructure.restructureId}`
+      });
+      legs.push({
+        debit: ACCOUNTS.SETTLEMENT_DISCOUNT,
+        credit: ACCOUNTS.LOAN_NOT_DUE,
+        amount: figures.discountAmount,
+        description: `Settlement discount ${restructure.restructureId}`
+      });
+
+      const lastNumber = Math.max(0, ...loan.installments.map(inst => inst.installmentNumber));
+      figures.schedule.installments.forEach((installment, index) => {
+        loan.installments.push({
+          ...installment,
+          installmentNumber: lastNumber + index + 1,
+          restructureId: restructure._id
+        });
+      });
+
+      loan.dueDate = figures.schedule.dueDate;
+      loan.activeRestructureId = restructure._id;
+
+      await LedgerService.postJournal('RESTRUCTURE', legs, {
+        customerId: loan.customerId,
+        loanId: loan._id,
+        reference: restructure.restructureId,
+        description: `${restructure.type === 'SETTLEMENT' ? 'Settlement' : 'Reschedule'} ${restructure.restructureId} of ${loan.loanId}`,
+        user
+      }, session);
+
+      await LoanService.bookDueInstallments(loan, { session });
+      loan.refreshStatus();
+      await loan.save({ session });
+
+      const balances = await LoanService.syncCustomerBalances(loan.customerId, session);
+
+      restructure.balance = figures.balance;
+      restructure.discountAmount = figures.discountAmount;
+      restructure.discountPercent = figures.discountPercent;
+      restructure.interestAdded = figures.interestAdded;
+      restructure.newScheduleTotal = figures.schedule.totalRepayable;
+      restructure.capitalisedFees = capitalisedFees;
+      restructure.status = 'ACTIVE';
+      restructure.reviewedBy = user.username;
+      restructure.reviewedByUserId = user.id;
+      restructure.reviewedAt = new Date();
+      restructure.reviewNotes = notes;
+      await restructure.save({ session });
+
+      await session.commitTransaction();
+
+      return { restructure, loan, balances };
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  async reject(restructureId, user, notes) {
+    const restructure = await Restructure.findOneAndUpdate(
+      { _id: restructureId, status: 'PENDING' },
+      {
+        status: 'REJECTED',
+        reviewedBy: user.username,
+        reviewedByUserId: user.id,
+        reviewedAt: new Date(),
+        reviewNotes: notes
+      },
+      { new: true }
+    );
+
+    if (!restructure) {
+      throw serviceError('Restructure not found or already reviewed', 404);
+    }
+
+    return restructure;
+  }
+
+  /**
+   * Put the loan back on its original terms. Payments made under the new terms are
+   * applied to the original installments oldest first; the discount and any added
+   * interest are reversed.
+   */
+  async revert(restructureId, reason, user = null) {
+    const session = await Loan.startSession();
+
+    try {
+      session.startTransaction();
+
+      const restructure = await Restructure.findById(restructureId).session(session);
+      if (!restructure) {
+        throw serviceError('Restructure not found', 404);
+      }
+      if (restructure.status !== 'ACTIVE') {
+        throw serviceError(`Only active restructures can be reverted (this one is ${restructure.status.toLowerCase()})`);
+      }
+
+      const loan = await Loan.findById(restructure.loanId).session(session);
+      const id = String(restructure._id);
+      const legs = [];
+
+      const newInstallments = loan.installments.filter(inst => String(inst.restructureId) === id && !inst.supersededBy);
+      const originals = loan.installments.filter(inst => String(inst.supersededBy) === id);
+
+      let paidUnderNewTerms = 0;
+      for (const installment of newInstallments) {
+        const remaining = roundMoney(installment.amount - (installment.paidAmount || 0));
+        if (remaining > 0 && installment.dueBooked) {
+          legs.push({
+            debit: ACCOUNTS.LOAN_NOT_DUE,
+            credit: ACCOUNTS.LOAN_DUE,
+            amount: remaining,
+            installmentId: installment._id,
+            description: `Installment ${installment.installmentNumber} cancelled`
+          });
+        }
+        paidUnderNewTerms = roundMoney(paidUnderNewTerms + (installment.paidAmount || 0));
+        installment.paidAmount = 0;
+        installment.paidDate = undefined;
+        installment.supersededBy = restructure._id;
+      }
+
+      for (const installment of originals) {
+        installment.supersededBy = undefined;
+        installment.dueBooked = false;
+      }
+
+      const restoredFees = [];
+      for (const capitalised of restructure.capitalisedFees) {
+        const fee = loan.fees.id(capitalised.feeId);
+        if (!fee) continue;
+        fee.capitalisedAmount = Math.max(0, roundMoney((fee.capitalisedAmount || 0) - capitalised.amount));
+        restoredFees.push(fee);
+        legs.push({
+          debit: ACCOUNTS.FEES_RECEIVABLE,
+          credit: ACCOUNTS.LOAN_NOT_DUE,
+          amount: capitalised.amount,
+          feeId: fee._id,
+          description: `${fee.name || fee.feeType} restored`
+        });
+      }
+
+      legs.push({
+        debit: ACCOUNTS.LOAN_NOT_DUE,
+        credit: ACCOUNTS.SETTLEMENT_DISCOUNT,
+        amount: restructure.discountAmount,
+        description: `Settlement discount ${restructure.restructureId} reversed`
+      });
+      legs.push({
+        debit: ACCOUNTS.INTEREST_INCOME,
+        credit: ACCOUNTS.LOAN_NOT_DUE,
+        amount: restructure.interestAdded,
+        description: `Restructure interest ${restructure.restructureId} reversed`
+      });
+
+      // Money paid under the new terms still counts, against the original schedule
+      let toApply = paidUnderNewTerms;
+      const byDueDate = [...loan.installments].sort((a, b) => a.dueDate - b.dueDate);
+
+      for (const installment of byDueDate) {
+        if (toApply <= 0) break;
+
+        for (const fee of restoredFees.filter(f => String(f.installmentId) === String(installment._id))) {
+          const applied = Math.min(LoanService.feeDue(fee), toApply);
+          if (applied <= 0) continue;
+          fee.paidAmount = roundMoney((fee.paidAmount || 0) + applied);
+          toApply = roundMoney(toApply - applied);
+          legs.push({
+            debit: ACCOUNTS.LOAN_NOT_DUE,
+            credit: ACCOUNTS.FEES_RECEIVABLE,
+            amount: applied,
+            feeId: fee._id,
+            description: 'Payment under restructured terms applied to fee'
+          });
+        }
+
+        if (!originals.includes(installment)) continue;
+
+        const applied = Math.min(roundMoney(installment.amount - (installment.paidAmount || 0)), toApply);
+        if (applied <= 0) continue;
+        installment.paidAmount = roundMoney((installment.paidAmount || 0) + applied);
+        if (installment.paidAmount >= installment.amount) {
+          installment.paidDate = new Date();
+        }
+        toApply = roundMoney(toApply - applied);
+      }
+
+      if (toApply > 0) {
+        legs.push({
+          debit: ACCOUNTS.LOAN_NOT_DUE,
+          credit: ACCOUNTS.CUSTOMER_OVERPAYMENT,
+          amount: toApply,
+          description: 'Paid beyond the original terms, held on account'
+        });
+      }
+
+      loan.activeRestructureId = undefined;
+      loan.dueDate = new Date(Math.max(...loan.activeInstallments().map(inst => inst.dueDate.getTime())));
+
+      await LedgerService.postJournal('RESTRUCTURE', legs, {
+        customerId: loan.customerId,
+        loanId: loan._id,
+        reference: restructure.restructureId,
+        description: `Reverted ${restructure.restructureId} on ${loan.loanId}: ${reason}`,
+        user
+      }, session);
+
+      await LoanService.bookDueInstallments(loan, { session });
+      loan.refreshStatus();
+      await loan.save({ session });
+
+      const balances = await LoanService.syncCustomerBalances(loan.customerId, session);
+
+      restructure.status = 'REVERTED';
+      restructure.revertedAt = new Date();
+      restructure.revertReason = reason;
+      await restructure.save({ session });
+
+      await session.commitTransaction();
+
+      return { restructure, loan, balances };
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Close restructures whose loan has been paid off and revert those in default.
+   * Run nightly from server.js.
+   * @returns {Object} { checked, completed, reverted, failed }
+   */
+  async runDefaultCheck(asOf = new Date()) {
+    const summary = { checked: 0, completed: 0, reverted: 0, failed: 0 };
+    const active = await Restructure.find({ status: 'ACTIVE' });
+
+    for (const restructure of active) {
+      summary.checked++;
+
+      try {
+        const loan = await Loan.findById(restructure.loanId);
+
+        if (loan.status === 'settled') {
+          restructure.status = 'COMPLETED';
+          restructure.completedAt = loan.settledAt || asOf;
+          await restructure.save();
+          await Loan.updateOne({ _id: loan._id }, { $unset: { activeRestructureId: 1 } });
+          summary.completed++;
+          continue;
+        }
+
+        const cutoff = new Date(asOf.getTime() - restructure.defaultGraceDays * DAY_MS);
+        const missed = loan.activeInstallments().find(inst =>
+          String(inst.restructureId) === String(restructure._id) &&
+          inst.dueDate < cutoff &&
+          roundMoney(inst.amount - (inst.paidAmount || 0)) > 0
+        );
+
+        if (missed) {
+          await this.revert(
+            restructure._id,
+            `Installment ${missed.installmentNumber} more than ${restructure.defaultGraceDays} days overdue`
+          );
+          summary.reverted++;
+          console.log(`↩️ Restructure ${restructure.restructureId} on ${loan.loanId} reverted after default`);
+        }
+      } catch (error) {
+        summary.failed++;
+        console.error(`❌ Restructure check failed for ${restructure.restructureId}:`, error.message);
+      }
+    }
+
+    return summary;
+  }
+
+  async getCustomerRestructures(customerId) {
+    return Restructure.find({ customerId }).sort({ createdAt: -1 }).lean();
+  }
+}
+
+module.exports = new RestructureService();
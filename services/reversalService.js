@@ -0,0 +1,120 @@
+// services/reversalService.js
+const Transaction = require('../models/Transaction');
+const Customer = require('../models/Customer');
+const ReversalRequest = require('../models/ReversalRequest');
+const PaymentPostingService = require('./paymentPostingService');
+const { serviceError, assertCanApprove, generateInternalId } = require('../utils/helpers');
+
+/**
+ * Reversal/refund workflow: officers request, approvers (canApproveTransactions) decide
+ */
+class ReversalService {
+  /**
+   * Raise a reversal request for a SUCCESS payment
+   * @param {String} transactionRef - Transaction _id or transactionId
+   * @param {Object} options - reason, type, refundReference, user
+   */
+  async createRequest(transactionRef, options) {
+    const { reason, type = 'REVERSAL', refundReference, user } = options;
+
+    if (!reason || !reason.trim()) {
+      throw serviceError('Please provide a reason for the reversal');
+    }
+
+    const transaction = await Transaction.findOne(
+      /^[0-9a-fA-F]{24}$/.test(String(transactionRef))
+        ? { _id: transactionRef }
+        : { transactionId: transactionRef }
+    );
+
+    if (!transaction) {
+      throw serviceError('Transaction not found', 404);
+    }
+
+    if (transaction.status !== 'SUCCESS' || transaction.transactionType === 'REVERSAL') {
+      throw serviceError(`Only successful payments can be reversed (current status: ${transaction.status})`);
+    }
+
+    // Officers may only ask to reverse their own collections or their customers' payments
+    const role = user.role === 'agent' ? 'officer' : user.role;
+    if (role === 'officer' && String(transaction.initiatedByUserId) !== String(user.id)) {
+      const customer = await Customer.findById(transaction.customerId).select('assignedTo');
+      if (!customer || String(customer.assignedTo) !== String(user.id)) {
+        throw serviceError('You can only request reversals for your own customers', 403);
+      }
+    }
+
+    const existing = await ReversalRequest.findOne({ transactionId: transaction._id, status: 'PENDING' });
+    if (existing) {
+      throw serviceError(`A reversal request (${existing.requestId}) is already pending for this transaction`, 409);
+    }
+
+    const request = await ReversalRequest.create({
+      requestId: generateInternalId('RVR'),
+      type,
+      transactionId: transaction._id,
+      transactionRef: transaction.transactionId,
+      customerId: transaction.customerId,
+      amount: transaction.amount,
+      reason: reason.trim(),
+      refundReference,
+      requestedBy: user.username,
+      requestedByUserId: user.id
+    });
+
+    return { request, transaction };
+  }
+
+  /**
+   * Approve a pending request and post the reversal
+   */
+  async approveRequest(requestId, user, notes) {
+    const request = await ReversalRequest.findById(requestId);
+    if (!request) {
+      throw serviceError('Reversal request not found', 404);
+    }
+    if (request.status !== 'PENDING') {
+      throw serviceError(`Reversal request is already ${request.status.toLowerCase()}`);
+    }
+
+    assertCanApprove(request.requestedByUserId, user, 'reversal request');
+
+    const { original, reversal, customer } = await PaymentPostingService.postReversal(request.transactionId, {
+      reason: request.reason,
+      user,
+      reference: request.requestId
+    });
+
+    request.status = 'APPROVED';
+    request.reviewedBy = user.username;
+    request.reviewedByUserId = user.id;
+    request.reviewedAt = new Date();
+    request.reviewNotes = notes;
+    request.reversalTransactionId = reversal._id;
+    await request.save();
+
+    return { request, original, reversal, customer };
+  }
+
+  async rejectRequest(requestId, user, notes) {
+    const request = await ReversalRequest.findOneAndUpdate(
+      { _id: requestId, status: 'PENDING' },
+      {
+        status: 'REJECTED',
+        reviewedBy: user.username,
+        reviewedByUserId: user.id,
+        reviewedAt: new Date(),
+        reviewNotes: notes
+      },
+      { new: true }
+    );
+
+    if (!request) {
+      throw serviceError('Reversal request not found or already reviewed', 404);
+    }
+
+    return request;
+  }
+}
+
+module.exports = new ReversalService();
@@ -0,0 +1,299 @@
+// services/riskScoringService.js
+const Customer = require('../models/Customer');
+const PromiseModel = require('../models/Promise');
+const Transaction = require('../models/Transaction');
+const AgingHistory = require('../models/AgingHistory');
+const RiskScoreHistory = require('../models/RiskScoreHistory');
+const { DAY_MS, serviceError } = require('../utils/helpers');
+
+// Window for "recent" broken promises and failed payments
+const LOOKBACK_DAYS = parseInt(process.env.RISK_SCORE_LOOKBACK_DAYS, 10) || 90;
+
+// Arrears are compared with the aging snapshot from this many days ago
+const TREND_DAYS = 30;
+
+const BANDS = [
+  { key: 'LOW', maxScore: 29 },
+  { key: 'MEDIUM', maxScore: 54 },
+  { key: 'HIGH', maxScore: 74 },
+  { key: 'VERY_HIGH', maxScore: 100 }
+];
+
+// How strongly each failure reason signals unwillingness or inability to pay.
+// Technical and network errors say nothing about the customer.
+const FAILURE_WEIGHTS = {
+  INSUFFICIENT_FUNDS: 1,
+  USER_CANCELLED: 0.8,
+  EXPIRED: 0.6,
+  WRONG_PIN: 0.5,
+  OTHER: 0.5,
+  TECHNICAL_ERROR: 0,
+  NETWORK_ERROR: 0
+};
+
+const TRIGGERS = ['SCHEDULED', 'PAYMENT', 'PAYMENT_FAILED', 'PROMISE', 'MANUAL'];
+
+const factor = (key, label, points, maxPoints, detail) => ({
+  key,
+  label,
+  points: Math.round(Math.min(points, maxPoints) * 10) / 10,
+  maxPoints,
+  detail
+});
+
+/**
+ * Behavioural risk scoring: 0 (low) to 100 (high) from promise keeping,
+ * payment failures, payment recency and the arrears trend
+ */
+class RiskScoringService {
+  getBands() {
+    return BANDS;
+  }
+
+  getTriggers() {
+    return TRIGGERS;
+  }
+
+  bandFor(score) {
+    return BANDS.find(b => score <= b.maxScore).key;
+  }
+
+  promiseFulfilmentFactor(promises) {
+    const resolved = promises.filter(p => ['FULFILLED', 'BROKEN'].includes(p.status));
+    if (resolved.length === 0) {
+      return factor('PROMISE_FULFILMENT', 'Promise fulfilment', 8, 25, 'No resolved promises yet');
+    }
+
+    const fulfilled = resolved.filter(p => p.status === 'FULFILLED').length;
+    const rate = fulfilled / resolved.length;
+
+    return factor(
+      'PROMISE_FULFILMENT',
+      'Promise fulfilment',
+      (1 - rate) * 25,
+      25,
+      `${fulfilled} of ${resolved.length} promises kept (${Math.round(rate * 100)}%)`
+    );
+  }
+
+  brokenPromisesFactor(promises, since) {
+    const broken = promises.filter(p => p.status === 'BROKEN' && (p.updatedAt || p.promiseDate) >= since).length;
+
+    return factor(
+      'BROKEN_PROMISES',
+      'Recent broken promises',
+      broken * 5,
+      15,
+      `${broken} broken in the last ${LOOKBACK_DAYS} days`
+    );
+  }
+
+  paymentFailuresFactor(transactions) {
+    if (transactions.length === 0) {
+      return factor('PAYMENT_FAILURES', 'Failed payments', 6, 20, `No payment attempts in the last ${LOOKBACK_DAYS} days`);
+    }
+
+    const successful = transactions.filter(t => t.status === 'SUCCESS').length;
+    const failed = transactions.filter(t => t.status !== 'SUCCESS');
+    const weightedFailures = failed.reduce((sum, t) => {
+      const reason = t.failureReason || (t.status === 'EXPIRED' ? 'EXPIRED' : 'OTHER');
+      return sum + (FAILURE_WEIGHTS[reason] ?? 0.5);
+    }, 0);
+
+    const counted = successful + weightedFailures;
+    const failureShare = counted > 0 ? weightedFailures / counted : 0;
+
+    const reasons = {};
+    failed.forEach(t => {
+      const reason = t.failureReason || t.status;
+      reasons[reason] = (reasons[reason] || 0) + 1;
+    });
+    const reasonText = Object.entries(reasons).map(([reason, count]) => `${count} ${reason}`).join(', ');
+
+    return factor(
+      'PAYMENT_FAILURES',
+      'Failed payments',
+      failureShare * 20,
+      20,
+      `${failed.length} failed vs ${successful} successful${reasonText ? ` (${reasonText})` : ''}`
+    );
+  }
+
+  paymentRecencyFactor(customer, asOf) {
+    if (!(customer.loanBalance > 0)) {
+      return factor('PAYMENT_RECENCY', 'Days since last payment', 0, 25, 'No outstanding balance');
+    }
+    if (!customer.lastPaymentDate) {
+      return factor('PAYMENT_RECENCY', 'Days since last payment', 25, 25, 'Never paid');
+    }
+
+    const days = Math.max(0, Math.floor((asOf - customer.lastPaymentDate) / DAY_MS));
+    let points = 0;
+    if (days > 180) points = 25;
+    else if (days > 90) points = 20;
+    else if (days > 60) points = 15;
+    else if (days > 30) points = 8;
+
+    return factor('PAYMENT_RECENCY', 'Days since last payment', points, 25, `${days} days since last payment`);
+  }
+
+  arrearsTrendFactor(customer, snapshot) {
+    const arrears = customer.arrears || 0;
+
+    if (!snapshot) {
+      return factor(
+        'ARREARS_TREND',
+        'Arrears trend',
+        arrears > 0 ? 5 : 0,
+        15,
+        arrears > 0 ? 'No earlier aging snapshot; currently in arrears' : 'No arrears'
+      );
+    }
+
+    const previous = snapshot.arrears || 0;
+    const change = arrears - previous;
+    let points = 0;
+    let detail = 'No arrears';
+
+    if (change > 0) {
+      const growth = change / Math.max(previous, 1);
+      points = growth > 0.5 ? 15 : growth > 0.1 ? 10 : 6;
+      detail = `Arrears up ${Math.round(change)} in ${TREND_DAYS} days`;
+    } else if (change < 0) {
+      detail = `Arrears down ${Math.round(-change)} in ${TREND_DAYS} days`;
+    } else if (arrears > 0) {
+      points = 4;
+      detail = `Arrears unchanged in ${TREND_DAYS} days`;
+    }
+
+    return factor('ARREARS_TREND', 'Arrears trend', points, 15, detail);
+  }
+
+  /**
+   * Compute the score and its factors without saving anything
+   * @returns {Object} { score, band, factors }
+   */
+  async computeScore(customer, asOf = new Date()) {
+    const since = new Date(asOf.getTime() - LOOKBACK_DAYS * DAY_MS);
+    const trendDate = new Date(asOf.getTime() - TREND_DAYS * DAY_MS);
+
+    const [promises, transactions, snapshot] = await Promise.all([
+      PromiseModel.find({ customerId: customer._id, status: { $in: ['FULFILLED', 'BROKEN'] } })
+        .select('status promiseDate updatedAt')
+        .lean(),
+      Transaction.find({
+        customerId: customer._id,
+        createdAt: { $gte: since },
+        // Staff cancellations carry no failure reason and are not the customer's doing
+        $or: [
+          { status: { $in: ['SUCCESS', 'FAILED', 'EXPIRED'] } },
+          { status: 'CANCELLED', failureReason: 'USER_CANCELLED' }
+        ]
+      })
+        .select('status failureReason')
+        .lean(),
+      AgingHistory.findOne({ customerId: customer._id, asOf: { $lte: trendDate } })
+        .sort({ asOf: -1 })
+        .lean()
+    ]);
+
+    const factors = [
+      this.promiseFulfilmentFactor(promises),
+      this.brokenPromisesFactor(promises, since),
+      this.paymentFailuresFactor(transactions),
+      this.paymentRecencyFactor(customer, asOf),
+      this.arrearsTrendFactor(customer, snapshot)
+    ];
+
+    const score = Math.round(Math.min(100, factors.reduce((sum, f) => sum + f.points, 0)));
+
+    return { score, band: this.bandFor(score), factors };
+  }
+
+  /**
+   * Rescore one customer, store the result and record history when it changed
+   * @returns {Object} { score, band, factors, previousScore, changed }
+   */
+  async scoreCustomer(customerOrId, trigger = 'MANUAL', asOf = new Date()) {
+    const customer = customerOrId instanceof Customer
+      ? customerOrId
+      : await Customer.findById(customerOrId).select('loanBalance arrears lastPaymentDate riskScore');
+
+    if (!customer) {
+      throw serviceError('Customer not found', 404);
+    }
+
+    const { score, band, factors } = await this.computeScore(customer, asOf);
+    const previousScore = customer.riskScore ?? null;
+    const changed = previousScore !== score;
+
+    await Customer.updateOne(
+      { _id: customer._id },
+      { $set: { riskScore: score, riskBand: band, riskFactors: factors, riskScoredAt: asOf } }
+    );
+
+    if (changed) {
+      await RiskScoreHistory.create({
+        customerId: customer._id,
+        score,
+        band,
+        previousScore,
+        factors,
+        trigger: TRIGGERS.includes(trigger) ? trigger : 'MANUAL',
+        scoredAt: asOf
+      });
+    }
+
+    return { score, band, factors, previousScore, changed };
+  }
+
+  /**
+   * Event-driven rescoring that never fails the caller
+   */
+  rescoreInBackground(customerId, trigger) {
+    const id = customerId?._id || customerId;
+    if (!id) return;
+
+    setImmediate(() => {
+      this.scoreCustomer(id, trigger).catch(error => {
+        console.error(`❌ Risk rescoring (${trigger}) failed for customer ${id}:`, error.message);
+      });
+    });
+  }
+
+  /**
+   * Rescore every active customer
+   * @returns {Object} summary
+   */
+  async runScoring(asOf = new Date()) {
+    const summary = { processed: 0, changed: 0, failed: 0, byBand: {} };
+    BANDS.forEach(b => { summary.byBand[b.key] = 0; });
+
+    const cursor = Customer.find({ isActive: true })
+      .select('loanBalance arrears lastPaymentDate riskScore')
+      .cursor();
+
+    for await (const customer of cursor) {
+      try {
+        const result = await this.scoreCustomer(customer, 'SCHEDULED', asOf);
+        summary.processed++;
+        summary.byBand[result.band]++;
+        if (result.changed) summary.changed++;
+      } catch (error) {
+        summary.failed++;
+        console.error(`❌ Risk scoring failed for customer ${customer._id}:`, error.message);
+      }
+    }
+
+    return summary;
+  }
+
+  async getCustomerHistory(customerId, limit = 20) {
+    return RiskScoreHistory.find({ customerId })
+      .sort({ scoredAt: -1 })
+      .limit(limit)
+      .lean();
+  }
+}
+
+module.exports = new RiskScoringService();
@@ -0,0 +1,583 @@
+// services/segmentService.js
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const Segment = require('../models/Segment');
+const CustomFieldDefinition = require('../models/CustomFieldDefinition');
+const PromiseModel = require('../models/Promise');
+const User = require('../models/User');
+const ContactPolicyService = require('./contactPolicyService');
+const WhatsAppService = require('./whatsappService');
+const { DAY_MS, serviceError, generateInternalId } = require('../utils/helpers');
+
+const MAX_PAGE_SIZE = 200;
+
+// Upper bound on customers messaged by one campaign run
+const CAMPAIGN_MAX = parseInt(process.env.SEGMENT_CAMPAIGN_MAX, 10) || 500;
+
+const EXPORT_COLUMNS = [
+  ['Customer ID', c => c.customerId],
+  ['Name', c => c.name],
+  ['Phone', c => c.phoneNumber],
+  ['Account Number', c => c.accountNumber],
+  ['Loan Type', c => c.loanType],
+  ['Loan Balance', c => (c.loanBalance || 0).toFixed(2)],
+  ['Arrears', c => (c.arrears || 0).toFixed(2)],
+  ['Days Past Due', c => c.daysPastDue || 0],
+  ['Aging Bucket', c => c.agingBucket],
+  ['Risk Score', c => c.riskScore ?? ''],
+  ['Risk Band', c => c.riskBand || ''],
+  ['Assigned To', c => (c.assignedTo ? c.assignedTo.username || c.assignedTo._id : '')],
+  ['Last Payment', c => (c.lastPaymentDate ? new Date(c.lastPaymentDate).toLocaleDateString('en-KE') : '')],
+  ['Last Contacted', c => (c.lastContactedAt ? new Date(c.lastContactedAt).toLocaleDateString('en-KE') : '')],
+  ['Tags', c => (c.tags || []).join('; ')],
+  ['Status', c => (c.isActive ? 'Active' : 'Inactive')]
+];
+
+const formatCustomValue = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toLocaleDateString('en-KE');
+  return value;
+};
+
+const escapeCSV = (field) => {
+  if (field === undefined || field === null) return '';
+  const stringField = String(field);
+  if (stringField.includes(',') || stringField.includes('"') || stringField.includes('\n')) {
+    return `"${stringField.replace(/"/g, '""')}"`;
+  }
+  return stringField;
+};
+
+const SHARE_ROLES = ['admin', 'supervisor'];
+
+/**
+ * The segment filter language. Every key is optional and all keys must match (AND).
+ * Lists may be given as arrays or comma-separated strings; ranges as { min, max }.
+ */
+const FILTER_FIELDS = [
+  { key: 'status', type: 'enum', values: ['active', 'inactive', 'all'], description: 'Account status (default active)' },
+  { key: 'search', type: 'text', description: 'Name, phone, customer ID, account number, email or national ID' },
+  { key: 'loanType', type: 'list', values: Customer.schema.path('loanType').enumValues, description: 'Any of these loan types' },
+  { key: 'agingBucket', type: 'list', values: Customer.schema.path('agingBucket').enumValues, description: 'Any of these DPD buckets' },
+  { key: 'daysPastDue', type: 'range', description: 'Days past due { min, max }' },
+  { key: 'loanBalance', type: 'range', description: 'Outstanding balance { min, max }' },
+  { key: 'arrears', type: 'range', description: 'Arrears { min, max }' },
+  { key: 'assignedTo', type: 'list', description: 'Officer IDs, or "unassigned"' },
+  { key: 'promiseStatus', type: 'list', upperCase: true, values: [...PromiseModel.schema.path('status').enumValues, 'NONE'], description: 'Has a promise in any of these statuses (NONE: no promises)' },
+  { key: 'lastContactedWithinDays', type: 'number', description: 'Contacted in the last n days' },
+  { key: 'notContactedForDays', type: 'number', description: 'Not contacted in the last n days, including never contacted' },
+  { key: 'riskScore', type: 'range', description: 'Behavioural risk score { min, max }' },
+  { key: 'riskBand', type: 'list', upperCase: true, values: ['LOW', 'MEDIUM', 'HIGH', 'VERY_HIGH'], description: 'Any of these risk bands' },
+  { key: 'tags', type: 'tags', description: 'Tags: a list (any of), or { any, all, none }' },
+  { key: 'customFields', type: 'custom', description: 'Custom field values: { key: value | [values] | { min, max } }' }
+];
+
+const FIELD_KEYS = FILTER_FIELDS.map(field => field.key);
+
+const normaliseRole = (role) => (role === 'agent' ? 'officer' : role);
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+};
+
+const toNumber = (key, value) => {
+  const number = Number(value);
+  if (value === '' || value === null || Number.isNaN(number)) {
+    throw serviceError(`Filter "${key}" must be a number`);
+  }
+  return number;
+};
+
+const toRange = (key, value) => {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw serviceError(`Filter "${key}" must be a range like { "min": 0, "max": 1000 }`);
+  }
+  const range = {};
+  if (value.min !== undefined && value.min !== '') range.$gte = toNumber(`${key}.min`, value.min);
+  if (value.max !== undefined && value.max !== '') range.$lte = toNumber(`${key}.max`, value.max);
+  return Object.keys(range).length ? range : null;
+};
+
+const isBlankValue = (value) => value === undefined || value === null || value === '';
+
+const checkValues = (key, values, allowed) => {
+  const invalid = values.filter(value => !allowed.includes(value));
+  if (invalid.length) {
+    throw serviceError(`Invalid ${key}: ${invalid.join(', ')}. Allowed: ${allowed.join(', ')}`);
+  }
+};
+
+/**
+ * Customer segmentation: a filter language over customers and saved, shareable segments
+ */
+class SegmentService {
+  getFields() {
+    return FILTER_FIELDS;
+  }
+
+  /**
+   * Parse filters from a request: an object, or a JSON string (GET query parameter)
+   */
+  parseFilters(raw) {
+    if (!raw) return {};
+    if (typeof raw === 'object') return raw;
+    try {
+      const parsed = JSON.parse(raw);
+      if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+        throw new Error('not an object');
+      }
+      return parsed;
+    } catch (error) {
+      throw serviceError('Filters must be a JSON object');
+    }
+  }
+
+  /**
+   * Reject unknown keys and malformed values, returning the filters with lists normalised
+   */
+  validateFilters(filters = {}) {
+    const unknown = Object.keys(filters).filter(key => !FIELD_KEYS.includes(key));
+    if (unknown.length) {
+      throw serviceError(`Unknown filter: ${unknown.join(', ')}. Allowed: ${FIELD_KEYS.join(', ')}`);
+    }
+
+    const clean = {};
+
+    for (const field of FILTER_FIELDS) {
+      const value = filters[field.key];
+      if (value === undefined || value === null || value === '') continue;
+
+      switch (field.type) {
+        case 'enum':
+          checkValues(field.key, [value], field.values);
+          clean[field.key] = value;
+          break;
+        case 'text':
+          clean[field.key] = String(value).trim();
+          break;
+        case 'list': {
+          const values = toList(value).map(v => (field.upperCase ? v.toUpperCase() : v));
+          if (field.key === 'assignedTo') {
+            const invalid = values.filter(v => v !== 'unassigned' && !mongoose.Types.ObjectId.isValid(v));
+            if (invalid.length) throw serviceError(`Invalid assignedTo: ${invalid.join(', ')}`);
+          } else {
+            checkValues(field.key, values, field.values);
+          }
+          clean[field.key] = values;
+          break;
+        }
+        case 'range': {
+          const range = toRange(field.key, value);
+          if (range) clean[field.key] = { min: range.$gte, max: range.$lte };
+          break;
+        }
+        case 'number':
+          clean[field.key] = toNumber(field.key, value);
+          break;
+        case 'tags': {
+          const tags = (typeof value === 'object' && !Array.isArray(value)) ? value : { any: value };
+          const unknownTagKeys = Object.keys(tags).filter(key => !['any', 'all', 'none'].includes(key));
+          if (unknownTagKeys.length) throw serviceError('Filter "tags" accepts any, all and none');
+          clean.tags = {};
+          ['any', 'all', 'none'].forEach(key => {
+            const list = toList(tags[key]).map(tag => tag.toLowerCase());
+            if (list.length) clean.tags[key] = list;
+          });
+          break;
+        }
+        case 'custom': {
+          if (typeof value !== 'object' || Array.isArray(value)) {
+            throw serviceError('Filter "customFields" must be an object of { key: value }');
+          }
+          clean.customFields = {};
+          for (const [key, condition] of Object.entries(value)) {
+            if (!/^[a-z][a-z0-9_]{1,39}$/.test(key)) throw serviceError(`Invalid custom field key "${key}"`);
+            if (typeof condition === 'object' && condition !== null && !Array.isArray(condition)) {
+              const range = toRange(`customFields.${key}`, condition);
+              if (range) clean.customFields[key] = { min: range.$gte, max: range.$lte };
+            } else if (!isBlankValue(condition)) {
+              clean.customFields[key] = condition;
+            }
+          }
+          break;
+        }
+        default:
+          break;
+      }
+    }
+
+    return clean;
+  }
+
+  /**
+   * Compile filters into a Customer query. Officers only ever see their own customers.
+   * @returns {Object} Mongo query
+   */
+  async buildQuery(filters = {}, user = null, asOf = new Date()) {
+    const f = this.validateFilters(filters);
+    const and = [];
+
+    const status = f.status || 'active';
+    if (status === 'active') and.push({ isActive: true });
+    else if (status === 'inactive') and.push({ isActive: false });
+
+    if (f.search) {
+      const regex = new RegExp(escapeRegex(f.search), 'i');
+      and.push({
+        $or: ['phoneNumber', 'name', 'customerId', 'accountNumber', 'email', 'nationalId']
+          .map(path => ({ [path]: regex }))
+      });
+    }
+
+    if (f.loanType) and.push({ loanType: { $in: f.loanType } });
+    if (f.agingBucket) and.push({ agingBucket: { $in: f.agingBucket } });
+    if (f.riskBand) and.push({ riskBand: { $in: f.riskBand } });
+
+    ['daysPastDue', 'loanBalance', 'arrears', 'riskScore'].forEach(path => {
+      if (!f[path]) return;
+      const range = {};
+      if (f[path].min !== undefined) range.$gte = f[path].min;
+      if (f[path].max !== undefined) range.$lte = f[path].max;
+      and.push({ [path]: range });
+    });
+
+    if (f.assignedTo) {
+      const officers = f.assignedTo.filter(v => v !== 'unassigned').map(id => new mongoose.Types.ObjectId(id));
+      const options = officers.length ? [{ assignedTo: { $in: officers } }] : [];
+      if (f.assignedTo.includes('unassigned')) options.push({ assignedTo: null });
+      and.push(options.length === 1 ? options[0] : { $or: options });
+    }
+
+    if (f.promiseStatus) {
+      const statuses = f.promiseStatus.filter(s => s !== 'NONE');
+      const options = [];
+      if (statuses.length) {
+        const ids = await PromiseModel.distinct('customerId', { status: { $in: statuses } });
+        options.push({ _id: { $in: ids } });
+      }
+      if (f.promiseStatus.includes('NONE')) {
+        const withPromises = await PromiseModel.distinct('customerId');
+        options.push({ _id: { $nin: withPromises } });
+      }
+      and.push(options.length === 1 ? options[0] : { $or: options });
+    }
+
+    if (f.lastContactedWithinDays !== undefined) {
+      and.push({ lastContactedAt: { $gte: new Date(asOf.getTime() - f.lastContactedWithinDays * DAY_MS) } });
+    }
+    if (f.notContactedForDays !== undefined) {
+      const since = new Date(asOf.getTime() - f.notContactedForDays * DAY_MS);
+      and.push({ $or: [{ lastContactedAt: null }, { lastContactedAt: { $lt: since } }] });
+    }
+
+    if (f.tags) {
+      if (f.tags.any) and.push({ tags: { $in: f.tags.any } });
+      if (f.tags.all) and.push({ tags: { $all: f.tags.all } });
+      if (f.tags.none) and.push({ tags: { $nin: f.tags.none } });
+    }
+
+    if (f.customFields) {
+      for (const [key, condition] of Object.entries(f.customFields)) {
+        const path = `customFields.${key}`;
+        if (Array.isArray(condition)) {
+          and.push({ [path]: { $in: condition } });
+        } else if (typeof condition === 'object') {
+          const range = {};
+          if (condition.min !== undefined) range.$gte = condition.min;
+          if (condition.max !== undefined) range.$lte = condition.max;
+          and.push({ [path]: range });
+        } else {
+          and.push({ [path]: condition });
+        }
+      }
+    }
+
+    if (user && normaliseRole(user.role) === 'officer') {
+      and.push({ assignedTo: new mongoose.Types.ObjectId(user.id) });
+    }
+
+    if (and.length === 0) return {};
+    return and.length === 1 ? and[0] : { $and: and };
+  }
+
+  /**
+   * Customers matching filters
+   * @param {Object} options - { select, sort, limit, populate, lean }
+   */
+  async findCustomers(filters, user, options = {}) {
+    const { select = '-__v', sort = { createdAt: -1 }, limit = null, populate = null, lean = false } = options;
+    const query = await this.buildQuery(filters, user);
+
+    let find = Customer.find(query).select(select).sort(sort);
+    if (limit) find = find.limit(limit);
+    if (populate) find = find.populate(...populate);
+    if (lean) find = find.lean();
+
+    return find.exec();
+  }
+
+  /**
+   * Matching customers, one page at a time
+   */
+  async preview(filters, user, { page = 1, limit = 20, sortBy = 'createdAt', sortOrder = 'desc' } = {}) {
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit) || 20));
+    const query = await this.buildQuery(filters, user);
+
+    const [customers, total, totals] = await Promise.all([
+      Customer.find(query)
+        .select('-__v')
+        .populate('assignedTo', 'firstName lastName username')
+        .sort({ [sortBy]: sortOrder === 'asc' ? 1 : -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Customer.countDocuments(query),
+      Customer.aggregate([
+        { $match: query },
+        { $group: { _id: null, loanBalance: { $sum: '$loanBalance' }, arrears: { $sum: '$arrears' } } }
+      ])
+    ]);
+
+    return {
+      customers,
+      summary: {
+        total,
+        loanBalance: totals[0]?.loanBalance || 0,
+        arrears: totals[0]?.arrears || 0
+      },
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(total / limitNum)
+      }
+    };
+  }
+
+  // ==================== SAVED SEGMENTS ====================
+
+  /**
+   * Supervisors/admins whose TEAM segments the user can see. A supervisor with no
+   * recorded team members leads every officer, as in User.getTeamMembers.
+   */
+  async teamLeadsFor(user) {
+    const userId = new mongoose.Types.ObjectId(user.id);
+    const leads = await User.find({
+      role: { $in: SHARE_ROLES },
+      $or: [{ teamMembers: userId }, { teamMembers: { $size: 0 } }, { teamMembers: { $exists: false } }]
+    }).select('_id').lean();
+
+    return leads.map(lead => lead._id);
+  }
+
+  async visibilityQuery(user) {
+    if (normaliseRole(user.role) === 'admin') return { isActive: true };
+
+    return {
+      isActive: true,
+      $or: [
+        { ownerId: user.id },
+        { visibility: 'TEAM', ownerId: { $in: await this.teamLeadsFor(user) } }
+      ]
+    };
+  }
+
+  async getSegments(user) {
+    return Segment.find(await this.visibilityQuery(user)).sort({ name: 1 }).lean();
+  }
+
+  async getSegment(id, user) {
+    const segment = await Segment.findOne({
+      $and: [
+        { $or: [...(mongoose.Types.ObjectId.isValid(id) ? [{ _id: id }] : []), { segmentId: id }] },
+        await this.visibilityQuery(user)
+      ]
+    });
+
+    if (!segment) throw serviceError('Segment not found', 404);
+    return segment;
+  }
+
+  assertCanEdit(segment, user) {
+    if (normaliseRole(user.role) !== 'admin' && String(segment.ownerId) !== String(user.id)) {
+      throw serviceError('Only the segment owner or an admin can change this segment', 403);
+    }
+  }
+
+  applyChanges(segment, body, user) {
+    if (body.name !== undefined) segment.name = body.name;
+    if (body.description !== undefined) segment.description = body.description;
+
+    if (body.filters !== undefined) {
+      segment.filters = this.validateFilters(this.parseFilters(body.filters));
+      segment.markModified('filters');
+    }
+
+    if (body.visibility !== undefined) {
+      const visibility = String(body.visibility).toUpperCase();
+      if (visibility === 'TEAM' && !SHARE_ROLES.includes(normaliseRole(user.role))) {
+        throw serviceError('Only supervisors and admins can share segments with their team', 403);
+      }
+      segment.visibility = visibility;
+    }
+  }
+
+  async createSegment(body, user) {
+    const segment = new Segment({
+      segmentId: generateInternalId('SEG'),
+      ownerId: user.id,
+      ownerName: user.username
+    });
+    this.applyChanges(segment, { filters: {}, ...body }, user);
+
+    segment.lastCount = await Customer.countDocuments(await this.buildQuery(segment.filters, user));
+    segment.lastEvaluatedAt = new Date();
+
+    return segment.save();
+  }
+
+  async updateSegment(id, body, user) {
+    const segment = await this.getSegment(id, user);
+    this.assertCanEdit(segment, user);
+    this.applyChanges(segment, body, user);
+    return segment.save();
+  }
+
+  async deleteSegment(id, user) {
+    const segment = await this.getSegment(id, user);
+    this.assertCanEdit(segment, user);
+    segment.isActive = false;
+    return segment.save();
+  }
+
+  /**
+   * Evaluate a saved segment for this user (officers see only their customers in it)
+   */
+  async runSegment(id, user, options = {}) {
+    const segment = await this.getSegment(id, user);
+    const result = await this.preview(segment.filters, user, options);
+
+    segment.lastCount = result.summary.total;
+    segment.lastEvaluatedAt = new Date();
+    await segment.save();
+
+    return { segment, ...result };
+  }
+
+  /**
+   * CSV of every customer matching a saved segment
+   * @returns {Object} { segment, csv, count }
+   */
+  async exportSegment(id, user) {
+    const segment = await this.getSegment(id, user);
+    const customers = await this.findCustomers(segment.filters, user, {
+      sort: { arrears: -1 },
+      populate: ['assignedTo', 'username'],
+      lean: true
+    });
+
+    const definitions = await CustomFieldDefinition.find({ isActive: true }).sort({ label: 1 }).lean();
+    const columns = [
+      ...EXPORT_COLUMNS,
+      ...definitions.map(definition => [definition.label, c => formatCustomValue(c.customFields?.[definition.key])])
+    ];
+
+    const header = columns.map(([label]) => escapeCSV(label)).join(',');
+    const rows = customers.map(customer => columns.map(([, value]) => escapeCSV(value(customer))).join(','));
+
+    return { segment, csv: [header, ...rows].join('\n'), count: customers.length };
+  }
+
+  /**
+   * Send the WhatsApp arrears reminder to every customer in a segment who owes arrears.
+   * Each message goes through the contact policy; blocked customers are skipped, not failed.
+   * @param {Object} options - { dryRun, overrideReason, limit }
+   * @returns {Object} summary and per-customer results
+   */
+  async runCampaign(id, { dryRun = false, overrideReason, limit } = {}, user) {
+    const segment = await this.getSegment(id, user);
+    const max = Math.min(CAMPAIGN_MAX, parseInt(limit) || CAMPAIGN_MAX);
+    const isDryRun = dryRun === true || dryRun === 'true';
+
+    const customers = await this.findCustomers(segment.filters, user, {
+      select: 'customerId name phoneNumber arrears contactConsent doNotContact',
+      sort: { arrears: -1 },
+      limit: max
+    });
+
+    const reference = generateInternalId('CMP');
+    const policy = await ContactPolicyService.getPolicy();
+    const summary = { reference, dryRun: isDryRun, targeted: customers.length, sent: 0, blocked: 0, failed: 0, skipped: 0 };
+    const results = [];
+
+    for (const customer of customers) {
+      const result = { customerId: customer.customerId, name: customer.name };
+      results.push(result);
+
+      if (!(customer.arrears > 0)) {
+        summary.skipped++;
+        result.status = 'SKIPPED';
+        result.reason = 'No arrears';
+        continue;
+      }
+
+      if (isDryRun) {
+        const decision = await ContactPolicyService.evaluate(customer, 'WHATSAPP', { policy });
+        result.status = decision.allowed ? 'WOULD_SEND' : 'BLOCKED';
+        if (decision.allowed) summary.sent++;
+        else {
+          summary.blocked++;
+          result.reason = decision.reasons.map(item => item.code).join(', ');
+        }
+        continue;
+      }
+
+      try {
+        await ContactPolicyService.authorise({
+          customer,
+          channel: 'WHATSAPP',
+          purpose: 'SEGMENT_CAMPAIGN',
+          reference,
+          user,
+          overrideReason
+        });
+      } catch (error) {
+        if (error.code !== 'CONTACT_BLOCKED') throw error;
+        summary.blocked++;
+        result.status = 'BLOCKED';
+        result.reason = error.reasons.map(item => item.code).join(', ');
+        continue;
+      }
+
+      const sent = await WhatsAppService.sendReminder(customer.phoneNumber, customer.name, customer.arrears, reference);
+      if (sent.success) {
+        summary.sent++;
+        result.status = 'SENT';
+        result.messageId = sent.messageId;
+      } else {
+        summary.failed++;
+        result.status = 'FAILED';
+        result.reason = sent.error;
+      }
+    }
+
+    return { segment, summary, results };
+  }
+
+  /**
+   * Filters from a request body or query: a saved segmentId, inline filters, or both (segment first)
+   */
+  async resolveFilters({ segmentId, filters } = {}, user) {
+    const inline = this.parseFilters(filters);
+    if (!segmentId) return { filters: inline, segment: null };
+
+    const segment = await this.getSegment(segmentId, user);
+    return { filters: { ...segment.filters, ...inline }, segment };
+  }
+}
+
+module.exports = new SegmentService();
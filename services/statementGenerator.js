@@ -0,0 +1,167 @@
+// services/statementGenerator.js
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+
+const TYPE_LABELS = {
+  DISBURSEMENT: 'Disbursement',
+  INSTALLMENT_DUE: 'Installment due',
+  PAYMENT: 'Payment',
+  FEE_CHARGE: 'Fee',
+  FEE_WAIVER: 'Fee waiver',
+  REVERSAL: 'Reversal',
+  RESTRUCTURE: 'Restructure',
+  WRITE_OFF: 'Write-off'
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-KE', { year: 'numeric', month: 'short', day: '2-digit' });
+const formatMoney = (value) => Number(value || 0).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+/**
+ * Renders ledger statements (LedgerService.getStatement) as PDF or Excel
+ */
+class StatementGenerator {
+  static periodLabel(statement) {
+    const from = statement.from ? formatDate(statement.from) : 'Account opening';
+    const to = statement.to ? formatDate(statement.to) : formatDate(new Date());
+    return `${from} - ${to}`;
+  }
+
+  /**
+   * @returns {Promise<Buffer>}
+   */
+  static async generatePDF(customer, statement) {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 40,
+      info: {
+        Title: `Account Statement - ${customer.name}`,
+        Author: 'Collections System',
+        CreationDate: new Date()
+      }
+    });
+
+    const chunks = [];
+
+    return new Promise((resolve, reject) => {
+      try {
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        doc.font('Helvetica-Bold').fontSize(18).fillColor('#2C3E50').text('ACCOUNT STATEMENT', { align: 'center' });
+        doc.moveDown(0.5);
+        doc.font('Helvetica').fontSize(10).fillColor('#333333');
+        doc.text(`Customer: ${customer.name} (${customer.customerId})`);
+        doc.text(`Account: ${customer.accountNumber || '-'}    Phone: ${customer.phoneNumber}`);
+        doc.text(`Period: ${this.periodLabel(statement)}`);
+        doc.text(`Generated: ${new Date().toLocaleString('en-KE')}`);
+        doc.moveDown();
+
+        const columns = [
+          { label: 'Date', width: 70 },
+          { label: 'Type', width: 75 },
+          { label: 'Description', width: 170, align: 'left' },
+          { label: 'Debit', width: 65, align: 'right' },
+          { label: 'Credit', width: 65, align: 'right' },
+          { label: 'Balance', width: 70, align: 'right' }
+        ];
+        const left = doc.page.margins.left;
+        const bottom = doc.page.height - doc.page.margins.bottom;
+
+        const drawRow = (values, options = {}) => {
+          const y = doc.y;
+          let x = left;
+          doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8.5);
+          const height = Math.max(...columns.map((col, i) =>
+            doc.heightOfString(String(values[i] ?? ''), { width: col.width - 4 })
+          )) + 6;
+
+          if (y + height > bottom) {
+            doc.addPage();
+            return drawRow(values, options);
+          }
+
+          columns.forEach((col, i) => {
+            doc.text(String(values[i] ?? ''), x + 2, y + 3, { width: col.width - 4, align: col.align || 'left' });
+            x += col.width;
+          });
+          doc.moveTo(left, y + height).lineTo(x, y + height).strokeColor('#DDDDDD').stroke();
+          doc.y = y + height;
+          doc.x = left;
+        };
+
+        drawRow(columns.map(col => col.label), { bold: true });
+        drawRow(['', '', 'Opening balance', '', '', formatMoney(statement.openingBalance)]);
+
+        for (const line of statement.lines) {
+          drawRow([
+            formatDate(line.date),
+            TYPE_LABELS[line.type] || line.type,
+            line.description || line.reference || '',
+            line.debit ? formatMoney(line.debit) : '',
+            line.credit ? formatMoney(line.credit) : '',
+            formatMoney(line.balance)
+          ]);
+        }
+
+        drawRow(['', '', 'Totals / closing balance', formatMoney(statement.totalDebits), formatMoney(statement.totalCredits), formatMoney(statement.closingBalance)], { bold: true });
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * @returns {Promise<Buffer>}
+   */
+  static async generateExcel(customer, statement) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Collections System';
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet('Statement');
+
+    sheet.mergeCells('A1:F1');
+    sheet.getCell('A1').value = `ACCOUNT STATEMENT - ${customer.name}`;
+    sheet.getCell('A1').font = { size: 14, bold: true, color: { argb: 'FF2C3E50' } };
+    sheet.getCell('A2').value = `Customer ID: ${customer.customerId}`;
+    sheet.getCell('A3').value = `Account: ${customer.accountNumber || '-'}`;
+    sheet.getCell('A4').value = `Period: ${this.periodLabel(statement)}`;
+
+    const header = sheet.getRow(6);
+    header.values = ['Date', 'Type', 'Description', 'Debit', 'Credit', 'Balance'];
+    header.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    header.eachCell(cell => {
+      cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF2C3E50' } };
+    });
+
+    sheet.addRow([null, null, 'Opening balance', null, null, statement.openingBalance]);
+    for (const line of statement.lines) {
+      sheet.addRow([
+        new Date(line.date),
+        TYPE_LABELS[line.type] || line.type,
+        line.description || line.reference || '',
+        line.debit || null,
+        line.credit || null,
+        line.balance
+      ]);
+    }
+    const totals = sheet.addRow([null, null, 'Totals / closing balance', statement.totalDebits, statement.totalCredits, statement.closingBalance]);
+    totals.font = { bold: true };
+
+    sheet.columns = [
+      { width: 14, style: { numFmt: 'dd-mmm-yyyy' } },
+      { width: 16 },
+      { width: 48 },
+      { width: 14, style: { numFmt: '#,##0.00' } },
+      { width: 14, style: { numFmt: '#,##0.00' } },
+      { width: 16, style: { numFmt: '#,##0.00' } }
+    ];
+
+    return workbook.xlsx.writeBuffer();
+  }
+}
+
+module.exports = StatementGenerator;
@@ -219,6 +219,18 @@ class WhatsAppService {
       const formattedPhone = this.formatPhoneForWhatsApp(phoneNumber);
       const message = `*Payment Reminder*\n\nDear ${customerName},\n\nYour outstanding arrears: *KES ${arrears.toLocaleString()}*\nTransaction ID: ${transactionId}\n\nPlease make payment to avoid penalties.\n\nThank you.`;
 
+      if (this.mockMode) {
+        console.log('📱 [MOCK] WhatsApp reminder would be sent to:', formattedPhone);
+        console.log(message);
+
+        return {
+          success: true,
+          messageId: `mock_${Date.now()}`,
+          status: 'sent',
+          mock: true
+        };
+      }
+
       const response = await this.client.messages.create({
         body: message,
         from: this.whatsappNumber,
@@ -240,6 +252,90 @@ class WhatsAppService {
     }
   }
 
+  /**
+   * Send a payment plan installment reminder
+   */
+  async sendInstallmentReminder(phoneNumber, customerName, installment, reference) {
+    try {
+      const formattedPhone = this.formatPhoneForWhatsApp(phoneNumber);
+      const dueDate = new Date(installment.dueDate).toLocaleDateString('en-KE');
+      const message = `*Installment Reminder*\n\nDear ${customerName},\n\nInstallment ${installment.number} of ${installment.installmentCount} on your payment plan, *KES ${installment.amount.toLocaleString()}*, is due on ${dueDate}.\nReference: ${reference}\n\nPlease pay on time to keep your plan active.\n\nThank you.`;
+
+      if (this.mockMode) {
+        console.log('📱 [MOCK] WhatsApp installment reminder would be sent to:', formattedPhone);
+        console.log(message);
+
+        return {
+          success: true,
+          messageId: `mock_${Date.now()}`,
+          status: 'sent',
+          mock: true
+        };
+      }
+
+      const response = await this.client.messages.create({
+        body: message,
+        from: this.whatsappNumber,
+        to: formattedPhone
+      });
+
+      return {
+        success: true,
+        messageId: response.sid,
+        status: response.status
+      };
+
+    } catch (error) {
+      console.error('Installment reminder send error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Send an already-rendered message. statusCallback, when given, receives
+   * Twilio's delivery status updates for it.
+   */
+  async sendMessage(phoneNumber, message, { statusCallback } = {}) {
+    try {
+      const formattedPhone = this.formatPhoneForWhatsApp(phoneNumber);
+
+      if (this.mockMode) {
+        console.log('📱 [MOCK] WhatsApp message would be sent to:', formattedPhone);
+        console.log(message);
+
+        return {
+          success: true,
+          messageId: `mock_${Date.now()}`,
+          status: 'sent',
+          mock: true
+        };
+      }
+
+      const response = await this.client.messages.create({
+        body: message,
+        from: this.whatsappNumber,
+        to: formattedPhone,
+        ...(statusCallback ? { statusCallback } : {})
+      });
+
+      return {
+        success: true,
+        messageId: response.sid,
+        status: response.status
+      };
+
+    } catch (error) {
+      console.error('Message send error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Verify phone number is valid for WhatsApp
    */
@@ -0,0 +1,290 @@
+// services/writeOffService.js
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const Customer = require('../models/Customer');
+const Transaction = require('../models/Transaction');
+const WriteOffBatch = require('../models/WriteOffBatch');
+const LoanService = require('./loanService');
+const LedgerService = require('./ledgerService');
+const { roundMoney, serviceError, assertCanApprove, generateInternalId } = require('../utils/helpers');
+
+const { ACCOUNTS } = LedgerService;
+
+/**
+ * Write-off batches for non-performing loans and recovery reporting
+ */
+class WriteOffService {
+  /**
+   * Overdue loans at or past a DPD threshold that are not already in an open batch
+   */
+  async findCandidates({ dpdThreshold, loanType }) {
+    const threshold = parseInt(dpdThreshold, 10);
+    if (!(threshold >= 1)) {
+      throw serviceError('Please provide a DPD threshold of at least 1 day');
+    }
+
+    const query = { status: 'overdue', daysPastDue: { $gte: threshold }, outstandingBalance: { $gt: 0 } };
+    if (loanType) query.loanType = loanType;
+
+    const [loans, openBatches] = await Promise.all([
+      Loan.find(query)
+        .populate('customerId', 'name customerId')
+        .select('loanId customerId loanType daysPastDue outstandingBalance activeRestructureId')
+        .sort({ daysPastDue: -1 })
+        .lean(),
+      WriteOffBatch.find({ status: { $in: ['PROPOSED', 'POSTING'] } }).select('items.loanId items.status').lean()
+    ]);
+
+    const inOpenBatch = new Set(openBatches.flatMap(batch =>
+      batch.items.filter(item => item.status === 'PROPOSED').map(item => String(item.loanId))
+    ));
+
+    return loans.filter(loan => !inOpenBatch.has(String(loan._id)));
+  }
+
+  /**
+   * Supervisor proposes a batch from the DPD threshold, optionally limited to some loans
+   */
+  async proposeBatch(data, user) {
+    const candidates = await this.findCandidates(data);
+
+    const selected = Array.isArray(data.loanIds) && data.loanIds.length > 0
+      ? candidates.filter(loan => data.loanIds.map(String).includes(String(loan._id)) || data.loanIds.includes(loan.loanId))
+      : candidates;
+
+    if (selected.length === 0) {
+      throw serviceError('No loans match the write-off criteria');
+    }
+
+    const items = selected.map(loan => ({
+      loanId: loan._id,
+      loanRef: loan.loanId,
+      customerId: loan.customerId?._id || loan.customerId,
+      customerName: loan.customerId?.name,
+      loanType: loan.loanType,
+      daysPastDue: loan.daysPastDue,
+      amount: loan.outstandingBalance
+    }));
+
+    return WriteOffBatch.create({
+      batchId: generateInternalId('WOB'),
+      dpdThreshold: parseInt(data.dpdThreshold, 10),
+      loanType: data.loanType,
+      items,
+      totalAmount: roundMoney(items.reduce((sum, item) => sum + item.amount, 0)),
+      notes: data.notes,
+      proposedBy: user.username,
+      proposedByUserId: user.id
+    });
+  }
+
+  /**
+   * Move one loan's outstanding balance off-book
+   * @returns {Number} amount written off
+   */
+  async writeOffLoan(loanId, batch, user) {
+    const session = await Loan.startSession();
+
+    try {
+      session.startTransaction();
+
+      const loan = await Loan.findById(loanId).session(session);
+      if (!loan || loan.status !== 'overdue') {
+        throw serviceError(`Loan is ${loan ? loan.status : 'missing'}, not overdue`);
+      }
+      if (loan.activeRestructureId) {
+        throw serviceError('Loan is on restructured terms; revert the restructure first');
+      }
+
+      await LoanService.bookDueInstallments(loan, { session });
+      loan.refreshStatus();
+
+      const legs = [];
+      for (const installment of loan.activeInstallments()) {
+        legs.push({
+          debit: ACCOUNTS.WRITE_OFF_EXPENSE,
+          credit: LoanService.receivableAccount(installment),
+          amount: installment.amount - (installment.paidAmount || 0),
+          installmentId: installment._id
+        });
+      }
+      for (const fee of loan.fees) {
+        legs.push({
+          debit: ACCOUNTS.WRITE_OFF_EXPENSE,
+          credit: ACCOUNTS.FEES_RECEIVABLE,
+          amount: LoanService.feeDue(fee),
+          installmentId: fee.installmentId,
+          feeId: fee._id
+        });
+      }
+
+      const amount = loan.outstandingBalance;
+      legs.push({
+        debit: ACCOUNTS.WRITTEN_OFF,
+        credit: ACCOUNTS.WRITTEN_OFF_CONTRA,
+        amount,
+        description: `${loan.loanId} still collectable after write-off`
+      });
+
+      await LedgerService.postJournal('WRITE_OFF', legs, {
+        customerId: loan.customerId,
+        loanId: loan._id,
+        reference: batch.batchId,
+        description: `Write-off of ${loan.loanId} (batch ${batch.batchId})`,
+        user
+      }, session);
+
+      loan.status = 'written_off';
+      loan.writeOffBatchId = batch._id;
+      loan.writtenOffAt = new Date();
+      loan.writtenOffAmount = amount;
+      loan.refreshStatus();
+      await loan.save({ session });
+
+      await LoanService.syncCustomerBalances(loan.customerId, session);
+
+      await session.commitTransaction();
+      return amount;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Admin approves a batch; each loan is posted in its own transaction so one bad
+   * loan does not hold up the rest. The batch stays POSTING until every loan has been
+   * tried and each item is saved as it goes, so an interrupted approval can be run
+   * again and carries on where it stopped.
+   * @param {Array} excludeLoanIds - loans to leave out of the batch
+   */
+  async approveBatch(batchId, user, { excludeLoanIds = [], notes } = {}) {
+    const existing = await WriteOffBatch.findById(batchId).select('status proposedByUserId');
+    if (!existing || !['PROPOSED', 'POSTING'].includes(existing.status)) {
+      throw serviceError('Write-off batch not found or already reviewed', 404);
+    }
+
+    // Approving is admin-only, so the admin exemption would make this no check at all
+    assertCanApprove(existing.proposedByUserId, user, 'write-off batch', { adminMayApprove: false });
+
+    const batch = existing.status === 'POSTING'
+      ? await WriteOffBatch.findOne({ _id: batchId, status: 'POSTING' })
+      : await WriteOffBatch.findOneAndUpdate(
+        { _id: batchId, status: 'PROPOSED' },
+        {
+          status: 'POSTING',
+          reviewedBy: user.username,
+          reviewedByUserId: user.id,
+          reviewedAt: new Date(),
+          reviewNotes: notes
+        },
+        { new: true }
+      );
+
+    if (!batch) {
+      throw serviceError('Write-off batch not found or already reviewed', 404);
+    }
+
+    const excluded = excludeLoanIds.map(String);
+
+    for (const item of batch.items) {
+      if (item.status !== 'PROPOSED') continue;
+
+      if (excluded.includes(String(item.loanId)) || excluded.includes(item.loanRef)) {
+        item.status = 'EXCLUDED';
+        item.note = 'Excluded by approver';
+        await batch.save();
+        continue;
+      }
+
+      // Written off by an earlier, interrupted run of this approval
+      const postedEarlier = await Loan.findOne({ _id: item.loanId, writeOffBatchId: batch._id }).select('writtenOffAmount');
+
+      try {
+        item.writtenOffAmount = postedEarlier
+          ? postedEarlier.writtenOffAmount
+          : await this.writeOffLoan(item.loanId, batch, user);
+        item.status = 'POSTED';
+      } catch (error) {
+        item.status = error.statusCode ? 'SKIPPED' : 'FAILED';
+        item.note = error.message;
+        if (!error.statusCode) {
+          console.error(`❌ Write-off failed for ${item.loanRef}:`, error.message);
+        }
+      }
+      await batch.save();
+    }
+
+    batch.status = 'APPROVED';
+    batch.totalWrittenOff = roundMoney(
+      batch.items.filter(item => item.status === 'POSTED').reduce((sum, item) => sum + item.writtenOffAmount, 0)
+    );
+    await batch.save();
+
+    return batch;
+  }
+
+  async rejectBatch(batchId, user, notes) {
+    const batch = await WriteOffBatch.findOneAndUpdate(
+      { _id: batchId, status: 'PROPOSED' },
+      {
+        status: 'REJECTED',
+        reviewedBy: user.username,
+        reviewedByUserId: user.id,
+        reviewedAt: new Date(),
+        reviewNotes: notes
+      },
+      { new: true }
+    );
+
+    if (!batch) {
+      throw serviceError('Write-off batch not found or already reviewed', 404);
+    }
+
+    return batch;
+  }
+
+  /**
+   * Recoveries collected on written-off loans, kept apart from normal collections
+   * @param {Object} options - from, to, officerIds (limit to payments credited to these officers)
+   * @returns {Object} { totalRecovered, count, writtenOffPortfolio }
+   */
+  async getRecoveryStats({ from, to, officerIds } = {}) {
+    const match = { status: 'SUCCESS', recoveryAmount: { $gt: 0 } };
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = new Date(from);
+      if (to) match.createdAt.$lte = new Date(to);
+    }
+    if (officerIds) {
+      match.initiatedByUserId = { $in: officerIds.map(id => new mongoose.Types.ObjectId(String(id))) };
+    }
+
+    const customerMatch = { writtenOffBalance: { $gt: 0 } };
+    if (officerIds) {
+      customerMatch.assignedTo = { $in: officerIds.map(id => new mongoose.Types.ObjectId(String(id))) };
+    }
+
+    const [recoveries, portfolio] = await Promise.all([
+      Transaction.aggregate([
+        { $match: match },
+        { $group: { _id: null, total: { $sum: '$recoveryAmount' }, count: { $sum: 1 } } }
+      ]),
+      Customer.aggregate([
+        { $match: customerMatch },
+        { $group: { _id: null, total: { $sum: '$writtenOffBalance' }, customers: { $sum: 1 } } }
+      ])
+    ]);
+
+    return {
+      totalRecovered: roundMoney(recoveries[0]?.total || 0),
+      count: recoveries[0]?.count || 0,
+      writtenOffPortfolio: roundMoney(portfolio[0]?.total || 0),
+      writtenOffCustomers: portfolio[0]?.customers || 0
+    };
+  }
+}
+
+module.exports = new WriteOffService();
@@ -9,6 +9,24 @@ const generateTransactionId = () => {
   return `TXN${timestamp.slice(-8)}${random}`;
 };
 
+const generateMpesaReceiptNumber = () => {
+  const date = new Date();
+  const dateStr = date.getFullYear().toString().slice(-2) +
+                 (date.getMonth() + 1).toString().padStart(2, '0') +
+                 date.getDate().toString().padStart(2, '0');
+  const random = Math.floor(Math.random() * 100000).toString().padStart(5, '0');
+  return `MC${dateStr}${random}`;
+};
+
+// Mimics the ws_CO_ prefixed CheckoutRequestID returned by Daraja
+const generateCheckoutRequestId = () => {
+  const timestamp = Date.now().toString();
+  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+  return `ws_CO_${timestamp}${random}`;
+};
+
 module.exports = {
-  generateTransactionId
-};
\ No newline at end of file
+  generateTransactionId,
+  generateMpesaReceiptNumber,
+  generateCheckoutRequestId
+};
@@ -78,7 +78,38 @@ const calculateNewBalances = (customer, paymentAmount) => {
   return { newLoanBalance, newArrears };
 };
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Round a money amount to cents
+ */
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Error carrying the HTTP status controllers should answer with
+ */
+const serviceError = (message, statusCode = 400, errors) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (errors) error.errors = errors;
+  return error;
+};
+
+/**
+ * Maker-checker: admins may approve their own requests, nobody else can.
+ * With adminMayApprove false not even admins can (for admin-only approvals).
+ */
+const assertCanApprove = (requesterId, user, subject = 'request', { adminMayApprove = true } = {}) => {
+  if (String(requesterId) === String(user.id) && !(adminMayApprove && user.role === 'admin')) {
+    throw serviceError(`You cannot approve your own ${subject}`, 403);
+  }
+};
+
 module.exports = {
+  DAY_MS,
+  roundMoney,
+  serviceError,
+  assertCanApprove,
   formatPhoneNumber,
   generateAccountNumber,
   generateInternalId,
@@ -1,8 +1,11 @@
 /**
  * MPesa STK Push Simulator
- * In production, replace with actual Safaricom API calls
+ * Drop-in replacement for services/gateways/darajaGateway. When a callback URL is
+ * configured it POSTs Daraja-shaped callbacks to it, so the full flow can be
+ * exercised without Safaricom.
  */
 
+const axios = require('axios');
 const { 
   generateMpesaReceiptNumber, 
   generateCheckoutRequestId 
@@ -12,6 +15,14 @@ class MpesaSimulator {
   constructor() {
     this.pendingTransactions = new Map();
     this.callbacks = [];
+    const callbackToken = process.env.MPESA_CALLBACK_TOKEN;
+    this.callbackUrl = process.env.MPESA_CALLBACK_URL ||
+      `http://localhost:${process.env.PORT || 5000}/api/payments/mpesa/callback` +
+      (callbackToken ? `?token=${encodeURIComponent(callbackToken)}` : '');
+
+    // Simulate the customer entering their PIN this long after the prompt
+    this.autoCompleteDelayMs = parseInt(process.env.MPESA_SIMULATOR_DELAY_MS, 10) || 5000;
+    this.autoComplete = process.env.MPESA_SIMULATOR_AUTO_COMPLETE !== 'false';
     
     // Simulate some common MPesa responses
     this.responses = {
@@ -58,6 +69,7 @@ class MpesaSimulator {
     // Generate simulated request data
     const timestamp = new Date().toISOString().replace(/[^0-9]/g, '').slice(0, 14);
     const checkoutRequestID = generateCheckoutRequestId();
+    const merchantRequestID = `MER-${Date.now()}`;
 
     const requestData = {
       BusinessShortCode: '174379',
@@ -71,7 +83,8 @@ class MpesaSimulator {
       CallBackURL: process.env.MPESA_CALLBACK_URL,
       AccountReference: transactionId,
       TransactionDesc: description,
-      CheckoutRequestID: checkoutRequestID
+      CheckoutRequestID: checkoutRequestID,
+      MerchantRequestID: merchantRequestID
     };
 
     // Store transaction
@@ -88,6 +101,14 @@ class MpesaSimulator {
 
     console.log(`[MPESA SIM] STK Push sent to ${formattedPhone}`);
     console.log(`[MPESA SIM] CheckoutRequestID: ${checkoutRequestID}`);
+
+    if (this.autoComplete) {
+      setTimeout(() => {
+        this.processPayment(transactionId, '1234').catch(error => {
+          console.error(`[MPESA SIM] Auto-complete failed for ${transactionId}:`, error.message);
+        });
+      }, this.autoCompleteDelayMs);
+    }
     
     return {
       success: true,
@@ -95,7 +116,7 @@ class MpesaSimulator {
       transactionId,
       checkoutRequestID,
       customerMessage: 'Enter your MPesa PIN to complete the payment',
-      merchantRequestID: `MER-${Date.now()}`,
+      merchantRequestID,
       responseCode: '0',
       responseDescription: 'Success. Request accepted for processing',
       requestData
@@ -133,7 +154,7 @@ class MpesaSimulator {
       console.log(`[MPESA SIM] Receipt: ${transaction.mpesaReceiptNumber}`);
 
       // Simulate callback to bank system
-      await this.sendCallback(transaction);
+      await this.sendCallback(transaction, 0, 'The service request is processed successfully.');
       
       return {
         success: true,
@@ -151,6 +172,7 @@ class MpesaSimulator {
       transaction.failureReason = 'Invalid MPesa PIN';
       
       console.log(`[MPESA SIM] Payment failed - Invalid PIN for ${transactionId}`);
+      await this.sendCallback(transaction, 2001, 'The initiator information is invalid.');
       
       return {
         success: false,
@@ -164,6 +186,7 @@ class MpesaSimulator {
       transaction.failureReason = 'Insufficient funds';
       
       console.log(`[MPESA SIM] Payment failed - Insufficient funds for ${transactionId}`);
+      await this.sendCallback(transaction, 1, 'The balance is insufficient for the transaction.');
       
       return {
         success: false,
@@ -190,35 +213,46 @@ class MpesaSimulator {
   }
 
   /**
-   * Simulate callback to bank system
+   * Simulate Safaricom's callback to the bank system
    */
-  async sendCallback(transaction) {
-    const callbackData = {
-      Body: {
-        stkCallback: {
-          MerchantRequestID: `MER-${Date.now()}`,
-          CheckoutRequestID: transaction.CheckoutRequestID,
-          ResultCode: 0,
-          ResultDesc: 'The service request is processed successfully.',
-          CallbackMetadata: {
-            Item: [
-              { Name: 'Amount', Value: transaction.amount },
-              { Name: 'MpesaReceiptNumber', Value: transaction.mpesaReceiptNumber },
-              { Name: 'TransactionDate', Value: Date.now().toString() },
-              { Name: 'PhoneNumber', Value: transaction.phoneNumber }
-            ]
-          }
-        }
-      }
+  async sendCallback(transaction, resultCode = 0, resultDesc = 'The service request is processed successfully.') {
+    const stkCallback = {
+      MerchantRequestID: transaction.MerchantRequestID,
+      CheckoutRequestID: transaction.CheckoutRequestID,
+      ResultCode: resultCode,
+      ResultDesc: resultDesc
     };
 
+    // Daraja only includes metadata on successful payments
+    if (resultCode === 0) {
+      stkCallback.CallbackMetadata = {
+        Item: [
+          { Name: 'Amount', Value: transaction.amount },
+          { Name: 'MpesaReceiptNumber', Value: transaction.mpesaReceiptNumber },
+          { Name: 'TransactionDate', Value: Number(new Date().toISOString().replace(/[^0-9]/g, '').slice(0, 14)) },
+          { Name: 'PhoneNumber', Value: Number(transaction.phoneNumber) }
+        ]
+      };
+    }
+
+    const callbackData = { Body: { stkCallback } };
+
     this.callbacks.push({
       transactionId: transaction.id,
       data: callbackData,
       sentAt: new Date()
     });
 
-    console.log(`[MPESA SIM] Callback sent for ${transaction.id}`);
+    if (this.callbackUrl) {
+      try {
+        await axios.post(this.callbackUrl, callbackData, { timeout: 10000 });
+        console.log(`[MPESA SIM] Callback delivered for ${transaction.id} to ${this.callbackUrl}`);
+      } catch (error) {
+        console.error(`[MPESA SIM] Callback delivery failed for ${transaction.id}:`, error.message);
+      }
+    } else {
+      console.log(`[MPESA SIM] Callback recorded for ${transaction.id}`);
+    }
     
     return callbackData;
   }
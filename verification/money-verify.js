@@ -0,0 +1,232 @@
+// verification/money-verify.js
+// Checks the money paths without a database: model reads and writes are replaced
+// with in-memory stand-ins so only the service arithmetic is exercised.
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const LedgerEntry = require('../models/LedgerEntry');
+const PromiseModel = require('../models/Promise');
+const Customer = require('../models/Customer');
+const ActivityLogger = require('../services/activityLogger');
+const LoanService = require('../services/loanService');
+const LedgerService = require('../services/ledgerService');
+const PromiseMatchingService = require('../services/promiseMatchingService');
+const { roundMoney } = require('../utils/helpers');
+
+const { ACCOUNTS } = LedgerService;
+
+let failures = 0;
+const check = (label, passed, detail = '') => {
+  console.log(`${passed ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+  if (!passed) failures++;
+};
+
+// Every journal posted goes through LedgerEntry.create; keep the entries instead
+const posted = [];
+LedgerEntry.create = async (entries) => {
+  posted.push(...entries);
+  return entries;
+};
+
+// Debits minus credits for each journal; a balanced journal nets to zero on every account
+const unbalancedJournals = (entries) => {
+  const journals = {};
+  for (const entry of entries) {
+    const accounts = journals[entry.journalId] = journals[entry.journalId] || {};
+    accounts[entry.debitAccount] = roundMoney((accounts[entry.debitAccount] || 0) + entry.amount);
+    accounts[entry.creditAccount] = roundMoney((accounts[entry.creditAccount] || 0) - entry.amount);
+  }
+  return Object.keys(journals).filter(journalId => {
+    const total = Object.values(journals[journalId]).reduce((sum, value) => roundMoney(sum + value), 0);
+    return total !== 0 || entries.some(entry => entry.journalId === journalId && !(entry.amount > 0));
+  });
+};
+
+function verifySchedules() {
+  console.log('=== Verifying Loan Schedules ===');
+
+  const cases = [
+    { principalAmount: 100000, interestRate: 12, repaymentPeriod: 12, interestMethod: 'flat' },
+    { principalAmount: 100000, interestRate: 12, repaymentPeriod: 12, interestMethod: 'reducing_balance' },
+    { principalAmount: 1000, interestRate: 0, repaymentPeriod: 3, interestMethod: 'reducing_balance' },
+    { principalAmount: 33333.33, interestRate: 17.5, repaymentPeriod: 7, interestMethod: 'flat' },
+    { principalAmount: 50000, interestRate: 24, repaymentPeriod: 36, interestMethod: 'reducing_balance' }
+  ];
+
+  for (const terms of cases) {
+    const schedule = LoanService.generateSchedule({ ...terms, startDate: '2024-01-31' });
+    const principal = roundMoney(schedule.installments.reduce((sum, inst) => sum + inst.principal, 0));
+    const total = roundMoney(schedule.installments.reduce((sum, inst) => sum + inst.amount, 0));
+    const label = `${terms.interestMethod} ${terms.principalAmount} @ ${terms.interestRate}% over ${terms.repaymentPeriod}`;
+
+    check(`${label}: principal parts sum to principal`, principal === terms.principalAmount, `${principal}`);
+    check(`${label}: installments sum to total repayable`, total === schedule.totalRepayable, `${total}`);
+    check(`${label}: every installment is positive`, schedule.installments.every(inst => inst.amount > 0 && inst.principal >= 0));
+  }
+
+  const february = LoanService.generateSchedule({ principalAmount: 3000, repaymentPeriod: 3, startDate: '2024-01-31' });
+  check('31 Jan + 1 month falls on 29 Feb', february.installments[0].dueDate.getDate() === 29);
+}
+
+async function verifyAllocation() {
+  console.log('\n=== Verifying Payment Allocation ===');
+
+  const customerId = new mongoose.Types.ObjectId();
+  const buildLoan = (loanId, startDate, terms) => {
+    const schedule = LoanService.generateSchedule({ ...terms, startDate });
+    const loan = new Loan({
+      loanId,
+      customerId,
+      principalAmount: terms.principalAmount,
+      interestRate: terms.interestRate || 0,
+      repaymentPeriod: terms.repaymentPeriod,
+      startDate,
+      dueDate: schedule.dueDate,
+      totalRepayable: schedule.totalRepayable,
+      installments: schedule.installments,
+      status: 'active'
+    });
+    loan.save = async () => loan;
+    return loan;
+  };
+
+  // The newer loan has the earlier unpaid installment, so order is by due date, not by loan
+  const older = buildLoan('LN-OLD', new Date('2024-03-15'), { principalAmount: 3000, repaymentPeriod: 3 });
+  const newer = buildLoan('LN-NEW', new Date('2024-02-01'), { principalAmount: 2000, repaymentPeriod: 2 });
+  older.fees.push({ installmentId: older.installments[0]._id, amount: 150, feeType: 'LATE_FEE' });
+
+  const findLoans = Loan.find;
+  Loan.find = () => ({ session: async () => [older, newer] });
+  posted.length = 0;
+
+  try {
+    const result = await LoanService.allocatePayment(customerId, 2500, { paidDate: new Date('2024-07-01') });
+    const order = result.allocations.map(item => `${item.loanRef}#${item.installmentNumber}${item.feeId ? ' fee' : ''}`);
+
+    check('allocations run oldest due date first, fee before its installment',
+      order.join(', ') === 'LN-NEW#1, LN-NEW#2, LN-OLD#1 fee, LN-OLD#1',
+      order.join(', '));
+    check('allocations add up to the payment',
+      roundMoney(result.allocations.reduce((sum, item) => sum + item.amount, 0) + result.unallocated) === 2500);
+    check('partly paid installment keeps the remainder', older.installments[0].paidAmount === 350,
+      `${older.installments[0].paidAmount}`);
+    check('nothing left unallocated', result.unallocated === 0);
+
+    const overpaid = await LoanService.allocatePayment(customerId, 5000, { paidDate: new Date('2024-07-02') });
+    check('overpayment is held on account', overpaid.unallocated === 2350, `${overpaid.unallocated}`);
+    check('overpayment posts to CUSTOMER_OVERPAYMENT',
+      posted.some(entry => entry.creditAccount === ACCOUNTS.CUSTOMER_OVERPAYMENT && entry.amount === 2350));
+
+    check('allocation journals balance', unbalancedJournals(posted).length === 0);
+    const cleared = roundMoney(posted
+      .filter(entry => entry.debitAccount === ACCOUNTS.COLLECTIONS_CLEARING)
+      .reduce((sum, entry) => sum + entry.amount, 0));
+    check('collections clearing is debited with exactly the cash received', cleared === 7500, `${cleared}`);
+  } finally {
+    Loan.find = findLoans;
+  }
+}
+
+async function verifyJournals() {
+  console.log('\n=== Verifying Ledger Journals ===');
+  posted.length = 0;
+
+  const context = { customerId: new mongoose.Types.ObjectId(), reference: 'VERIFY', user: { username: 'verify' } };
+  const entries = await LedgerService.postJournal('PAYMENT', [
+    { debit: ACCOUNTS.COLLECTIONS_CLEARING, credit: ACCOUNTS.LOAN_DUE, amount: 100.005 },
+    { debit: ACCOUNTS.COLLECTIONS_CLEARING, credit: ACCOUNTS.FEES_RECEIVABLE, amount: 0 },
+    { debit: ACCOUNTS.COLLECTIONS_CLEARING, credit: ACCOUNTS.CUSTOMER_OVERPAYMENT, amount: 49.995 }
+  ], context);
+
+  check('zero legs are dropped', entries.length === 2, `${entries.length} legs`);
+  check('legs share one journalId', new Set(entries.map(entry => entry.journalId)).size === 1);
+  check('amounts are rounded to cents', entries.every(entry => entry.amount === roundMoney(entry.amount)));
+  check('legs carry the journal context', entries.every(entry =>
+    entry.customerId === context.customerId && entry.reference === 'VERIFY' && entry.createdBy === 'verify'));
+  check('postJournal journals balance', unbalancedJournals(posted).length === 0);
+
+  const empty = await LedgerService.postJournal('PAYMENT', [{ debit: ACCOUNTS.LOAN_DUE, credit: ACCOUNTS.LOAN_NOT_DUE, amount: 0 }], context);
+  check('a journal with nothing to post writes nothing', empty.length === 0);
+
+  const fee = await LedgerService.post('FEE_CHARGE', { ...context, amount: 75 });
+  check('post uses the entry type default accounts',
+    fee.debitAccount === ACCOUNTS.FEES_RECEIVABLE && fee.creditAccount === ACCOUNTS.FEE_INCOME);
+}
+
+async function verifyPromiseMatching() {
+  console.log('\n=== Verifying Promise Matching ===');
+
+  const customerId = new mongoose.Types.ObjectId();
+  const paidAt = new Date();
+  const promises = [
+    new PromiseModel({ promiseId: 'PRM-1', customerId, promiseAmount: 1000, fulfillmentAmount: 400, status: 'PARTIALLY_FULFILLED', promiseDate: new Date(paidAt.getTime() - 86400000) }),
+    new PromiseModel({ promiseId: 'PRM-2', customerId, promiseAmount: 2000, status: 'PENDING', promiseDate: new Date(paidAt.getTime() + 86400000) })
+  ];
+
+  const stubs = {
+    exists: PromiseModel.exists,
+    find: PromiseModel.find,
+    findOneAndUpdate: PromiseModel.findOneAndUpdate,
+    logPromise: ActivityLogger.logPromise,
+    findByIdAndUpdate: Customer.findByIdAndUpdate,
+    updateOne: Customer.updateOne
+  };
+  const updates = [];
+
+  PromiseModel.exists = async (filter) => promises.some(promise =>
+    promise.payments.some(payment => String(payment.transactionId) === String(filter['payments.transactionId'])));
+  PromiseModel.find = () => ({ sort: async () => promises.filter(promise => promise.status !== 'FULFILLED') });
+  PromiseModel.findOneAndUpdate = async (condition, update) => {
+    const promise = promises.find(item => String(item._id) === String(condition._id));
+    if (!promise || promise.status !== condition.status || promise.fulfillmentAmount !== condition.fulfillmentAmount) return null;
+    promise.set(update.$set);
+    promise.payments.push(update.$push.payments);
+    updates.push(update);
+    return promise;
+  };
+  ActivityLogger.logPromise = async () => null;
+  Customer.findByIdAndUpdate = () => ({ select: async () => null });
+  Customer.updateOne = async () => null;
+
+  try {
+    const transaction = { _id: new mongoose.Types.ObjectId(), transactionId: 'TXN-VERIFY', customerId, amount: 1500, status: 'SUCCESS', processedAt: paidAt };
+    const result = await PromiseMatchingService.matchPayment(transaction);
+
+    check('oldest promise is kept first',
+      result.matched[0]?.promiseId === 'PRM-1' && result.matched[0].allocated === 600 && result.matched[0].status === 'FULFILLED');
+    check('the rest goes to the next promise',
+      result.matched[1]?.promiseId === 'PRM-2' && result.matched[1].allocated === 900 && result.matched[1].status === 'PARTIALLY_FULFILLED');
+    check('allocations add up to the payment',
+      roundMoney(result.matched.reduce((sum, item) => sum + item.allocated, 0) + result.unallocated) === 1500);
+    check('promise fulfilment amounts are updated',
+      promises[0].fulfillmentAmount === 1000 && promises[1].fulfillmentAmount === 900);
+
+    const again = await PromiseMatchingService.matchPayment(transaction);
+    check('a payment is only matched once', again.matched.length === 0 && updates.length === 2);
+
+    const failed = await PromiseMatchingService.matchPayment({ ...transaction, _id: new mongoose.Types.ObjectId(), status: 'FAILED' });
+    check('unsuccessful payments are not matched', failed.matched.length === 0);
+  } finally {
+    PromiseModel.exists = stubs.exists;
+    PromiseModel.find = stubs.find;
+    PromiseModel.findOneAndUpdate = stubs.findOneAndUpdate;
+    ActivityLogger.logPromise = stubs.logPromise;
+    Customer.findByIdAndUpdate = stubs.findByIdAndUpdate;
+    Customer.updateOne = stubs.updateOne;
+  }
+}
+
+// Run verification
+if (require.main === module) {
+  (async () => {
+    verifySchedules();
+    await verifyAllocation();
+    await verifyJournals();
+    await verifyPromiseMatching();
+
+    console.log(failures === 0 ? '\nMoney verification complete!' : `\n${failures} money check(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+  })().catch(err => {
+    console.error('Verification failed:', err);
+    process.exit(1);
+  });
+}